@@ -1,5 +1,16 @@
 const { createClient } = require('@supabase/supabase-js');
 const { v4: uuidv4 } = require('uuid');
+const { deploymentUtils } = require('./utils/deployment');
+const { versioningUtils } = require('./utils/versioning');
+const { agentRegistry } = require('./utils/agent-registry');
+const { validationUtils } = require('./utils/validation');
+const { lifecycleUtils, LIFECYCLE_ACTIONS } = require('./utils/lifecycle');
+const { templateUtils } = require('./utils/templates');
+const { trashUtils } = require('./utils/trash');
+const { rolloutUtils, ROLLOUT_STRATEGIES } = require('./utils/rollouts');
+const { eventBus } = require('./utils/event-bus');
+const { authUtils } = require('./utils/auth');
+const { dbUtils } = require('./utils/database');
 
 // Initialize Supabase client
 const supabase = createClient(
@@ -7,6 +18,124 @@ const supabase = createClient(
   process.env.SUPABASE_SERVICE_ROLE_KEY
 );
 
+// Fields a client may set when creating an agent
+const CREATE_AGENT_SCHEMA = {
+  type: 'object',
+  required: ['name', 'type'],
+  additionalProperties: false,
+  properties: {
+    name: { type: 'string', minLength: 1, maxLength: 100 },
+    type: { type: 'string', minLength: 1 },
+    config: { type: 'object' }
+  }
+};
+
+// Fields a client may change on an existing agent, everything else
+// (id, tenant_id, status, version, endpoints) is managed by the factory
+const UPDATE_AGENT_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    name: { type: 'string', minLength: 1, maxLength: 100 },
+    config: { type: 'object' }
+  }
+};
+
+// Payload for saving a template revision
+const SAVE_TEMPLATE_SCHEMA = {
+  type: 'object',
+  required: ['name'],
+  additionalProperties: false,
+  properties: {
+    name: { type: 'string', minLength: 1, maxLength: 100 },
+    description: { type: 'string', maxLength: 500 },
+    agent_id: { type: 'string' },
+    type: { type: 'string' },
+    config: { type: 'object' },
+    variables: {
+      type: 'object',
+      additionalProperties: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          description: { type: 'string' },
+          required: { type: 'boolean' },
+          default: {}
+        }
+      }
+    },
+    overrides: {
+      type: 'object',
+      additionalProperties: { type: 'object' }
+    }
+  }
+};
+
+// Payload for starting a canary or blue/green rollout
+const START_ROLLOUT_SCHEMA = {
+  type: 'object',
+  required: ['config'],
+  additionalProperties: false,
+  properties: {
+    config: { type: 'object' },
+    strategy: { type: 'string', enum: ROLLOUT_STRATEGIES },
+    steps: {
+      type: 'array',
+      minItems: 1,
+      maxItems: 10,
+      items: { type: 'integer', minimum: 1, maximum: 100 }
+    },
+    criteria: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        min_requests: { type: 'integer', minimum: 1 },
+        max_error_rate_increase: { type: 'number', minimum: 0, maximum: 100 },
+        max_latency_ratio: { type: 'number', minimum: 1 },
+        baseline_window_minutes: { type: 'integer', minimum: 1 }
+      }
+    },
+    message: { type: 'string', maxLength: 500 }
+  }
+};
+
+// Postgres unique violation
+const UNIQUE_VIOLATION = '23505';
+
+// Largest number of agents a single bulk request may touch
+const BULK_MAX_ITEMS = 50;
+
+// Largest number of agents a bulk create or restart may deploy, their
+// health checks run side by side to fit in one function invocation
+const BULK_MAX_DEPLOYS = 5;
+
+// Payload for bulk operations
+const BULK_SCHEMA = {
+  type: 'object',
+  required: ['operation'],
+  additionalProperties: false,
+  properties: {
+    operation: { type: 'string', enum: ['create', 'update', 'status', 'delete'] },
+    ids: { type: 'array', items: { type: 'string' }, minItems: 1, maxItems: BULK_MAX_ITEMS },
+    filter: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        type: { type: 'string' },
+        status: { type: 'string' },
+        q: { type: 'string' },
+        created_after: { type: 'string' },
+        created_before: { type: 'string' }
+      }
+    },
+    items: { type: 'array', items: CREATE_AGENT_SCHEMA, minItems: 1, maxItems: BULK_MAX_ITEMS },
+    changes: UPDATE_AGENT_SCHEMA,
+    action: { type: 'string', enum: Object.keys(LIFECYCLE_ACTIONS) },
+    dry_run: { type: 'boolean' },
+    atomic: { type: 'boolean' }
+  }
+};
+
 // Agent Factory - Core orchestration system
 module.exports = async (req, res) => {
   // Enable CORS
@@ -19,9 +148,68 @@ module.exports = async (req, res) => {
   }
 
   try {
-    const { method } = req;
+    const { method, url } = req;
     const tenantId = req.headers['x-tenant-id'] || 'default';
 
+    // Agent type registry
+    if (url.includes('/types') && method === 'GET') {
+      return handleListTypes(req, res);
+    }
+
+    // Canary and blue/green rollouts, matched before /rollback
+    if (url.includes('/rollouts/evaluate') && method === 'POST') {
+      return await handleEvaluateRollout(req, res, tenantId);
+    } else if (url.includes('/rollouts/promote') && method === 'POST') {
+      return await handlePromoteRollout(req, res, tenantId);
+    } else if (url.includes('/rollouts/rollback') && method === 'POST') {
+      return await handleAbortRollout(req, res, tenantId);
+    } else if (url.includes('/rollouts') && method === 'GET') {
+      return await handleListRollouts(req, res, tenantId);
+    } else if (url.includes('/rollouts') && method === 'POST') {
+      return await handleStartRollout(req, res, tenantId);
+    }
+
+    // Version history routes
+    if (url.includes('/versions/diff') && method === 'GET') {
+      return await handleDiffVersions(req, res, tenantId);
+    } else if (url.includes('/versions') && method === 'GET') {
+      return await handleListVersions(req, res, tenantId);
+    } else if (url.includes('/rollback') && method === 'POST') {
+      return await handleRollbackAgent(req, res, tenantId);
+    }
+
+    // Bulk operations
+    if (url.includes('/bulk') && method === 'POST') {
+      return await handleBulkOperation(req, res, tenantId);
+    }
+
+    // Templates and cloning
+    if (url.includes('/templates/instantiate') && method === 'POST') {
+      return await handleInstantiateTemplate(req, res, tenantId);
+    } else if (url.includes('/templates/agents') && method === 'GET') {
+      return await handleListTemplateAgents(req, res, tenantId);
+    } else if (url.includes('/templates') && method === 'GET') {
+      return await handleListTemplates(req, res, tenantId);
+    } else if (url.includes('/templates') && method === 'POST') {
+      return await handleSaveTemplate(req, res, tenantId);
+    } else if (url.includes('/clone') && method === 'POST') {
+      return await handleCloneAgent(req, res, tenantId);
+    }
+
+    // Trash (soft delete, restore, purge)
+    if (url.includes('/trash') && method === 'GET') {
+      return await handleListTrash(req, res, tenantId);
+    } else if (url.includes('/restore') && method === 'POST') {
+      return await handleRestoreAgent(req, res, tenantId);
+    } else if (url.includes('/purge') && (method === 'POST' || method === 'DELETE')) {
+      return await handlePurgeAgents(req, res, tenantId);
+    }
+
+    // Lifecycle actions (pause, resume, drain, restart)
+    if (url.includes('/lifecycle') && method === 'POST') {
+      return await handleLifecycleAction(req, res, tenantId);
+    }
+
     switch (method) {
       case 'GET':
         return await handleGetAgents(req, res, tenantId);
@@ -35,6 +223,11 @@ module.exports = async (req, res) => {
         return res.status(405).json({ error: 'Method not allowed' });
     }
   } catch (error) {
+    // Errors raised with a status, such as a second agent of a type
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+
     console.error('Agent Factory Error:', error);
     return res.status(500).json({ 
       error: 'Internal server error',
@@ -43,76 +236,268 @@ module.exports = async (req, res) => {
   }
 };
 
-// Get all agents for a tenant
+// Sortable columns for agent listing
+const AGENT_SORT_FIELDS = ['created_at', 'name', 'status', 'type'];
+
+// Optional aggregates for agent listing
+const AGENT_INCLUDES = ['metrics', 'tasks'];
+
+// List agents for a tenant with cursor pagination, filters and sorting
 async function handleGetAgents(req, res, tenantId) {
-  const { data: agents, error } = await supabase
-    .from('agents')
-    .select(`
-      *,
-      agent_tasks!inner(
-        id,
-        status,
-        created_at
-      ),
-      agent_metrics!inner(
-        metric_type,
-        metric_value,
-        timestamp
-      )
-    `)
-    .eq('tenant_id', tenantId)
-    .order('created_at', { ascending: false });
+  const {
+    type,
+    status,
+    q,
+    created_after,
+    created_before,
+    sort = 'created_at',
+    order = 'desc',
+    cursor,
+    include
+  } = req.query;
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+  const includes = include ? include.split(',').map(value => value.trim()) : [];
 
-  if (error) {
-    return res.status(500).json({ error: error.message });
+  const errors = [];
+  if (!AGENT_SORT_FIELDS.includes(sort)) {
+    errors.push({ path: 'sort', message: `must be one of: ${AGENT_SORT_FIELDS.join(', ')}` });
+  }
+  if (!['asc', 'desc'].includes(order)) {
+    errors.push({ path: 'order', message: 'must be one of: asc, desc' });
+  }
+  for (const value of includes) {
+    if (!AGENT_INCLUDES.includes(value)) {
+      errors.push({ path: 'include', message: `unknown include ${value}. Allowed: ${AGENT_INCLUDES.join(', ')}` });
+    }
+  }
+
+  let position = null;
+  if (cursor) {
+    position = decodeCursor(cursor);
+    if (!position || position.sort !== sort || position.order !== order) {
+      errors.push({ path: 'cursor', message: 'is invalid for this sort order' });
+    }
   }
 
-  // Aggregate metrics for each agent
-  const agentsWithMetrics = agents.map(agent => {
-    const recentMetrics = agent.agent_metrics
-      .filter(m => new Date(m.timestamp) > new Date(Date.now() - 3600000)) // Last hour
-      .reduce((acc, metric) => {
-        acc[metric.metric_type] = metric.metric_value;
-        return acc;
-      }, {});
+  if (errors.length > 0) {
+    return sendValidationError(res, errors);
+  }
 
-    const activeTasks = agent.agent_tasks
-      .filter(task => ['pending', 'running'].includes(task.status))
-      .length;
+  const filters = { type, status, q, created_after, created_before };
+  let query = applyAgentFilters(supabase.from('agents').select('*'), tenantId, filters);
 
-    return {
-      ...agent,
-      metrics: recentMetrics,
-      activeTasks,
-      agent_tasks: undefined,
-      agent_metrics: undefined
-    };
-  });
+  // Keyset pagination on (sort field, id) so pages stay stable under inserts
+  if (position) {
+    const op = order === 'asc' ? 'gt' : 'lt';
+    const value = dbUtils.quoteFilterValue(position.value);
+    query = query.or(`${sort}.${op}.${value},and(${sort}.eq.${value},id.${op}.${dbUtils.quoteFilterValue(position.id)})`);
+  }
+
+  const [{ data: rows, error }, { count, error: countError }] = await Promise.all([
+    query
+      .order(sort, { ascending: order === 'asc' })
+      .order('id', { ascending: order === 'asc' })
+      .limit(limit + 1),
+    applyAgentFilters(supabase.from('agents').select('id', { count: 'exact', head: true }), tenantId, filters)
+  ]);
+
+  if (error || countError) {
+    return res.status(500).json({ error: (error || countError).message });
+  }
+
+  const hasMore = rows.length > limit;
+  const agents = rows.slice(0, limit);
+  const last = agents[agents.length - 1];
+  const agentIds = agents.map(agent => agent.id);
+
+  const [metricsByAgent, tasksByAgent] = await Promise.all([
+    includes.includes('metrics') ? aggregateAgentMetrics(agentIds) : null,
+    includes.includes('tasks') ? aggregateAgentTasks(agentIds) : null
+  ]);
 
   return res.status(200).json({
     success: true,
-    agents: agentsWithMetrics,
-    total: agentsWithMetrics.length
+    agents: agents.map(agent => ({
+      ...agent,
+      ...(metricsByAgent && { metrics: metricsByAgent[agent.id] || {} }),
+      ...(tasksByAgent && { tasks: tasksByAgent[agent.id] || { active: 0, by_status: {} } })
+    })),
+    total: count,
+    page: {
+      limit,
+      has_more: hasMore,
+      next_cursor: hasMore && last
+        ? encodeCursor({ sort, order, value: last[sort], id: last.id })
+        : null
+    }
   });
 }
 
+// Apply listing filters shared by the page and count queries
+function applyAgentFilters(query, tenantId, { type, status, q, created_after, created_before }) {
+  query = query.eq('tenant_id', tenantId).is('deleted_at', null);
+
+  if (type) {
+    query = query.in('type', type.split(','));
+  }
+  if (status) {
+    query = query.in('status', status.split(','));
+  }
+  if (q) {
+    query = query.ilike('name', `%${q}%`);
+  }
+  if (created_after) {
+    query = query.gte('created_at', created_after);
+  }
+  if (created_before) {
+    query = query.lte('created_at', created_before);
+  }
+
+  return query;
+}
+
+// Summarize the last hour of metrics per agent and metric type
+async function aggregateAgentMetrics(agentIds) {
+  if (agentIds.length === 0) return {};
+
+  const { data: metrics, error } = await supabase
+    .from('agent_metrics')
+    .select('agent_id, metric_type, metric_value, unit, timestamp')
+    .in('agent_id', agentIds)
+    .gte('timestamp', new Date(Date.now() - 3600000).toISOString()) // Last hour
+    .order('timestamp', { ascending: false });
+
+  if (error) {
+    throw error;
+  }
+
+  const aggregates = {};
+  for (const metric of metrics) {
+    const agentMetrics = aggregates[metric.agent_id] = aggregates[metric.agent_id] || {};
+    const summary = agentMetrics[metric.metric_type];
+
+    if (!summary) {
+      agentMetrics[metric.metric_type] = {
+        latest: metric.metric_value,
+        average: metric.metric_value,
+        min: metric.metric_value,
+        max: metric.metric_value,
+        count: 1,
+        unit: metric.unit
+      };
+      continue;
+    }
+
+    summary.average = (summary.average * summary.count + metric.metric_value) / (summary.count + 1);
+    summary.min = Math.min(summary.min, metric.metric_value);
+    summary.max = Math.max(summary.max, metric.metric_value);
+    summary.count += 1;
+  }
+
+  return aggregates;
+}
+
+// Count in-flight tasks and the last 24 hours of tasks by status per agent
+async function aggregateAgentTasks(agentIds) {
+  if (agentIds.length === 0) return {};
+
+  const since = new Date(Date.now() - 86400000).toISOString(); // Last 24 hours
+  const { data: tasks, error } = await supabase
+    .from('agent_tasks')
+    .select('agent_id, status, created_at')
+    .in('agent_id', agentIds)
+    .or(`status.in.(pending,running),created_at.gte.${since}`);
+
+  if (error) {
+    throw error;
+  }
+
+  const aggregates = {};
+  for (const task of tasks) {
+    const summary = aggregates[task.agent_id] = aggregates[task.agent_id] || { active: 0, by_status: {} };
+
+    if (['pending', 'running'].includes(task.status)) {
+      summary.active += 1;
+    }
+    if (task.created_at >= since) {
+      summary.by_status[task.status] = (summary.by_status[task.status] || 0) + 1;
+    }
+  }
+
+  return aggregates;
+}
+
 // Create new agent
 async function handleCreateAgent(req, res, tenantId) {
-  const { name, type, config = {} } = req.body;
+  const body = req.body || {};
+  const errors = validationUtils.validate(body, CREATE_AGENT_SCHEMA);
 
-  if (!name || !type) {
-    return res.status(400).json({ 
-      error: 'Missing required fields: name, type' 
-    });
+  const definition = errors.length === 0 ? validateAgentDefinition(body) : null;
+  if (definition) {
+    errors.push(...definition.errors);
+  }
+
+  if (errors.length > 0) {
+    return sendValidationError(res, errors);
   }
 
-  const supportedTypes = ['sentiment-analysis', 'recommendation', 'performance-monitor'];
-  if (!supportedTypes.includes(type)) {
-    return res.status(400).json({ 
-      error: `Unsupported agent type. Supported types: ${supportedTypes.join(', ')}` 
+  const { agent, deployment } = await createAgent(tenantId, {
+    name: body.name,
+    type: body.type,
+    config: definition.config
+  }, { author: getAuthor(req) });
+
+  return sendAgentCreated(res, agent, deployment);
+}
+
+// Validate name, type and config for a new agent.
+// Returns { config, errors } with config merged over the type defaults.
+function validateAgentDefinition({ name, type, config = {} }) {
+  const errors = validationUtils.validate({ name, type, config }, {
+    type: 'object',
+    required: ['name', 'type'],
+    properties: CREATE_AGENT_SCHEMA.properties
+  });
+
+  if (typeof type === 'string' && !agentRegistry.has(type)) {
+    errors.push({
+      path: 'type',
+      message: `must be one of: ${agentRegistry.getSupportedTypes().join(', ')}`
     });
   }
 
+  if (errors.length > 0) {
+    return { config: null, errors };
+  }
+
+  const builtConfig = agentRegistry.buildConfig(type, config);
+  return {
+    config: builtConfig,
+    errors: agentRegistry.validateConfig(type, builtConfig)
+  };
+}
+
+// The live agent of a type in a tenant, agent endpoints serve one per type
+async function findAgentOfType(tenantId, type) {
+  const { data, error } = await supabase
+    .from('agents')
+    .select('*')
+    .eq('tenant_id', tenantId)
+    .eq('type', type)
+    .is('deleted_at', null)
+    .limit(1);
+
+  if (error) {
+    throw error;
+  }
+
+  return data[0] || null;
+}
+
+// Insert a validated agent, record its first version and deploy it.
+// A tenant runs one live agent per type, enforced by the unique index
+// agents (tenant_id, type) where deleted_at is null, a second one fails with 409.
+async function createAgent(tenantId, { name, type, config }, { author, extraFields = {}, message = null } = {}) {
   const agentId = uuidv4();
   const agentData = {
     id: agentId,
@@ -122,8 +507,8 @@ async function handleCreateAgent(req, res, tenantId) {
     config,
     status: 'deploying',
     version: '1.0.0',
-    endpoint_url: `/api/${type}`,
-    health_check_url: `/api/${type}/health`
+    ...agentRegistry.getEndpoints(type),
+    ...extraFields
   };
 
   const { data: agent, error } = await supabase
@@ -132,144 +517,1155 @@ async function handleCreateAgent(req, res, tenantId) {
     .select()
     .single();
 
-  if (error) {
-    return res.status(500).json({ error: error.message });
+  if (error && error.code === UNIQUE_VIOLATION) {
+    const conflict = new Error(`Tenant already has a ${type} agent`);
+    conflict.statusCode = 409;
+    throw conflict;
   }
 
-  // Simulate deployment process
-  setTimeout(async () => {
-    await deployAgent(agentId, type, config);
-  }, 1000);
+  if (error) {
+    throw error;
+  }
 
   // Log agent creation
-  await logAgentActivity(agentId, tenantId, 'info', `Agent ${name} created and deployment initiated`);
+  await logAgentActivity(agentId, tenantId, 'info', message || `Agent ${name} created and deployment initiated`, extraFields);
+
+  await versioningUtils.createVersion(agent, {
+    author,
+    changeType: 'create',
+    message
+  });
+
+  await eventBus.publish(tenantId, 'agent.created',
+    eventBus.buildAgentEvent(agent, null, message || `Agent ${name} created`), { source: 'agent-factory' });
+
+  // Run the deployment pipeline before responding, serverless functions
+  // are frozen once the response is sent
+  const deployment = await deploymentUtils.deploy(agent);
 
+  return { agent, deployment };
+}
+
+function sendAgentCreated(res, agent, deployment, extra = {}) {
   return res.status(201).json({
     success: true,
     agent,
-    message: 'Agent created successfully and deployment initiated'
+    deployment,
+    ...extra,
+    message: deployment.status === 'active'
+      ? 'Agent created and deployed successfully'
+      : 'Agent created but deployment failed'
   });
 }
 
 // Update agent configuration
 async function handleUpdateAgent(req, res, tenantId) {
   const agentId = req.query.id;
-  const updates = req.body;
+  const body = req.body || {};
 
   if (!agentId) {
     return res.status(400).json({ error: 'Agent ID is required' });
   }
 
+  const payloadErrors = validationUtils.validate(body, UPDATE_AGENT_SCHEMA);
+  if (payloadErrors.length > 0) {
+    return sendValidationError(res, payloadErrors);
+  }
+
+  if (Object.keys(body).length === 0) {
+    return res.status(400).json({
+      error: `No updatable fields provided. Allowed fields: ${Object.keys(UPDATE_AGENT_SCHEMA.properties).join(', ')}`
+    });
+  }
+
+  const current = await findAgent(agentId, tenantId);
+
+  if (!current) {
+    return res.status(404).json({ error: 'Agent not found' });
+  }
+
+  const { updates, errors } = prepareAgentUpdate(current, body);
+  if (errors.length > 0) {
+    return sendValidationError(res, errors);
+  }
+
+  // A new version during a rollout would take the candidate's version
+  if (versioningUtils.hasVersionedChanges(current, updates) && await rolloutUtils.getActiveRollout(agentId)) {
+    return res.status(409).json({ error: 'Agent has a rollout in progress, promote or roll it back first' });
+  }
+
+  const { agent, version } = await applyAgentUpdate(current, updates, {
+    author: getAuthor(req),
+    message: req.headers['x-change-message'] || null
+  });
+
+  if (!agent) {
+    return res.status(404).json({ error: 'Agent not found' });
+  }
+
+  return res.status(200).json({
+    success: true,
+    agent,
+    version,
+    message: 'Agent updated successfully'
+  });
+}
+
+// Merge a validated update payload into the fields to write.
+// Returns { updates, errors } with config merged over the type defaults.
+function prepareAgentUpdate(current, body) {
+  const updates = { ...body };
+
+  if (updates.config) {
+    updates.config = agentRegistry.buildConfig(current.type, updates.config);
+
+    const errors = agentRegistry.validateConfig(current.type, updates.config);
+    if (errors.length > 0) {
+      return { updates, errors };
+    }
+  }
+
+  return { updates, errors: [] };
+}
+
+// Write an update and record a version when a versioned field changed
+async function applyAgentUpdate(current, updates, { author, message = null, changeType = 'update' } = {}) {
+  updates = { ...updates };
+
+  // Every change to a versioned field produces a new version record
+  const versioned = versioningUtils.hasVersionedChanges(current, updates);
+  if (versioned) {
+    updates.version = versioningUtils.nextVersion(current.version);
+  }
+
   const { data: agent, error } = await supabase
     .from('agents')
     .update(updates)
-    .eq('id', agentId)
-    .eq('tenant_id', tenantId)
+    .eq('id', current.id)
+    .eq('tenant_id', current.tenant_id)
+    .is('deleted_at', null)
     .select()
     .single();
 
-  if (error) {
-    return res.status(500).json({ error: error.message });
+  if (error && error.code !== 'PGRST116') { // Not found error
+    throw error;
+  }
+
+  if (!agent) {
+    return { agent: null, version: null };
+  }
+
+  let version = null;
+  if (versioned) {
+    version = await versioningUtils.createVersion(agent, {
+      author,
+      changeType,
+      previousSnapshot: versioningUtils.takeSnapshot(current),
+      message
+    });
+  }
+
+  await logAgentActivity(agent.id, agent.tenant_id, 'info', `Agent ${agent.name} updated`, {
+    version: agent.version,
+    changes: version ? version.diff : []
+  });
+
+  await eventBus.publish(agent.tenant_id, 'agent.updated', {
+    ...eventBus.buildAgentEvent(agent, current.status, `Agent ${agent.name} updated`),
+    changes: version ? version.diff : []
+  }, { source: 'agent-factory' });
+
+  return { agent, version };
+}
+
+// Start rolling a new config out to part of an agent's traffic
+async function handleStartRollout(req, res, tenantId) {
+  const agentId = req.query.id;
+  const body = req.body || {};
+
+  if (!agentId) {
+    return res.status(400).json({ error: 'Agent ID is required' });
+  }
+
+  const payloadErrors = validationUtils.validate(body, START_ROLLOUT_SCHEMA);
+  if (body.steps && body.steps.some((step, index) => index > 0 && step <= body.steps[index - 1])) {
+    payloadErrors.push({ path: 'steps', message: 'must be in ascending order' });
   }
+  if (payloadErrors.length > 0) {
+    return sendValidationError(res, payloadErrors);
+  }
+
+  const agent = await findAgent(agentId, tenantId);
 
   if (!agent) {
     return res.status(404).json({ error: 'Agent not found' });
   }
 
-  await logAgentActivity(agentId, tenantId, 'info', `Agent ${agent.name} updated`);
+  if (agent.status !== 'active') {
+    return res.status(409).json({ error: `Cannot start a rollout for agent in status ${agent.status}` });
+  }
 
-  return res.status(200).json({
+  if (await rolloutUtils.getActiveRollout(agentId)) {
+    return res.status(409).json({ error: 'Agent already has a rollout in progress' });
+  }
+
+  const { updates, errors } = prepareAgentUpdate(agent, { config: body.config });
+  if (errors.length > 0) {
+    return sendValidationError(res, errors);
+  }
+
+  const changes = versioningUtils.diff(agent.config || {}, updates.config, 'config');
+  if (changes.length === 0) {
+    return res.status(400).json({ error: 'Rollout config is identical to the current config' });
+  }
+
+  const rollout = await rolloutUtils.startRollout(agent, {
+    config: updates.config,
+    strategy: body.strategy,
+    steps: body.steps,
+    criteria: body.criteria,
+    author: getAuthor(req),
+    message: body.message || null
+  });
+
+  return res.status(201).json({
     success: true,
-    agent,
-    message: 'Agent updated successfully'
+    rollout,
+    changes,
+    message: `Rollout started with ${rollout.traffic_percent}% of traffic on version ${rollout.candidate_version}`
   });
 }
 
-// Delete agent
-async function handleDeleteAgent(req, res, tenantId) {
+// List rollouts for an agent, newest first
+async function handleListRollouts(req, res, tenantId) {
   const agentId = req.query.id;
 
   if (!agentId) {
     return res.status(400).json({ error: 'Agent ID is required' });
   }
 
-  // First get agent info for logging
-  const { data: agent } = await supabase
-    .from('agents')
-    .select('name')
-    .eq('id', agentId)
-    .eq('tenant_id', tenantId)
-    .single();
+  const rollouts = await rolloutUtils.listRollouts(agentId, tenantId);
 
-  // Delete agent (cascade will handle related records)
-  const { error } = await supabase
-    .from('agents')
-    .delete()
-    .eq('id', agentId)
-    .eq('tenant_id', tenantId);
+  return res.status(200).json({
+    success: true,
+    agent_id: agentId,
+    rollouts,
+    active: rollouts.find(rollout => rollout.status === 'running') || null
+  });
+}
 
-  if (error) {
-    return res.status(500).json({ error: error.message });
-  }
+// Compare candidate and stable metrics now instead of waiting for the next request
+async function handleEvaluateRollout(req, res, tenantId) {
+  const found = await findActiveRollout(req, res, tenantId);
+  if (!found) return;
+
+  const { rollout, evaluation } = await rolloutUtils.evaluate(found.rollout, found.agent);
+
+  return res.status(200).json({
+    success: true,
+    rollout,
+    evaluation
+  });
+}
+
+// Promote the candidate without waiting for the remaining steps
+async function handlePromoteRollout(req, res, tenantId) {
+  const found = await findActiveRollout(req, res, tenantId);
+  if (!found) return;
 
-  if (agent) {
-    await logAgentActivity(agentId, tenantId, 'info', `Agent ${agent.name} deleted`);
+  const rollout = await rolloutUtils.promote(found.rollout, found.agent, { author: getAuthor(req) });
+
+  if (!rollout) {
+    return res.status(409).json({ error: 'Rollout was completed by another request' });
   }
 
   return res.status(200).json({
     success: true,
-    message: 'Agent deleted successfully'
+    rollout,
+    message: `Version ${rollout.candidate_version} promoted`
   });
 }
 
-// Deploy agent (simulate deployment process)
-async function deployAgent(agentId, type, config) {
-  try {
-    // Simulate deployment delay
-    await new Promise(resolve => setTimeout(resolve, 2000));
-
-    // Update agent status to active
-    await supabase
-      .from('agents')
-      .update({ 
-        status: 'active',
-        last_health_check: new Date().toISOString()
-      })
-      .eq('id', agentId);
-
-    // Initialize agent metrics
-    const initialMetrics = [
-      { agent_id: agentId, metric_type: 'response_time', metric_value: 150, unit: 'ms' },
-      { agent_id: agentId, metric_type: 'success_rate', metric_value: 100, unit: 'percentage' },
-      { agent_id: agentId, metric_type: 'throughput', metric_value: 10, unit: 'requests_per_second' }
-    ];
-
-    await supabase
-      .from('agent_metrics')
-      .insert(initialMetrics);
-
-    console.log(`Agent ${agentId} deployed successfully`);
-  } catch (error) {
-    console.error(`Failed to deploy agent ${agentId}:`, error);
-    
-    // Update agent status to error
-    await supabase
-      .from('agents')
-      .update({ status: 'error' })
-      .eq('id', agentId);
+// Send all traffic back to the stable version
+async function handleAbortRollout(req, res, tenantId) {
+  const found = await findActiveRollout(req, res, tenantId);
+  if (!found) return;
+
+  const rollout = await rolloutUtils.rollback(found.rollout, {
+    reason: (req.body && req.body.reason) || `Rolled back by ${getAuthor(req)}`
+  });
+
+  if (!rollout) {
+    return res.status(409).json({ error: 'Rollout was completed by another request' });
   }
+
+  return res.status(200).json({
+    success: true,
+    rollout,
+    message: `Rollout of version ${rollout.candidate_version} rolled back`
+  });
 }
 
-// Log agent activity
-async function logAgentActivity(agentId, tenantId, level, message, context = {}) {
-  await supabase
-    .from('agent_logs')
-    .insert([{
-      agent_id: agentId,
-      tenant_id: tenantId,
-      level,
-      message,
-      context
-    }]);
+// Load the agent and its running rollout, responding with 400/404 when either is missing
+async function findActiveRollout(req, res, tenantId) {
+  const agentId = req.query.id;
+
+  if (!agentId) {
+    res.status(400).json({ error: 'Agent ID is required' });
+    return null;
+  }
+
+  const agent = await findAgent(agentId, tenantId);
+
+  if (!agent) {
+    res.status(404).json({ error: 'Agent not found' });
+    return null;
+  }
+
+  const rollout = await rolloutUtils.getActiveRollout(agentId);
+
+  if (!rollout) {
+    res.status(404).json({ error: 'No rollout in progress for this agent' });
+    return null;
+  }
+
+  return { agent, rollout };
 }
 
+// Create, update, change status of or delete many agents in one request
+async function handleBulkOperation(req, res, tenantId) {
+  const body = req.body || {};
+  const errors = validationUtils.validate(body, BULK_SCHEMA);
+  const { operation, ids, filter, items, changes, action, dry_run = false, atomic = false } = body;
+
+  if (errors.length === 0) {
+    if (operation === 'create' && !items) {
+      errors.push({ path: 'items', message: 'is required for create' });
+    }
+    if (operation === 'create' && items && items.length > BULK_MAX_DEPLOYS) {
+      errors.push({ path: 'items', message: `must have at most ${BULK_MAX_DEPLOYS} items, each is deployed` });
+    }
+    if (operation !== 'create' && !ids === !filter) {
+      errors.push({ path: 'ids', message: 'exactly one of ids or filter is required' });
+    }
+    if (operation === 'update' && (!changes || Object.keys(changes).length === 0)) {
+      errors.push({ path: 'changes', message: 'is required for update' });
+    }
+    if (operation === 'status' && !action) {
+      errors.push({ path: 'action', message: 'is required for status' });
+    }
+  }
+
+  if (errors.length > 0) {
+    return sendValidationError(res, errors);
+  }
+
+  let plan;
+  if (operation === 'create') {
+    plan = items.map((item, index) => planBulkCreate(item, index));
+    await checkBulkCreateTypes(tenantId, plan);
+  } else {
+    const selection = await selectBulkAgents(tenantId, { ids, filter });
+    if (selection.error) {
+      return sendValidationError(res, [selection.error]);
+    }
+    if (operation === 'status' && action === 'restart' && selection.targets.length > BULK_MAX_DEPLOYS) {
+      return sendValidationError(res, [{
+        path: ids ? 'ids' : 'filter',
+        message: `restart redeploys at most ${BULK_MAX_DEPLOYS} agents per request`
+      }]);
+    }
+    plan = selection.targets.map(target => planBulkChange(operation, target, { changes, action }));
+  }
+
+  const invalid = plan.filter(item => item.errors.length > 0);
+  const summary = () => ({
+    total: plan.length,
+    succeeded: plan.filter(item => item.status === 'succeeded').length,
+    failed: plan.filter(item => item.status === 'failed' || item.status === 'invalid').length,
+    skipped: plan.filter(item => item.status === 'skipped').length,
+    rolled_back: plan.filter(item => item.status === 'rolled_back').length
+  });
+
+  plan.forEach(item => {
+    item.status = item.errors.length > 0 ? 'invalid' : 'planned';
+  });
+
+  if (dry_run) {
+    return res.status(200).json({
+      success: invalid.length === 0,
+      dry_run: true,
+      operation,
+      results: plan.map(formatBulkResult),
+      summary: summary()
+    });
+  }
+
+  // All-or-nothing requests do nothing when any item fails validation
+  if (atomic && invalid.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed, no agents were changed',
+      operation,
+      results: plan.map(formatBulkResult),
+      summary: summary()
+    });
+  }
+
+  const author = getAuthor(req);
+  const executed = [];
+  const runItem = async item => {
+    try {
+      item.undo = await executeBulkItem(operation, item, { tenantId, author, action });
+      item.status = 'succeeded';
+      executed.push(item);
+    } catch (error) {
+      item.status = 'failed';
+      item.errors.push({ path: '.', message: error.message });
+    }
+  };
+
+  const runnable = plan.filter(item => item.status !== 'invalid');
+
+  if (operation === 'create' || (operation === 'status' && action === 'restart')) {
+    // Deployments mostly wait on health checks, run them side by side.
+    // All-or-nothing requests roll back every deployment when one fails.
+    await Promise.all(runnable.map(runItem));
+  } else {
+    for (const item of runnable) {
+      // Once an all-or-nothing request fails the remaining items are left alone
+      if (atomic && plan.some(other => other.status === 'failed')) {
+        item.status = 'skipped';
+        continue;
+      }
+
+      await runItem(item);
+    }
+  }
+
+  const failed = plan.some(item => item.status === 'failed');
+  if (atomic && failed) {
+    // Compensate in reverse order, the store has no multi-row transactions
+    for (const item of executed.reverse()) {
+      try {
+        await item.undo();
+        item.status = 'rolled_back';
+      } catch (error) {
+        console.error(`Failed to roll back bulk ${operation} for ${item.agent_id}:`, error);
+        item.errors.push({ path: '.', message: `rollback failed: ${error.message}` });
+      }
+    }
+  }
+
+  await logAgentActivity(null, tenantId, failed ? 'error' : 'info', `Bulk ${operation} processed ${plan.length} agents`, {
+    operation,
+    atomic,
+    summary: summary()
+  });
+
+  const allSucceeded = plan.every(item => item.status === 'succeeded');
+  return res.status(allSucceeded ? 200 : 207).json({
+    success: allSucceeded,
+    operation,
+    atomic,
+    results: plan.map(formatBulkResult),
+    summary: summary()
+  });
+}
+
+// Resolve bulk targets by ID list or by listing filter
+async function selectBulkAgents(tenantId, { ids, filter }) {
+  let query = applyAgentFilters(supabase.from('agents').select('*'), tenantId, filter || {});
+
+  if (ids) {
+    query = query.in('id', ids);
+  }
+
+  const { data: agents, error } = await query
+    .order('created_at', { ascending: true })
+    .limit(BULK_MAX_ITEMS + 1);
+
+  if (error) {
+    throw error;
+  }
+
+  if (agents.length > BULK_MAX_ITEMS) {
+    return { error: { path: 'filter', message: `matches more than ${BULK_MAX_ITEMS} agents` } };
+  }
+
+  if (!ids) {
+    return { targets: agents.map(agent => ({ id: agent.id, agent })) };
+  }
+
+  const byId = new Map(agents.map(agent => [agent.id, agent]));
+  return { targets: ids.map(id => ({ id, agent: byId.get(id) || null })) };
+}
+
+function planBulkCreate(item, index) {
+  const definition = validateAgentDefinition(item);
+
+  return {
+    index,
+    agent_id: null,
+    definition: { name: item.name, type: item.type, config: definition.config },
+    preview: definition.errors.length === 0
+      ? { name: item.name, type: item.type, config: definition.config }
+      : null,
+    errors: definition.errors.map(error => ({ ...error, path: `items[${index}].${error.path}` }))
+  };
+}
+
+// A tenant runs one agent per type, across the batch and the agents it has.
+// Checked up front so dry runs report it, the unique index has the last word.
+async function checkBulkCreateTypes(tenantId, plan) {
+  const { data: agents, error } = await supabase
+    .from('agents')
+    .select('type')
+    .eq('tenant_id', tenantId)
+    .is('deleted_at', null);
+
+  if (error) {
+    throw error;
+  }
+
+  const taken = new Set(agents.map(agent => agent.type));
+
+  for (const item of plan) {
+    if (item.errors.length > 0) continue;
+
+    if (taken.has(item.definition.type)) {
+      item.errors.push({ path: `items[${item.index}].type`, message: `tenant already has a ${item.definition.type} agent` });
+    }
+    taken.add(item.definition.type);
+  }
+}
+
+function planBulkChange(operation, { id, agent }, { changes, action }) {
+  const item = { agent_id: id, agent, preview: null, errors: [] };
+
+  if (!agent) {
+    item.errors.push({ path: 'id', message: 'Agent not found' });
+    return item;
+  }
+
+  switch (operation) {
+    case 'update': {
+      const { updates, errors } = prepareAgentUpdate(agent, changes);
+      item.updates = updates;
+      item.errors.push(...errors);
+      item.preview = {
+        changes: versioningUtils.diff(
+          versioningUtils.takeSnapshot(agent),
+          versioningUtils.takeSnapshot({ ...agent, ...updates })
+        )
+      };
+      break;
+    }
+
+    case 'status':
+      if (!LIFECYCLE_ACTIONS[action].includes(agent.status)) {
+        item.errors.push({
+          path: 'action',
+          message: `cannot ${action} agent in status ${agent.status}`
+        });
+      }
+      item.preview = { action, from_status: agent.status };
+      break;
+
+    case 'delete':
+      item.preview = { from_status: agent.status, to_status: 'deleted' };
+      break;
+  }
+
+  return item;
+}
+
+// Run one planned bulk item and return a function that undoes it
+async function executeBulkItem(operation, item, { tenantId, author, action }) {
+  switch (operation) {
+    case 'create': {
+      const { agent, deployment } = await createAgent(tenantId, item.definition, { author });
+      item.agent_id = agent.id;
+      item.result = { agent, deployment };
+      return async () => {
+        const trashed = await trashUtils.moveToTrash(agent, { retentionDays: 0, author });
+        await trashUtils.purge(trashed);
+      };
+    }
+
+    case 'update': {
+      if (versioningUtils.hasVersionedChanges(item.agent, item.updates) && await rolloutUtils.getActiveRollout(item.agent_id)) {
+        throw new Error('Agent has a rollout in progress, promote or roll it back first');
+      }
+
+      const { agent, version } = await applyAgentUpdate(item.agent, item.updates, { author });
+      if (!agent) {
+        throw new Error('Agent not found');
+      }
+      item.result = { agent, version };
+      return async () => {
+        await applyAgentUpdate(agent, versioningUtils.takeSnapshot(item.agent), {
+          author,
+          changeType: 'rollback',
+          message: 'Bulk update rolled back'
+        });
+      };
+    }
+
+    case 'status': {
+      const previousStatus = item.agent.status;
+      // Bulk drains do not wait for in-flight tasks
+      const result = await lifecycleUtils.apply({ ...item.agent }, action, { wait: false });
+      item.result = result;
+      return async () => {
+        await deploymentUtils.transition({ ...item.agent }, previousStatus, 'Bulk status change rolled back', {
+          action
+        });
+      };
+    }
+
+    case 'delete': {
+      const trashed = await trashUtils.moveToTrash(item.agent, { author });
+      item.result = { agent: trashed };
+      return async () => {
+        await trashUtils.restore(trashed);
+      };
+    }
+  }
+}
+
+function formatBulkResult(item) {
+  return {
+    ...(item.index !== undefined && { index: item.index }),
+    agent_id: item.agent_id,
+    status: item.status,
+    preview: item.preview,
+    result: item.result,
+    errors: item.errors
+  };
+}
+
+// List registered agent types
+function handleListTypes(req, res) {
+  const types = agentRegistry.list();
+
+  return res.status(200).json({
+    success: true,
+    types,
+    total: types.length
+  });
+}
+
+// List version history for an agent
+async function handleListVersions(req, res, tenantId) {
+  const agentId = req.query.id;
+
+  if (!agentId) {
+    return res.status(400).json({ error: 'Agent ID is required' });
+  }
+
+  const versions = await versioningUtils.listVersions(agentId, tenantId, {
+    limit: parseInt(req.query.limit) || 50
+  });
+
+  return res.status(200).json({
+    success: true,
+    agent_id: agentId,
+    versions,
+    total: versions.length
+  });
+}
+
+// Diff two versions of an agent
+async function handleDiffVersions(req, res, tenantId) {
+  const { id: agentId, from, to } = req.query;
+
+  if (!agentId || !from || !to) {
+    return res.status(400).json({ error: 'Agent ID, from and to versions are required' });
+  }
+
+  const [fromVersion, toVersion] = await Promise.all([
+    versioningUtils.getVersion(agentId, tenantId, from),
+    versioningUtils.getVersion(agentId, tenantId, to)
+  ]);
+
+  if (!fromVersion || !toVersion) {
+    return res.status(404).json({
+      error: `Version not found: ${!fromVersion ? from : to}`
+    });
+  }
+
+  return res.status(200).json({
+    success: true,
+    agent_id: agentId,
+    from,
+    to,
+    changes: versioningUtils.diff(fromVersion.snapshot, toVersion.snapshot)
+  });
+}
+
+// Roll an agent back to an earlier version
+async function handleRollbackAgent(req, res, tenantId) {
+  const agentId = req.query.id;
+  const { version: targetVersion } = req.body || {};
+
+  if (!agentId || !targetVersion) {
+    return res.status(400).json({ error: 'Agent ID and target version are required' });
+  }
+
+  const current = await findAgent(agentId, tenantId);
+
+  if (!current) {
+    return res.status(404).json({ error: 'Agent not found' });
+  }
+
+  const target = await versioningUtils.getVersion(agentId, tenantId, targetVersion);
+  if (!target) {
+    return res.status(404).json({ error: `Version not found: ${targetVersion}` });
+  }
+
+  if (await rolloutUtils.getActiveRollout(agentId)) {
+    return res.status(409).json({ error: 'Agent has a rollout in progress, promote or roll it back first' });
+  }
+
+  // Snapshots saved under older config schemas are checked like an update
+  const { updates, errors } = prepareAgentUpdate(current, target.snapshot);
+  if (errors.length > 0) {
+    return sendValidationError(res, errors);
+  }
+
+  // Rolling back records a new version rather than rewriting history
+  const { agent, version } = await applyAgentUpdate(current, updates, {
+    author: getAuthor(req),
+    changeType: 'rollback',
+    message: `Rolled back to version ${targetVersion}`
+  });
+
+  if (!agent) {
+    return res.status(404).json({ error: 'Agent not found' });
+  }
+
+  await logAgentActivity(agentId, tenantId, 'info', `Agent ${agent.name} rolled back to version ${targetVersion}`, {
+    from_version: current.version,
+    restored_version: targetVersion,
+    new_version: agent.version
+  });
+
+  return res.status(200).json({
+    success: true,
+    agent,
+    version,
+    message: `Agent rolled back to version ${targetVersion}`
+  });
+}
+
+// List templates, or every revision of one template when ?name= is given
+async function handleListTemplates(req, res, tenantId) {
+  const { name } = req.query;
+
+  const templates = name
+    ? await templateUtils.listRevisions(tenantId, name)
+    : await templateUtils.listTemplates(tenantId);
+
+  if (name && templates.length === 0) {
+    return res.status(404).json({ error: `Template not found: ${name}` });
+  }
+
+  return res.status(200).json({
+    success: true,
+    templates,
+    total: templates.length
+  });
+}
+
+// Save a template revision from an existing agent or from a raw config
+async function handleSaveTemplate(req, res, tenantId) {
+  const body = req.body || {};
+  const errors = validationUtils.validate(body, SAVE_TEMPLATE_SCHEMA);
+
+  if (!body.agent_id && !body.type) {
+    errors.push({ path: 'type', message: 'is required when agent_id is not given' });
+  } else if (body.type && !agentRegistry.has(body.type)) {
+    errors.push({ path: 'type', message: `must be one of: ${agentRegistry.getSupportedTypes().join(', ')}` });
+  }
+
+  if (errors.length > 0) {
+    return sendValidationError(res, errors);
+  }
+
+  let { type, config = {} } = body;
+  if (body.agent_id) {
+    const agent = await findAgent(body.agent_id, tenantId);
+
+    if (!agent) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+
+    type = agent.type;
+    config = body.config ? agentRegistry.mergeDeep(agent.config, body.config) : agent.config;
+  }
+
+  const latest = await templateUtils.getTemplate(tenantId, body.name);
+  if (latest && latest.type !== type) {
+    return sendValidationError(res, [{
+      path: 'type',
+      message: `template ${body.name} is for agent type ${latest.type}`
+    }]);
+  }
+
+  const template = await templateUtils.saveTemplate(tenantId, {
+    name: body.name,
+    type,
+    config,
+    description: body.description,
+    variables: body.variables,
+    overrides: body.overrides,
+    author: getAuthor(req),
+    sourceAgentId: body.agent_id || null
+  });
+
+  return res.status(201).json({
+    success: true,
+    template,
+    message: `Template ${template.name} saved as revision ${template.revision}`
+  });
+}
+
+// Create an agent from a template revision
+async function handleInstantiateTemplate(req, res, tenantId) {
+  const { template: templateName, revision, name, variables = {}, target_tenant_id } = req.body || {};
+  const targetTenantId = target_tenant_id || tenantId;
+
+  if (!templateName || !name) {
+    return res.status(400).json({ error: 'template and name are required' });
+  }
+
+  if (targetTenantId !== tenantId && !(await isAdminRequest(req))) {
+    return res.status(403).json({ error: 'Only admins can create agents in another tenant' });
+  }
+
+  const template = await templateUtils.getTemplate(tenantId, templateName, revision);
+  if (!template) {
+    return res.status(404).json({
+      error: `Template not found: ${templateName}${revision ? ` revision ${revision}` : ''}`
+    });
+  }
+
+  const rendered = templateUtils.render(template, targetTenantId, variables);
+  const definition = validateAgentDefinition({ name, type: template.type, config: rendered.config });
+  const errors = [...rendered.errors, ...definition.errors];
+
+  if (errors.length > 0) {
+    return sendValidationError(res, errors);
+  }
+
+  const { agent, deployment } = await createAgent(targetTenantId, {
+    name,
+    type: template.type,
+    config: definition.config
+  }, {
+    author: getAuthor(req),
+    extraFields: {
+      template_id: template.id,
+      template_revision: template.revision
+    },
+    message: `Agent ${name} created from template ${template.name} revision ${template.revision}`
+  });
+
+  return sendAgentCreated(res, agent, deployment);
+}
+
+// List agents created from a template, with the revision each used
+async function handleListTemplateAgents(req, res, tenantId) {
+  const { name } = req.query;
+
+  if (!name) {
+    return res.status(400).json({ error: 'Template name is required' });
+  }
+
+  const agents = await templateUtils.listTemplateAgents(tenantId, name);
+
+  return res.status(200).json({
+    success: true,
+    template: name,
+    agents,
+    total: agents.length
+  });
+}
+
+// Clone an agent into the same tenant or another one. Each tenant runs one
+// agent per type, replace: true moves the target tenant's agent of the type
+// to the trash and puts the clone in its place.
+async function handleCloneAgent(req, res, tenantId) {
+  const agentId = req.query.id;
+  const { name, config, target_tenant_id, replace = false } = req.body || {};
+  const targetTenantId = target_tenant_id || tenantId;
+
+  if (!agentId) {
+    return res.status(400).json({ error: 'Agent ID is required' });
+  }
+
+  if (targetTenantId !== tenantId && !(await isAdminRequest(req))) {
+    return res.status(403).json({ error: 'Only admins can create agents in another tenant' });
+  }
+
+  const source = await findAgent(agentId, tenantId);
+
+  if (!source) {
+    return res.status(404).json({ error: 'Agent not found' });
+  }
+
+  const cloneName = name || `${source.name} (copy)`;
+  const definition = validateAgentDefinition({
+    name: cloneName,
+    type: source.type,
+    config: config ? agentRegistry.mergeDeep(source.config, config) : source.config
+  });
+
+  if (definition.errors.length > 0) {
+    return sendValidationError(res, definition.errors);
+  }
+
+  const author = getAuthor(req);
+  const existing = replace === true ? await findAgentOfType(targetTenantId, source.type) : null;
+  const replaced = existing ? await trashUtils.moveToTrash(existing, { author }) : null;
+
+  let created;
+  try {
+    created = await createAgent(targetTenantId, {
+      name: cloneName,
+      type: source.type,
+      config: definition.config
+    }, {
+      author,
+      extraFields: {
+        source_agent_id: source.id,
+        template_id: source.template_id || null,
+        template_revision: source.template_revision || null
+      },
+      message: `Agent ${cloneName} cloned from agent ${source.name} (${source.id})`
+    });
+  } catch (error) {
+    if (replaced) {
+      await trashUtils.restore(replaced);
+    }
+
+    if (error.statusCode === 409) {
+      return res.status(409).json({
+        error: error.message,
+        message: 'Pass replace: true to move it to the trash and put the clone in its place'
+      });
+    }
+
+    throw error;
+  }
+
+  return sendAgentCreated(res, created.agent, created.deployment, replaced ? { replaced_agent_id: replaced.id } : {});
+}
+
+// Apply a lifecycle action to an agent
+async function handleLifecycleAction(req, res, tenantId) {
+  const agentId = req.query.id;
+  const { action, timeout_ms } = req.body || {};
+
+  if (!agentId || !action) {
+    return res.status(400).json({ error: 'Agent ID and action are required' });
+  }
+
+  const agent = await findAgent(agentId, tenantId);
+
+  if (!agent) {
+    return res.status(404).json({ error: 'Agent not found' });
+  }
+
+  let result;
+  try {
+    result = await lifecycleUtils.apply(agent, action, { timeout_ms });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    throw error;
+  }
+
+  // A drain that has not finished yet is still in progress
+  return res.status(result.status === 'draining' ? 202 : 200).json({
+    success: true,
+    agent_id: agentId,
+    ...result
+  });
+}
+
+// Move agent to trash, it can be restored until its retention window expires
+async function handleDeleteAgent(req, res, tenantId) {
+  const agentId = req.query.id;
+
+  if (!agentId) {
+    return res.status(400).json({ error: 'Agent ID is required' });
+  }
+
+  const agent = await findAgent(agentId, tenantId);
+
+  if (!agent) {
+    return res.status(404).json({ error: 'Agent not found' });
+  }
+
+  const retentionDays = req.query.retention_days !== undefined
+    ? parseInt(req.query.retention_days)
+    : trashUtils.retentionDays;
+
+  if (Number.isNaN(retentionDays) || retentionDays < 0) {
+    return sendValidationError(res, [{ path: 'retention_days', message: 'must be a non-negative integer' }]);
+  }
+
+  const trashed = await trashUtils.moveToTrash(agent, {
+    retentionDays,
+    author: getAuthor(req)
+  });
+
+  return res.status(200).json({
+    success: true,
+    agent: trashed,
+    message: `Agent moved to trash, it will be purged after ${trashed.purge_after}`
+  });
+}
+
+// List trashed agents
+async function handleListTrash(req, res, tenantId) {
+  const agents = await trashUtils.listTrash(tenantId);
+
+  return res.status(200).json({
+    success: true,
+    agents,
+    total: agents.length
+  });
+}
+
+// Restore an agent from the trash
+async function handleRestoreAgent(req, res, tenantId) {
+  const agentId = req.query.id;
+
+  if (!agentId) {
+    return res.status(400).json({ error: 'Agent ID is required' });
+  }
+
+  const agent = await findAgent(agentId, tenantId, { deleted: true });
+
+  if (!agent) {
+    return res.status(404).json({ error: 'Agent not found in trash' });
+  }
+
+  let restored;
+  try {
+    restored = await trashUtils.restore(agent);
+  } catch (error) {
+    if (error.code === UNIQUE_VIOLATION) {
+      return sendTypeConflict(res, agent.type);
+    }
+    throw error;
+  }
+
+  return res.status(200).json({
+    success: true,
+    agent: restored,
+    message: 'Agent restored successfully'
+  });
+}
+
+// Permanently delete one trashed agent, or every expired one when no ID is given
+async function handlePurgeAgents(req, res, tenantId) {
+  const agentId = req.query.id;
+
+  if (!agentId) {
+    const purged = await trashUtils.purgeExpired(tenantId);
+
+    return res.status(200).json({
+      success: true,
+      purged,
+      total: purged.length
+    });
+  }
+
+  const agent = await findAgent(agentId, tenantId, { deleted: true });
+
+  if (!agent) {
+    return res.status(404).json({ error: 'Agent not found in trash' });
+  }
+
+  const purged = await trashUtils.purge(agent);
+
+  return res.status(200).json({
+    success: true,
+    purged: [purged],
+    total: 1
+  });
+}
+
+// Find an agent for a tenant, live agents by default or trashed ones with { deleted: true }
+async function findAgent(agentId, tenantId, { deleted = false } = {}) {
+  let query = supabase
+    .from('agents')
+    .select('*')
+    .eq('id', agentId)
+    .eq('tenant_id', tenantId);
+
+  query = deleted
+    ? query.not('deleted_at', 'is', null)
+    : query.is('deleted_at', null);
+
+  const { data } = await query.single();
+  return data;
+}
+
+// Log agent activity
+async function logAgentActivity(agentId, tenantId, level, message, context = {}) {
+  await supabase
+    .from('agent_logs')
+    .insert([{
+      agent_id: agentId,
+      tenant_id: tenantId,
+      level,
+      message,
+      context
+    }]);
+}
+
+// Respond with every offending field path so clients can highlight them
+function sendValidationError(res, errors) {
+  return res.status(400).json({
+    error: 'Validation failed',
+    details: errors
+  });
+}
+
+function sendTypeConflict(res, type) {
+  return res.status(409).json({ error: `Tenant already has a ${type} agent` });
+}
+
+// Opaque pagination cursors
+function encodeCursor(position) {
+  return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    return JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+// Identify who made a change, for version history
+function getAuthor(req) {
+  return req.headers['x-user-id'] || 'anonymous';
+}
+
+// Writes into another tenant are limited to authenticated admins
+async function isAdminRequest(req) {
+  try {
+    const { user } = await authUtils.authenticateRequestFlexible(req);
+    return user.role === 'admin';
+  } catch (error) {
+    return false;
+  }
+}
@@ -1,5 +1,10 @@
 const { createClient } = require('@supabase/supabase-js');
-const { v4: uuidv4 } = require('uuid');
+const { lifecycleUtils } = require('./utils/lifecycle');
+const { idempotencyUtils } = require('./utils/idempotency');
+const { taskQueueUtils } = require('./utils/task-queue');
+const { eventBus } = require('./utils/event-bus');
+const { deploymentUtils } = require('./utils/deployment');
+const { agentRegistry } = require('./utils/agent-registry');
 
 // Initialize Supabase client
 const supabase = createClient(
@@ -12,7 +17,7 @@ module.exports = async (req, res) => {
   // Enable CORS
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, Idempotency-Key');
 
   if (req.method === 'OPTIONS') {
     return res.status(200).end();
@@ -28,7 +33,8 @@ module.exports = async (req, res) => {
     } else if (url.includes('/report')) {
       return handlePerformanceReport(req, res, tenantId);
     } else if (method === 'POST') {
-      return handleMonitoringTask(req, res, tenantId);
+      // Retried submissions replay the first response instead of running again
+      return await idempotencyUtils.handle(req, res, tenantId, 'performance-monitor', () => handleMonitoringTask(req, res, tenantId));
     } else if (method === 'GET') {
       return handleSystemOverview(req, res, tenantId);
     } else {
@@ -43,6 +49,8 @@ module.exports = async (req, res) => {
   }
 };
 
+module.exports.processTask = processTask;
+
 // Health check endpoint
 async function handleHealthCheck(req, res) {
   const healthStatus = {
@@ -100,27 +108,59 @@ async function handlePerformanceReport(req, res, tenantId) {
 // Monitoring task endpoint
 async function handleMonitoringTask(req, res, tenantId) {
   const startTime = Date.now();
-  const { task_type, target_agents, monitoring_config, taskId } = req.body;
+  const { task_type, target_agents, monitoring_config, taskId, async: runAsync = false, priority = 'normal', timeout_ms } = req.body;
 
   if (!task_type) {
     return res.status(400).json({ error: 'task_type is required' });
   }
 
+  const queueError = taskQueueUtils.validateOptions({ priority, timeoutMs: timeout_ms });
+  if (queueError) {
+    return res.status(400).json({ error: queueError });
+  }
+
+  let agent = null;
+  let task = null;
+
   try {
     // Get performance monitor agent info
-    const { data: agent } = await supabase
+    ({ data: agent } = await supabase
       .from('agents')
       .select('*')
       .eq('type', 'performance-monitor')
       .eq('tenant_id', tenantId)
-      .single();
+      .is('deleted_at', null)
+      .single());
 
     if (!agent) {
       return res.status(404).json({ error: 'Performance monitor agent not found for this tenant' });
     }
 
+    // Paused and draining agents refuse new tasks
+    const unavailable = lifecycleUtils.checkAvailability(agent);
+    if (unavailable) {
+      return res.status(503).json(unavailable);
+    }
+
+    // Queued tasks are run by the task worker, clients poll the status URL
+    if (runAsync) {
+      const queued = await taskQueueUtils.enqueue(agent, {
+        taskType: 'performance_monitoring',
+        input: { task_type, target_agents, monitoring_config },
+        taskId,
+        priority,
+        timeoutMs: timeout_ms
+      });
+
+      return res.status(202).json({
+        success: true,
+        task_id: queued.id,
+        status: queued.status,
+        status_url: taskQueueUtils.getStatusUrl(queued.id)
+      });
+    }
+
     // Create task record if taskId provided
-    let task = null;
     if (taskId) {
       const { data: taskData } = await supabase
         .from('agent_tasks')
@@ -169,15 +209,25 @@ async function handleMonitoringTask(req, res, tenantId) {
       { response_time: responseTime, task_type, target_count: target_agents?.length || 0 }
     );
 
+    const metadata = {
+      response_time_ms: responseTime,
+      task_type,
+      task_id: taskId,
+      timestamp: new Date().toISOString()
+    };
+
+    // Subscribers get the same result and metadata as this response
+    if (task) {
+      await eventBus.publish(tenantId, 'task.completed', eventBus.buildTaskEvent(
+        { ...task, status: 'completed' },
+        { result, metadata }
+      ), { source: 'performance-monitor' });
+    }
+
     return res.status(200).json({
       success: true,
       result,
-      metadata: {
-        response_time_ms: responseTime,
-        task_type,
-        task_id: taskId,
-        timestamp: new Date().toISOString()
-      }
+      metadata
     });
 
   } catch (error) {
@@ -186,16 +236,22 @@ async function handleMonitoringTask(req, res, tenantId) {
     // Log failed metrics
     await logMetrics(agent?.id, tenantId, responseTime, false);
     
-    // Update task status if exists
-    if (taskId) {
+    // Update task status if this request created it, never a task
+    // that already existed under the same taskId
+    if (task) {
+      const failedAt = new Date().toISOString();
       await supabase
         .from('agent_tasks')
         .update({
           status: 'failed',
           error_message: error.message,
-          completed_at: new Date().toISOString()
+          completed_at: failedAt
         })
         .eq('id', taskId);
+
+      await eventBus.publish(tenantId, 'task.failed', eventBus.buildTaskEvent(
+        { ...task, status: 'failed', error_message: error.message, completed_at: failedAt }
+      ), { source: 'performance-monitor' });
     }
 
     return res.status(500).json({ 
@@ -211,7 +267,8 @@ async function generateSystemOverview(tenantId) {
   const { data: agents } = await supabase
     .from('agents')
     .select('*')
-    .eq('tenant_id', tenantId);
+    .eq('tenant_id', tenantId)
+    .is('deleted_at', null);
 
   // Get recent metrics (last hour)
   const { data: recentMetrics } = await supabase
@@ -269,7 +326,8 @@ async function generatePerformanceReport({ tenantId, timeframe, agent_types, det
   const timeframeDuration = parseTimeframe(timeframe);
   const startTime = new Date(Date.now() - timeframeDuration);
 
-  // Build query filters
+  // Build query filters, trashed agents are included so that
+  // historical tasks and metrics still resolve to an agent name
   let agentQuery = supabase
     .from('agents')
     .select('*')
@@ -279,7 +337,8 @@ async function generatePerformanceReport({ tenantId, timeframe, agent_types, det
     agentQuery = agentQuery.in('type', agent_types);
   }
 
-  const { data: agents } = await agentQuery;
+  const { data: allAgents } = await agentQuery;
+  const agents = allAgents.filter(agent => !agent.deleted_at);
 
   // Get metrics for the timeframe
   const { data: metrics } = await supabase
@@ -313,7 +372,7 @@ async function generatePerformanceReport({ tenantId, timeframe, agent_types, det
       end_time: new Date().toISOString()
     },
     summary: generateReportSummary(agents, metrics, tasks, logs),
-    agent_performance: generateAgentPerformanceReport(agents, metrics, tasks),
+    agent_performance: generateAgentPerformanceReport(allAgents, metrics, tasks),
     system_trends: generateSystemTrends(metrics, tasks, timeframeDuration),
     error_analysis: generateErrorAnalysis(logs, tasks),
     recommendations: generatePerformanceRecommendations(agents, metrics, tasks, logs)
@@ -328,23 +387,60 @@ async function generatePerformanceReport({ tenantId, timeframe, agent_types, det
   return report;
 }
 
+// Run a queued monitoring task, called by the task worker. context.signal
+// aborts health check requests when the task is cancelled or times out.
+async function processTask(task, agent, context = {}) {
+  const startTime = Date.now();
+  const { task_type, target_agents, monitoring_config } = task.input_data;
+
+  try {
+    const result = await executeMonitoringTask({
+      task_type,
+      target_agents,
+      monitoring_config,
+      tenantId: task.tenant_id,
+      signal: context.signal
+    });
+    const responseTime = Date.now() - startTime;
+
+    await logMetrics(agent.id, task.tenant_id, responseTime, true);
+    await logActivity(agent.id, task.tenant_id, 'info',
+      `Executed monitoring task: ${task_type}`,
+      { response_time: responseTime, task_type, target_count: target_agents?.length || 0, task_id: task.id }
+    );
+
+    return result;
+  } catch (error) {
+    await logMetrics(agent.id, task.tenant_id, Date.now() - startTime, false);
+    throw error;
+  }
+}
+
 // Execute monitoring task
-async function executeMonitoringTask({ task_type, target_agents, monitoring_config, tenantId }) {
+async function executeMonitoringTask({ task_type, target_agents, monitoring_config, tenantId, signal = null }) {
   switch (task_type) {
     case 'health_check':
-      return await performHealthCheck(target_agents, tenantId);
+      return await performHealthCheck(target_agents, tenantId, { signal });
     
     case 'performance_audit':
       return await performPerformanceAudit(target_agents, monitoring_config, tenantId);
     
     case 'load_test':
-      return await performLoadTest(target_agents, monitoring_config, tenantId);
+      return await performLoadTest(target_agents, monitoring_config, tenantId, { signal });
     
     case 'anomaly_detection':
       return await performAnomalyDetection(target_agents, monitoring_config, tenantId);
     
     case 'capacity_planning':
       return await performCapacityPlanning(target_agents, monitoring_config, tenantId);
+
+    case 'performance_report':
+      return await generatePerformanceReport({
+        tenantId,
+        timeframe: monitoring_config?.timeframe || '24h',
+        agent_types: monitoring_config?.agent_types || null,
+        detailed: monitoring_config?.detailed === true
+      });
     
     default:
       throw new Error(`Unsupported monitoring task type: ${task_type}`);
@@ -352,16 +448,19 @@ async function executeMonitoringTask({ task_type, target_agents, monitoring_conf
 }
 
 // Perform health check on target agents
-async function performHealthCheck(target_agents, tenantId) {
+async function performHealthCheck(target_agents, tenantId, { signal = null } = {}) {
   const results = [];
   
   for (const agentId of target_agents || []) {
+    signal?.throwIfAborted();
+
     try {
       const { data: agent } = await supabase
         .from('agents')
         .select('*')
         .eq('id', agentId)
         .eq('tenant_id', tenantId)
+        .is('deleted_at', null)
         .single();
 
       if (!agent) {
@@ -374,7 +473,7 @@ async function performHealthCheck(target_agents, tenantId) {
       }
 
       // Check agent health endpoint
-      const healthCheck = await checkAgentHealth(agent);
+      const healthCheck = await checkAgentHealth(agent, { signal });
       
       // Update last health check timestamp
       await supabase
@@ -392,6 +491,11 @@ async function performHealthCheck(target_agents, tenantId) {
       });
 
     } catch (error) {
+      // A cancelled or timed out task stops instead of reporting the agent
+      if (signal?.aborted) {
+        throw error;
+      }
+
       results.push({
         agent_id: agentId,
         status: 'error',
@@ -452,18 +556,21 @@ async function performPerformanceAudit(target_agents, config, tenantId) {
 }
 
 // Perform load test simulation
-async function performLoadTest(target_agents, config, tenantId) {
+async function performLoadTest(target_agents, config, tenantId, { signal = null } = {}) {
   const loadTestResults = [];
   const concurrency = config?.concurrency || 10;
   const duration = config?.duration || 60; // seconds
   const requestsPerSecond = config?.requests_per_second || 5;
 
   for (const agentId of target_agents || []) {
+    signal?.throwIfAborted();
+
     const { data: agent } = await supabase
       .from('agents')
       .select('*')
       .eq('id', agentId)
       .eq('tenant_id', tenantId)
+      .is('deleted_at', null)
       .single();
 
     if (!agent) continue;
@@ -517,12 +624,18 @@ async function performAnomalyDetection(target_agents, config, tenantId) {
     }
   }
 
-  return {
+  const result = {
     task_type: 'anomaly_detection',
     detection_config: { sensitivity, time_window: timeWindow },
     anomalies_found: anomalies.length,
     anomalies
   };
+
+  if (anomalies.length > 0) {
+    await eventBus.publish(tenantId, 'anomaly.detected', { ...result, detected_at: new Date().toISOString() }, { source: 'performance-monitor' });
+  }
+
+  return result;
 }
 
 // Perform capacity planning analysis
@@ -654,37 +767,82 @@ function calculateTaskSummary(tasks) {
   };
 }
 
-// Additional utility functions would continue here...
-// (checkAgentHealth, simulateLoadTest, detectMetricAnomalies, etc.)
+function analyzeMetrics(metrics) {
+  return calculatePerformanceSummary(metrics || []);
+}
 
-async function checkAgentHealth(agent) {
-  // Simulate health check - in real implementation, this would call the agent's health endpoint
-  const startTime = Date.now();
-  
-  try {
-    // Simulate API call delay
-    await new Promise(resolve => setTimeout(resolve, Math.random() * 100 + 50));
-    
-    const responseTime = Date.now() - startTime;
-    
-    return {
-      status: 'healthy',
-      response_time: responseTime,
-      details: {
-        endpoint: agent.health_check_url,
-        version: agent.version,
-        last_check: new Date().toISOString()
-      }
-    };
-  } catch (error) {
-    return {
-      status: 'unhealthy',
-      response_time: Date.now() - startTime,
-      details: {
-        error: error.message
-      }
-    };
+function analyzeTaskPerformance(tasks) {
+  return calculateTaskSummary(tasks || []);
+}
+
+// 100 for an agent with no failed tasks and responses under 1000ms
+function calculatePerformanceScore(metrics, tasks) {
+  const { response_time: responseTime } = analyzeMetrics(metrics);
+  const taskSummary = analyzeTaskPerformance(tasks);
+
+  let score = taskSummary.total > 0 ? taskSummary.success_rate : 100;
+  if (responseTime && responseTime.average > 1000) {
+    score -= Math.min(50, Math.round((responseTime.average - 1000) / 100));
   }
+
+  return Math.max(0, score);
+}
+
+function identifyPerformanceIssues(metrics, tasks) {
+  const issues = [];
+  const { response_time: responseTime } = analyzeMetrics(metrics);
+  const taskSummary = analyzeTaskPerformance(tasks);
+
+  if (responseTime && responseTime.average > 1000) {
+    issues.push({
+      severity: 'high',
+      type: 'response_time',
+      message: `Average response time is ${Math.round(responseTime.average)}ms, over the 1000ms threshold`
+    });
+  }
+
+  const failed = (taskSummary.by_status.failed || 0) + (taskSummary.by_status.timed_out || 0);
+  if (taskSummary.total > 0 && failed / taskSummary.total > 0.05) {
+    issues.push({
+      severity: 'high',
+      type: 'task_failures',
+      message: `${failed} of ${taskSummary.total} tasks failed, over the 5% threshold`
+    });
+  }
+
+  return issues;
+}
+
+function generateAgentRecommendations(metrics, tasks) {
+  const actions = {
+    response_time: ['Optimize agent algorithms', 'Scale infrastructure', 'Review database queries'],
+    task_failures: ['Review error logs', 'Check the agent retry policy', 'Inspect dead-lettered tasks']
+  };
+
+  return identifyPerformanceIssues(metrics, tasks).map(issue => ({
+    priority: issue.severity,
+    category: issue.type,
+    description: issue.message,
+    actions: actions[issue.type]
+  }));
+}
+
+// Call the agent's health endpoint with its type's health check timeout
+async function checkAgentHealth(agent, { signal = null } = {}) {
+  const timeout = agentRegistry.has(agent.type) ? agentRegistry.get(agent.type).healthCheck.timeout : undefined;
+  const check = await deploymentUtils.checkHealth(agent.health_check_url, timeout, { signal });
+
+  return {
+    status: check.healthy ? 'healthy' : 'unhealthy',
+    response_time: check.response_time,
+    details: {
+      endpoint: check.url,
+      status_code: check.status_code,
+      version: agent.version,
+      last_check: check.checked_at,
+      ...(check.error && { error: check.error })
+    }
+  };
 }
 
 async function simulateLoadTest(agent, config) {
@@ -831,7 +989,7 @@ function generateScalingTimeline(projectionDays, growthRate) {
 // Standard utility functions (same as other agents)
 async function checkDatabaseConnection() {
   try {
-    const { data, error } = await supabase
+    const { error } = await supabase
       .from('agents')
       .select('count')
       .limit(1);
@@ -851,7 +1009,7 @@ async function checkDatabaseConnection() {
 async function checkMonitoringCapabilities() {
   // Check if monitoring functions are working
   try {
-    const testMetrics = await calculatePerformanceSummary([]);
+    calculatePerformanceSummary([]);
     return {
       status: 'ok',
       capabilities: ['health_check', 'performance_audit', 'load_test', 'anomaly_detection', 'capacity_planning']
@@ -890,7 +1048,8 @@ async function getResourceUsage(tenantId) {
   const { data: agents } = await supabase
     .from('agents')
     .select('id')
-    .eq('tenant_id', tenantId);
+    .eq('tenant_id', tenantId)
+    .is('deleted_at', null);
 
   const { data: tasks } = await supabase
     .from('agent_tasks')
@@ -929,12 +1088,18 @@ function generateAgentPerformanceReport(agents, metrics, tasks) {
   return agents.map(agent => {
     const agentMetrics = metrics.filter(m => m.agent_id === agent.id);
     const agentTasks = tasks.filter(t => t.agent_id === agent.id);
+
+    // Trashed agents only appear when they have activity in the timeframe
+    if (agent.deleted_at && agentMetrics.length === 0 && agentTasks.length === 0) {
+      return null;
+    }
     
     return {
       agent_id: agent.id,
       agent_name: agent.name,
       agent_type: agent.type,
       status: agent.status,
+      deleted_at: agent.deleted_at || null,
       metrics_count: agentMetrics.length,
       tasks_count: agentTasks.length,
       avg_response_time: agentMetrics
@@ -944,7 +1109,7 @@ function generateAgentPerformanceReport(agents, metrics, tasks) {
         ? Math.round((agentTasks.filter(t => t.status === 'completed').length / agentTasks.length) * 100)
         : 0
     };
-  });
+  }).filter(Boolean);
 }
 
 function generateSystemTrends(metrics, tasks, timeframeDuration) {
@@ -975,7 +1140,15 @@ function generateSystemTrends(metrics, tasks, timeframeDuration) {
       tasks_count: intervalTasks.length,
       avg_response_time: intervalMetrics
         .filter(m => m.metric_type === 'response_time')
-        .reduce((sum, m, _, arr) => arr.length > 0 ? sum + m.metric_value / arr.length : 0, 0)
+        .reduce((sum, m, _, arr) => arr.length > 0 ? sum + m.metric_value / arr.length : 0, 0),
+      // Emotions detected by sentiment agents in emotion mode
+      emotion_counts: intervalMetrics
+        .filter(m => m.metric_type.startsWith('emotion_'))
+        .reduce((counts, m) => {
+          const emotion = m.metric_type.slice('emotion_'.length);
+          counts[emotion] = (counts[emotion] || 0) + m.metric_value;
+          return counts;
+        }, {})
     });
   }
 
@@ -1,5 +1,10 @@
 const { createClient } = require('@supabase/supabase-js');
-const { v4: uuidv4 } = require('uuid');
+const { lifecycleUtils } = require('./utils/lifecycle');
+const { idempotencyUtils } = require('./utils/idempotency');
+const { rolloutUtils } = require('./utils/rollouts');
+const { taskQueueUtils } = require('./utils/task-queue');
+const { eventBus } = require('./utils/event-bus');
+const { retryUtils } = require('./utils/retry');
 
 // Initialize Supabase client
 const supabase = createClient(
@@ -12,7 +17,7 @@ module.exports = async (req, res) => {
   // Enable CORS
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, Idempotency-Key');
 
   if (req.method === 'OPTIONS') {
     return res.status(200).end();
@@ -28,7 +33,8 @@ module.exports = async (req, res) => {
     } else if (url.includes('/status')) {
       return handleStatusCheck(req, res, tenantId);
     } else if (method === 'POST') {
-      return handleRecommendation(req, res, tenantId);
+      // Retried submissions replay the first response instead of running again
+      return await idempotencyUtils.handle(req, res, tenantId, 'recommendation-agent', () => handleRecommendation(req, res, tenantId));
     } else {
       return res.status(405).json({ error: 'Method not allowed' });
     }
@@ -41,6 +47,8 @@ module.exports = async (req, res) => {
   }
 };
 
+module.exports.processTask = processTask;
+
 // Health check endpoint
 async function handleHealthCheck(req, res) {
   const healthStatus = {
@@ -68,6 +76,7 @@ async function handleStatusCheck(req, res, tenantId) {
       .select('*')
       .eq('type', 'recommendation')
       .eq('tenant_id', tenantId)
+      .is('deleted_at', null)
       .single();
 
     if (!agent) {
@@ -111,10 +120,13 @@ async function handleRecommendation(req, res, tenantId) {
     user_profile, 
     item_features, 
     interaction_history, 
-    recommendation_type = 'content_based',
+    recommendation_type,
     num_recommendations = 5,
     taskId,
-    options = {} 
+    options = {},
+    async: runAsync = false,
+    priority = 'normal',
+    timeout_ms
   } = req.body;
 
   if (!user_profile && !interaction_history) {
@@ -123,21 +135,71 @@ async function handleRecommendation(req, res, tenantId) {
     });
   }
 
+  const queueError = taskQueueUtils.validateOptions({ priority, timeoutMs: timeout_ms });
+  if (queueError) {
+    return res.status(400).json({ error: queueError });
+  }
+
+  let agent = null;
+  let route = null;
+  let task = null;
+
   try {
     // Get agent info
-    const { data: agent } = await supabase
+    ({ data: agent } = await supabase
       .from('agents')
       .select('*')
       .eq('type', 'recommendation')
       .eq('tenant_id', tenantId)
-      .single();
+      .is('deleted_at', null)
+      .single());
 
     if (!agent) {
       return res.status(404).json({ error: 'Recommendation agent not found for this tenant' });
     }
 
+    // Paused and draining agents refuse new tasks
+    const unavailable = lifecycleUtils.checkAvailability(agent);
+    if (unavailable) {
+      return res.status(503).json(unavailable);
+    }
+
+    // During a rollout part of the traffic is served by the candidate config
+    route = await rolloutUtils.route(
+      agent,
+      req.headers['x-routing-key'] || req.headers['x-user-id'] || (user_profile && user_profile.id)
+    );
+    const recommendationType = recommendation_type || route.config.default_recommendation_type || 'content_based';
+    const recommendationOptions = rolloutUtils.routeOptions(route, options);
+
+    // Queued tasks are run by the task worker, clients poll the status URL
+    if (runAsync) {
+      const queued = await taskQueueUtils.enqueue(agent, {
+        taskType: 'recommendation',
+        input: {
+          user_profile,
+          item_features,
+          interaction_history,
+          recommendation_type: recommendationType,
+          num_recommendations,
+          options: recommendationOptions,
+          agent_version: route.version,
+          rollout_variant: route.variant
+        },
+        taskId,
+        priority,
+        timeoutMs: timeout_ms
+      });
+
+      return res.status(202).json({
+        success: true,
+        task_id: queued.id,
+        status: queued.status,
+        status_url: taskQueueUtils.getStatusUrl(queued.id)
+      });
+    }
+
     // Create task record if taskId provided
-    let task = null;
     if (taskId) {
       const { data: taskData } = await supabase
         .from('agent_tasks')
@@ -150,9 +212,10 @@ async function handleRecommendation(req, res, tenantId) {
             user_profile, 
             item_features, 
             interaction_history, 
-            recommendation_type,
+            recommendation_type: recommendationType,
             num_recommendations,
-            options 
+            options: recommendationOptions,
+            agent_version: route.version
           },
           status: 'running',
           started_at: new Date().toISOString()
@@ -167,9 +230,9 @@ async function handleRecommendation(req, res, tenantId) {
       user_profile,
       item_features,
       interaction_history,
-      recommendation_type,
+      recommendation_type: recommendationType,
       num_recommendations,
-      options
+      options: recommendationOptions
     });
     
     const responseTime = Date.now() - startTime;
@@ -187,45 +250,65 @@ async function handleRecommendation(req, res, tenantId) {
     }
 
     // Log metrics
-    await logMetrics(agent.id, tenantId, responseTime, true);
+    await logMetrics(agent.id, tenantId, responseTime, true, route.version);
+    await rolloutUtils.evaluateRoute(route, agent);
 
     // Log activity
     await logActivity(agent.id, tenantId, 'info', 
-      `Generated ${recommendations.recommendations.length} recommendations using ${recommendation_type}`, 
+      `Generated ${recommendations.recommendations.length} recommendations using ${recommendationType}`, 
       { 
         response_time: responseTime, 
-        recommendation_type,
+        recommendation_type: recommendationType,
         num_recommendations: recommendations.recommendations.length
       }
     );
 
+    const metadata = {
+      response_time_ms: responseTime,
+      recommendation_type: recommendationType,
+      task_id: taskId,
+      agent_version: route.version,
+      rollout_variant: route.rollout ? route.variant : null,
+      timestamp: new Date().toISOString()
+    };
+
+    // Subscribers get the same result and metadata as this response
+    if (task) {
+      await eventBus.publish(tenantId, 'task.completed', eventBus.buildTaskEvent(
+        { ...task, status: 'completed' },
+        { result: recommendations, metadata }
+      ), { source: 'recommendation-agent' });
+    }
+
     return res.status(200).json({
       success: true,
       result: recommendations,
-      metadata: {
-        response_time_ms: responseTime,
-        recommendation_type,
-        task_id: taskId,
-        timestamp: new Date().toISOString()
-      }
+      metadata
     });
 
   } catch (error) {
     const responseTime = Date.now() - startTime;
     
     // Log failed metrics
-    await logMetrics(agent?.id, tenantId, responseTime, false);
+    await logMetrics(agent?.id, tenantId, responseTime, false, route ? route.version : agent?.version);
+    await rolloutUtils.evaluateRoute(route, agent);
     
-    // Update task status if exists
-    if (taskId) {
+    // Update task status if this request created it, never a task
+    // that already existed under the same taskId
+    if (task) {
+      const failedAt = new Date().toISOString();
       await supabase
         .from('agent_tasks')
         .update({
           status: 'failed',
           error_message: error.message,
-          completed_at: new Date().toISOString()
+          completed_at: failedAt
         })
         .eq('id', taskId);
+
+      await eventBus.publish(tenantId, 'task.failed', eventBus.buildTaskEvent(
+        { ...task, status: 'failed', error_message: error.message, completed_at: failedAt }
+      ), { source: 'recommendation-agent' });
     }
 
     return res.status(500).json({ 
@@ -235,6 +318,45 @@ async function handleRecommendation(req, res, tenantId) {
   }
 }
 
+// Run a queued recommendation task, called by the task worker
+async function processTask(task, agent, context = { last_attempt: true }) {
+  const startTime = Date.now();
+  const { agent_version, rollout_variant, ...input } = task.input_data;
+
+  try {
+    // Hugging Face failures are retried, the fallbacks only serve the last attempt
+    const recommendations = await generateRecommendations({
+      ...input,
+      options: {
+        ...input.options,
+        fallback: input.options?.fallback !== false && context.last_attempt,
+        signal: context.signal
+      }
+    });
+    const responseTime = Date.now() - startTime;
+
+    await logMetrics(agent.id, task.tenant_id, responseTime, true, agent_version);
+    await logActivity(agent.id, task.tenant_id, 'info',
+      `Generated ${recommendations.recommendations.length} recommendations using ${input.recommendation_type}`,
+      {
+        response_time: responseTime,
+        recommendation_type: input.recommendation_type,
+        num_recommendations: recommendations.recommendations.length,
+        task_id: task.id
+      }
+    );
+
+    return recommendations;
+  } catch (error) {
+    await logMetrics(agent.id, task.tenant_id, Date.now() - startTime, false, agent_version);
+    throw error;
+  } finally {
+    if (rollout_variant === 'candidate') {
+      await rolloutUtils.evaluateQueued(agent, agent_version);
+    }
+  }
+}
+
 // Generate recommendations using different algorithms
 async function generateRecommendations({
   user_profile,
@@ -457,7 +579,10 @@ async function generateSemanticRecommendations({
     const similarities = await Promise.all(
       item_features.map(async (item) => {
         const itemText = item.description || item.title || '';
-        const similarity = await calculateSemanticSimilarity(userQuery, itemText);
+        const similarity = await calculateSemanticSimilarity(userQuery, itemText, {
+          fallback: options.fallback !== false,
+          signal: options.signal
+        });
         
         return {
           ...item,
@@ -481,6 +606,10 @@ async function generateSemanticRecommendations({
     
   } catch (error) {
     console.error('Semantic recommendation error:', error);
+    if (options.fallback === false || options.signal?.aborted) {
+      throw error;
+    }
+
     // Fallback to content-based if semantic fails
     return await generateContentBasedRecommendations({
       user_profile,
@@ -492,7 +621,7 @@ async function generateSemanticRecommendations({
 }
 
 // Calculate semantic similarity using Hugging Face
-async function calculateSemanticSimilarity(text1, text2) {
+async function calculateSemanticSimilarity(text1, text2, { fallback = true, signal = null } = {}) {
   try {
     const response = await fetch(
       'https://api-inference.huggingface.co/models/sentence-transformers/all-MiniLM-L6-v2',
@@ -508,11 +637,16 @@ async function calculateSemanticSimilarity(text1, text2) {
             sentences: [text2]
           }
         }),
+        signal
       }
     );
 
     if (!response.ok) {
-      throw new Error(`Hugging Face API error: ${response.status}`);
+      // Status and Retry-After decide whether a queued task is retried
+      const apiError = new Error(`Hugging Face API error: ${response.status}`);
+      apiError.status = response.status;
+      apiError.retryAfter = retryUtils.parseRetryAfter(response.headers.get('retry-after'));
+      throw apiError;
     }
 
     const result = await response.json();
@@ -520,6 +654,11 @@ async function calculateSemanticSimilarity(text1, text2) {
     
   } catch (error) {
     console.error('Semantic similarity error:', error);
+    // A cancelled or timed out task doesn't fall back
+    if (!fallback || (signal && signal.aborted)) {
+      throw error;
+    }
+
     // Fallback to simple text similarity
     return calculateSimpleTextSimilarity(text1, text2);
   }
@@ -617,7 +756,7 @@ async function checkHuggingFaceAPI() {
 
 async function checkDatabaseConnection() {
   try {
-    const { data, error } = await supabase
+    const { error } = await supabase
       .from('agents')
       .select('count')
       .limit(1);
@@ -685,13 +824,14 @@ function calculatePerformanceStats(tasks) {
   };
 }
 
-async function logMetrics(agentId, tenantId, responseTime, success) {
+async function logMetrics(agentId, tenantId, responseTime, success, agentVersion = null) {
   if (!agentId) return;
 
   const metrics = [
     {
       agent_id: agentId,
       tenant_id: tenantId,
+      agent_version: agentVersion,
       metric_type: 'response_time',
       metric_value: responseTime,
       unit: 'ms'
@@ -702,6 +842,7 @@ async function logMetrics(agentId, tenantId, responseTime, success) {
     metrics.push({
       agent_id: agentId,
       tenant_id: tenantId,
+      agent_version: agentVersion,
       metric_type: 'success_rate',
       metric_value: success ? 100 : 0,
       unit: 'percentage'
@@ -0,0 +1,254 @@
+const { createClient } = require('@supabase/supabase-js');
+const { dbUtils } = require('./utils/database');
+const { scheduleUtils } = require('./utils/schedules');
+const { trashUtils } = require('./utils/trash');
+
+// Initialize Supabase client
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// Scheduled and recurring jobs
+module.exports = async (req, res) => {
+  // Enable CORS
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  try {
+    const { method, url } = req;
+    const tenantId = req.headers['x-tenant-id'] || 'default';
+    const [first, second] = getPathSegments(url);
+
+    // Vercel cron calls /api/schedules/run every minute with GET
+    if (first === 'run' && (method === 'GET' || method === 'POST')) {
+      return await handleRunDue(req, res);
+    }
+
+    const scheduleId = first || req.query.id;
+
+    // /api/schedules/:id/run starts a run now, /api/schedules/:id/runs lists them
+    if (scheduleId && second === 'run' && method === 'POST') {
+      return await handleTriggerSchedule(req, res, tenantId, scheduleId);
+    }
+
+    if (scheduleId && second === 'runs' && method === 'GET') {
+      return await handleListRuns(req, res, tenantId, scheduleId);
+    }
+
+    switch (method) {
+      case 'GET':
+        return scheduleId
+          ? await handleGetSchedule(req, res, tenantId, scheduleId)
+          : await handleListSchedules(req, res, tenantId);
+      case 'POST':
+        return await handleCreateSchedule(req, res, tenantId);
+      case 'PUT':
+        return await handleUpdateSchedule(req, res, tenantId, scheduleId);
+      case 'DELETE':
+        return await handleDeleteSchedule(req, res, tenantId, scheduleId);
+      default:
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+  } catch (error) {
+    console.error('Schedules Error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+};
+
+// List schedules for a tenant
+async function handleListSchedules(req, res, tenantId) {
+  const { enabled } = req.query;
+
+  let query = supabase
+    .from('agent_schedules')
+    .select('*')
+    .eq('tenant_id', tenantId);
+
+  if (enabled !== undefined) {
+    query = query.eq('enabled', enabled === 'true');
+  }
+
+  const { data: schedules, error } = await query.order('name', { ascending: true });
+
+  if (error) {
+    return res.status(500).json({ error: error.message });
+  }
+
+  return res.status(200).json({
+    success: true,
+    schedules,
+    total: schedules.length
+  });
+}
+
+// Get a single schedule
+async function handleGetSchedule(req, res, tenantId, scheduleId) {
+  const schedule = await scheduleUtils.getSchedule(scheduleId, tenantId);
+
+  if (!schedule) {
+    return res.status(404).json({ error: 'Schedule not found' });
+  }
+
+  return res.status(200).json({
+    success: true,
+    schedule
+  });
+}
+
+// Create a schedule
+async function handleCreateSchedule(req, res, tenantId) {
+  const definition = req.body || {};
+  const errors = await scheduleUtils.validateSchedule(definition, tenantId);
+
+  if (errors.length > 0) {
+    return sendValidationError(res, errors);
+  }
+
+  const schedule = await scheduleUtils.createSchedule(definition, tenantId, { author: getAuthor(req) });
+
+  return res.status(201).json({
+    success: true,
+    schedule,
+    message: 'Schedule created successfully'
+  });
+}
+
+// Replace a schedule's definition
+async function handleUpdateSchedule(req, res, tenantId, scheduleId) {
+  if (!scheduleId) {
+    return res.status(400).json({ error: 'Schedule ID is required' });
+  }
+
+  const definition = req.body || {};
+  const errors = await scheduleUtils.validateSchedule(definition, tenantId);
+
+  if (errors.length > 0) {
+    return sendValidationError(res, errors);
+  }
+
+  const schedule = await scheduleUtils.updateSchedule(scheduleId, definition, tenantId);
+
+  if (!schedule) {
+    return res.status(404).json({ error: 'Schedule not found' });
+  }
+
+  return res.status(200).json({
+    success: true,
+    schedule,
+    message: 'Schedule updated successfully'
+  });
+}
+
+// Delete a schedule, the tasks of its runs are kept
+async function handleDeleteSchedule(req, res, tenantId, scheduleId) {
+  if (!scheduleId) {
+    return res.status(400).json({ error: 'Schedule ID is required' });
+  }
+
+  const { error } = await supabase
+    .from('agent_schedules')
+    .delete()
+    .eq('id', scheduleId)
+    .eq('tenant_id', tenantId);
+
+  if (error) {
+    return res.status(500).json({ error: error.message });
+  }
+
+  return res.status(200).json({
+    success: true,
+    message: 'Schedule deleted successfully'
+  });
+}
+
+// Run a schedule now, its regular runs are not affected
+async function handleTriggerSchedule(req, res, tenantId, scheduleId) {
+  const schedule = await scheduleUtils.getSchedule(scheduleId, tenantId);
+
+  if (!schedule) {
+    return res.status(404).json({ error: 'Schedule not found' });
+  }
+
+  const run = await scheduleUtils.startRun(schedule, new Date());
+
+  return res.status(202).json({
+    success: true,
+    schedule_id: schedule.id,
+    ...run,
+    ...(run.task_id && { status_url: `/api/tasks/${run.task_id}` })
+  });
+}
+
+// List the tasks recorded for a schedule's runs, newest first
+async function handleListRuns(req, res, tenantId, scheduleId) {
+  const { status, limit = 50 } = req.query;
+
+  const tasks = await dbUtils.getTasks({
+    tenant_id: tenantId,
+    schedule_id: scheduleId,
+    status,
+    limit: Math.min(parseInt(limit) || 50, 200)
+  });
+
+  return res.status(200).json({
+    success: true,
+    schedule_id: scheduleId,
+    runs: tasks.map(task => ({
+      task_id: task.id,
+      status: task.status,
+      scheduled_for: task.scheduled_for,
+      created_at: task.created_at,
+      completed_at: task.completed_at || null,
+      error: task.error_message || null
+    })),
+    total: tasks.length
+  });
+}
+
+// Start every due schedule and purge agents whose trash retention expired
+async function handleRunDue(req, res) {
+  // Vercel sends CRON_SECRET as a bearer token on scheduled runs
+  // and the endpoint refuses every request while it is unset
+  if (!process.env.CRON_SECRET || req.headers.authorization !== `Bearer ${process.env.CRON_SECRET}`) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  const schedules = await scheduleUtils.runDue();
+  const purged = await trashUtils.purgeExpired();
+
+  return res.status(200).json({
+    success: true,
+    schedules,
+    started: schedules.reduce((total, schedule) => total + schedule.runs.length, 0),
+    purged_agents: purged.length,
+    timestamp: new Date().toISOString()
+  });
+}
+
+// Respond with every offending field path so clients can highlight them
+function sendValidationError(res, errors) {
+  return res.status(400).json({
+    error: 'Validation failed',
+    details: errors
+  });
+}
+
+function getAuthor(req) {
+  return req.headers['x-user-id'] || 'anonymous';
+}
+
+// Path segments after /api/schedules
+function getPathSegments(url) {
+  const segments = url.split('?')[0].split('/').filter(Boolean).map(decodeURIComponent);
+  const index = segments.indexOf('schedules');
+  return index >= 0 ? segments.slice(index + 1) : [];
+}
@@ -1,5 +1,76 @@
 const { createClient } = require('@supabase/supabase-js');
-const { v4: uuidv4 } = require('uuid');
+const { lifecycleUtils } = require('./utils/lifecycle');
+const { idempotencyUtils } = require('./utils/idempotency');
+const { rolloutUtils } = require('./utils/rollouts');
+const { taskQueueUtils } = require('./utils/task-queue');
+const { eventBus } = require('./utils/event-bus');
+const { retryUtils } = require('./utils/retry');
+const { hfUtils } = require('./utils/huggingface');
+const { lexiconSentimentUtils } = require('./utils/lexicon-sentiment');
+const { textUtils, DEFAULT_CHUNK_TOKENS } = require('./utils/text');
+const { validationUtils } = require('./utils/validation');
+const { CHUNK_TOKENS_SCHEMA, EMOTIONS, SENTIMENT_ENGINES } = require('./utils/agent-registry');
+
+// standard scores the text in one request, long_document scores
+// sentence-aligned chunks and weights them by length, aspect scores
+// each aspect term on the sentences that mention it, emotion adds an
+// emotion distribution to the polarity
+const SENTIMENT_MODES = ['standard', 'long_document', 'aspect', 'emotion'];
+
+const SENTIMENT_LABELS = ['positive', 'negative', 'neutral'];
+
+// Aspect terms of aspect mode, extracted ones are capped at MAX_EXTRACTED_ASPECTS
+const ASPECTS_SCHEMA = {
+  type: 'array',
+  minItems: 1,
+  maxItems: 20,
+  items: { type: 'string', minLength: 1, maxLength: 100 }
+};
+const MAX_EXTRACTED_ASPECTS = 10;
+
+// Share of the aspect-targeted zero-shot scores in an aspect's sentiment,
+// the rest comes from the sentiment model on the same sentences
+const ASPECT_ZERO_SHOT_WEIGHT = 0.6;
+
+// Emotion model labels that map onto one of EMOTIONS
+const EMOTION_ALIASES = {
+  happiness: 'joy',
+  love: 'joy',
+  optimism: 'joy',
+  amusement: 'joy',
+  annoyance: 'anger',
+  sad: 'sadness',
+  grief: 'sadness',
+  nervousness: 'fear',
+  disapproval: 'disgust'
+};
+
+// Emotions scoring at least this much are reported as detected
+const DEFAULT_EMOTION_THRESHOLD = 0.3;
+
+// Sentiment model for languages without one in options.language_models
+const DEFAULT_MULTILINGUAL_MODEL = 'cardiffnlp/twitter-xlm-roberta-base-sentiment';
+
+// Less confident language detections use the multilingual model
+const DEFAULT_LANGUAGE_CONFIDENCE_THRESHOLD = 0.5;
+
+// Language detection only reads the start of long texts
+const LANGUAGE_SAMPLE_LENGTH = 1000;
+
+const MAX_TEXT_LENGTH = 5000;
+const MAX_DOCUMENT_LENGTH = 100000;
+
+// Larger batches have to be submitted with async: true
+const MAX_BATCH_SIZE = 100;
+const MAX_ASYNC_BATCH_SIZE = 1000;
+
+// Language detection doubles a batch's requests, so synchronous
+// batches routed by language are held to the same request count
+const MAX_DETECTED_BATCH_SIZE = 50;
+
+// Hugging Face requests in flight at once for one batch
+const DEFAULT_BATCH_CONCURRENCY = 5;
+const MAX_BATCH_CONCURRENCY = 10;
 
 // Initialize Supabase client
 const supabase = createClient(
@@ -12,7 +83,7 @@ module.exports = async (req, res) => {
   // Enable CORS
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, Idempotency-Key');
 
   if (req.method === 'OPTIONS') {
     return res.status(200).end();
@@ -27,8 +98,12 @@ module.exports = async (req, res) => {
       return handleHealthCheck(req, res);
     } else if (url.includes('/status')) {
       return handleStatusCheck(req, res, tenantId);
+    } else if (method === 'POST' && url.includes('/batch')) {
+      // Retried submissions replay the first response instead of running again,
+      // batch keys are scoped apart so they can't replay a single analysis
+      return await idempotencyUtils.handle(req, res, tenantId, 'sentiment-agent/batch', () => handleBatchSentimentAnalysis(req, res, tenantId));
     } else if (method === 'POST') {
-      return handleSentimentAnalysis(req, res, tenantId);
+      return await idempotencyUtils.handle(req, res, tenantId, 'sentiment-agent', () => handleSentimentAnalysis(req, res, tenantId));
     } else {
       return res.status(405).json({ error: 'Method not allowed' });
     }
@@ -41,6 +116,8 @@ module.exports = async (req, res) => {
   }
 };
 
+module.exports.processTask = processTask;
+
 // Health check endpoint
 async function handleHealthCheck(req, res) {
   const healthStatus = {
@@ -68,6 +145,7 @@ async function handleStatusCheck(req, res, tenantId) {
       .select('*')
       .eq('type', 'sentiment-analysis')
       .eq('tenant_id', tenantId)
+      .is('deleted_at', null)
       .single();
 
     if (!agent) {
@@ -107,31 +185,113 @@ async function handleStatusCheck(req, res, tenantId) {
 // Main sentiment analysis endpoint
 async function handleSentimentAnalysis(req, res, tenantId) {
   const startTime = Date.now();
-  const { text, taskId, options = {} } = req.body;
+  const { text, taskId, mode = 'standard', aspects, options = {}, async: runAsync = false, priority = 'normal', timeout_ms } = req.body;
 
   if (!text) {
     return res.status(400).json({ error: 'Text is required for sentiment analysis' });
   }
 
-  if (text.length > 5000) {
-    return res.status(400).json({ error: 'Text too long. Maximum 5000 characters allowed.' });
+  if (!SENTIMENT_MODES.includes(mode)) {
+    return res.status(400).json({ error: `Invalid mode. Must be one of: ${SENTIMENT_MODES.join(', ')}` });
+  }
+
+  // Longer texts are accepted in long_document mode, which scores them in chunks
+  const maxLength = mode === 'long_document' ? MAX_DOCUMENT_LENGTH : MAX_TEXT_LENGTH;
+  if (text.length > maxLength) {
+    const hint = mode === 'standard' ? ', use mode long_document for longer texts' : '';
+    return res.status(400).json({ error: `Text too long. Maximum ${maxLength} characters allowed${hint}.` });
+  }
+
+  if (aspects !== undefined) {
+    const aspectErrors = mode === 'aspect'
+      ? validationUtils.validate(aspects, ASPECTS_SCHEMA, 'aspects')
+      : [{ path: 'aspects', message: 'is only accepted in aspect mode' }];
+    if (aspectErrors.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details: aspectErrors });
+    }
+  }
+
+  if (options.chunk_tokens !== undefined) {
+    const chunkErrors = validationUtils.validate(options.chunk_tokens, CHUNK_TOKENS_SCHEMA, 'options.chunk_tokens');
+    if (chunkErrors.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details: chunkErrors });
+    }
+  }
+
+  const engineErrors = validateEngineOptions(options);
+  if (mode === 'emotion' && options.engine === 'lexicon') {
+    engineErrors.push({ path: 'options.engine', message: 'emotion mode needs the huggingface engine' });
+  }
+  if (engineErrors.length > 0) {
+    return res.status(400).json({ error: 'Validation failed', details: engineErrors });
+  }
+
+  const queueError = taskQueueUtils.validateOptions({ priority, timeoutMs: timeout_ms });
+  if (queueError) {
+    return res.status(400).json({ error: queueError });
   }
 
+  let agent = null;
+  let route = null;
+  let task = null;
+
   try {
     // Get agent info
-    const { data: agent } = await supabase
+    ({ data: agent } = await supabase
       .from('agents')
       .select('*')
       .eq('type', 'sentiment-analysis')
       .eq('tenant_id', tenantId)
-      .single();
+      .is('deleted_at', null)
+      .single());
 
     if (!agent) {
       return res.status(404).json({ error: 'Sentiment agent not found for this tenant' });
     }
 
+    // Paused and draining agents refuse new tasks
+    const unavailable = lifecycleUtils.checkAvailability(agent);
+    if (unavailable) {
+      return res.status(503).json(unavailable);
+    }
+
+    // During a rollout part of the traffic is served by the candidate config
+    route = await rolloutUtils.route(agent, req.headers['x-routing-key'] || req.headers['x-user-id']);
+    const analysisOptions = rolloutUtils.routeOptions(route, options);
+
+    // Emotions only come from Hugging Face, the lexicon scores sentiment alone
+    const { engine, fallbackReason } = selectEngine(analysisOptions);
+    if (mode === 'emotion' && engine === 'lexicon') {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: [{
+          path: 'mode',
+          message: fallbackReason
+            ? `emotion mode needs the Hugging Face inference backend: ${fallbackReason}`
+            : 'emotion mode needs the huggingface engine'
+        }]
+      });
+    }
+
+    // Queued tasks are run by the task worker, clients poll the status URL
+    if (runAsync) {
+      const queued = await taskQueueUtils.enqueue(agent, {
+        taskType: 'sentiment_analysis',
+        input: { text, mode, aspects, options: analysisOptions, agent_version: route.version, rollout_variant: route.variant },
+        taskId,
+        priority,
+        timeoutMs: timeout_ms
+      });
+
+      return res.status(202).json({
+        success: true,
+        task_id: queued.id,
+        status: queued.status,
+        status_url: taskQueueUtils.getStatusUrl(queued.id)
+      });
+    }
+
     // Create task record if taskId provided
-    let task = null;
     if (taskId) {
       const { data: taskData } = await supabase
         .from('agent_tasks')
@@ -140,7 +300,7 @@ async function handleSentimentAnalysis(req, res, tenantId) {
           agent_id: agent.id,
           tenant_id: tenantId,
           task_type: 'sentiment_analysis',
-          input_data: { text, options },
+          input_data: { text, mode, aspects, options: analysisOptions, agent_version: route.version },
           status: 'running',
           started_at: new Date().toISOString()
         }])
@@ -150,7 +310,7 @@ async function handleSentimentAnalysis(req, res, tenantId) {
     }
 
     // Perform sentiment analysis
-    const sentimentResult = await analyzeSentiment(text, options);
+    const sentimentResult = await runAnalysis(text, mode, analysisOptions, { aspects });
     
     const responseTime = Date.now() - startTime;
     
@@ -167,7 +327,11 @@ async function handleSentimentAnalysis(req, res, tenantId) {
     }
 
     // Log metrics
-    await logMetrics(agent.id, tenantId, responseTime, true);
+    await logMetrics(agent.id, tenantId, responseTime, true, route.version);
+    if (mode === 'emotion') {
+      await logEmotionMetrics(agent.id, tenantId, sentimentResult, route.version);
+    }
+    await rolloutUtils.evaluateRoute(route, agent);
 
     // Log activity
     await logActivity(agent.id, tenantId, 'info', 
@@ -175,33 +339,53 @@ async function handleSentimentAnalysis(req, res, tenantId) {
       { response_time: responseTime, sentiment: sentimentResult.label }
     );
 
+    const metadata = {
+      response_time_ms: responseTime,
+      text_length: text.length,
+      mode,
+      task_id: taskId,
+      agent_version: route.version,
+      rollout_variant: route.rollout ? route.variant : null,
+      timestamp: new Date().toISOString()
+    };
+
+    // Subscribers get the same result and metadata as this response
+    if (task) {
+      await eventBus.publish(tenantId, 'task.completed', eventBus.buildTaskEvent(
+        { ...task, status: 'completed' },
+        { result: sentimentResult, metadata }
+      ), { source: 'sentiment-agent' });
+    }
+
     return res.status(200).json({
       success: true,
       result: sentimentResult,
-      metadata: {
-        response_time_ms: responseTime,
-        text_length: text.length,
-        task_id: taskId,
-        timestamp: new Date().toISOString()
-      }
+      metadata
     });
 
   } catch (error) {
     const responseTime = Date.now() - startTime;
     
     // Log failed metrics
-    await logMetrics(agent?.id, tenantId, responseTime, false);
+    await logMetrics(agent?.id, tenantId, responseTime, false, route ? route.version : agent?.version);
+    await rolloutUtils.evaluateRoute(route, agent);
     
-    // Update task status if exists
-    if (taskId) {
+    // Update task status if this request created it, never a task
+    // that already existed under the same taskId
+    if (task) {
+      const failedAt = new Date().toISOString();
       await supabase
         .from('agent_tasks')
         .update({
           status: 'failed',
           error_message: error.message,
-          completed_at: new Date().toISOString()
+          completed_at: failedAt
         })
         .eq('id', taskId);
+
+      await eventBus.publish(tenantId, 'task.failed', eventBus.buildTaskEvent(
+        { ...task, status: 'failed', error_message: error.message, completed_at: failedAt }
+      ), { source: 'sentiment-agent' });
     }
 
     return res.status(500).json({ 
@@ -211,13 +395,786 @@ async function handleSentimentAnalysis(req, res, tenantId) {
   }
 }
 
-// Perform sentiment analysis using Hugging Face API
-async function analyzeSentiment(text, options = {}) {
+// Batch sentiment analysis endpoint, texts are strings or { id, text, metadata }
+async function handleBatchSentimentAnalysis(req, res, tenantId) {
+  const startTime = Date.now();
+  const {
+    texts,
+    taskId,
+    options = {},
+    concurrency = DEFAULT_BATCH_CONCURRENCY,
+    async: runAsync = false,
+    priority = 'normal',
+    timeout_ms
+  } = req.body;
+
+  const { items, errors } = parseBatchItems(texts, runAsync ? MAX_ASYNC_BATCH_SIZE : MAX_BATCH_SIZE);
+
+  if (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > MAX_BATCH_CONCURRENCY) {
+    errors.push({ path: 'concurrency', message: `must be an integer between 1 and ${MAX_BATCH_CONCURRENCY}` });
+  }
+
+  errors.push(...validateEngineOptions(options));
+
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Validation failed', details: errors });
+  }
+
+  const queueError = taskQueueUtils.validateOptions({ priority, timeoutMs: timeout_ms });
+  if (queueError) {
+    return res.status(400).json({ error: queueError });
+  }
+
+  let agent = null;
+  let route = null;
+  let task = null;
+
+  try {
+    ({ data: agent } = await supabase
+      .from('agents')
+      .select('*')
+      .eq('type', 'sentiment-analysis')
+      .eq('tenant_id', tenantId)
+      .is('deleted_at', null)
+      .single());
+
+    if (!agent) {
+      return res.status(404).json({ error: 'Sentiment agent not found for this tenant' });
+    }
+
+    const unavailable = lifecycleUtils.checkAvailability(agent);
+    if (unavailable) {
+      return res.status(503).json(unavailable);
+    }
+
+    route = await rolloutUtils.route(agent, req.headers['x-routing-key'] || req.headers['x-user-id']);
+    const analysisOptions = rolloutUtils.routeOptions(route, options);
+
+    if (!runAsync && routesByLanguage(analysisOptions) && !analysisOptions.language && items.length > MAX_DETECTED_BATCH_SIZE) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: [{
+          path: 'texts',
+          message: `must have at most ${MAX_DETECTED_BATCH_SIZE} items when routed by language, submit larger batches with async: true or turn routing off with detect_language: false`
+        }]
+      });
+    }
+
+    // Very large batches run on the task worker, clients poll the status URL
+    if (runAsync) {
+      const queued = await taskQueueUtils.enqueue(agent, {
+        taskType: 'sentiment_batch',
+        input: { items, options: analysisOptions, concurrency, agent_version: route.version, rollout_variant: route.variant },
+        taskId,
+        priority,
+        timeoutMs: timeout_ms
+      });
+
+      return res.status(202).json({
+        success: true,
+        task_id: queued.id,
+        status: queued.status,
+        total: items.length,
+        status_url: taskQueueUtils.getStatusUrl(queued.id)
+      });
+    }
+
+    if (taskId) {
+      const { data: taskData } = await supabase
+        .from('agent_tasks')
+        .insert([{
+          id: taskId,
+          agent_id: agent.id,
+          tenant_id: tenantId,
+          task_type: 'sentiment_batch',
+          input_data: { items, options: analysisOptions, concurrency, agent_version: route.version },
+          status: 'running',
+          started_at: new Date().toISOString()
+        }])
+        .select()
+        .single();
+      task = taskData;
+    }
+
+    const batchResult = await analyzeSentimentBatch(items, analysisOptions, { concurrency });
+    const responseTime = Date.now() - startTime;
+
+    if (task) {
+      await supabase
+        .from('agent_tasks')
+        .update({
+          output_data: batchResult,
+          status: 'completed',
+          completed_at: new Date().toISOString()
+        })
+        .eq('id', taskId);
+    }
+
+    // Item errors are reported per item, the batch only fails when every item does
+    await logMetrics(agent.id, tenantId, responseTime, batchResult.statistics.succeeded > 0, route.version);
+    await rolloutUtils.evaluateRoute(route, agent);
+
+    await logActivity(agent.id, tenantId, 'info',
+      `Batch sentiment analysis completed for ${items.length} texts`,
+      { response_time: responseTime, ...batchResult.statistics }
+    );
+
+    const metadata = {
+      response_time_ms: responseTime,
+      batch_size: items.length,
+      task_id: taskId,
+      agent_version: route.version,
+      rollout_variant: route.rollout ? route.variant : null,
+      timestamp: new Date().toISOString()
+    };
+
+    if (task) {
+      await eventBus.publish(tenantId, 'task.completed', eventBus.buildTaskEvent(
+        { ...task, status: 'completed' },
+        { result: batchResult, metadata }
+      ), { source: 'sentiment-agent' });
+    }
+
+    return res.status(200).json({
+      success: true,
+      ...batchResult,
+      metadata
+    });
+
+  } catch (error) {
+    await logMetrics(agent?.id, tenantId, Date.now() - startTime, false, route ? route.version : agent?.version);
+    await rolloutUtils.evaluateRoute(route, agent);
+
+    if (task) {
+      const failedAt = new Date().toISOString();
+      await supabase
+        .from('agent_tasks')
+        .update({
+          status: 'failed',
+          error_message: error.message,
+          completed_at: failedAt
+        })
+        .eq('id', taskId);
+
+      await eventBus.publish(tenantId, 'task.failed', eventBus.buildTaskEvent(
+        { ...task, status: 'failed', error_message: error.message, completed_at: failedAt }
+      ), { source: 'sentiment-agent' });
+    }
+
+    return res.status(500).json({
+      error: 'Batch sentiment analysis failed',
+      message: error.message
+    });
+  }
+}
+
+// Validate batch texts into { id, text, metadata } items, IDs default to the position
+function parseBatchItems(texts, maxItems) {
+  const errors = [];
+
+  if (!Array.isArray(texts) || texts.length === 0) {
+    return { items: [], errors: [{ path: 'texts', message: 'must be a non-empty array' }] };
+  }
+
+  if (texts.length > maxItems) {
+    const hint = maxItems === MAX_BATCH_SIZE ? ', submit larger batches with async: true' : '';
+    return { items: [], errors: [{ path: 'texts', message: `must have at most ${maxItems} items${hint}` }] };
+  }
+
+  const seen = new Set();
+  const items = texts.map((entry, index) => {
+    const item = typeof entry === 'string' ? { text: entry } : (entry || {});
+    const id = item.id !== undefined ? String(item.id) : String(index);
+    const path = `texts[${index}]`;
+
+    if (typeof item.text !== 'string' || item.text.length === 0) {
+      errors.push({ path: `${path}.text`, message: 'is required' });
+    } else if (item.text.length > MAX_TEXT_LENGTH) {
+      errors.push({ path: `${path}.text`, message: `must be at most ${MAX_TEXT_LENGTH} characters` });
+    }
+
+    if (item.metadata !== undefined && (typeof item.metadata !== 'object' || Array.isArray(item.metadata))) {
+      errors.push({ path: `${path}.metadata`, message: 'must be an object' });
+    }
+
+    if (seen.has(id)) {
+      errors.push({ path: `${path}.id`, message: `duplicate id ${id}` });
+    }
+    seen.add(id);
+
+    return { id, text: item.text, ...(item.metadata && { metadata: item.metadata }) };
+  });
+
+  return { items, errors };
+}
+
+// Analyze every item with the selected engine, a failed item gets an
+// error instead of failing the batch
+async function analyzeSentimentBatch(items, options = {}, { concurrency = DEFAULT_BATCH_CONCURRENCY, signal = null } = {}) {
+  const languages = routesByLanguage(options)
+    ? await detectBatchLanguages(items, options, { concurrency, signal })
+    : null;
+
+  const responses = await analyzeSentimentMany(items.map(item => item.text), options, {
+    models: languages ? languages.map(language => selectLanguageModel(language, options)) : null,
+    concurrency,
+    signal
+  });
+
+  const results = responses.map((response, index) => {
+    let result = response.result;
+    if (response.success && languages) {
+      const language = languages[index];
+      result = { ...result, detected_language: language ? language.code : null, language_confidence: language ? language.confidence : null };
+    }
+
+    return {
+      id: items[index].id,
+      success: response.success,
+      ...(response.success ? { result } : { error: response.error }),
+      ...(items[index].metadata && { metadata: items[index].metadata })
+    };
+  });
+
+  return { results, statistics: summarizeBatch(results) };
+}
+
+// Language of every batch item, null where detection failed
+async function detectBatchLanguages(items, options = {}, { concurrency = DEFAULT_BATCH_CONCURRENCY, signal = null } = {}) {
+  if (options.language) {
+    return items.map(() => ({ code: normalizeLanguageCode(options.language), confidence: null }));
+  }
+
+  const detectionOptions = { model: options.language_detection_model, use_cache: options.use_cache, signal };
+  const responses = await hfUtils.processBatch(
+    items.map(item => ({ method: 'detectLanguage', args: [item.text.slice(0, LANGUAGE_SAMPLE_LENGTH), detectionOptions] })),
+    { batchSize: concurrency, delay: 0, signal }
+  );
+
+  return responses.map(response => response.success
+    ? { code: normalizeLanguageCode(response.result.detected_language), confidence: response.result.confidence }
+    : null);
+}
+
+// Label distribution and mean score of the items that succeeded
+function summarizeBatch(results) {
+  const succeeded = results.filter(item => item.success);
+  const labelDistribution = {};
+  const engineDistribution = {};
+  const languageDistribution = {};
+
+  for (const item of succeeded) {
+    labelDistribution[item.result.label] = (labelDistribution[item.result.label] || 0) + 1;
+    engineDistribution[item.result.engine_used] = (engineDistribution[item.result.engine_used] || 0) + 1;
+
+    if (item.result.detected_language !== undefined) {
+      const language = item.result.detected_language || 'unknown';
+      languageDistribution[language] = (languageDistribution[language] || 0) + 1;
+    }
+  }
+
+  return {
+    total: results.length,
+    succeeded: succeeded.length,
+    failed: results.length - succeeded.length,
+    label_distribution: labelDistribution,
+    engine_distribution: engineDistribution,
+    ...(Object.keys(languageDistribution).length > 0 && { language_distribution: languageDistribution }),
+    mean_score: succeeded.length > 0
+      ? succeeded.reduce((sum, item) => sum + item.result.score, 0) / succeeded.length
+      : null
+  };
+}
+
+// Run a queued sentiment analysis task, called by the task worker
+async function processTask(task, agent, context = {}) {
+  if (task.task_type === 'sentiment_batch') {
+    return await processBatchTask(task, agent, context);
+  }
+
+  const startTime = Date.now();
+  const { text, mode = 'standard', aspects, options = {}, agent_version, rollout_variant } = task.input_data;
+
+  try {
+    const sentimentResult = await runAnalysis(text, mode, options, { aspects, signal: context.signal });
+    const responseTime = Date.now() - startTime;
+
+    await logMetrics(agent.id, task.tenant_id, responseTime, true, agent_version);
+    if (mode === 'emotion') {
+      await logEmotionMetrics(agent.id, task.tenant_id, sentimentResult, agent_version);
+    }
+    await logActivity(agent.id, task.tenant_id, 'info',
+      `Sentiment analysis completed for text length: ${text.length}`,
+      { response_time: responseTime, sentiment: sentimentResult.label, task_id: task.id }
+    );
+
+    return sentimentResult;
+  } catch (error) {
+    await logMetrics(agent.id, task.tenant_id, Date.now() - startTime, false, agent_version);
+    throw error;
+  } finally {
+    if (rollout_variant === 'candidate') {
+      await rolloutUtils.evaluateQueued(agent, agent_version);
+    }
+  }
+}
+
+// Run a queued batch, called by the task worker through processTask
+async function processBatchTask(task, agent, context = {}) {
+  const startTime = Date.now();
+  const { items, options = {}, concurrency, agent_version, rollout_variant } = task.input_data;
+
+  try {
+    const batchResult = await analyzeSentimentBatch(items, options, { concurrency, signal: context.signal });
+    const responseTime = Date.now() - startTime;
+
+    await logMetrics(agent.id, task.tenant_id, responseTime, batchResult.statistics.succeeded > 0, agent_version);
+    await logActivity(agent.id, task.tenant_id, 'info',
+      `Batch sentiment analysis completed for ${items.length} texts`,
+      { response_time: responseTime, ...batchResult.statistics, task_id: task.id }
+    );
+
+    return batchResult;
+  } catch (error) {
+    await logMetrics(agent.id, task.tenant_id, Date.now() - startTime, false, agent_version);
+    throw error;
+  } finally {
+    if (rollout_variant === 'candidate') {
+      await rolloutUtils.evaluateQueued(agent, agent_version);
+    }
+  }
+}
+
+// Analyze text in the requested mode, with the sentiment model for its
+// language when routing by language
+async function runAnalysis(text, mode, options = {}, { aspects = null, signal = null } = {}) {
+  if (!routesByLanguage(options)) {
+    return await runModeAnalysis(text, mode, options, { aspects, signal });
+  }
+
+  const language = await detectLanguage(text, options, { signal });
+  const routedOptions = { ...options, model: selectLanguageModel(language, options) };
+  const result = await runModeAnalysis(text, mode, routedOptions, { aspects, signal });
+
+  return {
+    ...result,
+    detected_language: language ? language.code : null,
+    language_confidence: language ? language.confidence : null
+  };
+}
+
+async function runModeAnalysis(text, mode, options = {}, { aspects = null, signal = null } = {}) {
+  if (mode === 'long_document') {
+    return await analyzeLongDocument(text, options, { signal });
+  }
+
+  if (mode === 'aspect') {
+    return await analyzeAspects(text, options, { aspects, signal });
+  }
+
+  if (mode === 'emotion') {
+    return await analyzeEmotions(text, options, { signal });
+  }
+
+  return await analyzeSentiment(text, options, { signal });
+}
+
+// Texts are routed by language when the agent config maps languages to
+// models or names a multilingual model, when detect_language is true or
+// when options.language names the language. detect_language: false turns
+// routing off, the lexicon scores every language alike.
+function routesByLanguage(options = {}) {
+  if (options.detect_language === false || selectEngine(options).engine === 'lexicon') {
+    return false;
+  }
+
+  return options.detect_language === true ||
+    Boolean(options.language) ||
+    Object.keys(options.language_models || {}).length > 0 ||
+    Boolean(options.multilingual_model);
+}
+
+// Language of a text as { code, confidence }, options.language skips detection.
+// Returns null when detection fails, the text is then routed to the multilingual model.
+async function detectLanguage(text, options = {}, { signal = null } = {}) {
+  if (options.language) {
+    return { code: normalizeLanguageCode(options.language), confidence: null };
+  }
+
+  try {
+    const detection = await hfUtils.detectLanguage(text.slice(0, LANGUAGE_SAMPLE_LENGTH), {
+      model: options.language_detection_model,
+      use_cache: options.use_cache,
+      signal
+    });
+
+    return { code: normalizeLanguageCode(detection.detected_language), confidence: detection.confidence };
+  } catch (error) {
+    if (signal && signal.aborted) {
+      throw signal.reason;
+    }
+    console.error('Language detection failed, using the multilingual model:', error);
+    return null;
+  }
+}
+
+// Sentiment model for a detected language: its entry in options.language_models,
+// then options.model for English, then the multilingual model
+function selectLanguageModel(language, options = {}) {
+  const multilingualModel = options.multilingual_model || DEFAULT_MULTILINGUAL_MODEL;
+  const threshold = options.language_confidence_threshold ?? DEFAULT_LANGUAGE_CONFIDENCE_THRESHOLD;
+
+  if (!language || (language.confidence !== null && language.confidence < threshold)) {
+    return multilingualModel;
+  }
+
+  const languageModels = options.language_models || {};
+  if (languageModels[language.code]) {
+    return languageModels[language.code];
+  }
+
+  return language.code === 'en' && options.model ? options.model : multilingualModel;
+}
+
+// en-US, EN and en_GB all route as en
+function normalizeLanguageCode(code) {
+  return String(code).toLowerCase().split(/[-_]/)[0];
+}
+
+// Score a long text chunk by chunk. The overall label is the one with the
+// largest length-weighted score, chunks keep their offsets in the text.
+async function analyzeLongDocument(text, options = {}, { signal = null } = {}) {
+  const chunks = textUtils.chunkText(text, { maxTokens: options.chunk_tokens || DEFAULT_CHUNK_TOKENS });
+  const responses = await analyzeSentimentMany(chunks.map(chunk => chunk.text), options, { signal });
+
+  // A document is only scored whole, one failed chunk fails the analysis
+  const failed = responses.findIndex(response => !response.success);
+  if (failed >= 0) {
+    throw new Error(`Failed to analyze sentiment of chunk ${failed}: ${responses[failed].error}`);
+  }
+
+  const scoredLength = chunks.reduce((sum, chunk) => sum + chunk.end - chunk.start, 0);
+  const labelScores = {};
+
+  const chunkResults = chunks.map((chunk, index) => {
+    const { label, score } = responses[index].result;
+    const length = chunk.end - chunk.start;
+    labelScores[label] = (labelScores[label] || 0) + score * length / scoredLength;
+
+    return { index, start: chunk.start, end: chunk.end, length, label, score, engine_used: responses[index].result.engine_used };
+  });
+
+  const [label, score] = Object.entries(labelScores).sort((a, b) => b[1] - a[1])[0];
+
+  return {
+    label,
+    score,
+    confidence: score,
+    label_scores: labelScores,
+    chunk_count: chunks.length,
+    chunks: chunkResults,
+    model_used: responses[0].result.model_used,
+    ...combineEngines(responses.map(response => response.result)),
+    analysis_timestamp: new Date().toISOString()
+  };
+}
+
+// Sentiment of each aspect term alongside the overall sentiment. Aspects come
+// from the request or are extracted, each one is scored on the sentences that
+// mention it, requested aspects that are never mentioned get a null label.
+async function analyzeAspects(text, options = {}, { aspects = null, signal = null } = {}) {
+  const sentences = textUtils.splitSentences(text);
+  const terms = aspects
+    ? Array.from(new Set(aspects.map(aspect => aspect.trim()))).map(aspect => ({ aspect, source: 'provided' }))
+    : await extractAspects(text, options, { signal });
+
+  const targets = terms.map(term => ({ ...term, mentions: textUtils.findMentions(text, term.aspect, sentences) }));
+  const mentioned = targets.filter(target => target.mentions.length > 0);
+  const contexts = mentioned.map(target => target.mentions.map(mention => mention.text).join(' '));
+
+  const sentiments = await analyzeSentimentMany([text, ...contexts], options, { signal });
+
+  // The lexicon has no zero-shot model, aspects are scored on sentence sentiment alone
+  const zeroShots = selectEngine(options).engine === 'lexicon' ? null : await hfUtils.processBatch(
+    mentioned.map((target, index) => ({
+      method: 'classifyText',
+      args: [contexts[index], {
+        model: options.zero_shot_model,
+        use_cache: options.use_cache,
+        labels: SENTIMENT_LABELS,
+        hypothesis_template: `The sentiment about ${target.aspect} is {}.`,
+        signal
+      }]
+    })),
+    { batchSize: DEFAULT_BATCH_CONCURRENCY, delay: 0, signal }
+  );
+
+  if (signal && signal.aborted) {
+    throw signal.reason;
+  }
+
+  const [overall] = sentiments;
+  if (!overall.success) {
+    throw new Error(`Failed to analyze sentiment: ${overall.error}`);
+  }
+
+  const aspectResults = targets.map(({ aspect, source, mentions }) => {
+    const index = mentioned.findIndex(target => target.aspect === aspect);
+    if (index < 0) {
+      return { aspect, source, mentioned: false, label: null, score: null, mentions: [] };
+    }
+
+    // A failed aspect is reported on the aspect, the others are still returned.
+    // Without a zero-shot score from an unavailable model it falls back to sentence sentiment.
+    const zeroShot = zeroShots ? zeroShots[index] : null;
+    const sentiment = sentiments[1 + index];
+    if (!sentiment.success || (zeroShot && !zeroShot.success && !canFallBack(zeroShot.cause, options))) {
+      return { aspect, source, mentioned: true, label: null, score: null, error: sentiment.error || zeroShot.error, mentions };
+    }
+
+    return {
+      aspect,
+      source,
+      mentioned: true,
+      ...combineAspectScores(zeroShot && zeroShot.success ? zeroShot.result : null, sentiment.result),
+      mentions
+    };
+  });
+
+  return {
+    label: overall.result.label,
+    score: overall.result.score,
+    confidence: overall.result.score,
+    aspects: aspectResults,
+    aspect_count: aspectResults.length,
+    model_used: overall.result.model_used,
+    ...combineEngines(sentiments.filter(response => response.success).map(response => response.result)),
+    analysis_timestamp: new Date().toISOString()
+  };
+}
+
+// Aspect candidates from named entities, then frequent noun phrases.
+// Entity recognition is best effort, noun phrases are used alone if it fails.
+async function extractAspects(text, options = {}, { signal = null } = {}) {
+  let entities = [];
+
+  // The lexicon engine makes no network calls, noun phrases only
+  if (selectEngine(options).engine === 'lexicon') {
+    return textUtils.extractNounPhrases(text, { limit: MAX_EXTRACTED_ASPECTS })
+      .map(phrase => ({ aspect: phrase, source: 'noun_phrase' }));
+  }
+
+  try {
+    const result = await hfUtils.extractEntities(text, { model: options.ner_model, use_cache: options.use_cache, signal });
+    entities = result.entities
+      .filter(entity => entity.word && !entity.word.startsWith('##') && entity.confidence >= 0.5)
+      .map(entity => ({ aspect: entity.word.trim(), source: 'entity' }));
+  } catch (error) {
+    if (signal && signal.aborted) {
+      throw signal.reason;
+    }
+    console.error('Entity extraction failed, using noun phrases only:', error);
+  }
+
+  const phrases = textUtils.extractNounPhrases(text, { limit: MAX_EXTRACTED_ASPECTS })
+    .map(phrase => ({ aspect: phrase, source: 'noun_phrase' }));
+
+  const seen = new Set();
+  return [...entities, ...phrases]
+    .filter(({ aspect }) => {
+      const key = aspect.toLowerCase();
+      if (!aspect || seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    })
+    .slice(0, MAX_EXTRACTED_ASPECTS);
+}
+
+// Blend the aspect-targeted zero-shot scores with the sentiment model's label,
+// the sentiment model's remaining probability is split over the other labels.
+// Without zero-shot scores the sentiment model's label stands alone.
+function combineAspectScores(zeroShot, sentiment) {
+  const labelScores = {};
+
+  for (const label of SENTIMENT_LABELS) {
+    const sentimentScore = sentiment.label === label ? sentiment.score : (1 - sentiment.score) / (SENTIMENT_LABELS.length - 1);
+
+    if (!zeroShot) {
+      labelScores[label] = sentimentScore;
+      continue;
+    }
+
+    const prediction = zeroShot.predictions.find(entry => entry.label === label);
+    labelScores[label] = ASPECT_ZERO_SHOT_WEIGHT * (prediction ? prediction.score : 0) +
+      (1 - ASPECT_ZERO_SHOT_WEIGHT) * sentimentScore;
+  }
+
+  const [label, score] = Object.entries(labelScores).sort((a, b) => b[1] - a[1])[0];
+
+  return {
+    label,
+    score,
+    label_scores: labelScores,
+    zero_shot: zeroShot ? { label: zeroShot.labels[0] || null, score: zeroShot.scores[0] || null } : null,
+    sentence_sentiment: { label: sentiment.label, score: sentiment.score }
+  };
+}
+
+// Polarity plus a multi-label emotion distribution from the agent's
+// emotion model, every emotion above the threshold is detected
+async function analyzeEmotions(text, options = {}, { signal = null } = {}) {
+  const { engine, fallbackReason } = selectEngine(options);
+  if (engine === 'lexicon') {
+    throw Object.assign(new Error(`Emotion mode needs the Hugging Face inference backend${fallbackReason ? `: ${fallbackReason}` : ''}`), { retryable: false });
+  }
+
+  const threshold = options.emotion_threshold ?? DEFAULT_EMOTION_THRESHOLD;
+
+  const [sentiment, emotionResult] = await Promise.all([
+    analyzeSentiment(text, options, { signal }),
+    hfUtils.analyzeEmotions(text, { model: options.emotion_model, use_cache: options.use_cache, signal })
+  ]);
+
+  const emotions = Object.fromEntries(EMOTIONS.map(emotion => [emotion, 0]));
+  for (const { label, score } of emotionResult.predictions) {
+    const emotion = EMOTION_ALIASES[label] || label;
+    if (emotion in emotions) {
+      emotions[emotion] = Math.max(emotions[emotion], score);
+    }
+  }
+
+  const detected = EMOTIONS
+    .filter(emotion => emotions[emotion] >= threshold)
+    .sort((a, b) => emotions[b] - emotions[a]);
+
+  return {
+    ...sentiment,
+    emotions,
+    detected_emotions: detected,
+    dominant_emotion: detected[0] || null,
+    emotion_model_used: emotionResult.model_used
+  };
+}
+
+// Perform sentiment analysis with the selected engine. Hugging Face falls back to
+// the lexicon when it is not configured or unavailable, unless options.fallback is false.
+async function analyzeSentiment(text, options = {}, { signal = null } = {}) {
+  const { engine, fallbackReason } = selectEngine(options);
+  if (engine === 'lexicon') {
+    return scoreWithLexicon(text, fallbackReason);
+  }
+
+  try {
+    return { ...await analyzeSentimentWithHuggingFace(text, options, { signal }), engine_used: 'huggingface' };
+  } catch (error) {
+    if ((signal && signal.aborted) || !canFallBack(error, options)) {
+      throw error;
+    }
+    return scoreWithLexicon(text, error.message);
+  }
+}
+
+// Sentiment of several texts as processBatch responses, with the engine selection
+// and fallback of analyzeSentiment. models gives each text its own model.
+async function analyzeSentimentMany(texts, options = {}, { models = null, concurrency = DEFAULT_BATCH_CONCURRENCY, signal = null } = {}) {
+  const { engine, fallbackReason } = selectEngine(options);
+  if (engine === 'lexicon') {
+    return texts.map(text => ({ success: true, result: scoreWithLexicon(text, fallbackReason) }));
+  }
+
+  const responses = await hfUtils.processBatch(
+    texts.map((text, index) => ({
+      method: 'analyzeSentiment',
+      args: [text, { model: models ? models[index] : options.model, use_cache: options.use_cache, signal }]
+    })),
+    { batchSize: concurrency, delay: 0, signal }
+  );
+
+  // Cancelled and timed out tasks stop rather than report every text as failed
+  if (signal && signal.aborted) {
+    throw signal.reason;
+  }
+
+  return responses.map((response, index) => {
+    if (response.success) {
+      return { success: true, result: { ...response.result, engine_used: 'huggingface' } };
+    }
+
+    return canFallBack(response.cause, options)
+      ? { success: true, result: scoreWithLexicon(texts[index], response.error) }
+      : { success: false, error: response.error };
+  });
+}
+
+// Only an unavailable Hugging Face falls back: network errors, timeouts, rate
+// limits and 5xx, including 503 while a model loads. Rejected requests and
+// responses that fail to parse are errors the lexicon would only hide.
+function canFallBack(error, options = {}) {
+  if (options.fallback === false || !error) {
+    return false;
+  }
+
+  const status = retryUtils.getStatusCode(error);
+  if (status) {
+    return status >= 500 || status === 408 || status === 429;
+  }
+
+  for (let current = error; current; current = current.cause) {
+    if (retryUtils.isNetworkError(current)) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+// Engine a request starts on, the lexicon when requested or when there is no
+// Hugging Face API key to fall back from
+function selectEngine(options = {}) {
+  if (options.engine === 'lexicon') {
+    return { engine: 'lexicon', fallbackReason: null };
+  }
+
+  if (!process.env.HUGGINGFACE_API_KEY && options.fallback !== false) {
+    return { engine: 'lexicon', fallbackReason: 'Hugging Face API key is not configured' };
+  }
+
+  return { engine: 'huggingface', fallbackReason: null };
+}
+
+// Lexicon result, fallback_reason says why Hugging Face was not used
+function scoreWithLexicon(text, fallbackReason = null) {
+  const result = lexiconSentimentUtils.analyze(text);
+  return fallbackReason ? { ...result, fallback_reason: fallbackReason } : result;
+}
+
+// engine_used of a result put together from several, mixed when only some fell back
+function combineEngines(results) {
+  const engines = new Set(results.map(result => result.engine_used));
+  const fallback = results.find(result => result.fallback_reason);
+
+  return {
+    engine_used: engines.size === 1 ? results[0].engine_used : 'mixed',
+    ...(fallback && { fallback_reason: fallback.fallback_reason })
+  };
+}
+
+// Request options.engine and options.fallback, route config is validated by the registry
+function validateEngineOptions(options) {
+  return [
+    ...(options.engine !== undefined ? validationUtils.validate(options.engine, { type: 'string', enum: SENTIMENT_ENGINES }, 'options.engine') : []),
+    ...(options.fallback !== undefined ? validationUtils.validate(options.fallback, { type: 'boolean' }, 'options.fallback') : [])
+  ];
+}
+
+async function analyzeSentimentWithHuggingFace(text, options = {}, { signal = null } = {}) {
   const model = options.model || 'cardiffnlp/twitter-roberta-base-sentiment-latest';
   
   try {
     const response = await fetch(
-      `https://api-inference.huggingface.co/models/${model}`,
+      `${hfUtils.baseUrl}/models/${model}`,
       {
         headers: {
           'Authorization': `Bearer ${process.env.HUGGINGFACE_API_KEY}`,
@@ -230,62 +1187,35 @@ async function analyzeSentiment(text, options = {}) {
             wait_for_model: true
           }
         }),
+        signal
       }
     );
 
     if (!response.ok) {
-      throw new Error(`Hugging Face API error: ${response.status}`);
+      // Status and Retry-After decide whether a queued task is retried
+      const apiError = new Error(`Hugging Face API error: ${response.status}`);
+      apiError.status = response.status;
+      apiError.retryAfter = retryUtils.parseRetryAfter(response.headers.get('retry-after'));
+      throw apiError;
     }
 
     const result = await response.json();
-    
-    // Handle different response formats
-    let sentimentData;
-    if (Array.isArray(result) && result.length > 0) {
-      sentimentData = result[0];
-    } else if (result.label && result.score) {
-      sentimentData = result;
-    } else {
-      throw new Error('Unexpected response format from Hugging Face API');
-    }
 
-    // Normalize sentiment labels
-    const normalizedSentiment = normalizeSentimentLabel(sentimentData.label);
-    
-    return {
-      label: normalizedSentiment,
-      score: sentimentData.score,
-      confidence: sentimentData.score,
-      raw_result: sentimentData,
-      model_used: model,
-      analysis_timestamp: new Date().toISOString()
-    };
+    // Same response formats and label normalization as the batch paths
+    const { timestamp, ...sentiment } = hfUtils.normalizeSentimentResult(result, model);
+
+    return { ...sentiment, analysis_timestamp: timestamp };
 
   } catch (error) {
     console.error('Sentiment analysis error:', error);
-    throw new Error(`Failed to analyze sentiment: ${error.message}`);
-  }
-}
-
-// Normalize different sentiment label formats
-function normalizeSentimentLabel(label) {
-  const labelLower = label.toLowerCase();
-  
-  if (labelLower.includes('pos') || labelLower === 'positive') {
-    return 'positive';
-  } else if (labelLower.includes('neg') || labelLower === 'negative') {
-    return 'negative';
-  } else if (labelLower.includes('neu') || labelLower === 'neutral') {
-    return 'neutral';
+    throw new Error(`Failed to analyze sentiment: ${error.message}`, { cause: error });
   }
-  
-  return label; // Return original if no match
 }
 
 // Check Hugging Face API availability
 async function checkHuggingFaceAPI() {
   try {
-    const response = await fetch('https://api-inference.huggingface.co/models/cardiffnlp/twitter-roberta-base-sentiment-latest', {
+    const response = await fetch(`${hfUtils.baseUrl}/models/cardiffnlp/twitter-roberta-base-sentiment-latest`, {
       headers: {
         'Authorization': `Bearer ${process.env.HUGGINGFACE_API_KEY}`,
       },
@@ -307,7 +1237,7 @@ async function checkHuggingFaceAPI() {
 // Check database connection
 async function checkDatabaseConnection() {
   try {
-    const { data, error } = await supabase
+    const { error } = await supabase
       .from('agents')
       .select('count')
       .limit(1);
@@ -377,14 +1307,15 @@ function calculatePerformanceStats(tasks) {
   };
 }
 
-// Log metrics to database
-async function logMetrics(agentId, tenantId, responseTime, success) {
+// Log metrics to database, tagged with the agent version that served the request
+async function logMetrics(agentId, tenantId, responseTime, success, agentVersion = null) {
   if (!agentId) return;
 
   const metrics = [
     {
       agent_id: agentId,
       tenant_id: tenantId,
+      agent_version: agentVersion,
       metric_type: 'response_time',
       metric_value: responseTime,
       unit: 'ms'
@@ -395,6 +1326,7 @@ async function logMetrics(agentId, tenantId, responseTime, success) {
     metrics.push({
       agent_id: agentId,
       tenant_id: tenantId,
+      agent_version: agentVersion,
       metric_type: 'success_rate',
       metric_value: success ? 100 : 0,
       unit: 'percentage'
@@ -406,6 +1338,22 @@ async function logMetrics(agentId, tenantId, responseTime, success) {
     .insert(metrics);
 }
 
+// Count each detected emotion so emotion trends can be reported per agent
+async function logEmotionMetrics(agentId, tenantId, result, agentVersion = null) {
+  if (!agentId || result.detected_emotions.length === 0) return;
+
+  await supabase
+    .from('agent_metrics')
+    .insert(result.detected_emotions.map(emotion => ({
+      agent_id: agentId,
+      tenant_id: tenantId,
+      agent_version: agentVersion,
+      metric_type: `emotion_${emotion}`,
+      metric_value: 1,
+      unit: 'count'
+    })));
+}
+
 // Log activity to database
 async function logActivity(agentId, tenantId, level, message, context = {}) {
   if (!agentId) return;
@@ -0,0 +1,266 @@
+const { dbUtils } = require('./utils/database');
+const { taskQueueUtils } = require('./utils/task-queue');
+const { workflowEngine } = require('./utils/workflow-engine');
+const { webhookUtils } = require('./utils/webhooks');
+const { eventBus } = require('./utils/event-bus');
+
+// Task status and queue worker
+module.exports = async (req, res) => {
+  // Enable CORS
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  try {
+    const { method, url } = req;
+    const tenantId = req.headers['x-tenant-id'] || 'default';
+
+    // Scheduled runs call the worker with GET, dispatches from agents with POST
+    if (url.includes('/work') && (method === 'GET' || method === 'POST')) {
+      return await handleRunWorker(req, res);
+    }
+
+    // Dead-letter list: inspect, edit and replay tasks that ran out of retries
+    if (url.includes('/dead-letter')) {
+      const deadLetterId = req.query.id || getPathId(url, 'dead-letter');
+
+      if (url.includes('/replay') && method === 'POST') {
+        return await handleReplayDeadLetter(req, res, tenantId, deadLetterId);
+      } else if (method === 'PUT') {
+        return await handleUpdateDeadLetter(req, res, tenantId, deadLetterId);
+      } else if (method === 'GET' && !deadLetterId) {
+        return await handleListDeadLetters(req, res, tenantId);
+      } else if (method === 'GET') {
+        return await handleGetTask(req, res, tenantId, deadLetterId);
+      }
+    }
+
+    const taskId = req.query.id || getPathId(url, 'tasks');
+
+    if (method === 'DELETE') {
+      return await handleCancelTask(req, res, tenantId, taskId);
+    }
+
+    if (method !== 'GET') {
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    return taskId
+      ? await handleGetTask(req, res, tenantId, taskId)
+      : await handleListTasks(req, res, tenantId);
+  } catch (error) {
+    console.error('Tasks Error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+};
+
+// Get status and output of a single task
+async function handleGetTask(req, res, tenantId, taskId) {
+  const task = await taskQueueUtils.getTask(taskId, tenantId);
+
+  if (!task) {
+    return res.status(404).json({ error: 'Task not found' });
+  }
+
+  return res.status(200).json({
+    success: true,
+    task: formatTask(task)
+  });
+}
+
+// List recent tasks for a tenant
+async function handleListTasks(req, res, tenantId) {
+  const { status, task_type, agent_id, limit = 50 } = req.query;
+
+  const tasks = await dbUtils.getTasks({
+    tenant_id: tenantId,
+    status,
+    task_type,
+    agent_id,
+    limit: Math.min(parseInt(limit) || 50, 200)
+  });
+
+  return res.status(200).json({
+    success: true,
+    tasks: tasks.map(formatTask),
+    total: tasks.length
+  });
+}
+
+// Cancel a pending or running task, a running attempt is aborted by its worker
+async function handleCancelTask(req, res, tenantId, taskId) {
+  if (!taskId) {
+    return res.status(400).json({ error: 'Task ID is required' });
+  }
+
+  const task = await taskQueueUtils.getTask(taskId, tenantId);
+
+  if (!task) {
+    return res.status(404).json({ error: 'Task not found' });
+  }
+
+  const cancelled = await taskQueueUtils.cancel(task, {
+    author: req.headers['x-user-id'] || 'anonymous'
+  });
+
+  if (!cancelled) {
+    const current = await taskQueueUtils.getTask(taskId, tenantId);
+    return res.status(409).json({ error: `Task is already ${current ? current.status : task.status}` });
+  }
+
+  return res.status(200).json({
+    success: true,
+    task: formatTask(cancelled),
+    message: 'Task cancelled successfully'
+  });
+}
+
+// Drain the task queue, advance workflow runs with the time left,
+// then dispatch outbox events and retry webhook deliveries that are due
+// within the follow-up budget, before the function hits its max duration
+async function handleRunWorker(req, res) {
+  // Vercel sends CRON_SECRET as a bearer token on scheduled runs
+  // and the endpoint refuses every request while it is unset
+  if (!process.env.CRON_SECRET || req.headers.authorization !== `Bearer ${process.env.CRON_SECRET}`) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  const startTime = Date.now();
+  const followUpDeadline = startTime + taskQueueUtils.workerTimeBudget + taskQueueUtils.followUpBudget;
+  const result = await taskQueueUtils.runWorker();
+  const workflowRuns = await workflowEngine.runPending({
+    timeBudget: taskQueueUtils.workerTimeBudget - (Date.now() - startTime)
+  });
+  const events = await eventBus.dispatchPending({ deadline: followUpDeadline });
+  const webhookDeliveries = await webhookUtils.deliverPending({ deadline: followUpDeadline });
+
+  return res.status(200).json({
+    success: true,
+    ...result,
+    workflow_runs: workflowRuns,
+    events,
+    webhook_deliveries: webhookDeliveries,
+    timestamp: new Date().toISOString()
+  });
+}
+
+// List tasks that failed for good
+async function handleListDeadLetters(req, res, tenantId) {
+  const { agent_id, task_type, limit = 50 } = req.query;
+
+  const tasks = await taskQueueUtils.listDeadLetters(tenantId, {
+    agentId: agent_id,
+    taskType: task_type,
+    limit: Math.min(parseInt(limit) || 50, 200)
+  });
+
+  return res.status(200).json({
+    success: true,
+    tasks: tasks.map(formatTask),
+    total: tasks.length
+  });
+}
+
+// Fix the input of a dead-lettered task
+async function handleUpdateDeadLetter(req, res, tenantId, taskId) {
+  const { input } = req.body || {};
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return res.status(400).json({ error: 'input object is required' });
+  }
+
+  const task = await findDeadLetter(res, tenantId, taskId);
+  if (!task) return;
+
+  const updated = await taskQueueUtils.updateDeadLetter(task, input);
+
+  return res.status(200).json({
+    success: true,
+    task: formatTask(updated)
+  });
+}
+
+// Queue a dead-lettered task again, optionally with new input
+async function handleReplayDeadLetter(req, res, tenantId, taskId) {
+  const { input = null } = req.body || {};
+
+  if (input !== null && (typeof input !== 'object' || Array.isArray(input))) {
+    return res.status(400).json({ error: 'input must be an object' });
+  }
+
+  const task = await findDeadLetter(res, tenantId, taskId);
+  if (!task) return;
+
+  const replayed = await taskQueueUtils.replay(task, {
+    input,
+    author: req.headers['x-user-id'] || 'anonymous'
+  });
+
+  return res.status(202).json({
+    success: true,
+    task_id: replayed.id,
+    status: replayed.status,
+    status_url: taskQueueUtils.getStatusUrl(replayed.id)
+  });
+}
+
+// Load a dead-lettered task, responding with 400/404/409 when it cannot be used
+async function findDeadLetter(res, tenantId, taskId) {
+  if (!taskId) {
+    res.status(400).json({ error: 'Task ID is required' });
+    return null;
+  }
+
+  const task = await taskQueueUtils.getTask(taskId, tenantId);
+
+  if (!task) {
+    res.status(404).json({ error: 'Task not found' });
+    return null;
+  }
+
+  if (task.status !== 'failed' || !task.dead_lettered_at) {
+    res.status(409).json({ error: `Task is ${task.status} and not in the dead-letter list` });
+    return null;
+  }
+
+  return task;
+}
+
+function formatTask(task) {
+  return {
+    id: task.id,
+    agent_id: task.agent_id,
+    task_type: task.task_type,
+    status: task.status,
+    priority: taskQueueUtils.getPriorityName(task.priority),
+    input: task.input_data,
+    output: task.output_data || null,
+    error: task.error_message || null,
+    attempt_count: task.attempt_count || 0,
+    attempts: task.attempts || [],
+    next_attempt_at: task.status === 'pending' ? task.next_attempt_at || null : null,
+    dead_lettered_at: task.dead_lettered_at || null,
+    timeout_ms: task.timeout_ms || null,
+    schedule_id: task.schedule_id || null,
+    scheduled_for: task.scheduled_for || null,
+    cancelled_at: task.cancelled_at || null,
+    created_at: task.created_at,
+    started_at: task.started_at || null,
+    completed_at: task.completed_at || null
+  };
+}
+
+// Task ID from the path segment following `after`, e.g. /api/tasks/:id
+function getPathId(url, after) {
+  const segments = url.split('?')[0].split('/').filter(Boolean);
+  const index = segments.indexOf(after);
+  const id = index >= 0 ? segments[index + 1] : null;
+  return id && id !== 'replay' ? decodeURIComponent(id) : null;
+}
@@ -27,21 +27,21 @@ module.exports = async (req, res) => {
 
     // Test dependencies
     try {
-      const supabase = require('@supabase/supabase-js');
+      require('@supabase/supabase-js');
       testResults.dependencies.supabase = '✅ OK';
     } catch (e) {
       testResults.dependencies.supabase = `❌ ERROR: ${e.message}`;
     }
 
     try {
-      const uuid = require('uuid');
+      require('uuid');
       testResults.dependencies.uuid = '✅ OK';
     } catch (e) {
       testResults.dependencies.uuid = `❌ ERROR: ${e.message}`;
     }
 
     try {
-      const axios = require('axios');
+      require('axios');
       testResults.dependencies.axios = '✅ OK';
     } catch (e) {
       testResults.dependencies.axios = `❌ ERROR: ${e.message}`;
@@ -51,7 +51,7 @@ module.exports = async (req, res) => {
     if (process.env.SUPABASE_URL && process.env.SUPABASE_SERVICE_ROLE_KEY) {
       try {
         const { createClient } = require('@supabase/supabase-js');
-        const supabaseClient = createClient(
+        createClient(
           process.env.SUPABASE_URL,
           process.env.SUPABASE_SERVICE_ROLE_KEY
         );
@@ -67,14 +67,14 @@ module.exports = async (req, res) => {
 
     // Test utils imports
     try {
-      const dbUtils = require('./utils/database');
+      require('./utils/database');
       testResults.tests.databaseUtils = '✅ OK';
     } catch (e) {
       testResults.tests.databaseUtils = `❌ ERROR: ${e.message}`;
     }
 
     try {
-      const authUtils = require('./utils/auth');
+      require('./utils/auth');
       testResults.tests.authUtils = '✅ OK';
     } catch (e) {
       testResults.tests.authUtils = `❌ ERROR: ${e.message}`;
@@ -0,0 +1,267 @@
+const path = require('path');
+const { validationUtils } = require('./validation');
+const { RETRY_POLICY_SCHEMA } = require('./retry');
+
+// Written by the task queue for every agent type
+const QUEUE_METRIC_TYPES = ['queue_depth', 'queue_wait_time'];
+
+// Emotions reported by emotion mode sentiment analysis
+const EMOTIONS = ['joy', 'anger', 'sadness', 'fear', 'surprise', 'disgust'];
+
+// Sentiment engines, lexicon scores offline and is the fallback when Hugging Face fails
+const SENTIMENT_ENGINES = ['huggingface', 'lexicon'];
+
+// Chunk size of long_document sentiment analysis, models truncate at 512 tokens
+const CHUNK_TOKENS_SCHEMA = { type: 'integer', minimum: 50, maximum: 500 };
+
+// Run time limit of a task attempt, a worker only claims a task whose attempt
+// fits in its time budget, so this stays well below that budget
+const TASK_TIMEOUT_SCHEMA = { type: 'integer', minimum: 1000, maximum: 180000 };
+
+/**
+ * Agent type registry for FMAA ecosystem.
+ *
+ * Each agent type declares:
+ * - handler: module under api/ that serves the agent
+ * - endpoint: public URL path of the handler
+ * - configSchema: JSON schema for the agent config
+ * - defaultConfig: config merged under what the client sends
+ * - healthCheck: { path, timeout } relative to the endpoint
+ * - metricTypes: metric types the agent writes to agent_metrics
+ * - taskType: task_type recorded on the agent's agent_tasks rows
+ *
+ * Every type also accepts config.retry_policy and config.timeout_ms for
+ * its queued tasks and gets the task queue's metric types.
+ */
+class AgentRegistry {
+  constructor() {
+    this.types = new Map();
+  }
+
+  /**
+   * Register an agent type
+   */
+  register(type, definition) {
+    if (!type || typeof type !== 'string') {
+      throw new Error('Agent type must be a non-empty string');
+    }
+
+    if (!definition || !definition.handler) {
+      throw new Error(`Agent type ${type} must declare a handler module`);
+    }
+
+    this.types.set(type, {
+      type,
+      description: definition.description || '',
+      handler: definition.handler,
+      endpoint: definition.endpoint || `/api/${definition.handler}`,
+      configSchema: this.withCommonConfig(definition.configSchema || { type: 'object' }),
+      defaultConfig: definition.defaultConfig || {},
+      healthCheck: { path: '/health', ...definition.healthCheck },
+      metricTypes: [...(definition.metricTypes || ['response_time', 'success_rate']), ...QUEUE_METRIC_TYPES],
+      taskType: definition.taskType || type.replace(/-/g, '_')
+    });
+
+    return this;
+  }
+
+  /**
+   * Add the config fields shared by every agent type to a type's schema
+   */
+  withCommonConfig(schema) {
+    return {
+      ...schema,
+      properties: {
+        ...schema.properties,
+        retry_policy: RETRY_POLICY_SCHEMA,
+        timeout_ms: TASK_TIMEOUT_SCHEMA
+      }
+    };
+  }
+
+  has(type) {
+    return this.types.has(type);
+  }
+
+  get(type) {
+    const definition = this.types.get(type);
+
+    if (!definition) {
+      throw new Error(`Unsupported agent type: ${type}`);
+    }
+
+    return definition;
+  }
+
+  getSupportedTypes() {
+    return Array.from(this.types.keys());
+  }
+
+  /**
+   * Public description of every registered type
+   */
+  list() {
+    return Array.from(this.types.values()).map(definition => ({
+      type: definition.type,
+      description: definition.description,
+      endpoint: definition.endpoint,
+      config_schema: definition.configSchema,
+      default_config: definition.defaultConfig,
+      metric_types: definition.metricTypes,
+      task_type: definition.taskType
+    }));
+  }
+
+  /**
+   * Load the handler module serving an agent type
+   */
+  getHandler(type) {
+    return require(path.join(__dirname, '..', this.get(type).handler));
+  }
+
+  /**
+   * Get endpoint and health check URLs for an agent type
+   */
+  getEndpoints(type) {
+    const definition = this.get(type);
+
+    return {
+      endpoint_url: definition.endpoint,
+      health_check_url: `${definition.endpoint}${definition.healthCheck.path}`
+    };
+  }
+
+  /**
+   * Merge client config over the type's default config
+   */
+  buildConfig(type, config = {}) {
+    return this.mergeDeep(this.get(type).defaultConfig, config);
+  }
+
+  /**
+   * Validate a config against the type's schema
+   */
+  validateConfig(type, config) {
+    if (!this.has(type)) {
+      return [{ path: 'type', message: `unsupported agent type: ${type}` }];
+    }
+
+    return validationUtils.validate(config, this.get(type).configSchema, 'config');
+  }
+
+  mergeDeep(base, override) {
+    if (!validationUtils.isPlainObject(base) || !validationUtils.isPlainObject(override)) {
+      return override === undefined ? base : override;
+    }
+
+    const merged = { ...base };
+    for (const [key, value] of Object.entries(override)) {
+      merged[key] = this.mergeDeep(base[key], value);
+    }
+
+    return merged;
+  }
+}
+
+// Built-in agent types
+const agentRegistry = new AgentRegistry();
+
+agentRegistry.register('sentiment-analysis', {
+  description: 'Sentiment analysis over Hugging Face text classification models',
+  handler: 'sentiment-agent',
+  taskType: 'sentiment_analysis',
+  configSchema: {
+    type: 'object',
+    properties: {
+      options: {
+        type: 'object',
+        properties: {
+          model: { type: 'string', minLength: 1 },
+          use_cache: { type: 'boolean' },
+          engine: { type: 'string', enum: SENTIMENT_ENGINES },
+          fallback: { type: 'boolean' },
+          chunk_tokens: CHUNK_TOKENS_SCHEMA,
+          zero_shot_model: { type: 'string', minLength: 1 },
+          ner_model: { type: 'string', minLength: 1 },
+          emotion_model: { type: 'string', minLength: 1 },
+          emotion_threshold: { type: 'number', minimum: 0, maximum: 1 },
+          // Route each text to the sentiment model for its language, on when
+          // language_models or multilingual_model is set, false turns it off
+          detect_language: { type: 'boolean' },
+          language_detection_model: { type: 'string', minLength: 1 },
+          language_confidence_threshold: { type: 'number', minimum: 0, maximum: 1 },
+          // Sentiment model per ISO 639-1 language code, languages without one
+          // use model for English and multilingual_model otherwise
+          language_models: {
+            type: 'object',
+            additionalProperties: { type: 'string', minLength: 1 }
+          },
+          multilingual_model: { type: 'string', minLength: 1 }
+        }
+      },
+      max_text_length: { type: 'integer', minimum: 1, maximum: 5000 }
+    }
+  },
+  defaultConfig: {
+    options: {
+      model: 'cardiffnlp/twitter-roberta-base-sentiment-latest',
+      emotion_model: 'j-hartmann/emotion-english-distilroberta-base',
+      multilingual_model: 'cardiffnlp/twitter-xlm-roberta-base-sentiment'
+    },
+    max_text_length: 5000
+  },
+  metricTypes: ['response_time', 'success_rate', ...EMOTIONS.map(emotion => `emotion_${emotion}`)]
+});
+
+agentRegistry.register('recommendation', {
+  description: 'Content-based, collaborative, hybrid and semantic recommendations',
+  handler: 'recommendation-agent',
+  taskType: 'recommendation',
+  configSchema: {
+    type: 'object',
+    properties: {
+      options: {
+        type: 'object',
+        properties: {
+          model: { type: 'string', minLength: 1 }
+        }
+      },
+      default_recommendation_type: {
+        type: 'string',
+        enum: ['content_based', 'collaborative_filtering', 'hybrid', 'semantic']
+      },
+      max_recommendations: { type: 'integer', minimum: 1, maximum: 100 }
+    }
+  },
+  defaultConfig: {
+    default_recommendation_type: 'content_based',
+    max_recommendations: 20
+  },
+  metricTypes: ['response_time', 'success_rate']
+});
+
+agentRegistry.register('performance-monitor', {
+  description: 'Health checks, audits, load tests and anomaly detection across agents',
+  handler: 'performance-monitor',
+  taskType: 'performance_monitoring',
+  configSchema: {
+    type: 'object',
+    properties: {
+      options: { type: 'object' },
+      anomaly_sensitivity: { type: 'string', enum: ['low', 'medium', 'high'] }
+    }
+  },
+  defaultConfig: {
+    anomaly_sensitivity: 'medium'
+  },
+  metricTypes: ['response_time', 'success_rate']
+});
+
+module.exports = {
+  AgentRegistry,
+  agentRegistry,
+  TASK_TIMEOUT_SCHEMA,
+  CHUNK_TOKENS_SCHEMA,
+  EMOTIONS,
+  SENTIMENT_ENGINES
+};
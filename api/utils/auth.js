@@ -324,7 +324,7 @@ class AuthUtils {
         expiresAt.setHours(expiresAt.getHours() + 24); // Default 24 hours
     }
 
-    const { data, error } = await dbUtils.admin
+    const { error } = await dbUtils.admin
       .from('user_sessions')
       .insert([{
         id: sessionId,
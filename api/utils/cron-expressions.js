@@ -0,0 +1,194 @@
+// Fields of a five-field cron expression, in order, with their value ranges
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { name: 'weekday', min: 0, max: 6, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+/**
+ * Cron expression matching for schedules.
+ *
+ * Expressions are checked with node-cron's validate() first, this only parses
+ * them into the set of values each field allows, matches times against them
+ * in a time zone and finds the next time they run. Matching follows
+ * node-cron's rules so schedules keep their run times: day and weekday must
+ * both match, weekday 7 is Sunday, month and weekday names may be short or
+ * full, and a step keeps the values of its range divisible by it.
+ */
+class CronExpressions {
+  constructor() {
+    this.parsed = new Map();
+    this.formatters = new Map();
+  }
+
+  /**
+   * Parse an expression into { minute, hour, day, month, weekday } value sets
+   */
+  parse(expression) {
+    const key = expression.trim();
+    if (this.parsed.has(key)) {
+      return this.parsed.get(key);
+    }
+
+    const parts = key.split(/\s+/);
+    if (parts.length !== CRON_FIELDS.length) {
+      throw new Error(`Cron expression must have ${CRON_FIELDS.length} fields: ${expression}`);
+    }
+
+    const fields = {};
+    CRON_FIELDS.forEach((field, index) => {
+      fields[field.name] = this.parseField(parts[index], field);
+    });
+
+    this.parsed.set(key, fields);
+    return fields;
+  }
+
+  parseField(text, field) {
+    const [base, step] = text.toLowerCase().split('/');
+    const values = new Set();
+
+    for (const item of base.split(',')) {
+      const [from, to = from] = item === '*'
+        ? [field.min, field.max]
+        : item.split('-').map(value => this.parseValue(value, field));
+
+      for (let value = Math.min(from, to); value <= Math.max(from, to); value++) {
+        values.add(field.name === 'weekday' && value === 7 ? 0 : value);
+      }
+    }
+
+    if (step === undefined) {
+      return values;
+    }
+
+    const divisor = parseInt(step, 10);
+    return new Set(Array.from(values).filter(value => value % divisor === 0));
+  }
+
+  parseValue(value, field) {
+    const named = field.names ? field.names.findIndex(name => value.startsWith(name)) : -1;
+    if (named !== -1) {
+      return named + (field.name === 'month' ? 1 : 0);
+    }
+
+    return parseInt(value, 10);
+  }
+
+  /**
+   * Whether a time falls in a minute the expression runs at, in a time zone
+   */
+  matches(expression, date, timezone = 'UTC') {
+    const fields = this.parse(expression);
+    const local = this.getLocalTime(date, timezone);
+
+    return fields.minute.has(local.minute) &&
+      fields.hour.has(local.hour) &&
+      fields.day.has(local.day) &&
+      fields.month.has(local.month) &&
+      fields.weekday.has(local.weekday);
+  }
+
+  /**
+   * First minute after `after` the expression runs at in a time zone, null
+   * if there is none within `years`. Days that don't match are skipped whole,
+   * so rare expressions such as a leap day cost a few thousand date checks.
+   */
+  getNextRun(expression, timezone, after, { years = 28 } = {}) {
+    const fields = this.parse(expression);
+    const hours = Array.from(fields.hour).sort((a, b) => a - b);
+    const minutes = Array.from(fields.minute).sort((a, b) => a - b);
+    const start = Math.floor(after.getTime() / 60000) * 60000 + 60000;
+    const local = this.getLocalTime(new Date(start), timezone);
+
+    for (let offset = 0; offset <= years * 366; offset++) {
+      const day = Date.UTC(local.year, local.month - 1, local.day + offset);
+      const date = new Date(day);
+
+      if (!fields.month.has(date.getUTCMonth() + 1) || !fields.day.has(date.getUTCDate()) || !fields.weekday.has(date.getUTCDay())) {
+        continue;
+      }
+
+      // Off daylight saving changes every wall clock time is one instant
+      const utcOffset = this.getOffset(day - 50400000, timezone);
+      const steady = utcOffset === this.getOffset(day + 136800000, timezone);
+
+      for (const hour of hours) {
+        for (const minute of minutes) {
+          const wall = day + hour * 3600000 + minute * 60000;
+          const times = steady ? [wall - utcOffset] : this.getTimesAt(wall, timezone);
+          const run = times.find(time => time >= start);
+
+          if (run !== undefined) {
+            return new Date(run);
+          }
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Times at which a time zone's clocks show a wall clock time (given as if
+   * it were UTC): none in a daylight saving gap, two when the clocks go back
+   */
+  getTimesAt(wall, timezone) {
+    const offsets = new Set([this.getOffset(wall - 43200000, timezone), this.getOffset(wall + 43200000, timezone)]);
+
+    return Array.from(offsets)
+      .map(offset => wall - offset)
+      .filter(time => this.getOffset(time, timezone) === wall - time)
+      .sort((a, b) => a - b);
+  }
+
+  /**
+   * Difference between a time zone's wall clock and UTC at a time, in ms
+   */
+  getOffset(time, timezone) {
+    const local = this.getLocalTime(new Date(time), timezone);
+    return Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute) - Math.floor(time / 60000) * 60000;
+  }
+
+  /**
+   * Wall clock fields of a time in a time zone
+   */
+  getLocalTime(date, timezone) {
+    if (!this.formatters.has(timezone)) {
+      this.formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        hourCycle: 'h23'
+      }));
+    }
+
+    const parts = {};
+    for (const { type, value } of this.formatters.get(timezone).formatToParts(date)) {
+      parts[type] = parseInt(value, 10);
+    }
+
+    return {
+      year: parts.year,
+      month: parts.month,
+      day: parts.day,
+      hour: parts.hour,
+      minute: parts.minute,
+      weekday: new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay()
+    };
+  }
+}
+
+// Export singleton instance
+const cronExpressions = new CronExpressions();
+
+module.exports = {
+  CronExpressions,
+  cronExpressions,
+  CRON_FIELDS
+};
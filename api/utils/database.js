@@ -95,6 +95,7 @@ class DatabaseUtils {
       .select('*')
       .eq('type', agentType)
       .eq('tenant_id', tenantId)
+      .is('deleted_at', null)
       .single();
 
     if (error && error.code !== 'PGRST116') { // Not found error
@@ -259,6 +260,10 @@ class DatabaseUtils {
       query = query.eq('task_type', filters.task_type);
     }
 
+    if (filters.schedule_id) {
+      query = query.eq('schedule_id', filters.schedule_id);
+    }
+
     if (filters.start_time) {
       query = query.gte('created_at', filters.start_time);
     }
@@ -335,7 +340,8 @@ class DatabaseUtils {
       const { data: agents } = await this.admin
         .from('agents')
         .select('id, status, type')
-        .eq('tenant_id', tenantId);
+        .eq('tenant_id', tenantId)
+        .is('deleted_at', null);
 
       // Get task counts
       const { data: tasks } = await this.admin
@@ -389,7 +395,7 @@ class DatabaseUtils {
    */
   async healthCheck() {
     try {
-      const { data, error } = await this.admin
+      const { error } = await this.admin
         .from('tenants')
         .select('count')
         .limit(1);
@@ -409,39 +415,40 @@ class DatabaseUtils {
   }
 
   /**
-   * Clean up old data
+   * Clean up old data, only a tenant's own data when tenantId is given
    */
-  async cleanupOldData(retentionDays = 30) {
+  async cleanupOldData(retentionDays = 30, { tenantId = null } = {}) {
     const cutoffDate = new Date(Date.now() - (retentionDays * 24 * 60 * 60 * 1000));
+    const forTenant = query => (tenantId ? query.eq('tenant_id', tenantId) : query);
 
     try {
       // Clean up old metrics
-      const { error: metricsError } = await this.admin
+      const { error: metricsError } = await forTenant(this.admin
         .from('agent_metrics')
         .delete()
-        .lt('timestamp', cutoffDate.toISOString());
+        .lt('timestamp', cutoffDate.toISOString()));
 
       if (metricsError) {
         console.error('Error cleaning up metrics:', metricsError);
       }
 
       // Clean up old logs (keep errors longer)
-      const { error: logsError } = await this.admin
+      const { error: logsError } = await forTenant(this.admin
         .from('agent_logs')
         .delete()
         .lt('timestamp', cutoffDate.toISOString())
-        .neq('level', 'error');
+        .neq('level', 'error'));
 
       if (logsError) {
         console.error('Error cleaning up logs:', logsError);
       }
 
       // Clean up old completed tasks
-      const { error: tasksError } = await this.admin
+      const { error: tasksError } = await forTenant(this.admin
         .from('agent_tasks')
         .delete()
         .lt('created_at', cutoffDate.toISOString())
-        .eq('status', 'completed');
+        .eq('status', 'completed'));
 
       if (tasksError) {
         console.error('Error cleaning up tasks:', tasksError);
@@ -449,7 +456,8 @@ class DatabaseUtils {
 
       return {
         success: true,
-        cleaned_before: cutoffDate.toISOString()
+        cleaned_before: cutoffDate.toISOString(),
+        errors: [metricsError, logsError, tasksError].filter(Boolean).map(error => error.message)
       };
     } catch (error) {
       console.error('Error in cleanup:', error);
@@ -472,6 +480,13 @@ class DatabaseUtils {
     }
   }
 
+  /**
+   * Quote a value for use inside a PostgREST or() or not.in filter
+   */
+  quoteFilterValue(value) {
+    return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+  }
+
   calculatePerformanceStats(metrics) {
     if (!metrics.length) {
       return {
@@ -0,0 +1,220 @@
+const { dbUtils } = require('./database');
+const { agentRegistry } = require('./agent-registry');
+const { eventBus } = require('./event-bus');
+
+// Deployment pipeline stages, in the order an agent moves through them
+const DEPLOYMENT_STAGES = ['deploying', 'validating', 'warming', 'active'];
+
+/**
+ * Agent deployment pipeline for FMAA ecosystem
+ */
+class DeploymentUtils {
+  constructor() {
+    this.client = dbUtils.admin;
+    this.healthCheckTimeout = parseInt(process.env.AGENT_HEALTH_CHECK_TIMEOUT_MS) || 10000;
+    this.warmupAttempts = parseInt(process.env.AGENT_WARMUP_ATTEMPTS) || 3;
+    this.warmupDelay = 1000; // 1 second between health check attempts
+  }
+
+  /**
+   * Run the full deployment pipeline for an agent.
+   * Resolves with the final status, it never throws.
+   */
+  async deploy(agent) {
+    const startTime = Date.now();
+    const steps = [];
+
+    try {
+      await this.transition(agent, 'deploying', `Deployment of agent ${agent.name} started`);
+      steps.push({ stage: 'deploying', success: true });
+
+      await this.transition(agent, 'validating', 'Validating agent configuration');
+      const validationErrors = agentRegistry.validateConfig(agent.type, agent.config);
+      if (validationErrors.length > 0) {
+        steps.push({ stage: 'validating', success: false, errors: validationErrors });
+        return await this.fail(agent, steps, startTime, 'Configuration validation failed', { errors: validationErrors });
+      }
+      steps.push({ stage: 'validating', success: true });
+
+      await this.transition(agent, 'warming', `Waiting for health check at ${agent.health_check_url}`);
+      const healthCheck = await this.waitForHealthy(agent);
+      steps.push({ stage: 'warming', success: healthCheck.healthy, health_check: healthCheck });
+
+      if (!healthCheck.healthy) {
+        return await this.fail(agent, steps, startTime, 'Health check did not pass', { health_check: healthCheck });
+      }
+
+      await this.transition(agent, 'active', `Agent ${agent.name} deployed successfully`, {
+        health_check: healthCheck,
+        duration_ms: Date.now() - startTime
+      }, { last_health_check: healthCheck.checked_at });
+
+      return {
+        status: 'active',
+        duration_ms: Date.now() - startTime,
+        steps
+      };
+    } catch (error) {
+      console.error(`Failed to deploy agent ${agent.id}:`, error);
+      steps.push({ stage: 'error', success: false, error: error.message });
+      return await this.fail(agent, steps, startTime, `Deployment error: ${error.message}`);
+    }
+  }
+
+  /**
+   * Poll the agent health check until it passes or attempts run out
+   */
+  async waitForHealthy(agent) {
+    let lastResult = null;
+
+    for (let attempt = 1; attempt <= this.warmupAttempts; attempt++) {
+      lastResult = await this.checkHealth(agent.health_check_url, agentRegistry.get(agent.type).healthCheck.timeout);
+      lastResult.attempt = attempt;
+
+      if (lastResult.healthy) {
+        return lastResult;
+      }
+
+      if (attempt < this.warmupAttempts) {
+        await new Promise(resolve => setTimeout(resolve, this.warmupDelay));
+      }
+    }
+
+    return lastResult;
+  }
+
+  /**
+   * Call a health check endpoint once. Pass a task's signal to stop the
+   * request when the task is cancelled or times out, the check then
+   * rejects with the signal's reason instead of reporting the agent unhealthy.
+   */
+  async checkHealth(healthCheckUrl, timeout = this.healthCheckTimeout, { signal = null } = {}) {
+    const url = this.resolveUrl(healthCheckUrl);
+    const startTime = Date.now();
+    const timeoutSignal = AbortSignal.timeout(timeout);
+
+    try {
+      const response = await fetch(url, {
+        method: 'GET',
+        signal: signal ? AbortSignal.any([signal, timeoutSignal]) : timeoutSignal
+      });
+
+      let body = null;
+      try {
+        body = await response.json();
+      } catch (parseError) {
+        body = null;
+      }
+
+      return {
+        healthy: response.ok,
+        url,
+        status_code: response.status,
+        response_time: Date.now() - startTime,
+        details: body,
+        checked_at: new Date().toISOString()
+      };
+    } catch (error) {
+      if (signal && signal.aborted) {
+        throw signal.reason;
+      }
+
+      return {
+        healthy: false,
+        url,
+        response_time: Date.now() - startTime,
+        error: timeoutSignal.aborted
+          ? `Health check timed out after ${timeout}ms`
+          : error.message,
+        checked_at: new Date().toISOString()
+      };
+    }
+  }
+
+  /**
+   * Turn a relative agent path into an absolute URL
+   */
+  resolveUrl(path) {
+    if (/^https?:\/\//.test(path)) {
+      return path;
+    }
+
+    let baseUrl = process.env.AGENT_BASE_URL;
+    if (!baseUrl) {
+      baseUrl = process.env.VERCEL_URL
+        ? `https://${process.env.VERCEL_URL}`
+        : 'http://localhost:3000';
+    }
+
+    return `${baseUrl.replace(/\/$/, '')}${path}`;
+  }
+
+  /**
+   * Persist a status change and record it in agent_logs
+   */
+  async transition(agent, status, message, context = {}, extraFields = {}) {
+    const previousStatus = agent.status;
+    const { error } = await this.client
+      .from('agents')
+      .update({ status, ...extraFields })
+      .eq('id', agent.id);
+
+    if (error) {
+      throw error;
+    }
+
+    agent.status = status;
+
+    await this.log(agent, status === 'error' ? 'error' : 'info', message, {
+      stage: status,
+      ...context
+    });
+
+    if (previousStatus !== status) {
+      await eventBus.publish(agent.tenant_id, 'agent.status_changed', eventBus.buildAgentEvent(agent, previousStatus, message), { source: 'deployment' });
+    }
+  }
+
+  async fail(agent, steps, startTime, message, context = {}) {
+    try {
+      await this.transition(agent, 'error', message, {
+        ...context,
+        duration_ms: Date.now() - startTime
+      });
+    } catch (error) {
+      console.error(`Failed to record deployment error for agent ${agent.id}:`, error);
+    }
+
+    return {
+      status: 'error',
+      error: message,
+      duration_ms: Date.now() - startTime,
+      steps
+    };
+  }
+
+  async log(agent, level, message, context = {}) {
+    const { error } = await this.client
+      .from('agent_logs')
+      .insert([{
+        agent_id: agent.id,
+        tenant_id: agent.tenant_id,
+        level,
+        message,
+        context
+      }]);
+
+    if (error) {
+      console.error('Failed to write deployment log:', error);
+    }
+  }
+}
+
+// Export singleton instance
+const deploymentUtils = new DeploymentUtils();
+
+module.exports = {
+  DeploymentUtils,
+  deploymentUtils,
+  DEPLOYMENT_STAGES
+};
@@ -0,0 +1,386 @@
+const crypto = require('crypto');
+const { dbUtils } = require('./database');
+const { retryUtils, DEFAULT_RETRY_POLICY } = require('./retry');
+const { webhookUtils, WEBHOOK_EVENTS } = require('./webhooks');
+
+// Events published on the bus, publishing any other type throws
+const EVENT_TYPES = [
+  'agent.created',
+  'agent.updated',
+  'agent.status_changed',
+  'agent.purged',
+  'task.completed',
+  'task.failed',
+  'anomaly.detected'
+];
+
+// Subscribers that failed are retried by the task worker
+const EVENT_RETRY_POLICY = {
+  ...DEFAULT_RETRY_POLICY,
+  max_attempts: 5,
+  initial_delay_ms: 10000,
+  max_delay_ms: 600000
+};
+
+/**
+ * Outbox kept in memory, for tests and local runs (EVENT_BUS_BACKEND=memory)
+ */
+class MemoryOutbox {
+  constructor() {
+    this.events = new Map();
+  }
+
+  async append(record) {
+    this.events.set(record.id, { ...record });
+    return { ...record };
+  }
+
+  async update(eventId, fields) {
+    const record = this.events.get(eventId);
+    if (!record) {
+      return null;
+    }
+
+    Object.assign(record, fields);
+    return { ...record };
+  }
+
+  async claimDue(now, lockUntil, limit) {
+    const due = Array.from(this.events.values())
+      .filter(record => record.status === 'pending' && record.next_attempt_at <= now)
+      .sort((a, b) => a.next_attempt_at.localeCompare(b.next_attempt_at))
+      .slice(0, limit);
+
+    return due.map(record => {
+      record.next_attempt_at = lockUntil;
+      return { ...record };
+    });
+  }
+}
+
+/**
+ * Outbox stored in the event_outbox table
+ */
+class SupabaseOutbox {
+  constructor(client) {
+    this.client = client;
+  }
+
+  async append(record) {
+    const { data, error } = await this.client
+      .from('event_outbox')
+      .insert([record])
+      .select()
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    return data;
+  }
+
+  async update(eventId, fields) {
+    const { data, error } = await this.client
+      .from('event_outbox')
+      .update(fields)
+      .eq('id', eventId)
+      .select()
+      .single();
+
+    if (error && error.code !== 'PGRST116') { // Not found error
+      throw error;
+    }
+
+    return data;
+  }
+
+  /**
+   * Claim due events by pushing their next attempt to lockUntil,
+   * so overlapping workers dispatch each one once
+   */
+  async claimDue(now, lockUntil, limit) {
+    const { data: events, error } = await this.client
+      .from('event_outbox')
+      .select('*')
+      .eq('status', 'pending')
+      .lte('next_attempt_at', now)
+      .order('next_attempt_at', { ascending: true })
+      .limit(limit);
+
+    if (error) {
+      throw error;
+    }
+
+    const claimed = [];
+
+    for (const event of events) {
+      const { data } = await this.client
+        .from('event_outbox')
+        .update({ next_attempt_at: lockUntil })
+        .eq('id', event.id)
+        .eq('status', 'pending')
+        .eq('next_attempt_at', event.next_attempt_at)
+        .select()
+        .single();
+
+      if (data) {
+        claimed.push(data);
+      }
+    }
+
+    return claimed;
+  }
+}
+
+/**
+ * In-process publish/subscribe event bus for FMAA ecosystem.
+ *
+ * Every published event is written to the outbox first, then handed to the
+ * subscribers of its type in this process. Events whose subscribers failed,
+ * or that never got dispatched because the function was frozen, stay pending
+ * and are dispatched again by the task worker, to the failed subscribers only.
+ * Subscribers may therefore see an event more than once and should use
+ * event.id to drop duplicates.
+ */
+class EventBus {
+  constructor(outbox) {
+    this.outbox = outbox;
+    this.subscribers = [];
+    this.lockTimeout = 60000; // an event claimed longer than this is dispatched again
+  }
+
+  /**
+   * Call handler(event) for events of the given types, '*' for every type.
+   * Subscriber names must be unique, they are how retries find a subscriber.
+   * Returns a function that removes the subscription.
+   */
+  subscribe(types, handler, { name }) {
+    if (!name) {
+      throw new Error('Subscriber name is required');
+    }
+
+    if (this.subscribers.some(subscriber => subscriber.name === name)) {
+      throw new Error(`Subscriber ${name} is already registered`);
+    }
+
+    const subscriber = { name, types: [].concat(types), handler };
+    this.subscribers.push(subscriber);
+
+    return () => {
+      this.subscribers = this.subscribers.filter(entry => entry !== subscriber);
+    };
+  }
+
+  /**
+   * Store an event in the outbox and dispatch it to its subscribers.
+   * Never throws for a failed write or subscriber, publishing must not
+   * fail the operation that raised the event.
+   */
+  async publish(tenantId, type, data, { source = null } = {}) {
+    if (!EVENT_TYPES.includes(type)) {
+      throw new Error(`Unknown event type: ${type}`);
+    }
+
+    const now = new Date();
+    const event = {
+      id: `evt_${crypto.randomUUID().replace(/-/g, '')}`,
+      type,
+      tenant_id: tenantId,
+      source,
+      data,
+      created_at: now.toISOString()
+    };
+
+    let stored = null;
+    try {
+      // Claimed by this publish until dispatched, the worker only
+      // picks it up if this process never records the outcome
+      stored = await this.outbox.append({
+        ...event,
+        status: 'pending',
+        attempt_count: 0,
+        failed_subscribers: null,
+        next_attempt_at: new Date(now.getTime() + this.lockTimeout).toISOString()
+      });
+    } catch (error) {
+      console.error(`Failed to store ${type} event:`, error);
+    }
+
+    const failures = await this.dispatch(event, this.getSubscribers(type));
+
+    if (stored) {
+      await this.recordDispatch(stored, failures);
+    }
+
+    return event;
+  }
+
+  /**
+   * Dispatch outbox events that are due, from a crashed publish or a retry.
+   * Events claimed but not dispatched by the deadline are picked up again
+   * once their lock expires.
+   */
+  async dispatchPending({ limit = 100, deadline = null } = {}) {
+    const now = new Date();
+    const events = await this.outbox.claimDue(
+      now.toISOString(),
+      new Date(now.getTime() + this.lockTimeout).toISOString(),
+      limit
+    );
+
+    const results = [];
+
+    for (const event of events) {
+      if (deadline && Date.now() >= deadline) {
+        break;
+      }
+
+      const subscribers = this.getSubscribers(event.type)
+        .filter(subscriber => !event.failed_subscribers || event.failed_subscribers.includes(subscriber.name));
+      const failures = await this.dispatch(this.toEvent(event), subscribers);
+
+      results.push(await this.recordDispatch(event, failures));
+    }
+
+    return {
+      dispatched: results.filter(event => event.status === 'dispatched').length,
+      retrying: results.filter(event => event.status === 'pending').length,
+      failed: results.filter(event => event.status === 'failed').length
+    };
+  }
+
+  getSubscribers(type) {
+    return this.subscribers.filter(subscriber => subscriber.types.includes(type) || subscriber.types.includes('*'));
+  }
+
+  /**
+   * Run every subscriber, returning the ones that threw
+   */
+  async dispatch(event, subscribers) {
+    const results = await Promise.allSettled(subscribers.map(async subscriber => subscriber.handler(event)));
+    const failures = [];
+
+    results.forEach((result, index) => {
+      if (result.status === 'rejected') {
+        console.error(`Event subscriber ${subscribers[index].name} failed on ${event.type}:`, result.reason);
+        failures.push({ subscriber: subscribers[index].name, error: result.reason });
+      }
+    });
+
+    return failures;
+  }
+
+  /**
+   * Mark an event dispatched, or schedule another attempt for its failed subscribers
+   */
+  async recordDispatch(record, failures) {
+    const attempt = (record.attempt_count || 0) + 1;
+    const now = new Date();
+
+    if (failures.length === 0) {
+      return await this.updateRecord(record, {
+        status: 'dispatched',
+        attempt_count: attempt,
+        failed_subscribers: null,
+        last_error: null,
+        next_attempt_at: null,
+        dispatched_at: now.toISOString()
+      });
+    }
+
+    const retry = attempt < EVENT_RETRY_POLICY.max_attempts;
+
+    return await this.updateRecord(record, {
+      status: retry ? 'pending' : 'failed',
+      attempt_count: attempt,
+      failed_subscribers: failures.map(failure => failure.subscriber),
+      last_error: failures.map(failure => `${failure.subscriber}: ${failure.error.message}`).join('; '),
+      next_attempt_at: retry
+        ? new Date(now.getTime() + retryUtils.getDelay(EVENT_RETRY_POLICY, attempt)).toISOString()
+        : null
+    });
+  }
+
+  async updateRecord(record, fields) {
+    try {
+      return await this.outbox.update(record.id, fields) || { ...record, ...fields };
+    } catch (error) {
+      console.error(`Failed to record dispatch of event ${record.id}:`, error);
+      return { ...record, ...fields };
+    }
+  }
+
+  /**
+   * Event as handed to subscribers, without the outbox bookkeeping
+   */
+  toEvent(record) {
+    const { id, type, tenant_id, source, data, created_at } = record;
+    return { id, type, tenant_id, source, data, created_at };
+  }
+
+  /**
+   * Payload of task.completed and task.failed. Synchronous requests pass
+   * the result and metadata they respond with, queued tasks get metadata
+   * worked out from the task row.
+   */
+  buildTaskEvent(task, { result, metadata } = {}) {
+    const input = task.input_data || {};
+
+    return {
+      task_id: task.id,
+      agent_id: task.agent_id,
+      task_type: task.task_type,
+      status: task.status,
+      result: result !== undefined ? result : task.output_data || null,
+      error: task.error_message || null,
+      metadata: metadata || {
+        response_time_ms: task.started_at && task.completed_at
+          ? new Date(task.completed_at).getTime() - new Date(task.started_at).getTime()
+          : null,
+        task_id: task.id,
+        agent_version: input.agent_version || null,
+        rollout_variant: input.rollout_variant || null,
+        attempt_count: task.attempt_count || 0,
+        schedule_id: task.schedule_id || null,
+        workflow_run_id: task.workflow_run_id || null,
+        timestamp: new Date().toISOString()
+      }
+    };
+  }
+
+  /**
+   * Payload of the agent.* events
+   */
+  buildAgentEvent(agent, previousStatus, message) {
+    return {
+      agent_id: agent.id,
+      name: agent.name,
+      type: agent.type,
+      version: agent.version,
+      previous_status: previousStatus,
+      status: agent.status,
+      message,
+      timestamp: new Date().toISOString()
+    };
+  }
+}
+
+// Export singleton instance
+const eventBus = new EventBus(process.env.EVENT_BUS_BACKEND === 'memory'
+  ? new MemoryOutbox()
+  : new SupabaseOutbox(dbUtils.admin));
+
+// Built-in subscribers, webhooks throw on a failed write so the event is retried
+eventBus.subscribe(WEBHOOK_EVENTS, event => webhookUtils.enqueue(event.tenant_id, event.type, event.data, { eventId: event.id }), {
+  name: 'webhooks'
+});
+
+module.exports = {
+  EventBus,
+  MemoryOutbox,
+  SupabaseOutbox,
+  eventBus,
+  EVENT_TYPES,
+  EVENT_RETRY_POLICY
+};
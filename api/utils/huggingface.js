@@ -4,7 +4,8 @@
 class HuggingFaceUtils {
   constructor() {
     this.apiKey = process.env.HUGGINGFACE_API_KEY;
-    this.baseUrl = 'https://api-inference.huggingface.co';
+    // Overridable so tests can point it at a stubbed inference backend
+    this.baseUrl = process.env.HUGGINGFACE_API_URL || 'https://api-inference.huggingface.co';
     this.defaultTimeout = 30000; // 30 seconds
     
     if (!this.apiKey) {
@@ -13,11 +14,14 @@ class HuggingFaceUtils {
   }
 
   /**
-   * Make a request to Hugging Face API
+   * Make a request to Hugging Face API.
+   * options.signal cancels the request, the timeout aborts it so the
+   * underlying connection is closed rather than left running.
    */
   async makeRequest(endpoint, data, options = {}) {
     const url = `${this.baseUrl}${endpoint}`;
     const timeout = options.timeout || this.defaultTimeout;
+    const timeoutSignal = AbortSignal.timeout(timeout);
     
     const requestOptions = {
       method: 'POST',
@@ -26,29 +30,29 @@ class HuggingFaceUtils {
         'Content-Type': 'application/json',
         ...options.headers
       },
-      body: JSON.stringify(data)
+      body: JSON.stringify(data),
+      signal: options.signal ? AbortSignal.any([options.signal, timeoutSignal]) : timeoutSignal
     };
 
     try {
-      // Create timeout promise
-      const timeoutPromise = new Promise((_, reject) => {
-        setTimeout(() => reject(new Error('Request timeout')), timeout);
-      });
-
-      // Make the request
-      const fetchPromise = fetch(url, requestOptions);
-      const response = await Promise.race([fetchPromise, timeoutPromise]);
+      const response = await fetch(url, requestOptions);
 
       if (!response.ok) {
         const errorText = await response.text();
-        throw new Error(`HTTP ${response.status}: ${errorText}`);
+        throw Object.assign(new Error(`HTTP ${response.status}: ${errorText}`), { status: response.status });
       }
 
       const result = await response.json();
       return result;
     } catch (error) {
+      // Cancellation by the caller is passed on as is
+      if (options.signal && options.signal.aborted) {
+        throw options.signal.reason;
+      }
+
+      const message = timeoutSignal.aborted ? `Request timeout after ${timeout}ms` : error.message;
       console.error(`Hugging Face API error for ${endpoint}:`, error);
-      throw new Error(`Hugging Face API request failed: ${error.message}`);
+      throw new Error(`Hugging Face API request failed: ${message}`, { cause: error });
     }
   }
 
@@ -71,7 +75,33 @@ class HuggingFaceUtils {
       const result = await this.makeRequest(endpoint, data, options);
       return this.normalizeSentimentResult(result, model);
     } catch (error) {
-      throw new Error(`Sentiment analysis failed: ${error.message}`);
+      throw new Error(`Sentiment analysis failed: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Emotion Classification, scores for every label of the model
+   */
+  async analyzeEmotions(text, options = {}) {
+    const model = options.model || 'j-hartmann/emotion-english-distilroberta-base';
+    const endpoint = `/models/${model}`;
+
+    const data = {
+      inputs: text,
+      parameters: {
+        top_k: null
+      },
+      options: {
+        wait_for_model: true,
+        use_cache: options.use_cache !== false
+      }
+    };
+
+    try {
+      const result = await this.makeRequest(endpoint, data, options);
+      return this.normalizeEmotionResult(result, model);
+    } catch (error) {
+      throw new Error(`Emotion analysis failed: ${error.message}`, { cause: error });
     }
   }
 
@@ -85,7 +115,8 @@ class HuggingFaceUtils {
     const data = {
       inputs: text,
       parameters: {
-        candidate_labels: options.labels || ['positive', 'negative', 'neutral']
+        candidate_labels: options.labels || ['positive', 'negative', 'neutral'],
+        ...(options.hypothesis_template && { hypothesis_template: options.hypothesis_template })
       },
       options: {
         wait_for_model: true,
@@ -97,7 +128,7 @@ class HuggingFaceUtils {
       const result = await this.makeRequest(endpoint, data, options);
       return this.normalizeClassificationResult(result, model);
     } catch (error) {
-      throw new Error(`Text classification failed: ${error.message}`);
+      throw new Error(`Text classification failed: ${error.message}`, { cause: error });
     }
   }
 
@@ -123,7 +154,7 @@ class HuggingFaceUtils {
       const result = await this.makeRequest(endpoint, data, options);
       return this.normalizeSimilarityResult(result, model, sourceText, targetTexts);
     } catch (error) {
-      throw new Error(`Similarity calculation failed: ${error.message}`);
+      throw new Error(`Similarity calculation failed: ${error.message}`, { cause: error });
     }
   }
 
@@ -153,7 +184,7 @@ class HuggingFaceUtils {
       const result = await this.makeRequest(endpoint, data, options);
       return this.normalizeGenerationResult(result, model, prompt);
     } catch (error) {
-      throw new Error(`Text generation failed: ${error.message}`);
+      throw new Error(`Text generation failed: ${error.message}`, { cause: error });
     }
   }
 
@@ -179,7 +210,7 @@ class HuggingFaceUtils {
       const result = await this.makeRequest(endpoint, data, options);
       return this.normalizeQAResult(result, model, question, context);
     } catch (error) {
-      throw new Error(`Question answering failed: ${error.message}`);
+      throw new Error(`Question answering failed: ${error.message}`, { cause: error });
     }
   }
 
@@ -202,7 +233,7 @@ class HuggingFaceUtils {
       const result = await this.makeRequest(endpoint, data, options);
       return this.normalizeNERResult(result, model, text);
     } catch (error) {
-      throw new Error(`Named entity recognition failed: ${error.message}`);
+      throw new Error(`Named entity recognition failed: ${error.message}`, { cause: error });
     }
   }
 
@@ -230,7 +261,7 @@ class HuggingFaceUtils {
       const result = await this.makeRequest(endpoint, data, options);
       return this.normalizeSummarizationResult(result, model, text);
     } catch (error) {
-      throw new Error(`Text summarization failed: ${error.message}`);
+      throw new Error(`Text summarization failed: ${error.message}`, { cause: error });
     }
   }
 
@@ -253,7 +284,7 @@ class HuggingFaceUtils {
       const result = await this.makeRequest(endpoint, data, options);
       return this.normalizeLanguageDetectionResult(result, model, text);
     } catch (error) {
-      throw new Error(`Language detection failed: ${error.message}`);
+      throw new Error(`Language detection failed: ${error.message}`, { cause: error });
     }
   }
 
@@ -278,7 +309,7 @@ class HuggingFaceUtils {
       const result = await this.makeRequest(endpoint, data, options);
       return this.normalizeEmbeddingResult(result, model, inputs);
     } catch (error) {
-      throw new Error(`Embedding generation failed: ${error.message}`);
+      throw new Error(`Embedding generation failed: ${error.message}`, { cause: error });
     }
   }
 
@@ -312,14 +343,20 @@ class HuggingFaceUtils {
   }
 
   /**
-   * Batch Processing
+   * Batch Processing.
+   * Runs at most batchSize requests at a time, results are in request order.
+   * options.signal stops the batch before the next group of requests.
    */
   async processBatch(requests, options = {}) {
     const batchSize = options.batchSize || 5;
-    const delay = options.delay || 1000; // 1 second delay between batches
+    const delay = options.delay ?? 1000; // 1 second delay between batches
     const results = [];
 
     for (let i = 0; i < requests.length; i += batchSize) {
+      if (options.signal && options.signal.aborted) {
+        throw options.signal.reason;
+      }
+
       const batch = requests.slice(i, i + batchSize);
       
       const batchPromises = batch.map(async (request) => {
@@ -327,7 +364,7 @@ class HuggingFaceUtils {
           const result = await this[request.method](...request.args);
           return { success: true, result, request };
         } catch (error) {
-          return { success: false, error: error.message, request };
+          return { success: false, error: error.message, cause: error, request };
         }
       });
 
@@ -335,7 +372,7 @@ class HuggingFaceUtils {
       results.push(...batchResults);
 
       // Add delay between batches to avoid rate limiting
-      if (i + batchSize < requests.length) {
+      if (delay > 0 && i + batchSize < requests.length) {
         await new Promise(resolve => setTimeout(resolve, delay));
       }
     }
@@ -347,13 +384,18 @@ class HuggingFaceUtils {
    * Result normalization functions
    */
   normalizeSentimentResult(result, model) {
+    // Single inputs come back as [[{ label, score }, ...]] or [{ label, score }, ...],
+    // the top scoring label is the sentiment
+    const predictions = Array.isArray(result) && Array.isArray(result[0]) ? result[0] : result;
     let sentimentData;
-    
-    if (Array.isArray(result) && result.length > 0) {
-      sentimentData = result[0];
-    } else if (result.label && result.score) {
+
+    if (Array.isArray(predictions) && predictions.length > 0) {
+      sentimentData = predictions.reduce((top, prediction) => prediction.score > top.score ? prediction : top);
+    } else if (result && result.label && result.score) {
       sentimentData = result;
-    } else {
+    }
+
+    if (!sentimentData || typeof sentimentData.label !== 'string' || typeof sentimentData.score !== 'number') {
       throw new Error('Unexpected sentiment analysis result format');
     }
 
@@ -367,6 +409,23 @@ class HuggingFaceUtils {
     };
   }
 
+  normalizeEmotionResult(result, model) {
+    // Single inputs come back as [[{ label, score }]] or [{ label, score }]
+    const predictions = Array.isArray(result) && Array.isArray(result[0]) ? result[0] : result;
+
+    if (!Array.isArray(predictions) || predictions.length === 0) {
+      throw new Error('Unexpected emotion analysis result format');
+    }
+
+    return {
+      predictions: predictions
+        .map(prediction => ({ label: prediction.label.toLowerCase(), score: prediction.score }))
+        .sort((a, b) => b.score - a.score),
+      model_used: model,
+      timestamp: new Date().toISOString()
+    };
+  }
+
   normalizeClassificationResult(result, model) {
     return {
       labels: result.labels || [],
@@ -453,7 +512,10 @@ class HuggingFaceUtils {
   }
 
   normalizeLanguageDetectionResult(result, model, text) {
-    const predictions = Array.isArray(result) ? result : [result];
+    // Single inputs come back as [[{ label, score }]] or [{ label, score }]
+    const predictions = (Array.isArray(result) && Array.isArray(result[0]) ? result[0] : [].concat(result))
+      .slice()
+      .sort((a, b) => b.score - a.score);
     
     return {
       text,
@@ -505,6 +567,10 @@ class HuggingFaceUtils {
         'nlptown/bert-base-multilingual-uncased-sentiment',
         'cardiffnlp/twitter-roberta-base-sentiment'
       ],
+      emotion_classification: [
+        'j-hartmann/emotion-english-distilroberta-base',
+        'SamLowe/roberta-base-go_emotions'
+      ],
       text_classification: [
         'facebook/bart-large-mnli',
         'microsoft/DialoGPT-medium',
@@ -0,0 +1,267 @@
+const crypto = require('crypto');
+const { dbUtils } = require('./database');
+
+// Postgres unique violation
+const UNIQUE_VIOLATION = '23505';
+
+/**
+ * Idempotency-Key support for agent POST endpoints in FMAA ecosystem.
+ * The first request with a key runs and its response is stored, repeats
+ * with the same body get the stored response, repeats with a different
+ * body get a 409 and repeats arriving mid-run wait for the original.
+ */
+class IdempotencyUtils {
+  constructor() {
+    this.client = dbUtils.admin;
+    this.ttlHours = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24;
+    this.lockTimeout = 60000; // a run holding a key longer than this is presumed dead
+    this.pollInterval = 500;
+    this.maxWait = 25000; // stay inside the 30s function limit
+  }
+
+  /**
+   * Run `handler` at most once per key.
+   * Requests without Idempotency-Key fall back to their taskId, if any.
+   */
+  async handle(req, res, tenantId, scope, handler) {
+    const key = req.headers['idempotency-key'] || (req.body && req.body.taskId ? `task:${req.body.taskId}` : null);
+
+    if (!key) {
+      return handler();
+    }
+
+    const requestHash = this.hashRequest(req.body);
+    let record = await this.acquire(tenantId, scope, key, requestHash);
+
+    if (!record.acquired) {
+      if (record.request_hash !== requestHash) {
+        return res.status(409).json({
+          error: 'Idempotency key conflict',
+          message: 'This idempotency key was already used with a different request body'
+        });
+      }
+
+      record = await this.waitForCompletion(record, requestHash);
+
+      if (record.status === 'completed') {
+        res.setHeader('Idempotent-Replayed', 'true');
+        return res.status(record.response_status).json(record.response_body);
+      }
+
+      if (!record.acquired) {
+        res.setHeader('Retry-After', String(Math.ceil(this.pollInterval / 1000)));
+        return res.status(409).json({
+          error: 'Request in progress',
+          message: 'A request with this idempotency key is still being processed, retry later'
+        });
+      }
+    }
+
+    const captured = this.captureResponse(res);
+
+    try {
+      const result = await handler();
+
+      // Server errors are not stored so the client can retry with the same key
+      if (captured.status >= 500) {
+        await this.release(record);
+      } else {
+        await this.complete(record, captured);
+      }
+
+      return result;
+    } catch (error) {
+      await this.release(record);
+      throw error;
+    }
+  }
+
+  /**
+   * Claim a key. Returns the stored record with acquired: true when this
+   * request now owns it, or the existing record when another request does.
+   */
+  async acquire(tenantId, scope, key, requestHash) {
+    const now = new Date();
+
+    const { data, error } = await this.client
+      .from('idempotency_keys')
+      .insert([{
+        tenant_id: tenantId,
+        scope,
+        key,
+        request_hash: requestHash,
+        status: 'in_progress',
+        locked_until: new Date(now.getTime() + this.lockTimeout).toISOString(),
+        expires_at: new Date(now.getTime() + this.ttlHours * 3600000).toISOString(),
+        created_at: now.toISOString()
+      }])
+      .select()
+      .single();
+
+    if (!error) {
+      return { ...data, acquired: true };
+    }
+
+    if (error.code !== UNIQUE_VIOLATION) {
+      throw error;
+    }
+
+    const existing = await this.getRecord(tenantId, scope, key);
+
+    if (!existing) {
+      // Released between our insert and read, try once more
+      return await this.acquire(tenantId, scope, key, requestHash);
+    }
+
+    // An expired key is free to be used for a new request
+    if (new Date(existing.expires_at) <= now) {
+      await this.client.from('idempotency_keys').delete().eq('id', existing.id);
+      return await this.acquire(tenantId, scope, key, requestHash);
+    }
+
+    return { ...existing, acquired: false };
+  }
+
+  /**
+   * Wait for the request holding a key to finish.
+   * Takes the key over when the holder's lock has expired.
+   */
+  async waitForCompletion(record, requestHash) {
+    const deadline = Date.now() + this.maxWait;
+    let current = record;
+
+    while (current.status === 'in_progress') {
+      if (new Date(current.locked_until) <= new Date()) {
+        const takenOver = await this.takeOver(current, requestHash);
+        if (takenOver) {
+          return takenOver;
+        }
+      }
+
+      if (Date.now() >= deadline) {
+        return current;
+      }
+
+      await new Promise(resolve => setTimeout(resolve, this.pollInterval));
+
+      const refreshed = await this.getRecord(current.tenant_id, current.scope, current.key);
+      if (!refreshed) {
+        // The holder failed and released the key, run this request instead
+        return await this.acquire(current.tenant_id, current.scope, current.key, requestHash);
+      }
+      current = { ...refreshed, acquired: false };
+    }
+
+    return current;
+  }
+
+  async takeOver(record, requestHash) {
+    const { data } = await this.client
+      .from('idempotency_keys')
+      .update({
+        request_hash: requestHash,
+        locked_until: new Date(Date.now() + this.lockTimeout).toISOString()
+      })
+      .eq('id', record.id)
+      .eq('status', 'in_progress')
+      .eq('locked_until', record.locked_until)
+      .select()
+      .single();
+
+    return data ? { ...data, acquired: true } : null;
+  }
+
+  async getRecord(tenantId, scope, key) {
+    const { data, error } = await this.client
+      .from('idempotency_keys')
+      .select('*')
+      .eq('tenant_id', tenantId)
+      .eq('scope', scope)
+      .eq('key', key)
+      .single();
+
+    if (error && error.code !== 'PGRST116') { // Not found error
+      throw error;
+    }
+
+    return data;
+  }
+
+  async complete(record, captured) {
+    const { error } = await this.client
+      .from('idempotency_keys')
+      .update({
+        status: 'completed',
+        response_status: captured.status,
+        response_body: captured.body === undefined ? null : captured.body,
+        locked_until: null,
+        completed_at: new Date().toISOString()
+      })
+      .eq('id', record.id);
+
+    if (error) {
+      console.error('Failed to store idempotent response:', error);
+    }
+  }
+
+  async release(record) {
+    const { error } = await this.client
+      .from('idempotency_keys')
+      .delete()
+      .eq('id', record.id)
+      .eq('status', 'in_progress');
+
+    if (error) {
+      console.error('Failed to release idempotency key:', error);
+    }
+  }
+
+  /**
+   * Record what the handler sends while still sending it
+   */
+  captureResponse(res) {
+    const captured = { status: 200, body: undefined };
+    const status = res.status.bind(res);
+    const json = res.json.bind(res);
+
+    res.status = code => {
+      captured.status = code;
+      status(code);
+      return res;
+    };
+
+    res.json = body => {
+      captured.body = body;
+      return json(body);
+    };
+
+    return captured;
+  }
+
+  /**
+   * Hash a request body independent of key order
+   */
+  hashRequest(body) {
+    return crypto.createHash('sha256').update(this.stableStringify(body === undefined ? null : body)).digest('hex');
+  }
+
+  stableStringify(value) {
+    if (Array.isArray(value)) {
+      return `[${value.map(item => this.stableStringify(item)).join(',')}]`;
+    }
+
+    if (value !== null && typeof value === 'object') {
+      return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${this.stableStringify(value[key])}`).join(',')}}`;
+    }
+
+    return JSON.stringify(value);
+  }
+}
+
+// Export singleton instance
+const idempotencyUtils = new IdempotencyUtils();
+
+module.exports = {
+  IdempotencyUtils,
+  idempotencyUtils
+};
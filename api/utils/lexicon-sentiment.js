@@ -0,0 +1,192 @@
+// Word valences from -4 (most negative) to 4 (most positive)
+const LEXICON = {
+  // Positive
+  good: 1.9, great: 3.1, excellent: 3.2, amazing: 2.8, awesome: 3.1, fantastic: 3.3, wonderful: 2.7,
+  brilliant: 2.8, perfect: 2.7, outstanding: 3.0, superb: 3.1, incredible: 2.7, nice: 1.8, fine: 0.8,
+  love: 3.2, loved: 2.9, loves: 2.7, lovely: 2.8, like: 1.5, liked: 1.8, likes: 1.5, enjoy: 2.2, enjoyed: 2.3,
+  happy: 2.7, glad: 2.0, pleased: 1.9, satisfied: 1.8, delighted: 2.9, impressed: 2.1, recommend: 1.5,
+  recommended: 1.6, best: 3.2, better: 1.9, beautiful: 2.9, fast: 1.0, quick: 1.0, easy: 1.9, helpful: 1.9,
+  friendly: 2.2, reliable: 1.9, smooth: 1.4, comfortable: 1.6, worth: 0.9, thanks: 1.9, thank: 1.5,
+  useful: 1.9, fun: 2.3, cool: 1.3, solid: 1.2, clean: 1.7, fresh: 1.3, favorite: 2.0, win: 2.8, works: 0.9,
+  resolved: 1.5, fixed: 1.1, wow: 2.8, yay: 2.4, ok: 0.9, okay: 0.9, positive: 2.6, success: 2.7,
+  successful: 2.8, affordable: 1.5, cheap: 0.3, polite: 1.6, professional: 1.3, responsive: 1.4,
+  // Negative
+  bad: -2.5, terrible: -2.8, awful: -3.1, horrible: -2.5, worst: -3.1, worse: -2.1, poor: -2.1, hate: -2.7,
+  hated: -3.2, hates: -1.9, dislike: -1.6, disappointed: -1.9, disappointing: -2.2, disappointment: -2.3,
+  angry: -2.3, annoyed: -1.6, annoying: -1.7, frustrated: -1.9, frustrating: -1.9, sad: -2.1, unhappy: -1.8,
+  broken: -1.6, broke: -1.8, useless: -1.8, waste: -1.8, wasted: -2.2, slow: -1.0, late: -0.9, delayed: -1.3,
+  damaged: -1.9, defective: -1.9, faulty: -1.8, fail: -2.5, failed: -2.3, fails: -1.8, failure: -2.3,
+  problem: -1.7, problems: -1.7, issue: -0.9, issues: -0.9, bug: -1.4, bugs: -1.4, error: -1.7, crash: -2.0,
+  crashes: -2.0, refund: -0.8, rude: -2.0, unhelpful: -1.9, expensive: -0.9, overpriced: -1.6, scam: -2.9,
+  fraud: -2.8, ugly: -2.3, boring: -1.3, difficult: -1.3, hard: -0.4, confusing: -1.3, wrong: -2.1,
+  missing: -1.2, lost: -1.3, never: -0.5, complaint: -1.5, unacceptable: -2.0, disgusting: -2.4, sucks: -1.5,
+  negative: -2.7, cancel: -1.0, cancelled: -1.0, unreliable: -1.8, noisy: -1.1, dirty: -1.9, sorry: -0.3
+};
+
+// Emoji and emoticon valences
+const EMOJI = {
+  '😀': 2.2, '😃': 2.3, '😄': 2.4, '😁': 2.2, '😊': 2.3, '🙂': 1.2, '😍': 3.0, '🥰': 3.0, '😘': 2.3,
+  '😂': 1.5, '🤣': 1.6, '👍': 1.9, '👏': 1.9, '🎉': 2.3, '❤️': 3.0, '❤': 3.0, '💯': 2.0, '🔥': 1.5, '✨': 1.3,
+  '🙁': -1.6, '☹️': -1.9, '😞': -2.0, '😢': -2.1, '😭': -2.3, '😠': -2.5, '😡': -2.9, '🤬': -3.2, '😤': -1.7,
+  '👎': -1.9, '💔': -2.6, '🤮': -2.8, '😒': -1.4, '🙄': -1.3, '😩': -1.9, '😫': -1.9,
+  ':)': 1.9, ':-)': 1.9, ':D': 2.3, ':-D': 2.3, ';)': 1.6, ':(': -1.9, ':-(': -1.9, ":'(": -2.2
+};
+
+// Intensifiers add to, dampeners take from the valence of the word after them
+const BOOSTERS = {
+  very: 0.293, really: 0.293, extremely: 0.293, absolutely: 0.293, so: 0.293, incredibly: 0.293,
+  totally: 0.293, super: 0.293, highly: 0.293, completely: 0.293, especially: 0.293, truly: 0.293,
+  slightly: -0.293, somewhat: -0.293, kinda: -0.293, fairly: -0.293, mildly: -0.293, partly: -0.293
+};
+
+const NEGATIONS = new Set([
+  'not', 'no', 'never', 'none', 'nobody', 'nothing', 'neither', 'nor', 'nowhere', 'cannot', 'without',
+  'hardly', 'barely'
+]);
+
+// Scales the valence of a negated word, flipping and softening it
+const NEGATION_SCALAR = -0.74;
+
+// Added to the valence of a word in capitals when the rest of the text is not
+const CAPS_EMPHASIS = 0.733;
+
+// Added to the total per exclamation mark, up to MAX_EXCLAMATIONS of them
+const EXCLAMATION_EMPHASIS = 0.292;
+const MAX_EXCLAMATIONS = 4;
+
+// Normalizes the summed valence into a compound score in (-1, 1)
+const NORMALIZATION_ALPHA = 15;
+
+// Compound scores closer to zero than this are neutral
+const NEUTRAL_THRESHOLD = 0.05;
+
+const TOKEN_PATTERN = /:'\(|[:;]-?[()DP]|[\p{L}\p{N}]+(?:['’][\p{L}]+)*|\p{Extended_Pictographic}\uFE0F?/gu;
+
+/**
+ * Offline lexicon and rule based sentiment engine for FMAA ecosystem.
+ * No network calls and deterministic, it backs the sentiment agent when
+ * the Hugging Face inference API is not configured or not reachable.
+ * Handles negation, intensifiers, capitals, exclamation marks, "but"
+ * and emoji in the style of VADER.
+ */
+class LexiconSentimentUtils {
+  /**
+   * Score a text. Returns the sentiment agent's result envelope.
+   */
+  analyze(text) {
+    const tokens = text.match(TOKEN_PATTERN) || [];
+    const lowerTokens = tokens.map(token => token.toLowerCase().replace(/’/g, "'"));
+    const shouting = this.isShouting(tokens);
+    const butIndex = lowerTokens.lastIndexOf('but');
+    const valences = [];
+
+    tokens.forEach((token, index) => {
+      let valence = this.getValence(token, lowerTokens[index]);
+      if (valence === null) {
+        return;
+      }
+
+      // Emoji and emoticons keep their valence, words are modified by the
+      // three words before them, further words counting a little less
+      if (/\p{L}{2}/u.test(token)) {
+        const sign = Math.sign(valence);
+
+        for (let distance = 1; distance <= 3 && index - distance >= 0; distance++) {
+          const boost = BOOSTERS[lowerTokens[index - distance]];
+          if (boost) {
+            valence += sign * boost * (1 - 0.05 * (distance - 1));
+          }
+        }
+
+        if (!shouting && token === token.toUpperCase()) {
+          valence += sign * CAPS_EMPHASIS;
+        }
+
+        if (lowerTokens.slice(Math.max(0, index - 3), index).some(word => this.isNegation(word))) {
+          valence *= NEGATION_SCALAR;
+        }
+      }
+
+      // What follows "but" outweighs what precedes it
+      if (butIndex >= 0) {
+        valence *= index < butIndex ? 0.5 : 1.5;
+      }
+
+      valences.push(valence);
+    });
+
+    let total = valences.reduce((sum, valence) => sum + valence, 0);
+    const exclamations = Math.min((text.match(/!/g) || []).length, MAX_EXCLAMATIONS);
+    total += Math.sign(total) * exclamations * EXCLAMATION_EMPHASIS;
+
+    const compound = total / Math.sqrt(total * total + NORMALIZATION_ALPHA);
+
+    let label = 'neutral';
+    if (compound >= NEUTRAL_THRESHOLD) {
+      label = 'positive';
+    } else if (compound <= -NEUTRAL_THRESHOLD) {
+      label = 'negative';
+    }
+
+    const score = label === 'neutral' ? 1 - Math.abs(compound) : (1 + Math.abs(compound)) / 2;
+
+    return {
+      label,
+      score,
+      confidence: score,
+      raw_result: {
+        compound,
+        ...this.getProportions(valences, tokens.length)
+      },
+      model_used: 'lexicon',
+      engine_used: 'lexicon',
+      analysis_timestamp: new Date().toISOString()
+    };
+  }
+
+  getValence(token, lower) {
+    // Emoji may carry a trailing variation selector
+    const emoji = EMOJI[token] !== undefined ? EMOJI[token] : EMOJI[token.replace(/\uFE0F$/, '')];
+    if (emoji !== undefined) {
+      return emoji;
+    }
+
+    return LEXICON[lower] !== undefined ? LEXICON[lower] : null;
+  }
+
+  isNegation(word) {
+    return NEGATIONS.has(word) || word.endsWith("n't");
+  }
+
+  /**
+   * Capitals only add emphasis when some of the text is lowercase
+   */
+  isShouting(tokens) {
+    const words = tokens.filter(token => /\p{L}/u.test(token));
+    return words.length > 0 && words.every(word => word === word.toUpperCase());
+  }
+
+  /**
+   * Shares of positive, negative and neutral tokens
+   */
+  getProportions(valences, tokenCount) {
+    if (tokenCount === 0) {
+      return { positive: 0, negative: 0, neutral: 1 };
+    }
+
+    const positive = valences.filter(valence => valence > 0).length / tokenCount;
+    const negative = valences.filter(valence => valence < 0).length / tokenCount;
+
+    return { positive, negative, neutral: 1 - positive - negative };
+  }
+}
+
+// Export singleton instance
+const lexiconSentimentUtils = new LexiconSentimentUtils();
+
+module.exports = {
+  LexiconSentimentUtils,
+  lexiconSentimentUtils,
+  LEXICON,
+  EMOJI
+};
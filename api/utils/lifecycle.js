@@ -0,0 +1,149 @@
+const { dbUtils } = require('./database');
+const { deploymentUtils } = require('./deployment');
+
+// Lifecycle actions and the agent statuses each one may start from
+const LIFECYCLE_ACTIONS = {
+  pause: ['active', 'draining'],
+  resume: ['paused', 'draining'],
+  drain: ['active', 'draining'],
+  restart: ['active', 'paused', 'draining', 'error']
+};
+
+// Statuses in which an agent refuses new tasks
+const UNAVAILABLE_STATUSES = ['paused', 'draining', 'deleted'];
+
+/**
+ * Agent lifecycle operations for FMAA ecosystem
+ */
+class LifecycleUtils {
+  constructor() {
+    this.client = dbUtils.admin;
+    this.drainPollInterval = 1000; // 1 second
+    this.maxDrainTimeout = 25000; // stay inside the 30s function limit
+  }
+
+  /**
+   * Check whether an agent may accept new tasks.
+   * Returns null when available, otherwise the error to send with a 503.
+   */
+  checkAvailability(agent) {
+    if (!agent || !UNAVAILABLE_STATUSES.includes(agent.status)) {
+      return null;
+    }
+
+    return {
+      error: 'Agent unavailable',
+      message: `Agent ${agent.name} is ${agent.status} and not accepting new tasks`,
+      status: agent.status
+    };
+  }
+
+  /**
+   * Apply a lifecycle action to an agent
+   */
+  async apply(agent, action, options = {}) {
+    const allowedFrom = LIFECYCLE_ACTIONS[action];
+
+    if (!allowedFrom) {
+      const error = new Error(`Unsupported lifecycle action: ${action}. Supported actions: ${Object.keys(LIFECYCLE_ACTIONS).join(', ')}`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    if (!allowedFrom.includes(agent.status)) {
+      const error = new Error(`Cannot ${action} agent in status ${agent.status}. Allowed from: ${allowedFrom.join(', ')}`);
+      error.statusCode = 409;
+      throw error;
+    }
+
+    const previousStatus = agent.status;
+
+    switch (action) {
+      case 'pause':
+        await deploymentUtils.transition(agent, 'paused', `Agent ${agent.name} paused`, {
+          action, previous_status: previousStatus
+        });
+        return { action, status: 'paused', previous_status: previousStatus };
+
+      case 'resume':
+        await deploymentUtils.transition(agent, 'active', `Agent ${agent.name} resumed`, {
+          action, previous_status: previousStatus
+        });
+        return { action, status: 'active', previous_status: previousStatus };
+
+      case 'drain':
+        return await this.drain(agent, previousStatus, options);
+
+      case 'restart': {
+        await deploymentUtils.log(agent, 'info', `Agent ${agent.name} restart requested`, {
+          action, previous_status: previousStatus
+        });
+        const deployment = await deploymentUtils.deploy(agent);
+        return { action, status: deployment.status, previous_status: previousStatus, deployment };
+      }
+    }
+  }
+
+  /**
+   * Stop accepting tasks and wait for in-flight ones to finish.
+   * Once drained the agent is left paused. With { wait: false } the
+   * in-flight tasks are only counted, call drain again to finish.
+   */
+  async drain(agent, previousStatus, options = {}) {
+    const timeout = options.wait === false
+      ? 0
+      : Math.min(parseInt(options.timeout_ms) || 20000, this.maxDrainTimeout);
+    const deadline = Date.now() + timeout;
+
+    if (agent.status !== 'draining') {
+      await deploymentUtils.transition(agent, 'draining', `Agent ${agent.name} draining`, {
+        action: 'drain', previous_status: previousStatus
+      });
+    }
+
+    let inFlight = await this.countInFlightTasks(agent.id);
+    while (inFlight > 0 && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, this.drainPollInterval));
+      inFlight = await this.countInFlightTasks(agent.id);
+    }
+
+    if (inFlight > 0) {
+      await deploymentUtils.log(agent, 'info', `Agent ${agent.name} still draining`, {
+        action: 'drain', in_flight_tasks: inFlight
+      });
+      return { action: 'drain', status: 'draining', previous_status: previousStatus, drained: false, in_flight_tasks: inFlight };
+    }
+
+    await deploymentUtils.transition(agent, 'paused', `Agent ${agent.name} drained`, {
+      action: 'drain', previous_status: previousStatus
+    });
+
+    return { action: 'drain', status: 'paused', previous_status: previousStatus, drained: true, in_flight_tasks: 0 };
+  }
+
+  /**
+   * Count pending and running tasks for an agent
+   */
+  async countInFlightTasks(agentId) {
+    const { count, error } = await this.client
+      .from('agent_tasks')
+      .select('id', { count: 'exact', head: true })
+      .eq('agent_id', agentId)
+      .in('status', ['pending', 'running']);
+
+    if (error) {
+      throw error;
+    }
+
+    return count || 0;
+  }
+}
+
+// Export singleton instance
+const lifecycleUtils = new LifecycleUtils();
+
+module.exports = {
+  LifecycleUtils,
+  lifecycleUtils,
+  LIFECYCLE_ACTIONS
+};
@@ -0,0 +1,135 @@
+// Retry policy an agent may set under config.retry_policy
+const RETRY_POLICY_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    max_attempts: { type: 'integer', minimum: 1, maximum: 10 },
+    initial_delay_ms: { type: 'integer', minimum: 0, maximum: 3600000 },
+    max_delay_ms: { type: 'integer', minimum: 0, maximum: 86400000 },
+    multiplier: { type: 'number', minimum: 1, maximum: 10 },
+    jitter: { type: 'number', minimum: 0, maximum: 1 },
+    retryable_status_codes: {
+      type: 'array',
+      items: { type: 'integer', minimum: 100, maximum: 599 }
+    },
+    retry_network_errors: { type: 'boolean' }
+  }
+};
+
+// Used for any field an agent's retry_policy leaves out
+const DEFAULT_RETRY_POLICY = {
+  max_attempts: 3,
+  initial_delay_ms: 2000,
+  max_delay_ms: 300000,
+  multiplier: 2,
+  jitter: 0.5, // delays are randomized down to half their nominal value
+  retryable_status_codes: [408, 429, 500, 502, 503, 504],
+  retry_network_errors: true
+};
+
+// Error codes Node reports when a request never got a response
+const NETWORK_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN', 'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_SOCKET'];
+
+/**
+ * Task retry policies for FMAA ecosystem.
+ * Errors carry the upstream HTTP status as error.status, either directly
+ * or on an error further down the error.cause chain.
+ */
+class RetryUtils {
+  /**
+   * Resolve an agent's retry policy over the defaults
+   */
+  getPolicy(agent) {
+    return { ...DEFAULT_RETRY_POLICY, ...(agent?.config?.retry_policy || {}) };
+  }
+
+  /**
+   * Whether an error is worth another attempt under a policy
+   */
+  isRetryable(error, policy = DEFAULT_RETRY_POLICY) {
+    for (let current = error; current; current = current.cause) {
+      if (typeof current.retryable === 'boolean') {
+        return current.retryable;
+      }
+
+      if (current.status) {
+        return policy.retryable_status_codes.includes(current.status);
+      }
+
+      if (this.isNetworkError(current)) {
+        return policy.retry_network_errors;
+      }
+    }
+
+    return false;
+  }
+
+  isNetworkError(error) {
+    return error.name === 'AbortError' ||
+      error.name === 'TimeoutError' ||
+      NETWORK_ERROR_CODES.includes(error.code) ||
+      (error.name === 'TypeError' && /fetch failed/i.test(error.message));
+  }
+
+  /**
+   * Upstream HTTP status of an error, if it has one
+   */
+  getStatusCode(error) {
+    for (let current = error; current; current = current.cause) {
+      if (current.status) {
+        return current.status;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Delay before the attempt after `attempt`, exponential with jitter.
+   * A Retry-After sent by the upstream service is used as the minimum.
+   */
+  getDelay(policy, attempt, error = null) {
+    const nominal = Math.min(
+      policy.initial_delay_ms * Math.pow(policy.multiplier, attempt - 1),
+      policy.max_delay_ms
+    );
+    const delay = Math.round(nominal * (1 - policy.jitter * Math.random()));
+
+    let retryAfter = 0;
+    for (let current = error; current; current = current.cause) {
+      if (current.retryAfter) {
+        retryAfter = current.retryAfter;
+        break;
+      }
+    }
+
+    return Math.max(delay, retryAfter);
+  }
+
+  /**
+   * Parse a Retry-After header into milliseconds
+   */
+  parseRetryAfter(header) {
+    if (!header) {
+      return 0;
+    }
+
+    const seconds = Number(header);
+    if (!Number.isNaN(seconds)) {
+      return seconds * 1000;
+    }
+
+    const date = Date.parse(header);
+    return Number.isNaN(date) ? 0 : Math.max(date - Date.now(), 0);
+  }
+}
+
+// Export singleton instance
+const retryUtils = new RetryUtils();
+
+module.exports = {
+  RetryUtils,
+  retryUtils,
+  RETRY_POLICY_SCHEMA,
+  DEFAULT_RETRY_POLICY
+};
@@ -0,0 +1,460 @@
+const crypto = require('crypto');
+const { dbUtils } = require('./database');
+const { versioningUtils } = require('./versioning');
+const { eventBus } = require('./event-bus');
+
+// Rollout strategies
+const ROLLOUT_STRATEGIES = ['canary', 'blue_green'];
+
+// Traffic percentages a canary moves through before it is promoted
+const DEFAULT_CANARY_STEPS = [10, 25, 50, 100];
+
+// Thresholds a candidate version must stay within
+const DEFAULT_CRITERIA = {
+  min_requests: 20, // candidate samples needed before a decision
+  max_error_rate_increase: 5, // percentage points over stable
+  max_latency_ratio: 1.5, // candidate avg latency / stable avg latency
+  baseline_window_minutes: 60 // blue/green compares against stable traffic before the switch
+};
+
+// Option keys that pick a model, e.g. model, emotion_model, language_models
+const MODEL_OPTION = /(^|_)models?$/;
+
+/**
+ * Canary and blue/green rollouts of agent config versions for FMAA ecosystem.
+ * While a rollout runs the agent serves two live versions, the stable one
+ * stored on the agent and a candidate stored on the rollout. Versioned agent
+ * fields are frozen until it completes, so the candidate version stays unique.
+ *
+ * Rollout updates are conditional on the status and step they were decided
+ * on, of two concurrent evaluations only the first one advances, promotes or
+ * rolls back.
+ */
+class RolloutUtils {
+  constructor() {
+    this.client = dbUtils.admin;
+  }
+
+  /**
+   * Start rolling a new config out to an agent
+   */
+  async startRollout(agent, { config, strategy = 'canary', steps, criteria = {}, author = null, message = null }) {
+    const rolloutSteps = strategy === 'blue_green'
+      ? [100]
+      : (steps && steps.length > 0 ? steps : DEFAULT_CANARY_STEPS);
+    const now = new Date().toISOString();
+
+    const { data, error } = await this.client
+      .from('agent_rollouts')
+      .insert([{
+        agent_id: agent.id,
+        tenant_id: agent.tenant_id,
+        strategy,
+        status: 'running',
+        stable_version: agent.version,
+        stable_config: agent.config,
+        candidate_version: versioningUtils.nextVersion(agent.version),
+        candidate_config: config,
+        steps: rolloutSteps,
+        step_index: 0,
+        traffic_percent: rolloutSteps[0],
+        criteria: { ...DEFAULT_CRITERIA, ...criteria },
+        last_evaluation: null,
+        author: author || 'anonymous',
+        message,
+        started_at: now,
+        step_started_at: now
+      }])
+      .select()
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    await this.log(data, 'info', `Rollout of version ${data.candidate_version} started`, {
+      strategy,
+      traffic_percent: data.traffic_percent
+    });
+
+    return data;
+  }
+
+  /**
+   * Get the running rollout for an agent, if any
+   */
+  async getActiveRollout(agentId) {
+    const { data, error } = await this.client
+      .from('agent_rollouts')
+      .select('*')
+      .eq('agent_id', agentId)
+      .eq('status', 'running')
+      .order('started_at', { ascending: false })
+      .limit(1);
+
+    if (error) {
+      throw error;
+    }
+
+    return data[0] || null;
+  }
+
+  /**
+   * List rollouts for an agent, newest first
+   */
+  async listRollouts(agentId, tenantId, { limit = 20 } = {}) {
+    const { data, error } = await this.client
+      .from('agent_rollouts')
+      .select('*')
+      .eq('agent_id', agentId)
+      .eq('tenant_id', tenantId)
+      .order('started_at', { ascending: false })
+      .limit(limit);
+
+    if (error) {
+      throw error;
+    }
+
+    return data;
+  }
+
+  /**
+   * Pick the version that serves a request.
+   * Requests with the same routing key stay on the same version.
+   */
+  async route(agent, routingKey = null) {
+    const stable = { variant: 'stable', version: agent.version, config: agent.config || {}, rollout: null };
+
+    const rollout = await this.getActiveRollout(agent.id);
+    if (!rollout) {
+      return stable;
+    }
+
+    const bucket = routingKey
+      ? crypto.createHash('md5').update(`${rollout.id}:${routingKey}`).digest().readUInt32BE(0) % 100
+      : Math.floor(Math.random() * 100);
+
+    if (bucket < rollout.traffic_percent) {
+      return {
+        variant: 'candidate',
+        version: rollout.candidate_version,
+        config: rollout.candidate_config || {},
+        rollout
+      };
+    }
+
+    return { ...stable, rollout };
+  }
+
+  /**
+   * Merge request options over the routed version's config options.
+   * While a rollout runs the models come from the routed version only, a
+   * client pinning the stable model would skew the comparison.
+   */
+  routeOptions(route, options = {}) {
+    const requestOptions = route.rollout
+      ? Object.fromEntries(Object.entries(options).filter(([key]) => !MODEL_OPTION.test(key)))
+      : options;
+
+    return { ...(route.config.options || {}), ...requestOptions };
+  }
+
+  /**
+   * Compare candidate and stable metrics, then advance, promote or roll back.
+   * Does nothing until the candidate has min_requests samples in the current step.
+   */
+  async evaluate(rollout, agent) {
+    const criteria = { ...DEFAULT_CRITERIA, ...rollout.criteria };
+    const stepStart = rollout.step_started_at || rollout.started_at;
+
+    const candidate = await this.getVersionStats(rollout.agent_id, rollout.candidate_version, stepStart);
+
+    // Blue/green sends every request to the candidate, so stable is measured before the switch
+    const stable = rollout.strategy === 'blue_green'
+      ? await this.getVersionStats(
+        rollout.agent_id,
+        rollout.stable_version,
+        new Date(new Date(rollout.started_at).getTime() - criteria.baseline_window_minutes * 60000).toISOString(),
+        rollout.started_at
+      )
+      : await this.getVersionStats(rollout.agent_id, rollout.stable_version, stepStart);
+
+    const evaluation = {
+      evaluated_at: new Date().toISOString(),
+      traffic_percent: rollout.traffic_percent,
+      stable,
+      candidate,
+      failures: []
+    };
+
+    if (candidate.requests < criteria.min_requests) {
+      evaluation.decision = 'wait';
+      return await this.settleEvaluation(rollout, evaluation, await this.updateRollout(rollout, { last_evaluation: evaluation }));
+    }
+
+    if (candidate.error_rate - stable.error_rate > criteria.max_error_rate_increase) {
+      evaluation.failures.push(
+        `error rate ${candidate.error_rate.toFixed(2)}% exceeds stable ${stable.error_rate.toFixed(2)}% by more than ${criteria.max_error_rate_increase} points`
+      );
+    }
+
+    if (stable.avg_response_time > 0 && candidate.avg_response_time > stable.avg_response_time * criteria.max_latency_ratio) {
+      evaluation.failures.push(
+        `average latency ${Math.round(candidate.avg_response_time)}ms exceeds ${criteria.max_latency_ratio}x stable ${Math.round(stable.avg_response_time)}ms`
+      );
+    }
+
+    if (evaluation.failures.length > 0) {
+      evaluation.decision = 'rollback';
+      return await this.settleEvaluation(rollout, evaluation, await this.rollback(rollout, { evaluation }));
+    }
+
+    const nextStep = rollout.step_index + 1;
+    if (nextStep < rollout.steps.length) {
+      evaluation.decision = 'advance';
+      const advanced = await this.updateRollout(rollout, {
+        step_index: nextStep,
+        traffic_percent: rollout.steps[nextStep],
+        step_started_at: new Date().toISOString(),
+        last_evaluation: evaluation
+      });
+      if (!advanced) {
+        return await this.settleEvaluation(rollout, evaluation, null);
+      }
+      await this.log(rollout, 'info', `Rollout of version ${rollout.candidate_version} advanced to ${advanced.traffic_percent}% of traffic`, {
+        candidate, stable
+      });
+      return { rollout: advanced, evaluation };
+    }
+
+    evaluation.decision = 'promote';
+    return await this.settleEvaluation(rollout, evaluation, await this.promote(rollout, agent, { evaluation }));
+  }
+
+  /**
+   * Result of an evaluation. When another evaluation or a manual promote or
+   * rollback got to the rollout first, its current state is returned instead.
+   */
+  async settleEvaluation(rollout, evaluation, updated) {
+    if (updated) {
+      return { rollout: updated, evaluation };
+    }
+
+    return {
+      rollout: await this.getRollout(rollout.id),
+      evaluation: { ...evaluation, decision: 'superseded', superseded_decision: evaluation.decision }
+    };
+  }
+
+  /**
+   * Evaluate after a request the candidate served, so traffic drives the rollout.
+   * Never throws, a failed evaluation must not fail the request.
+   */
+  async evaluateRoute(route, agent) {
+    if (!route || route.variant !== 'candidate' || !route.rollout) {
+      return;
+    }
+
+    try {
+      await this.evaluate(route.rollout, agent);
+    } catch (error) {
+      console.error('Rollout evaluation failed:', error);
+    }
+  }
+
+  /**
+   * Evaluate after a queued task the candidate served. Only the rollout the
+   * task was routed to is evaluated, and only while it is still running.
+   */
+  async evaluateQueued(agent, agentVersion) {
+    try {
+      const rollout = await this.getActiveRollout(agent.id);
+      if (rollout && rollout.candidate_version === agentVersion) {
+        await this.evaluate(rollout, agent);
+      }
+    } catch (error) {
+      console.error('Rollout evaluation failed:', error);
+    }
+  }
+
+  /**
+   * Make the candidate the agent's stable version.
+   * Returns null when the rollout is no longer running.
+   */
+  async promote(rollout, agent, { evaluation = null, author = null } = {}) {
+    // Claim the rollout first, so a concurrent promote never writes the version twice
+    const completed = await this.updateRollout(rollout, {
+      status: 'promoted',
+      traffic_percent: 100,
+      completed_at: new Date().toISOString(),
+      ...(evaluation && { last_evaluation: evaluation })
+    });
+
+    if (!completed) {
+      return null;
+    }
+
+    const { data: promoted, error } = await this.client
+      .from('agents')
+      .update({
+        config: rollout.candidate_config,
+        version: rollout.candidate_version
+      })
+      .eq('id', rollout.agent_id)
+      .eq('version', rollout.stable_version)
+      .is('deleted_at', null)
+      .select()
+      .single();
+
+    if (error || !promoted) {
+      // Give the rollout back so it can be promoted or rolled back again
+      await this.client
+        .from('agent_rollouts')
+        .update({ status: 'running', traffic_percent: rollout.traffic_percent, completed_at: null })
+        .eq('id', rollout.id);
+
+      throw error && error.code !== 'PGRST116' // Not found error
+        ? error
+        : new Error(`Agent is no longer on version ${rollout.stable_version}, rollout cannot be promoted`);
+    }
+
+    const version = await versioningUtils.createVersion(promoted, {
+      author: author || rollout.author,
+      changeType: 'rollout',
+      previousSnapshot: versioningUtils.takeSnapshot(agent),
+      message: rollout.message || `Promoted ${rollout.strategy} rollout`
+    });
+
+    // Subscribers see every version change, like an update or a rollback
+    await eventBus.publish(promoted.tenant_id, 'agent.updated', {
+      ...eventBus.buildAgentEvent(promoted, agent.status, `Agent ${promoted.name} promoted to version ${promoted.version}`),
+      changes: version ? version.diff : []
+    }, { source: 'rollouts' });
+
+    await this.log(rollout, 'info', `Rollout of version ${rollout.candidate_version} promoted`, {
+      strategy: rollout.strategy
+    });
+
+    return completed;
+  }
+
+  /**
+   * Stop sending traffic to the candidate, the stable version is untouched.
+   * Returns null when the rollout is no longer running.
+   */
+  async rollback(rollout, { evaluation = null, reason = null } = {}) {
+    const completed = await this.updateRollout(rollout, {
+      status: 'rolled_back',
+      traffic_percent: 0,
+      completed_at: new Date().toISOString(),
+      ...(evaluation && { last_evaluation: evaluation })
+    });
+
+    if (!completed) {
+      return null;
+    }
+
+    await this.log(rollout, 'error', `Rollout of version ${rollout.candidate_version} rolled back`, {
+      reason: reason || (evaluation ? evaluation.failures.join('; ') : null)
+    });
+
+    return completed;
+  }
+
+  /**
+   * Request count, error rate and latency recorded for one agent version
+   */
+  async getVersionStats(agentId, version, since, until = null) {
+    let query = this.client
+      .from('agent_metrics')
+      .select('metric_type, metric_value')
+      .eq('agent_id', agentId)
+      .eq('agent_version', version)
+      .in('metric_type', ['response_time', 'success_rate'])
+      .gte('timestamp', since);
+
+    if (until) {
+      query = query.lt('timestamp', until);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      throw error;
+    }
+
+    const successes = data.filter(m => m.metric_type === 'success_rate');
+    const latencies = data.filter(m => m.metric_type === 'response_time');
+
+    return {
+      version,
+      requests: successes.length,
+      error_rate: successes.length > 0
+        ? 100 - successes.reduce((sum, m) => sum + m.metric_value, 0) / successes.length
+        : 0,
+      avg_response_time: latencies.length > 0
+        ? latencies.reduce((sum, m) => sum + m.metric_value, 0) / latencies.length
+        : 0
+    };
+  }
+
+  async getRollout(rolloutId) {
+    const { data, error } = await this.client
+      .from('agent_rollouts')
+      .select('*')
+      .eq('id', rolloutId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') { // Not found error
+      throw error;
+    }
+
+    return data;
+  }
+
+  /**
+   * Update a running rollout if it is still on the step it was read at.
+   * Returns null when it has since moved on.
+   */
+  async updateRollout(rollout, updates) {
+    const { data, error } = await this.client
+      .from('agent_rollouts')
+      .update(updates)
+      .eq('id', rollout.id)
+      .eq('status', 'running')
+      .eq('step_index', rollout.step_index)
+      .select()
+      .single();
+
+    if (error && error.code !== 'PGRST116') { // Not found error
+      throw error;
+    }
+
+    return data;
+  }
+
+  async log(rollout, level, message, context = {}) {
+    const { error } = await this.client
+      .from('agent_logs')
+      .insert([{
+        agent_id: rollout.agent_id,
+        tenant_id: rollout.tenant_id,
+        level,
+        message,
+        context: { rollout_id: rollout.id, ...context }
+      }]);
+
+    if (error) {
+      console.error('Failed to write rollout log:', error);
+    }
+  }
+}
+
+// Export singleton instance
+const rolloutUtils = new RolloutUtils();
+
+module.exports = {
+  RolloutUtils,
+  rolloutUtils,
+  ROLLOUT_STRATEGIES
+};
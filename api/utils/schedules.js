@@ -0,0 +1,430 @@
+const cron = require('node-cron');
+const { v4: uuidv4 } = require('uuid');
+const { dbUtils } = require('./database');
+const { agentRegistry, TASK_TIMEOUT_SCHEMA } = require('./agent-registry');
+const { validationUtils } = require('./validation');
+const { lifecycleUtils } = require('./lifecycle');
+const { taskQueueUtils, TASK_PRIORITIES } = require('./task-queue');
+const { cronExpressions } = require('./cron-expressions');
+
+// What a schedule runs
+const SCHEDULE_JOB_TYPES = ['agent_task', 'data_cleanup'];
+
+// What happens to runs that were due while the scheduler was not running:
+// skip drops them, run_once runs the latest one, run_all runs each of them
+const MISSED_RUN_POLICIES = ['skip', 'run_once', 'run_all'];
+
+// Schedule definition accepted by the schedules API
+const SCHEDULE_SCHEMA = {
+  type: 'object',
+  required: ['name', 'cron', 'job'],
+  additionalProperties: false,
+  properties: {
+    name: { type: 'string', minLength: 1, maxLength: 100 },
+    description: { type: 'string', maxLength: 500 },
+    cron: { type: 'string', minLength: 1 },
+    timezone: { type: 'string' },
+    enabled: { type: 'boolean' },
+    missed_runs: { type: 'string', enum: MISSED_RUN_POLICIES },
+    job: {
+      type: 'object',
+      required: ['type'],
+      additionalProperties: false,
+      properties: {
+        type: { type: 'string', enum: SCHEDULE_JOB_TYPES },
+        agent_id: { type: 'string' },
+        input: { type: 'object' },
+        priority: { type: 'string', enum: Object.keys(TASK_PRIORITIES) },
+        timeout_ms: TASK_TIMEOUT_SCHEMA,
+        retention_days: { type: 'integer', minimum: 1, maximum: 365 }
+      }
+    }
+  }
+};
+
+/**
+ * Scheduled and recurring jobs for FMAA ecosystem.
+ *
+ * Schedules live in agent_schedules with a cron expression (five fields,
+ * minute resolution) and the time of their next run. The scheduler route is
+ * called every minute by Vercel cron and starts every schedule that is due.
+ * Each run is recorded in agent_tasks with the schedule's ID: agent jobs are
+ * queued for the task worker, data cleanup runs right away.
+ */
+class ScheduleUtils {
+  constructor() {
+    this.client = dbUtils.admin;
+    this.missedRunGrace = 120000; // runs started this late still count as on time
+    this.catchUpWindow = 7 * 24 * 3600000; // missed runs older than this are not looked at
+    this.maxCatchUpRuns = 10;
+    this.searchYears = 28; // dates fall on the same weekdays again after 28 years
+    this.maxSchedulesPerRun = 50;
+  }
+
+  /**
+   * Validate a schedule definition for a tenant, returns [{ path, message }]
+   */
+  async validateSchedule(schedule, tenantId) {
+    const errors = validationUtils.validate(schedule, SCHEDULE_SCHEMA);
+    if (errors.length > 0) {
+      return errors;
+    }
+
+    if (schedule.cron.trim().split(/\s+/).length !== 5 || !cron.validate(schedule.cron)) {
+      errors.push({ path: 'cron', message: 'must be a cron expression with five fields (minute hour day month weekday)' });
+    }
+
+    if (schedule.timezone !== undefined && !this.isValidTimezone(schedule.timezone)) {
+      errors.push({ path: 'timezone', message: 'must be an IANA time zone such as Europe/Berlin' });
+    }
+
+    const { job } = schedule;
+
+    if (job.type === 'agent_task') {
+      if (!job.agent_id) {
+        errors.push({ path: 'job.agent_id', message: 'is required' });
+      } else if (!(await this.findAgent(job.agent_id, tenantId))) {
+        errors.push({ path: 'job.agent_id', message: 'must be an agent of this tenant' });
+      }
+
+      if (job.retention_days !== undefined) {
+        errors.push({ path: 'job.retention_days', message: 'is only allowed for data_cleanup jobs' });
+      }
+    } else {
+      for (const field of ['agent_id', 'input', 'priority', 'timeout_ms']) {
+        if (job[field] !== undefined) {
+          errors.push({ path: `job.${field}`, message: 'is only allowed for agent_task jobs' });
+        }
+      }
+    }
+
+    if (errors.length === 0 && !this.getNextRun(schedule.cron, schedule.timezone, new Date())) {
+      errors.push({ path: 'cron', message: `does not run within the next ${this.searchYears} years` });
+    }
+
+    return errors;
+  }
+
+  isValidTimezone(timezone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * First minute after `after` matching the expression, null if there is
+   * none within searchYears
+   */
+  getNextRun(expression, timezone, after) {
+    return cronExpressions.getNextRun(expression, timezone || 'UTC', after, { years: this.searchYears });
+  }
+
+  /**
+   * Due times of a schedule up to `now`, oldest first
+   */
+  getDueRuns(schedule, now) {
+    const windowStart = new Date(now.getTime() - this.catchUpWindow);
+    let due = new Date(schedule.next_run_at);
+    const runs = [];
+
+    if (due < windowStart) {
+      due = this.getNextRun(schedule.cron, schedule.timezone, new Date(windowStart.getTime() - 60000));
+    }
+
+    while (due && due <= now) {
+      runs.push(due);
+      due = this.getNextRun(schedule.cron, schedule.timezone, due);
+    }
+
+    return runs;
+  }
+
+  /**
+   * Pick the due runs to start under the schedule's missed-run policy
+   */
+  selectRuns(schedule, dueRuns, now) {
+    const onTime = dueRuns.filter(due => now.getTime() - due.getTime() <= this.missedRunGrace);
+
+    switch (schedule.missed_runs) {
+      case 'skip':
+        return onTime.slice(-1);
+      case 'run_all':
+        return dueRuns.slice(-this.maxCatchUpRuns);
+      default:
+        return dueRuns.slice(-1);
+    }
+  }
+
+  /**
+   * Create a schedule
+   */
+  async createSchedule(definition, tenantId, { author = null } = {}) {
+    const now = new Date();
+
+    const { data, error } = await this.client
+      .from('agent_schedules')
+      .insert([{
+        ...this.toRow(definition, now),
+        tenant_id: tenantId,
+        missed_run_count: 0,
+        author,
+        created_at: now.toISOString()
+      }])
+      .select()
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    return data;
+  }
+
+  /**
+   * Replace a schedule's definition, the next run is worked out from now
+   */
+  async updateSchedule(scheduleId, definition, tenantId) {
+    const { data, error } = await this.client
+      .from('agent_schedules')
+      .update(this.toRow(definition, new Date()))
+      .eq('id', scheduleId)
+      .eq('tenant_id', tenantId)
+      .select()
+      .single();
+
+    if (error && error.code !== 'PGRST116') { // Not found error
+      throw error;
+    }
+
+    return data;
+  }
+
+  toRow(definition, now) {
+    const enabled = definition.enabled !== false;
+
+    return {
+      name: definition.name,
+      description: definition.description || null,
+      cron: definition.cron.trim(),
+      timezone: definition.timezone || 'UTC',
+      job: definition.job,
+      missed_runs: definition.missed_runs || 'run_once',
+      enabled,
+      next_run_at: enabled ? this.getNextRun(definition.cron, definition.timezone, now).toISOString() : null,
+      updated_at: now.toISOString()
+    };
+  }
+
+  async getSchedule(scheduleId, tenantId) {
+    const { data, error } = await this.client
+      .from('agent_schedules')
+      .select('*')
+      .eq('id', scheduleId)
+      .eq('tenant_id', tenantId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') { // Not found error
+      throw error;
+    }
+
+    return data;
+  }
+
+  /**
+   * Start every due schedule. A schedule is claimed by moving its next run
+   * forward, so overlapping scheduler calls start each run once.
+   */
+  async runDue(now = new Date()) {
+    const { data: schedules, error } = await this.client
+      .from('agent_schedules')
+      .select('*')
+      .eq('enabled', true)
+      .lte('next_run_at', now.toISOString())
+      .order('next_run_at', { ascending: true })
+      .limit(this.maxSchedulesPerRun);
+
+    if (error) {
+      throw error;
+    }
+
+    const results = [];
+
+    for (const schedule of schedules) {
+      const dueRuns = this.getDueRuns(schedule, now);
+      const selected = this.selectRuns(schedule, dueRuns, now);
+      const missed = Math.max(dueRuns.length, 1) - selected.length;
+      const nextRun = this.getNextRun(schedule.cron, schedule.timezone, now);
+
+      const { data: claimed } = await this.client
+        .from('agent_schedules')
+        .update({
+          next_run_at: nextRun ? nextRun.toISOString() : null,
+          enabled: nextRun !== null,
+          missed_run_count: (schedule.missed_run_count || 0) + missed
+        })
+        .eq('id', schedule.id)
+        .eq('next_run_at', schedule.next_run_at)
+        .select()
+        .single();
+
+      if (!claimed) {
+        continue;
+      }
+
+      const runs = [];
+      for (const scheduledFor of selected) {
+        runs.push(await this.startRun(claimed, scheduledFor));
+      }
+
+      results.push({ schedule_id: schedule.id, name: schedule.name, runs, missed });
+    }
+
+    return results;
+  }
+
+  /**
+   * Start one run of a schedule, returns { task_id, status, scheduled_for }
+   */
+  async startRun(schedule, scheduledFor) {
+    let result;
+
+    try {
+      result = schedule.job.type === 'data_cleanup'
+        ? await this.runDataCleanup(schedule, scheduledFor)
+        : await this.queueAgentTask(schedule, scheduledFor);
+    } catch (error) {
+      console.error(`Schedule ${schedule.id} run failed:`, error);
+      result = { task_id: null, status: 'failed', error: error.message };
+    }
+
+    await this.client
+      .from('agent_schedules')
+      .update({
+        last_run_at: new Date().toISOString(),
+        last_task_id: result.task_id,
+        last_error: result.error || null
+      })
+      .eq('id', schedule.id);
+
+    return { ...result, scheduled_for: scheduledFor.toISOString() };
+  }
+
+  async queueAgentTask(schedule, scheduledFor) {
+    const { job } = schedule;
+    const agent = await this.findAgent(job.agent_id, schedule.tenant_id);
+
+    if (!agent) {
+      throw new Error(`Agent ${job.agent_id} not found`);
+    }
+
+    const taskType = agentRegistry.get(agent.type).taskType;
+
+    // Paused and draining agents don't take the run, it is recorded as failed
+    const unavailable = lifecycleUtils.checkAvailability(agent);
+    if (unavailable) {
+      const task = await this.recordRun(schedule, scheduledFor, {
+        agent_id: agent.id,
+        task_type: taskType,
+        input_data: job.input || {},
+        status: 'failed',
+        error_message: unavailable.message,
+        completed_at: new Date().toISOString()
+      });
+      return { task_id: task.id, status: task.status, error: unavailable.message };
+    }
+
+    const task = await taskQueueUtils.enqueue(agent, {
+      taskType,
+      input: job.input || {},
+      priority: job.priority || 'normal',
+      timeoutMs: job.timeout_ms || null,
+      scheduleId: schedule.id,
+      scheduledFor: scheduledFor.toISOString()
+    });
+
+    return { task_id: task.id, status: task.status };
+  }
+
+  /**
+   * Delete the tenant's old metrics, logs and completed tasks.
+   * The run is recorded as a system task: agent_id is null (the column is
+   * nullable for this), it runs here rather than in the queue, and the task
+   * worker only ever fails it if the scheduler was stopped mid-run.
+   */
+  async runDataCleanup(schedule, scheduledFor) {
+    const retentionDays = schedule.job.retention_days || 30;
+    const task = await this.recordRun(schedule, scheduledFor, {
+      agent_id: null,
+      task_type: 'data_cleanup',
+      input_data: { retention_days: retentionDays },
+      status: 'running',
+      started_at: new Date().toISOString()
+    });
+
+    try {
+      const output = await dbUtils.cleanupOldData(retentionDays, { tenantId: schedule.tenant_id });
+      const finished = await taskQueueUtils.notify(await taskQueueUtils.finish(task, {
+        status: output.errors.length > 0 ? 'failed' : 'completed',
+        output_data: output,
+        error_message: output.errors.length > 0 ? output.errors.join('; ') : null,
+        completed_at: new Date().toISOString()
+      }));
+
+      return { task_id: finished.id, status: finished.status, ...(finished.error_message && { error: finished.error_message }) };
+    } catch (error) {
+      await taskQueueUtils.notify(await taskQueueUtils.finish(task, {
+        status: 'failed',
+        error_message: error.message,
+        completed_at: new Date().toISOString()
+      }));
+      throw error;
+    }
+  }
+
+  async recordRun(schedule, scheduledFor, fields) {
+    const { data, error } = await this.client
+      .from('agent_tasks')
+      .insert([{
+        id: uuidv4(),
+        tenant_id: schedule.tenant_id,
+        schedule_id: schedule.id,
+        scheduled_for: scheduledFor.toISOString(),
+        created_at: new Date().toISOString(),
+        ...fields
+      }])
+      .select()
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    return data;
+  }
+
+  async findAgent(agentId, tenantId) {
+    const { data } = await this.client
+      .from('agents')
+      .select('*')
+      .eq('id', agentId)
+      .eq('tenant_id', tenantId)
+      .is('deleted_at', null)
+      .single();
+
+    return data;
+  }
+}
+
+// Export singleton instance
+const scheduleUtils = new ScheduleUtils();
+
+module.exports = {
+  ScheduleUtils,
+  scheduleUtils,
+  SCHEDULE_SCHEMA,
+  SCHEDULE_JOB_TYPES,
+  MISSED_RUN_POLICIES
+};
@@ -0,0 +1,888 @@
+const { v4: uuidv4 } = require('uuid');
+const { dbUtils } = require('./database');
+const { agentRegistry, TASK_TIMEOUT_SCHEMA } = require('./agent-registry');
+const { deploymentUtils } = require('./deployment');
+const { retryUtils } = require('./retry');
+const { tenantLimitsUtils } = require('./tenant-limits');
+const { eventBus } = require('./event-bus');
+
+// Path of the worker endpoint that drains the queue
+const WORKER_PATH = '/api/tasks/work';
+
+// Task priorities, higher runs first within a tenant
+const TASK_PRIORITIES = {
+  high: 10,
+  normal: 5,
+  low: 1
+};
+
+// Agent statuses whose queued tasks wait to be claimed, a draining agent
+// still runs its queued tasks so the drain can finish
+const HELD_AGENT_STATUSES = ['paused'];
+
+// Error codes of a task attempt aborted through its signal
+const TASK_CANCELLED = 'TASK_CANCELLED';
+const TASK_TIMED_OUT = 'TASK_TIMED_OUT';
+
+/**
+ * Asynchronous agent task queue for FMAA ecosystem.
+ * Tasks live in agent_tasks and move pending -> running -> completed/failed.
+ * Failed attempts go back to pending until the agent's retry policy gives up,
+ * then the task is failed and kept in the dead-letter list for replay.
+ * Pending and running tasks can be cancelled, and an attempt running past
+ * the task's timeout ends the task as timed_out. Tasks left running by a
+ * worker that was killed are reaped by the next worker run as failed attempts.
+ *
+ * Workers share the queue fairly between tenants: each claim goes to the
+ * tenant using the least of its tier's weight, skipping tenants and agents
+ * already at their tier's concurrency cap, then to that tenant's highest
+ * priority task.
+ */
+class TaskQueueUtils {
+  constructor() {
+    this.client = dbUtils.admin;
+    this.workerTimeBudget = parseInt(process.env.TASK_WORKER_TIME_BUDGET_MS) || 240000; // 4 minutes
+    this.followUpBudget = parseInt(process.env.TASK_WORKER_FOLLOW_UP_BUDGET_MS) || 40000; // events and webhook retries after the tasks
+    this.dispatchTimeout = 1000; // only wait for the worker request to be sent
+    this.maxIdleWait = 10000; // worker waits this long at most for a retry to come due
+    this.staleAfter = 360000; // running tasks older than the worker's max duration are dead
+    this.candidatesPerScan = 20;
+    this.maxTenantsPerClaim = 10;
+    this.defaultTaskTimeout = parseInt(process.env.TASK_DEFAULT_TIMEOUT_MS) || 120000; // 2 minutes
+    this.cancelPollInterval = 2000;
+  }
+
+  /**
+   * Check the queue options of a task submission, returns an error message or null
+   */
+  validateOptions({ priority, timeoutMs }) {
+    if (priority !== undefined && !Object.prototype.hasOwnProperty.call(TASK_PRIORITIES, priority)) {
+      return `priority must be one of: ${Object.keys(TASK_PRIORITIES).join(', ')}`;
+    }
+
+    if (timeoutMs !== undefined && timeoutMs !== null && !(
+      Number.isInteger(timeoutMs) &&
+      timeoutMs >= TASK_TIMEOUT_SCHEMA.minimum &&
+      timeoutMs <= TASK_TIMEOUT_SCHEMA.maximum
+    )) {
+      return `timeout_ms must be an integer between ${TASK_TIMEOUT_SCHEMA.minimum} and ${TASK_TIMEOUT_SCHEMA.maximum}`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Run time limit of an attempt: the task's own, the agent's or the default,
+   * capped for limits saved before the schema maximum was lowered
+   */
+  getTimeout(task, agent) {
+    const timeout = task.timeout_ms || (agent && agent.config && agent.config.timeout_ms) || this.defaultTaskTimeout;
+    return Math.min(timeout, TASK_TIMEOUT_SCHEMA.maximum);
+  }
+
+  /**
+   * Name of a stored priority value, tasks created by workflows have none
+   */
+  getPriorityName(value) {
+    return Object.keys(TASK_PRIORITIES).find(name => TASK_PRIORITIES[name] === value) || null;
+  }
+
+  /**
+   * Queue a task for an agent and wake the worker
+   */
+  async enqueue(agent, { taskType, input, taskId = null, priority = 'normal', timeoutMs = null, scheduleId = null, scheduledFor = null }) {
+    const now = new Date().toISOString();
+
+    const { data: task, error } = await this.client
+      .from('agent_tasks')
+      .insert([{
+        id: taskId || uuidv4(),
+        agent_id: agent.id,
+        tenant_id: agent.tenant_id,
+        task_type: taskType,
+        input_data: input,
+        priority: TASK_PRIORITIES[priority],
+        timeout_ms: timeoutMs,
+        schedule_id: scheduleId,
+        scheduled_for: scheduledFor,
+        status: 'pending',
+        attempt_count: 0,
+        attempts: [],
+        next_attempt_at: now,
+        created_at: now
+      }])
+      .select()
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    await this.recordQueueDepth(task.agent_id, task.tenant_id);
+    await this.dispatch();
+
+    return task;
+  }
+
+  /**
+   * Ask the worker endpoint to drain the queue in its own invocation.
+   * Never throws, the scheduled worker run picks up anything missed.
+   */
+  async dispatch() {
+    // The worker endpoint refuses requests without the cron secret
+    if (!process.env.CRON_SECRET) {
+      return;
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.dispatchTimeout);
+
+    try {
+      await fetch(deploymentUtils.resolveUrl(WORKER_PATH), {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${process.env.CRON_SECRET}` },
+        signal: controller.signal
+      });
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        console.error('Failed to dispatch task worker:', error.message);
+      }
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * URL clients poll for a queued task's status and output
+   */
+  getStatusUrl(taskId) {
+    return `/api/tasks/${taskId}`;
+  }
+
+  /**
+   * Get a task for a tenant
+   */
+  async getTask(taskId, tenantId) {
+    const { data, error } = await this.client
+      .from('agent_tasks')
+      .select('*')
+      .eq('id', taskId)
+      .eq('tenant_id', tenantId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') { // Not found error
+      throw error;
+    }
+
+    return data;
+  }
+
+  /**
+   * Claim the next task by fair share between tenants.
+   * The status check on update keeps two workers from claiming the same task,
+   * caps are checked against a snapshot so concurrent workers may briefly
+   * overshoot them. Tasks of paused agents wait until the agent is resumed.
+   * With a deadline, only tasks whose timeout ends before it are claimed,
+   * the rest are left to a worker with more time.
+   */
+  async claimNext({ deadline = null } = {}) {
+    const now = new Date();
+    let candidates = await this.findCandidates(now);
+
+    if (candidates.length > 0) {
+      const agents = await this.getCandidateAgents(candidates);
+      candidates = candidates.filter(candidate => {
+        const agent = agents.get(candidate.agent_id);
+        if (agent && HELD_AGENT_STATUSES.includes(agent.status)) {
+          return false;
+        }
+
+        return !deadline || Date.now() + this.getTimeout(candidate, agent) <= deadline;
+      });
+    }
+
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    const running = await this.countRunning(now);
+    const ordered = await this.schedule(candidates, running);
+
+    for (const candidate of ordered) {
+      const { data: claimed } = await this.client
+        .from('agent_tasks')
+        .update({
+          status: 'running',
+          started_at: new Date().toISOString()
+        })
+        .eq('id', candidate.id)
+        .eq('status', 'pending')
+        .select()
+        .single();
+
+      if (claimed) {
+        await this.recordQueueMetrics(claimed);
+        return claimed;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Due pending tasks from up to maxTenantsPerClaim tenants.
+   * Tenants already seen are excluded from the next scan, so a tenant with
+   * a large backlog can't hide the others behind its own tasks.
+   */
+  async findCandidates(now) {
+    const candidates = [];
+    const tenants = new Set();
+
+    while (tenants.size < this.maxTenantsPerClaim) {
+      let query = this.client
+        .from('agent_tasks')
+        .select('id, agent_id, tenant_id, priority, timeout_ms, next_attempt_at')
+        .eq('status', 'pending')
+        .not('agent_id', 'is', null) // system tasks run where they are created
+        .lte('next_attempt_at', now.toISOString());
+
+      if (tenants.size > 0) {
+        query = query.not('tenant_id', 'in', `(${Array.from(tenants).map(id => dbUtils.quoteFilterValue(id)).join(',')})`);
+      }
+
+      const { data, error } = await query
+        .order('priority', { ascending: false })
+        .order('next_attempt_at', { ascending: true })
+        .limit(this.candidatesPerScan);
+
+      if (error) {
+        throw error;
+      }
+
+      if (data.length === 0) {
+        break;
+      }
+
+      data.forEach(task => tenants.add(task.tenant_id));
+      candidates.push(...data);
+    }
+
+    return candidates;
+  }
+
+  /**
+   * Agents of claim candidates by id
+   */
+  async getCandidateAgents(candidates) {
+    const { data, error } = await this.client
+      .from('agents')
+      .select('id, status, config')
+      .in('id', Array.from(new Set(candidates.map(candidate => candidate.agent_id))));
+
+    if (error) {
+      throw error;
+    }
+
+    return new Map(data.map(agent => [agent.id, agent]));
+  }
+
+  /**
+   * Running task counts per tenant and per agent
+   */
+  async countRunning(now) {
+    const { data, error } = await this.client
+      .from('agent_tasks')
+      .select('agent_id, tenant_id')
+      .eq('status', 'running')
+      .gte('started_at', new Date(now.getTime() - this.staleAfter).toISOString());
+
+    if (error) {
+      throw error;
+    }
+
+    return data.reduce((counts, task) => {
+      counts.tenants[task.tenant_id] = (counts.tenants[task.tenant_id] || 0) + 1;
+      counts.agents[task.agent_id] = (counts.agents[task.agent_id] || 0) + 1;
+      return counts;
+    }, { tenants: {}, agents: {} });
+  }
+
+  /**
+   * Order candidates for claiming. Tenants with the lowest running count
+   * per unit of tier weight go first, ties go to the higher priority and
+   * then the longest waiting task. Tasks over a cap are left out.
+   */
+  async schedule(candidates, running) {
+    const byTenant = new Map();
+
+    for (const task of candidates) {
+      if (!byTenant.has(task.tenant_id)) {
+        byTenant.set(task.tenant_id, []);
+      }
+      byTenant.get(task.tenant_id).push(task);
+    }
+
+    const queues = [];
+
+    for (const [tenantId, tasks] of byTenant) {
+      const limits = await tenantLimitsUtils.getLimits(tenantId);
+      const tenantRunning = running.tenants[tenantId] || 0;
+
+      if (tenantRunning >= limits.tenant_concurrency) {
+        continue;
+      }
+
+      const eligible = tasks
+        .filter(task => (running.agents[task.agent_id] || 0) < limits.agent_concurrency)
+        .sort((a, b) => this.compareTasks(a, b));
+
+      if (eligible.length > 0) {
+        queues.push({ share: tenantRunning / limits.weight, tasks: eligible });
+      }
+    }
+
+    return queues
+      .sort((a, b) => a.share - b.share || this.compareTasks(a.tasks[0], b.tasks[0]))
+      .flatMap(queue => queue.tasks);
+  }
+
+  /**
+   * Higher priority first, then the task that has been due the longest
+   */
+  compareTasks(a, b) {
+    return (b.priority || 0) - (a.priority || 0) ||
+      new Date(a.next_attempt_at).getTime() - new Date(b.next_attempt_at).getTime();
+  }
+
+  /**
+   * Record how long a claimed task waited since it came due,
+   * and how many tasks its agent still has queued
+   */
+  async recordQueueMetrics(task) {
+    const waited = new Date(task.started_at).getTime() - new Date(task.next_attempt_at).getTime();
+
+    const { error } = await this.client
+      .from('agent_metrics')
+      .insert([{
+        agent_id: task.agent_id,
+        tenant_id: task.tenant_id,
+        metric_type: 'queue_wait_time',
+        metric_value: Math.max(waited, 0),
+        unit: 'ms'
+      }]);
+
+    if (error) {
+      console.error('Failed to record queue wait time:', error);
+    }
+
+    await this.recordQueueDepth(task.agent_id, task.tenant_id);
+  }
+
+  async recordQueueDepth(agentId, tenantId) {
+    const { count, error } = await this.client
+      .from('agent_tasks')
+      .select('id', { count: 'exact', head: true })
+      .eq('agent_id', agentId)
+      .eq('status', 'pending');
+
+    if (error) {
+      console.error('Failed to count queued tasks:', error);
+      return;
+    }
+
+    const { error: insertError } = await this.client
+      .from('agent_metrics')
+      .insert([{
+        agent_id: agentId,
+        tenant_id: tenantId,
+        metric_type: 'queue_depth',
+        metric_value: count || 0,
+        unit: 'count'
+      }]);
+
+    if (insertError) {
+      console.error('Failed to record queue depth:', insertError);
+    }
+  }
+
+  /**
+   * Run a claimed task through its agent type's handler.
+   * Handlers get { attempt, max_attempts, last_attempt, signal } so they can
+   * save degraded fallbacks for the last attempt and stop their requests
+   * when the task is cancelled or times out.
+   */
+  async process(task) {
+    const attempt = (task.attempt_count || 0) + 1;
+    const startedAt = new Date().toISOString();
+    let policy = retryUtils.getPolicy(null);
+
+    try {
+      const { data: agent } = await this.client
+        .from('agents')
+        .select('*')
+        .eq('id', task.agent_id)
+        .is('deleted_at', null)
+        .single();
+
+      if (!agent) {
+        throw Object.assign(new Error('Agent not found'), { retryable: false });
+      }
+
+      policy = retryUtils.getPolicy(agent);
+
+      const handler = agentRegistry.getHandler(agent.type);
+      if (typeof handler.processTask !== 'function') {
+        throw Object.assign(new Error(`Agent type ${agent.type} does not support queued tasks`), { retryable: false });
+      }
+
+      const output = await this.runAbortable(task, this.getTimeout(task, agent), signal => handler.processTask(task, agent, {
+        attempt,
+        max_attempts: policy.max_attempts,
+        last_attempt: attempt >= policy.max_attempts,
+        signal
+      }));
+      return await this.complete(task, output, { attempt, started_at: startedAt });
+    } catch (error) {
+      if (error.code === TASK_CANCELLED) {
+        return await this.recordCancelled(task, { attempt, started_at: startedAt });
+      }
+
+      if (error.code === TASK_TIMED_OUT) {
+        return await this.timeOut(task, error, { attempt, started_at: startedAt });
+      }
+
+      console.error(`Task ${task.id} attempt ${attempt} failed:`, error);
+      return await this.fail(task, error, { attempt, started_at: startedAt, policy });
+    }
+  }
+
+  /**
+   * Run `run(signal)` for a task. The signal aborts when the task is
+   * cancelled or runs longer than timeoutMs, and the returned promise
+   * rejects right away even if the handler ignores the signal.
+   */
+  async runAbortable(task, timeoutMs, run) {
+    const controller = new AbortController();
+
+    const timer = setTimeout(() => {
+      controller.abort(Object.assign(new Error(`Task timed out after ${timeoutMs}ms`), { code: TASK_TIMED_OUT, retryable: false }));
+    }, timeoutMs);
+
+    // Cancellation comes from another invocation, so watch the task row
+    const watcher = setInterval(async () => {
+      const { data } = await this.client
+        .from('agent_tasks')
+        .select('status')
+        .eq('id', task.id)
+        .single();
+
+      if (data && data.status === 'cancelled') {
+        controller.abort(Object.assign(new Error('Task cancelled'), { code: TASK_CANCELLED, retryable: false }));
+      }
+    }, this.cancelPollInterval);
+
+    const aborted = new Promise((_, reject) => {
+      controller.signal.addEventListener('abort', () => reject(controller.signal.reason), { once: true });
+    });
+
+    try {
+      return await Promise.race([run(controller.signal), aborted]);
+    } finally {
+      clearTimeout(timer);
+      clearInterval(watcher);
+    }
+  }
+
+  /**
+   * Cancel a pending or running task. A running attempt is aborted by its
+   * worker within cancelPollInterval. Returns null when the task had
+   * already finished.
+   */
+  async cancel(task, { author = null } = {}) {
+    const now = new Date().toISOString();
+
+    const { data, error } = await this.client
+      .from('agent_tasks')
+      .update({
+        status: 'cancelled',
+        cancelled_at: now,
+        cancelled_by: author,
+        completed_at: now
+      })
+      .eq('id', task.id)
+      .in('status', ['pending', 'running'])
+      .select()
+      .single();
+
+    if (error && error.code !== 'PGRST116') { // Not found error
+      throw error;
+    }
+
+    return data;
+  }
+
+  async complete(task, output, { attempt, started_at }) {
+    return await this.notify(await this.finish(task, {
+      status: 'completed',
+      output_data: output,
+      attempt_count: attempt,
+      attempts: [...(task.attempts || []), {
+        attempt,
+        status: 'completed',
+        started_at,
+        finished_at: new Date().toISOString()
+      }],
+      completed_at: new Date().toISOString()
+    }));
+  }
+
+  /**
+   * Add the aborted attempt to a cancelled task's history
+   */
+  async recordCancelled(task, { attempt, started_at }) {
+    return await this.finish(task, {
+      attempt_count: attempt,
+      attempts: [...(task.attempts || []), {
+        attempt,
+        status: 'cancelled',
+        started_at,
+        finished_at: new Date().toISOString()
+      }]
+    }, { from: 'cancelled' });
+  }
+
+  /**
+   * End a task whose attempt ran past its timeout, timeouts are not retried
+   */
+  async timeOut(task, error, { attempt, started_at }) {
+    const now = new Date().toISOString();
+
+    return await this.notify(await this.finish(task, {
+      status: 'timed_out',
+      error_message: error.message,
+      attempt_count: attempt,
+      attempts: [...(task.attempts || []), {
+        attempt,
+        status: 'timed_out',
+        started_at,
+        finished_at: now,
+        error: error.message
+      }],
+      completed_at: now
+    }));
+  }
+
+  /**
+   * Record a failed attempt, then schedule a retry or dead-letter the task
+   */
+  async fail(task, error, { attempt, started_at, policy }) {
+    const retryable = retryUtils.isRetryable(error, policy);
+    const retry = retryable && attempt < policy.max_attempts;
+    const delay = retry ? retryUtils.getDelay(policy, attempt, error) : null;
+    const now = new Date();
+
+    const attempts = [...(task.attempts || []), {
+      attempt,
+      status: 'failed',
+      started_at,
+      finished_at: now.toISOString(),
+      error: error.message,
+      status_code: retryUtils.getStatusCode(error),
+      retryable,
+      ...(retry && { retry_in_ms: delay })
+    }];
+
+    if (retry) {
+      return await this.finish(task, {
+        status: 'pending',
+        error_message: error.message,
+        attempt_count: attempt,
+        attempts,
+        next_attempt_at: new Date(now.getTime() + delay).toISOString()
+      });
+    }
+
+    return await this.notify(await this.finish(task, {
+      status: 'failed',
+      error_message: error.message,
+      attempt_count: attempt,
+      attempts,
+      dead_lettered_at: now.toISOString(),
+      completed_at: now.toISOString()
+    }));
+  }
+
+  /**
+   * Send task.completed or task.failed once a task has finished for good
+   */
+  async notify(task) {
+    if (task.status === 'completed') {
+      await eventBus.publish(task.tenant_id, 'task.completed', eventBus.buildTaskEvent(task), { source: 'task-queue' });
+    } else if (task.status === 'failed' || task.status === 'timed_out') {
+      await eventBus.publish(task.tenant_id, 'task.failed', eventBus.buildTaskEvent(task), { source: 'task-queue' });
+    }
+
+    return task;
+  }
+
+  /**
+   * List dead-lettered tasks for a tenant, most recent first
+   */
+  async listDeadLetters(tenantId, { agentId = null, taskType = null, limit = 50 } = {}) {
+    let query = this.client
+      .from('agent_tasks')
+      .select('*')
+      .eq('tenant_id', tenantId)
+      .eq('status', 'failed')
+      .not('dead_lettered_at', 'is', null);
+
+    if (agentId) {
+      query = query.eq('agent_id', agentId);
+    }
+
+    if (taskType) {
+      query = query.eq('task_type', taskType);
+    }
+
+    const { data, error } = await query
+      .order('dead_lettered_at', { ascending: false })
+      .limit(limit);
+
+    if (error) {
+      throw error;
+    }
+
+    return data;
+  }
+
+  /**
+   * Replace the input of a dead-lettered task before replaying it
+   */
+  async updateDeadLetter(task, input) {
+    const { data, error } = await this.client
+      .from('agent_tasks')
+      .update({ input_data: input })
+      .eq('id', task.id)
+      .eq('status', 'failed')
+      .not('dead_lettered_at', 'is', null)
+      .select()
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    return data;
+  }
+
+  /**
+   * Put a dead-lettered task back on the queue with a fresh set of attempts.
+   * Earlier attempts stay in the history.
+   */
+  async replay(task, { input = null, author = null } = {}) {
+    const now = new Date().toISOString();
+
+    const { data, error } = await this.client
+      .from('agent_tasks')
+      .update({
+        status: 'pending',
+        ...(input && { input_data: input }),
+        attempt_count: 0,
+        attempts: [...(task.attempts || []), { status: 'replayed', replayed_at: now, replayed_by: author }],
+        next_attempt_at: now,
+        dead_lettered_at: null,
+        error_message: null,
+        output_data: null,
+        completed_at: null
+      })
+      .eq('id', task.id)
+      .eq('status', 'failed')
+      .not('dead_lettered_at', 'is', null)
+      .select()
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    await this.dispatch();
+
+    return data;
+  }
+
+  /**
+   * When the next pending task is due, null when the queue is empty
+   */
+  async getNextDueAt() {
+    const { data, error } = await this.client
+      .from('agent_tasks')
+      .select('next_attempt_at')
+      .eq('status', 'pending')
+      .order('next_attempt_at', { ascending: true })
+      .limit(1);
+
+    if (error) {
+      throw error;
+    }
+
+    return data[0] ? new Date(data[0].next_attempt_at).getTime() : null;
+  }
+
+  /**
+   * Update a task still in the `from` status. A task cancelled meanwhile
+   * is left as it is and returned unchanged.
+   */
+  async finish(task, updates, { from = 'running' } = {}) {
+    const { data, error } = await this.client
+      .from('agent_tasks')
+      .update(updates)
+      .eq('id', task.id)
+      .eq('status', from)
+      .select()
+      .single();
+
+    if (error && error.code !== 'PGRST116') { // Not found error
+      throw error;
+    }
+
+    if (data) {
+      return data;
+    }
+
+    const { data: current, error: readError } = await this.client
+      .from('agent_tasks')
+      .select('*')
+      .eq('id', task.id)
+      .single();
+
+    if (readError) {
+      throw readError;
+    }
+
+    return current;
+  }
+
+  /**
+   * Fail the attempts of running tasks older than any live attempt can be,
+   * left behind by a worker killed mid attempt. The lost attempt counts
+   * towards the agent's retry policy, so the task is queued again or
+   * dead-lettered once it is out of attempts. System tasks, which have no
+   * agent, are failed: their schedule's next run does the work again.
+   */
+  async reapStale({ limit = 50 } = {}) {
+    const { data: stale, error } = await this.client
+      .from('agent_tasks')
+      .select('*')
+      .eq('status', 'running')
+      .lt('started_at', new Date(Date.now() - this.staleAfter).toISOString())
+      .order('started_at', { ascending: true })
+      .limit(limit);
+
+    if (error) {
+      throw error;
+    }
+
+    const reaped = [];
+
+    for (const task of stale) {
+      // Claim the task by touching started_at, so overlapping workers reap it once
+      const { data: claimed } = await this.client
+        .from('agent_tasks')
+        .update({ started_at: new Date().toISOString() })
+        .eq('id', task.id)
+        .eq('status', 'running')
+        .eq('started_at', task.started_at)
+        .select()
+        .single();
+
+      if (!claimed) {
+        continue;
+      }
+
+      const lost = Object.assign(new Error('Worker stopped before the attempt finished'), { retryable: true });
+      console.error(`Task ${task.id} was left running since ${task.started_at}, reaping it`);
+
+      if (!task.agent_id) {
+        reaped.push(await this.notify(await this.finish(claimed, {
+          status: 'failed',
+          error_message: lost.message,
+          completed_at: new Date().toISOString()
+        })));
+        continue;
+      }
+
+      const { data: agent } = await this.client
+        .from('agents')
+        .select('*')
+        .eq('id', task.agent_id)
+        .single();
+
+      reaped.push(await this.fail(claimed, lost, {
+        attempt: (task.attempt_count || 0) + 1,
+        started_at: task.started_at,
+        policy: retryUtils.getPolicy(agent)
+      }));
+    }
+
+    return {
+      reaped: reaped.length,
+      retrying: reaped.filter(task => task.status === 'pending').length,
+      dead_lettered: reaped.filter(task => task.status === 'failed' && task.dead_lettered_at).length,
+      failed: reaped.filter(task => task.status === 'failed' && !task.dead_lettered_at).length
+    };
+  }
+
+  /**
+   * Process pending tasks one at a time until the queue is empty
+   * or the time budget is spent. A claimed task always runs to the end.
+   * Retries coming due within maxIdleWait are waited for, later ones
+   * are left to the next worker run.
+   */
+  async runWorker({ timeBudget = this.workerTimeBudget, maxTasks = 100 } = {}) {
+    const deadline = Date.now() + timeBudget;
+    const processed = [];
+    const stale = await this.reapStale();
+
+    while (processed.length < maxTasks && Date.now() < deadline) {
+      const task = await this.claimNext({ deadline });
+      if (!task) {
+        const nextDueAt = await this.getNextDueAt();
+        const wait = nextDueAt === null ? null : nextDueAt - Date.now();
+
+        // Due tasks left unclaimed are waiting on concurrency caps,
+        // the workers running their tenants' tasks pick them up next
+        if (wait === null || wait <= 0 || wait > this.maxIdleWait || Date.now() + wait >= deadline) {
+          break;
+        }
+
+        await new Promise(resolve => setTimeout(resolve, wait + 50));
+        continue;
+      }
+
+      const finished = await this.process(task);
+      processed.push({ id: finished.id, task_type: finished.task_type, status: finished.status });
+    }
+
+    return {
+      processed: processed.length,
+      completed: processed.filter(task => task.status === 'completed').length,
+      retrying: processed.filter(task => task.status === 'pending').length,
+      dead_lettered: processed.filter(task => task.status === 'failed').length,
+      cancelled: processed.filter(task => task.status === 'cancelled').length,
+      timed_out: processed.filter(task => task.status === 'timed_out').length,
+      stale,
+      tasks: processed
+    };
+  }
+}
+
+// Export singleton instance
+const taskQueueUtils = new TaskQueueUtils();
+
+module.exports = {
+  TaskQueueUtils,
+  taskQueueUtils,
+  TASK_PRIORITIES,
+  TASK_CANCELLED,
+  TASK_TIMED_OUT
+};
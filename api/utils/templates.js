@@ -0,0 +1,222 @@
+const { dbUtils } = require('./database');
+const { agentRegistry } = require('./agent-registry');
+
+// Matches {{variable}} placeholders in template config strings
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-zA-Z0-9_]+)\s*\}\}/g;
+
+/**
+ * Reusable agent templates for FMAA ecosystem.
+ * Every save of a template name creates a new immutable revision.
+ */
+class TemplateUtils {
+  constructor() {
+    this.client = dbUtils.admin;
+  }
+
+  /**
+   * Save a new revision of a named template
+   */
+  async saveTemplate(tenantId, { name, type, config, description, variables = {}, overrides = {}, author, sourceAgentId = null }) {
+    const latest = await this.getTemplate(tenantId, name);
+
+    if (latest && latest.type !== type) {
+      throw new Error(`Template ${name} is for agent type ${latest.type}, not ${type}`);
+    }
+
+    const { data, error } = await this.client
+      .from('agent_templates')
+      .insert([{
+        tenant_id: tenantId,
+        name,
+        type,
+        revision: latest ? latest.revision + 1 : 1,
+        description: description !== undefined ? description : latest?.description || null,
+        config,
+        variables,
+        tenant_overrides: overrides,
+        source_agent_id: sourceAgentId,
+        author: author || 'anonymous',
+        created_at: new Date().toISOString()
+      }])
+      .select()
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    return data;
+  }
+
+  /**
+   * Get a template revision, the latest one when no revision is given
+   */
+  async getTemplate(tenantId, name, revision = null) {
+    let query = this.client
+      .from('agent_templates')
+      .select('*')
+      .eq('tenant_id', tenantId)
+      .eq('name', name);
+
+    if (revision) {
+      query = query.eq('revision', revision);
+    }
+
+    const { data, error } = await query
+      .order('revision', { ascending: false })
+      .limit(1);
+
+    if (error) {
+      throw error;
+    }
+
+    return data[0] || null;
+  }
+
+  /**
+   * List the latest revision of every template owned by a tenant
+   */
+  async listTemplates(tenantId) {
+    const { data, error } = await this.client
+      .from('agent_templates')
+      .select('*')
+      .eq('tenant_id', tenantId)
+      .order('name', { ascending: true })
+      .order('revision', { ascending: false });
+
+    if (error) {
+      throw error;
+    }
+
+    const latest = new Map();
+    for (const template of data) {
+      if (!latest.has(template.name)) {
+        latest.set(template.name, { ...template, revision_count: 0 });
+      }
+      latest.get(template.name).revision_count += 1;
+    }
+
+    return Array.from(latest.values());
+  }
+
+  /**
+   * List every revision of a template, newest first
+   */
+  async listRevisions(tenantId, name) {
+    const { data, error } = await this.client
+      .from('agent_templates')
+      .select('*')
+      .eq('tenant_id', tenantId)
+      .eq('name', name)
+      .order('revision', { ascending: false });
+
+    if (error) {
+      throw error;
+    }
+
+    return data;
+  }
+
+  /**
+   * List agents created from any revision of a template
+   */
+  async listTemplateAgents(tenantId, name) {
+    const revisions = await this.listRevisions(tenantId, name);
+    if (revisions.length === 0) {
+      return [];
+    }
+
+    const { data, error } = await this.client
+      .from('agents')
+      .select('id, tenant_id, name, type, status, version, template_id, template_revision, created_at, deleted_at')
+      .in('template_id', revisions.map(revision => revision.id))
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      throw error;
+    }
+
+    return data;
+  }
+
+  /**
+   * Resolve a template into an agent config for a target tenant.
+   * Returns { config, errors } where errors lists missing variables.
+   */
+  render(template, targetTenantId, values = {}) {
+    const override = (template.tenant_overrides || {})[targetTenantId];
+    const config = override
+      ? agentRegistry.mergeDeep(template.config || {}, override)
+      : template.config || {};
+
+    const errors = [];
+    const resolved = {};
+
+    for (const [name, definition] of Object.entries(template.variables || {})) {
+      if (values[name] !== undefined) {
+        resolved[name] = values[name];
+      } else if (definition && definition.default !== undefined) {
+        resolved[name] = definition.default;
+      } else if (definition && definition.required) {
+        errors.push({ path: `variables.${name}`, message: 'is required' });
+      }
+    }
+
+    for (const name of Object.keys(values)) {
+      if (!(name in (template.variables || {}))) {
+        errors.push({ path: `variables.${name}`, message: 'is not declared by the template' });
+      }
+    }
+
+    return {
+      config: this.substitute(config, resolved, errors, 'config'),
+      errors
+    };
+  }
+
+  /**
+   * Replace {{variable}} placeholders throughout a config value.
+   * A string that is exactly one placeholder takes the variable's raw value.
+   */
+  substitute(value, variables, errors, path) {
+    if (typeof value === 'string') {
+      const whole = value.match(/^\{\{\s*([a-zA-Z0-9_]+)\s*\}\}$/);
+      if (whole) {
+        return this.lookup(whole[1], variables, errors, path);
+      }
+
+      return value.replace(PLACEHOLDER_PATTERN, (match, name) => {
+        const resolved = this.lookup(name, variables, errors, path);
+        return resolved === undefined ? match : String(resolved);
+      });
+    }
+
+    if (Array.isArray(value)) {
+      return value.map((item, index) => this.substitute(item, variables, errors, `${path}[${index}]`));
+    }
+
+    if (value !== null && typeof value === 'object') {
+      return Object.entries(value).reduce((acc, [key, item]) => {
+        acc[key] = this.substitute(item, variables, errors, `${path}.${key}`);
+        return acc;
+      }, {});
+    }
+
+    return value;
+  }
+
+  lookup(name, variables, errors, path) {
+    if (variables[name] === undefined) {
+      errors.push({ path, message: `references undefined variable ${name}` });
+    }
+    return variables[name];
+  }
+}
+
+// Export singleton instance
+const templateUtils = new TemplateUtils();
+
+module.exports = {
+  TemplateUtils,
+  templateUtils
+};
@@ -0,0 +1,75 @@
+const { dbUtils } = require('./database');
+
+// Queue limits per subscription tier.
+// weight is the tenant's share of worker time when tenants compete.
+const TIER_LIMITS = {
+  free: { tenant_concurrency: 2, agent_concurrency: 1, weight: 1 },
+  pro: { tenant_concurrency: 10, agent_concurrency: 4, weight: 4 },
+  enterprise: { tenant_concurrency: 50, agent_concurrency: 20, weight: 10 }
+};
+
+const DEFAULT_TIER = 'free';
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Subscription tier limits for FMAA ecosystem.
+ * Agents store the tenant as its slug (from x-tenant-id) or its ID,
+ * so tenants are looked up by either.
+ */
+class TenantLimitsUtils {
+  constructor() {
+    this.client = dbUtils.admin;
+    this.cacheTtl = 60000; // 1 minute
+    this.cache = new Map();
+  }
+
+  /**
+   * Get the queue limits for a tenant's subscription tier
+   */
+  async getLimits(tenantId) {
+    const tier = await this.getTier(tenantId);
+    return { tier, ...TIER_LIMITS[tier] };
+  }
+
+  async getTier(tenantId) {
+    const cached = this.cache.get(tenantId);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.tier;
+    }
+
+    let tenant = await this.findTenant('slug', tenantId);
+    if (!tenant && UUID_PATTERN.test(tenantId)) {
+      tenant = await this.findTenant('id', tenantId);
+    }
+
+    const tier = tenant && TIER_LIMITS[tenant.subscription_tier] ? tenant.subscription_tier : DEFAULT_TIER;
+    this.cache.set(tenantId, { tier, expiresAt: Date.now() + this.cacheTtl });
+
+    return tier;
+  }
+
+  async findTenant(column, value) {
+    const { data, error } = await this.client
+      .from('tenants')
+      .select('id, slug, subscription_tier')
+      .eq(column, value)
+      .limit(1);
+
+    if (error) {
+      console.error('Failed to load tenant tier:', error);
+      return null;
+    }
+
+    return data[0] || null;
+  }
+}
+
+// Export singleton instance
+const tenantLimitsUtils = new TenantLimitsUtils();
+
+module.exports = {
+  TenantLimitsUtils,
+  tenantLimitsUtils,
+  TIER_LIMITS
+};
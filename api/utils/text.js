@@ -0,0 +1,207 @@
+// Rough characters per model token for English text, used to size chunks
+const CHARS_PER_TOKEN = 4;
+
+// Sentiment models truncate at 512 tokens, leave room for special tokens
+const DEFAULT_CHUNK_TOKENS = 400;
+
+// Words a noun phrase candidate starts after
+const DETERMINERS = new Set([
+  'the', 'a', 'an', 'this', 'that', 'these', 'those', 'my', 'our', 'your', 'his', 'her', 'its', 'their'
+]);
+
+// Skipped before a noun phrase candidate and ending it after
+const STOP_WORDS = new Set([
+  'and', 'or', 'but', 'is', 'are', 'was', 'were', 'be', 'been', 'it', 'of', 'to', 'in', 'on', 'for', 'with',
+  'at', 'by', 'from', 'as', 'so', 'very', 'really', 'quite', 'too', 'just', 'not', 'no', 'all', 'more', 'most',
+  'good', 'great', 'bad', 'poor', 'nice', 'excellent', 'amazing', 'awesome', 'awful', 'terrible', 'horrible',
+  'best', 'worst', 'better', 'worse', 'new', 'old', 'first', 'last', 'only', 'whole', 'same', 'other'
+]);
+
+/**
+ * Text segmentation helpers for FMAA ecosystem.
+ * Offsets are character positions in the original text, end exclusive.
+ */
+class TextUtils {
+  /**
+   * Split text into paragraphs and sentences.
+   * Returns [{ start, end, paragraph }] with surrounding whitespace trimmed.
+   */
+  splitSentences(text) {
+    const sentences = [];
+    const paragraphPattern = /\n\s*\n/g;
+    let paragraph = 0;
+    let paragraphStart = 0;
+    let match;
+
+    const addParagraph = (start, end) => {
+      const sentencePattern = /[^.!?\n]+(?:[.!?]+["')\]]*|\n|$)/g;
+      const body = text.slice(start, end);
+      let sentence;
+
+      while ((sentence = sentencePattern.exec(body)) !== null) {
+        if (sentence[0].length === 0) {
+          sentencePattern.lastIndex++;
+          continue;
+        }
+
+        const range = this.trimRange(text, start + sentence.index, start + sentence.index + sentence[0].length);
+        if (range) {
+          sentences.push({ ...range, paragraph });
+        }
+      }
+
+      paragraph++;
+    };
+
+    while ((match = paragraphPattern.exec(text)) !== null) {
+      addParagraph(paragraphStart, match.index);
+      paragraphStart = match.index + match[0].length;
+    }
+    addParagraph(paragraphStart, text.length);
+
+    return sentences;
+  }
+
+  /**
+   * Split text into chunks of at most maxTokens (estimated), breaking on
+   * sentence boundaries and preferring paragraph boundaries. Sentences
+   * longer than a chunk are split on whitespace.
+   * Returns [{ index, start, end, text }].
+   */
+  chunkText(text, { maxTokens = DEFAULT_CHUNK_TOKENS } = {}) {
+    const maxChars = maxTokens * CHARS_PER_TOKEN;
+    const chunks = [];
+    let current = null;
+
+    const flush = () => {
+      if (current) {
+        chunks.push({ index: chunks.length, start: current.start, end: current.end, text: text.slice(current.start, current.end) });
+        current = null;
+      }
+    };
+
+    for (const segment of this.splitSentences(text).flatMap(sentence => this.splitLong(text, sentence, maxChars))) {
+      const fits = current && segment.end - current.start <= maxChars;
+      // A new paragraph starts a new chunk once the current one is half full
+      const paragraphBreak = current && segment.paragraph !== current.paragraph && current.end - current.start >= maxChars / 2;
+
+      if (!fits || paragraphBreak) {
+        flush();
+      }
+
+      if (current) {
+        current.end = segment.end;
+        current.paragraph = segment.paragraph;
+      } else {
+        current = { ...segment };
+      }
+    }
+    flush();
+
+    return chunks;
+  }
+
+  /**
+   * Split a segment longer than maxChars on whitespace, or mid-word when it has none
+   */
+  splitLong(text, segment, maxChars) {
+    const parts = [];
+    let start = segment.start;
+
+    while (segment.end - start > maxChars) {
+      const window = text.slice(start, start + maxChars);
+      const breakAt = window.search(/\s\S*$/);
+      const end = breakAt > 0 ? start + breakAt : start + maxChars;
+
+      const range = this.trimRange(text, start, end);
+      if (range) {
+        parts.push({ ...range, paragraph: segment.paragraph });
+      }
+      start = end;
+    }
+
+    const range = this.trimRange(text, start, segment.end);
+    if (range) {
+      parts.push({ ...range, paragraph: segment.paragraph });
+    }
+
+    return parts;
+  }
+
+  /**
+   * Candidate noun phrases of up to three words following a determiner,
+   * most frequent first. There is no part-of-speech tagger, leading stop
+   * words and opinion words are skipped and the next one ends the phrase.
+   */
+  extractNounPhrases(text, { limit = 10 } = {}) {
+    const words = Array.from(text.matchAll(/[A-Za-z][A-Za-z'-]*/g), match => ({
+      word: match[0],
+      start: match.index,
+      end: match.index + match[0].length
+    }));
+    const counts = new Map();
+
+    words.forEach((token, index) => {
+      if (!DETERMINERS.has(token.word.toLowerCase())) {
+        return;
+      }
+
+      const phrase = [];
+      for (let next = index + 1; next < words.length && phrase.length < 3; next++) {
+        const gap = text.slice(words[next - 1].end, words[next].start);
+        const lower = words[next].word.toLowerCase();
+
+        // Phrases end at punctuation, the next determiner and the first
+        // stop word after the phrase has started
+        if (!/^\s+$/.test(gap) || DETERMINERS.has(lower) || (STOP_WORDS.has(lower) && phrase.length > 0)) {
+          break;
+        }
+
+        if (!STOP_WORDS.has(lower)) {
+          phrase.push(lower);
+        }
+      }
+
+      if (phrase.join('').length > 2) {
+        const key = phrase.join(' ');
+        const entry = counts.get(key) || { phrase: key, count: 0, first: token.start };
+        entry.count++;
+        counts.set(key, entry);
+      }
+    });
+
+    return Array.from(counts.values())
+      .sort((a, b) => b.count - a.count || a.first - b.first)
+      .slice(0, limit)
+      .map(entry => entry.phrase);
+  }
+
+  /**
+   * Sentences mentioning a term as whole words, case-insensitively.
+   * Returns [{ start, end, text }].
+   */
+  findMentions(text, term, sentences = this.splitSentences(text)) {
+    const escaped = term.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+    const pattern = new RegExp(`(^|[^\\p{L}\\p{N}])${escaped}(?=$|[^\\p{L}\\p{N}])`, 'iu');
+
+    return sentences
+      .filter(sentence => pattern.test(text.slice(sentence.start, sentence.end)))
+      .map(sentence => ({ start: sentence.start, end: sentence.end, text: text.slice(sentence.start, sentence.end) }));
+  }
+
+  trimRange(text, start, end) {
+    while (start < end && /\s/.test(text[start])) start++;
+    while (end > start && /\s/.test(text[end - 1])) end--;
+    return end > start ? { start, end } : null;
+  }
+}
+
+// Export singleton instance
+const textUtils = new TextUtils();
+
+module.exports = {
+  TextUtils,
+  textUtils,
+  CHARS_PER_TOKEN,
+  DEFAULT_CHUNK_TOKENS
+};
@@ -0,0 +1,177 @@
+const { dbUtils } = require('./database');
+const { eventBus } = require('./event-bus');
+
+/**
+ * Soft delete, restore and purge of agents for FMAA ecosystem.
+ * Trashed agents keep their tasks, metrics and logs until purged.
+ */
+class TrashUtils {
+  constructor() {
+    this.client = dbUtils.admin;
+    this.retentionDays = parseInt(process.env.AGENT_TRASH_RETENTION_DAYS) || 30;
+    this.maxPurgePerRun = 50;
+  }
+
+  /**
+   * Move an agent to the trash
+   */
+  async moveToTrash(agent, { retentionDays = this.retentionDays, author = null } = {}) {
+    const deletedAt = new Date();
+    const purgeAfter = new Date(deletedAt.getTime() + retentionDays * 86400000);
+
+    const { data, error } = await this.client
+      .from('agents')
+      .update({
+        status: 'deleted',
+        status_before_delete: agent.status,
+        deleted_at: deletedAt.toISOString(),
+        deleted_by: author,
+        purge_after: purgeAfter.toISOString()
+      })
+      .eq('id', agent.id)
+      .is('deleted_at', null)
+      .select()
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    await this.log(data, `Agent ${agent.name} moved to trash`, {
+      retention_days: retentionDays,
+      purge_after: data.purge_after
+    });
+    await eventBus.publish(data.tenant_id, 'agent.status_changed',
+      eventBus.buildAgentEvent(data, agent.status, `Agent ${agent.name} moved to trash`), { source: 'trash' });
+
+    return data;
+  }
+
+  /**
+   * Restore a trashed agent to the status it had before deletion
+   */
+  async restore(agent) {
+    const status = agent.status_before_delete || 'paused';
+
+    const { data, error } = await this.client
+      .from('agents')
+      .update({
+        status,
+        status_before_delete: null,
+        deleted_at: null,
+        deleted_by: null,
+        purge_after: null
+      })
+      .eq('id', agent.id)
+      .not('deleted_at', 'is', null)
+      .select()
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    await this.log(data, `Agent ${agent.name} restored from trash`, { status });
+    await eventBus.publish(data.tenant_id, 'agent.status_changed',
+      eventBus.buildAgentEvent(data, agent.status, `Agent ${agent.name} restored from trash`), { source: 'trash' });
+
+    return data;
+  }
+
+  /**
+   * List trashed agents for a tenant
+   */
+  async listTrash(tenantId) {
+    const { data, error } = await this.client
+      .from('agents')
+      .select('*')
+      .eq('tenant_id', tenantId)
+      .not('deleted_at', 'is', null)
+      .order('deleted_at', { ascending: false });
+
+    if (error) {
+      throw error;
+    }
+
+    return data;
+  }
+
+  /**
+   * Permanently delete a trashed agent.
+   * Cascade removes its tasks, metrics and logs.
+   */
+  async purge(agent) {
+    const { error } = await this.client
+      .from('agents')
+      .delete()
+      .eq('id', agent.id)
+      .not('deleted_at', 'is', null);
+
+    if (error) {
+      throw error;
+    }
+
+    // The agent's own logs went with it, the purge is logged for the tenant
+    await this.log({ ...agent, id: null }, `Agent ${agent.name} purged from trash`, { agent_id: agent.id });
+    await eventBus.publish(agent.tenant_id, 'agent.purged',
+      eventBus.buildAgentEvent(agent, agent.status, `Agent ${agent.name} purged from trash`), { source: 'trash' });
+
+    return { id: agent.id, name: agent.name, tenant_id: agent.tenant_id };
+  }
+
+  /**
+   * Purge trashed agents whose retention window has expired, oldest first
+   * and up to maxPurgePerRun. Pass a tenant ID to limit the purge to one
+   * tenant. The scheduler route runs it for every tenant.
+   */
+  async purgeExpired(tenantId = null) {
+    let query = this.client
+      .from('agents')
+      .select('id, name, type, version, status, tenant_id')
+      .not('deleted_at', 'is', null)
+      .lte('purge_after', new Date().toISOString());
+
+    if (tenantId) {
+      query = query.eq('tenant_id', tenantId);
+    }
+
+    const { data: expired, error } = await query
+      .order('purge_after', { ascending: true })
+      .limit(this.maxPurgePerRun);
+
+    if (error) {
+      throw error;
+    }
+
+    const purged = [];
+    for (const agent of expired) {
+      purged.push(await this.purge(agent));
+    }
+
+    return purged;
+  }
+
+  async log(agent, message, context = {}) {
+    const { error } = await this.client
+      .from('agent_logs')
+      .insert([{
+        agent_id: agent.id,
+        tenant_id: agent.tenant_id,
+        level: 'info',
+        message,
+        context
+      }]);
+
+    if (error) {
+      console.error('Failed to write trash log:', error);
+    }
+  }
+}
+
+// Export singleton instance
+const trashUtils = new TrashUtils();
+
+module.exports = {
+  TrashUtils,
+  trashUtils
+};
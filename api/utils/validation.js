@@ -0,0 +1,122 @@
+/**
+ * Schema validation utilities for FMAA ecosystem.
+ * Supports the subset of JSON Schema used by agent definitions.
+ */
+class ValidationUtils {
+  /**
+   * Validate a value against a schema.
+   * Returns a list of { path, message } errors, empty when valid.
+   */
+  validate(value, schema, path = '') {
+    const errors = [];
+
+    if (!schema) {
+      return errors;
+    }
+
+    if (schema.type && !this.matchesType(value, schema.type)) {
+      errors.push({
+        path: path || '.',
+        message: `must be of type ${Array.isArray(schema.type) ? schema.type.join(' or ') : schema.type}`
+      });
+      return errors;
+    }
+
+    if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+      errors.push({
+        path: path || '.',
+        message: `must be one of: ${schema.enum.join(', ')}`
+      });
+    }
+
+    if (typeof value === 'string') {
+      if (schema.minLength !== undefined && value.length < schema.minLength) {
+        errors.push({ path: path || '.', message: `must be at least ${schema.minLength} characters` });
+      }
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+        errors.push({ path: path || '.', message: `must be at most ${schema.maxLength} characters` });
+      }
+      if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        errors.push({ path: path || '.', message: `must match pattern ${schema.pattern}` });
+      }
+    }
+
+    if (typeof value === 'number') {
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        errors.push({ path: path || '.', message: `must be >= ${schema.minimum}` });
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        errors.push({ path: path || '.', message: `must be <= ${schema.maximum}` });
+      }
+    }
+
+    if (Array.isArray(value)) {
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        errors.push({ path: path || '.', message: `must contain at least ${schema.minItems} items` });
+      }
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        errors.push({ path: path || '.', message: `must contain at most ${schema.maxItems} items` });
+      }
+      if (schema.items) {
+        value.forEach((item, index) => {
+          errors.push(...this.validate(item, schema.items, `${path}[${index}]`));
+        });
+      }
+    }
+
+    if (this.isPlainObject(value)) {
+      const properties = schema.properties || {};
+
+      for (const field of schema.required || []) {
+        if (value[field] === undefined) {
+          errors.push({ path: this.joinPath(path, field), message: 'is required' });
+        }
+      }
+
+      for (const [key, fieldValue] of Object.entries(value)) {
+        const fieldPath = this.joinPath(path, key);
+
+        if (properties[key]) {
+          errors.push(...this.validate(fieldValue, properties[key], fieldPath));
+        } else if (schema.additionalProperties === false) {
+          errors.push({ path: fieldPath, message: 'is not an allowed field' });
+        } else if (this.isPlainObject(schema.additionalProperties)) {
+          errors.push(...this.validate(fieldValue, schema.additionalProperties, fieldPath));
+        }
+      }
+    }
+
+    return errors;
+  }
+
+  matchesType(value, type) {
+    const types = Array.isArray(type) ? type : [type];
+
+    return types.some(expected => {
+      switch (expected) {
+        case 'object': return this.isPlainObject(value);
+        case 'array': return Array.isArray(value);
+        case 'integer': return Number.isInteger(value);
+        case 'number': return typeof value === 'number' && !Number.isNaN(value);
+        case 'null': return value === null;
+        default: return typeof value === expected;
+      }
+    });
+  }
+
+  joinPath(path, key) {
+    return path ? `${path}.${key}` : key;
+  }
+
+  isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+}
+
+// Export singleton instance
+const validationUtils = new ValidationUtils();
+
+module.exports = {
+  ValidationUtils,
+  validationUtils
+};
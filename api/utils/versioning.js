@@ -0,0 +1,152 @@
+const { dbUtils } = require('./database');
+
+// Agent fields captured in every version snapshot
+const VERSIONED_FIELDS = ['name', 'config'];
+
+/**
+ * Agent version history utilities for FMAA ecosystem
+ */
+class VersioningUtils {
+  constructor() {
+    this.client = dbUtils.admin;
+  }
+
+  /**
+   * Record an immutable version for the agent's current state
+   */
+  async createVersion(agent, { author, changeType = 'update', previousSnapshot = null, message = null } = {}) {
+    const snapshot = this.takeSnapshot(agent);
+
+    const { data, error } = await this.client
+      .from('agent_versions')
+      .insert([{
+        agent_id: agent.id,
+        tenant_id: agent.tenant_id,
+        version: agent.version,
+        snapshot,
+        diff: previousSnapshot ? this.diff(previousSnapshot, snapshot) : [],
+        change_type: changeType,
+        message,
+        author: author || 'anonymous',
+        created_at: new Date().toISOString()
+      }])
+      .select()
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    return data;
+  }
+
+  /**
+   * List versions for an agent, newest first
+   */
+  async listVersions(agentId, tenantId, { limit = 50 } = {}) {
+    const { data, error } = await this.client
+      .from('agent_versions')
+      .select('*')
+      .eq('agent_id', agentId)
+      .eq('tenant_id', tenantId)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (error) {
+      throw error;
+    }
+
+    return data;
+  }
+
+  /**
+   * Get a single version record
+   */
+  async getVersion(agentId, tenantId, version) {
+    const { data, error } = await this.client
+      .from('agent_versions')
+      .select('*')
+      .eq('agent_id', agentId)
+      .eq('tenant_id', tenantId)
+      .eq('version', version)
+      .single();
+
+    if (error && error.code !== 'PGRST116') { // Not found error
+      throw error;
+    }
+
+    return data;
+  }
+
+  /**
+   * Extract the versioned fields from an agent row
+   */
+  takeSnapshot(agent) {
+    return VERSIONED_FIELDS.reduce((acc, field) => {
+      acc[field] = agent[field] === undefined ? null : agent[field];
+      return acc;
+    }, {});
+  }
+
+  /**
+   * Check whether an update touches any versioned field
+   */
+  hasVersionedChanges(agent, updates) {
+    const before = this.takeSnapshot(agent);
+    const after = this.takeSnapshot({ ...agent, ...updates });
+    return this.diff(before, after).length > 0;
+  }
+
+  /**
+   * Structural diff between two snapshots.
+   * Returns one entry per changed leaf path.
+   */
+  diff(before, after, path = '') {
+    const changes = [];
+
+    if (this.isPlainObject(before) && this.isPlainObject(after)) {
+      const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+      for (const key of [...keys].sort()) {
+        const childPath = path ? `${path}.${key}` : key;
+
+        if (!(key in before)) {
+          changes.push({ path: childPath, op: 'added', to: after[key] });
+        } else if (!(key in after)) {
+          changes.push({ path: childPath, op: 'removed', from: before[key] });
+        } else {
+          changes.push(...this.diff(before[key], after[key], childPath));
+        }
+      }
+
+      return changes;
+    }
+
+    if (JSON.stringify(before) !== JSON.stringify(after)) {
+      changes.push({ path: path || '.', op: 'changed', from: before, to: after });
+    }
+
+    return changes;
+  }
+
+  /**
+   * Bump the patch component of a semantic version
+   */
+  nextVersion(version) {
+    const [major, minor, patch] = (version || '1.0.0').split('.').map(part => parseInt(part) || 0);
+    return `${major}.${minor}.${patch + 1}`;
+  }
+
+  isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+}
+
+// Export singleton instance
+const versioningUtils = new VersioningUtils();
+
+module.exports = {
+  VersioningUtils,
+  versioningUtils,
+  VERSIONED_FIELDS
+};
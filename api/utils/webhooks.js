@@ -0,0 +1,466 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const { dbUtils } = require('./database');
+const { retryUtils, DEFAULT_RETRY_POLICY } = require('./retry');
+
+// Events tenants can subscribe to
+const WEBHOOK_EVENTS = ['task.completed', 'task.failed', 'agent.status_changed', 'anomaly.detected'];
+
+// Sent by the test endpoint whatever the subscription
+const TEST_EVENT = 'webhook.test';
+
+// Webhook endpoint accepted by the webhooks API
+const WEBHOOK_ENDPOINT_SCHEMA = {
+  type: 'object',
+  required: ['url', 'events'],
+  additionalProperties: false,
+  properties: {
+    url: { type: 'string', pattern: '^https?://', maxLength: 2000 },
+    events: { type: 'array', minItems: 1, items: { type: 'string', enum: WEBHOOK_EVENTS } },
+    description: { type: 'string', maxLength: 500 },
+    enabled: { type: 'boolean' }
+  }
+};
+
+// Addresses endpoints may not resolve to: unspecified, private, carrier-grade
+// NAT, loopback, link-local (cloud metadata services) and unique-local
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['::', 128, 'ipv6'],
+  ['::1', 128, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6']
+].forEach(([address, prefix, family]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, family));
+
+// Failed deliveries are retried for about a day
+const WEBHOOK_RETRY_POLICY = {
+  ...DEFAULT_RETRY_POLICY,
+  max_attempts: 8,
+  initial_delay_ms: 30000,
+  max_delay_ms: 6 * 3600000
+};
+
+/**
+ * Outbound webhooks for FMAA ecosystem.
+ *
+ * Each event becomes one row in webhook_deliveries per subscribed endpoint.
+ * Raising an event only stores its deliveries, the task worker sends them
+ * and retries failed attempts with backoff, so a slow endpoint never holds
+ * up the request that raised the event. Every attempt is kept on the
+ * delivery and deliveries can be replayed.
+ *
+ * Requests carry X-FMAA-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of
+ * "<t>.<raw body>" keyed with the endpoint secret>. X-FMAA-Delivery stays
+ * the same across retries so receivers can drop duplicates.
+ *
+ * Endpoints must use https outside development and resolve to public
+ * addresses, checked when they are registered and before every attempt,
+ * and redirects are not followed, so webhooks cannot reach internal services.
+ */
+class WebhookUtils {
+  constructor() {
+    this.client = dbUtils.admin;
+    this.deliveryTimeout = 5000;
+    this.lockTimeout = 60000; // a delivery claimed longer than this is retried
+    this.maxResponseBodyLength = 500;
+  }
+
+  generateSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+  }
+
+  /**
+   * Why a URL cannot receive webhooks, null when it can.
+   * Throws when the host does not resolve.
+   */
+  async checkUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return 'must be a valid URL';
+    }
+
+    const insecureAllowed = parsed.protocol === 'http:' && process.env.NODE_ENV === 'development';
+    if (parsed.protocol !== 'https:' && !insecureAllowed) {
+      return 'must use https';
+    }
+
+    const host = parsed.hostname.replace(/^\[|\]$/g, '');
+    const addresses = net.isIP(host)
+      ? [{ address: host, family: net.isIP(host) }]
+      : await dns.promises.lookup(host, { all: true });
+
+    const blocked = addresses.find(({ address, family }) => BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4'));
+    return blocked ? `must not resolve to a private, loopback or link-local address (${blocked.address})` : null;
+  }
+
+  /**
+   * Signature header value for a payload
+   */
+  sign(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+    const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `t=${timestamp},v1=${signature}`;
+  }
+
+  /**
+   * Queue an event for every enabled endpoint of the tenant subscribed to it.
+   * Never throws, a failed event must not fail the operation that raised it.
+   */
+  async emit(tenantId, eventType, data, { eventId = null } = {}) {
+    try {
+      return await this.enqueue(tenantId, eventType, data, { eventId });
+    } catch (error) {
+      console.error(`Failed to emit ${eventType} webhook:`, error);
+      return [];
+    }
+  }
+
+  /**
+   * Like emit(), but throws when deliveries cannot be loaded or stored, so
+   * the event bus keeps the event and dispatches it again. Pass the event
+   * bus ID as eventId, endpoints that already have a delivery for it are
+   * skipped when the bus dispatches an event again.
+   */
+  async enqueue(tenantId, eventType, data, { eventId = null } = {}) {
+    const { data: endpoints, error } = await this.client
+      .from('webhook_endpoints')
+      .select('*')
+      .eq('tenant_id', tenantId)
+      .eq('enabled', true);
+
+    if (error) {
+      throw error;
+    }
+
+    let subscribed = endpoints.filter(endpoint => (endpoint.events || []).includes(eventType));
+
+    if (eventId && subscribed.length > 0) {
+      const delivered = await this.getDeliveredEndpoints(eventId);
+      subscribed = subscribed.filter(endpoint => !delivered.includes(endpoint.id));
+    }
+
+    if (subscribed.length === 0) {
+      return [];
+    }
+
+    const event = this.buildEvent(eventType, data, eventId);
+    return await Promise.all(subscribed.map(endpoint => this.createDelivery(endpoint, event)));
+  }
+
+  /**
+   * Send a test event to one endpoint
+   */
+  async sendTest(endpoint) {
+    const delivery = await this.createDelivery(endpoint, this.buildEvent(TEST_EVENT, {
+      endpoint_id: endpoint.id,
+      message: 'Webhook test event'
+    }), { claim: true });
+
+    return await this.deliver(delivery, endpoint);
+  }
+
+  buildEvent(eventType, data, eventId = null) {
+    return {
+      id: eventId || `evt_${crypto.randomUUID().replace(/-/g, '')}`,
+      type: eventType,
+      created_at: new Date().toISOString(),
+      data
+    };
+  }
+
+  async getDeliveredEndpoints(eventId) {
+    const { data, error } = await this.client
+      .from('webhook_deliveries')
+      .select('endpoint_id')
+      .eq('event_id', eventId);
+
+    if (error) {
+      throw error;
+    }
+
+    return data.map(delivery => delivery.endpoint_id);
+  }
+
+  /**
+   * Store a delivery for an endpoint, due right away for the worker.
+   * With claim: true it starts out claimed by the caller, which makes the
+   * first attempt, and is only retried by the worker if that attempt never
+   * gets recorded.
+   */
+  async createDelivery(endpoint, event, { claim = false } = {}) {
+    const now = new Date();
+
+    const { data, error } = await this.client
+      .from('webhook_deliveries')
+      .insert([{
+        endpoint_id: endpoint.id,
+        tenant_id: endpoint.tenant_id,
+        event_id: event.id,
+        event_type: event.type,
+        payload: event,
+        status: 'pending',
+        attempt_count: 0,
+        attempts: [],
+        next_attempt_at: new Date(now.getTime() + (claim ? this.lockTimeout : 0)).toISOString(),
+        created_at: now.toISOString()
+      }])
+      .select()
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    return data;
+  }
+
+  /**
+   * Make one delivery attempt, then record it and schedule a retry
+   * or mark the delivery delivered or failed
+   */
+  async deliver(delivery, endpoint) {
+    const attempt = (delivery.attempt_count || 0) + 1;
+    const startedAt = new Date();
+    const body = JSON.stringify(delivery.payload);
+    let statusCode = null;
+    let responseBody = null;
+    let failure = null;
+
+    try {
+      // Checked again as the host may resolve elsewhere since registration
+      const blocked = await this.checkUrl(endpoint.url);
+      if (blocked) {
+        throw Object.assign(new Error(`Endpoint URL ${blocked}`), { retryable: false });
+      }
+
+      const response = await fetch(endpoint.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'FMAA-Webhooks/1.0',
+          'X-FMAA-Event': delivery.event_type,
+          'X-FMAA-Delivery': delivery.id,
+          'X-FMAA-Signature': this.sign(endpoint.secret, body)
+        },
+        body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(this.deliveryTimeout)
+      });
+
+      statusCode = response.status;
+      responseBody = (await response.text()).slice(0, this.maxResponseBodyLength);
+
+      if (!response.ok) {
+        failure = Object.assign(new Error(`Endpoint responded with HTTP ${response.status}`), {
+          status: response.status,
+          retryAfter: retryUtils.parseRetryAfter(response.headers.get('retry-after'))
+        });
+      }
+    } catch (error) {
+      failure = error;
+    }
+
+    const finishedAt = new Date();
+    const retryable = failure ? retryUtils.isRetryable(failure, WEBHOOK_RETRY_POLICY) : false;
+    const retry = retryable && attempt < WEBHOOK_RETRY_POLICY.max_attempts;
+    const delay = retry ? retryUtils.getDelay(WEBHOOK_RETRY_POLICY, attempt, failure) : null;
+
+    const attempts = [...(delivery.attempts || []), {
+      attempt,
+      status: failure ? 'failed' : 'delivered',
+      status_code: statusCode,
+      response_body: responseBody,
+      error: failure ? failure.message : null,
+      duration_ms: finishedAt.getTime() - startedAt.getTime(),
+      started_at: startedAt.toISOString(),
+      finished_at: finishedAt.toISOString(),
+      ...(retry && { retry_in_ms: delay })
+    }];
+
+    let status = 'delivered';
+    if (failure) {
+      status = retry ? 'pending' : 'failed';
+    }
+
+    const { data, error } = await this.client
+      .from('webhook_deliveries')
+      .update({
+        status,
+        attempt_count: attempt,
+        attempts,
+        last_status_code: statusCode,
+        next_attempt_at: retry ? new Date(finishedAt.getTime() + delay).toISOString() : null,
+        delivered_at: failure ? null : finishedAt.toISOString()
+      })
+      .eq('id', delivery.id)
+      .select()
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    return data;
+  }
+
+  /**
+   * Retry deliveries that are due. A delivery is claimed by pushing its next
+   * attempt back by lockTimeout, so overlapping workers send it once.
+   * With a deadline, stops before a delivery that could run past it.
+   */
+  async deliverPending({ limit = 50, deadline = null } = {}) {
+    const now = new Date();
+
+    const { data: deliveries, error } = await this.client
+      .from('webhook_deliveries')
+      .select('*')
+      .eq('status', 'pending')
+      .lte('next_attempt_at', now.toISOString())
+      .order('next_attempt_at', { ascending: true })
+      .limit(limit);
+
+    if (error) {
+      throw error;
+    }
+
+    const results = [];
+
+    for (const delivery of deliveries) {
+      if (deadline && Date.now() + this.deliveryTimeout > deadline) {
+        break;
+      }
+
+      const { data: claimed } = await this.client
+        .from('webhook_deliveries')
+        .update({ next_attempt_at: new Date(now.getTime() + this.lockTimeout).toISOString() })
+        .eq('id', delivery.id)
+        .eq('status', 'pending')
+        .eq('next_attempt_at', delivery.next_attempt_at)
+        .select()
+        .single();
+
+      if (!claimed) {
+        continue;
+      }
+
+      const endpoint = await this.getEndpoint(delivery.endpoint_id, delivery.tenant_id);
+
+      if (!endpoint || !endpoint.enabled) {
+        results.push(await this.cancelDelivery(claimed, endpoint ? 'Endpoint disabled' : 'Endpoint deleted'));
+        continue;
+      }
+
+      results.push(await this.deliver(claimed, endpoint));
+    }
+
+    return {
+      attempted: results.length,
+      delivered: results.filter(delivery => delivery.status === 'delivered').length,
+      retrying: results.filter(delivery => delivery.status === 'pending').length,
+      failed: results.filter(delivery => delivery.status === 'failed').length
+    };
+  }
+
+  async cancelDelivery(delivery, reason) {
+    const { data, error } = await this.client
+      .from('webhook_deliveries')
+      .update({
+        status: 'failed',
+        next_attempt_at: null,
+        attempts: [...(delivery.attempts || []), { status: 'cancelled', error: reason, finished_at: new Date().toISOString() }]
+      })
+      .eq('id', delivery.id)
+      .select()
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    return data;
+  }
+
+  /**
+   * Send a delivery again with a fresh set of attempts.
+   * Earlier attempts stay in the history.
+   */
+  async replay(delivery, endpoint, { author = null } = {}) {
+    const { data, error } = await this.client
+      .from('webhook_deliveries')
+      .update({
+        status: 'pending',
+        attempt_count: 0,
+        attempts: [...(delivery.attempts || []), { status: 'replayed', replayed_at: new Date().toISOString(), replayed_by: author }],
+        next_attempt_at: new Date(Date.now() + this.lockTimeout).toISOString(),
+        delivered_at: null
+      })
+      .eq('id', delivery.id)
+      .neq('status', 'pending')
+      .select()
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    return await this.deliver(data, endpoint);
+  }
+
+  async getEndpoint(endpointId, tenantId) {
+    const { data, error } = await this.client
+      .from('webhook_endpoints')
+      .select('*')
+      .eq('id', endpointId)
+      .eq('tenant_id', tenantId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') { // Not found error
+      throw error;
+    }
+
+    return data;
+  }
+
+  async getDelivery(deliveryId, tenantId) {
+    const { data, error } = await this.client
+      .from('webhook_deliveries')
+      .select('*')
+      .eq('id', deliveryId)
+      .eq('tenant_id', tenantId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') { // Not found error
+      throw error;
+    }
+
+    return data;
+  }
+
+  /**
+   * Endpoint as returned by the API, the secret is only shown once
+   */
+  formatEndpoint(endpoint, { includeSecret = false } = {}) {
+    const { secret, ...rest } = endpoint;
+    return includeSecret ? endpoint : { ...rest, secret_hint: `${secret.slice(0, 10)}…` };
+  }
+}
+
+// Export singleton instance
+const webhookUtils = new WebhookUtils();
+
+module.exports = {
+  WebhookUtils,
+  webhookUtils,
+  WEBHOOK_EVENTS,
+  WEBHOOK_ENDPOINT_SCHEMA,
+  WEBHOOK_RETRY_POLICY
+};
@@ -0,0 +1,763 @@
+const { dbUtils } = require('./database');
+const { agentRegistry } = require('./agent-registry');
+const { validationUtils } = require('./validation');
+const { lifecycleUtils } = require('./lifecycle');
+const { retryUtils, RETRY_POLICY_SCHEMA } = require('./retry');
+const { taskQueueUtils, TASK_TIMED_OUT } = require('./task-queue');
+const { workflowExpressions } = require('./workflow-expressions');
+
+// Largest number of steps in one workflow
+const MAX_WORKFLOW_STEPS = 50;
+
+// Workflow definition accepted by the workflows API
+const WORKFLOW_SCHEMA = {
+  type: 'object',
+  required: ['name', 'steps'],
+  additionalProperties: false,
+  properties: {
+    name: { type: 'string', minLength: 1, maxLength: 100 },
+    description: { type: 'string', maxLength: 500 },
+    steps: {
+      type: 'array',
+      minItems: 1,
+      maxItems: MAX_WORKFLOW_STEPS,
+      items: {
+        type: 'object',
+        required: ['id'],
+        additionalProperties: false,
+        properties: {
+          id: { type: 'string', pattern: '^[A-Za-z][A-Za-z0-9_]*$', maxLength: 64 },
+          agent: { type: 'string' },
+          transform: {},
+          input: {},
+          depends_on: { type: 'array', items: { type: 'string' } },
+          when: { type: 'object' },
+          for_each: { type: 'string' },
+          max_concurrency: { type: 'integer', minimum: 1, maximum: 20 },
+          retry: RETRY_POLICY_SCHEMA,
+          continue_on_error: { type: 'boolean' }
+        }
+      }
+    },
+    output: {}
+  }
+};
+
+// Step statuses after which a step never runs again
+const TERMINAL_STEP_STATUSES = ['completed', 'failed', 'skipped'];
+
+/**
+ * Multi-agent workflow engine for FMAA ecosystem.
+ *
+ * A workflow is a DAG of steps. Agent steps run an agent type's processTask
+ * with a mapped input and record an agent_tasks row per invocation, transform
+ * steps only reshape data. Steps may fan out over an array (for_each), run
+ * only when a condition holds (when) and retry under their own policy.
+ * Runs and steps are stored in workflow_runs and workflow_steps.
+ */
+class WorkflowEngine {
+  constructor() {
+    this.client = dbUtils.admin;
+    this.lockTimeout = 330000; // longer than the worker's maxDuration
+    this.maxIdleWait = 10000; // wait this long at most for a step retry to come due
+  }
+
+  /**
+   * Validate a workflow definition, returns [{ path, message }]
+   */
+  validateDefinition(definition) {
+    const errors = validationUtils.validate(definition, WORKFLOW_SCHEMA);
+    if (errors.length > 0) {
+      return errors;
+    }
+
+    const ids = new Set();
+    definition.steps.forEach((step, index) => {
+      const path = `steps[${index}]`;
+
+      if (ids.has(step.id)) {
+        errors.push({ path: `${path}.id`, message: `duplicate step id ${step.id}` });
+      }
+      ids.add(step.id);
+
+      if ((step.agent === undefined) === (step.transform === undefined)) {
+        errors.push({ path, message: 'must set exactly one of agent or transform' });
+      }
+
+      if (step.agent !== undefined && !agentRegistry.has(step.agent)) {
+        errors.push({ path: `${path}.agent`, message: `must be one of: ${agentRegistry.getSupportedTypes().join(', ')}` });
+      }
+
+      if (step.transform !== undefined && (step.for_each !== undefined || step.retry !== undefined)) {
+        errors.push({ path, message: 'transform steps do not support for_each or retry' });
+      }
+
+      if (step.when !== undefined) {
+        errors.push(...workflowExpressions.validateCondition(step.when, `${path}.when`));
+      }
+    });
+
+    definition.steps.forEach((step, index) => {
+      (step.depends_on || []).forEach((dependency, depIndex) => {
+        if (!ids.has(dependency)) {
+          errors.push({ path: `steps[${index}].depends_on[${depIndex}]`, message: `unknown step ${dependency}` });
+        }
+      });
+    });
+
+    if (errors.length > 0) {
+      return errors;
+    }
+
+    const cycle = this.findCycle(definition.steps);
+    if (cycle) {
+      return [{ path: 'steps', message: `dependency cycle: ${cycle.join(' -> ')}` }];
+    }
+
+    // A step can only read outputs of steps that finish before it starts
+    definition.steps.forEach((step, index) => {
+      const ancestors = this.getAncestors(definition.steps, step.id);
+      const references = workflowExpressions.referencedSteps([step.input, step.transform, step.when, step.for_each]);
+
+      for (const reference of references) {
+        if (!ancestors.has(reference)) {
+          errors.push({
+            path: `steps[${index}]`,
+            message: `reads $.steps.${reference} but does not depend on it`
+          });
+        }
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Return the step IDs of a dependency cycle, or null for a DAG
+   */
+  findCycle(steps) {
+    const byId = new Map(steps.map(step => [step.id, step]));
+    const state = new Map(); // id -> 'visiting' | 'done'
+    const trail = [];
+
+    const visit = id => {
+      if (state.get(id) === 'done') return null;
+      if (state.get(id) === 'visiting') {
+        return [...trail.slice(trail.indexOf(id)), id];
+      }
+
+      state.set(id, 'visiting');
+      trail.push(id);
+
+      for (const dependency of byId.get(id).depends_on || []) {
+        const cycle = visit(dependency);
+        if (cycle) return cycle;
+      }
+
+      trail.pop();
+      state.set(id, 'done');
+      return null;
+    };
+
+    for (const step of steps) {
+      const cycle = visit(step.id);
+      if (cycle) return cycle;
+    }
+
+    return null;
+  }
+
+  getAncestors(steps, stepId) {
+    const byId = new Map(steps.map(step => [step.id, step]));
+    const ancestors = new Set();
+    const pending = [...(byId.get(stepId).depends_on || [])];
+
+    while (pending.length > 0) {
+      const id = pending.pop();
+      if (!ancestors.has(id)) {
+        ancestors.add(id);
+        pending.push(...(byId.get(id).depends_on || []));
+      }
+    }
+
+    return ancestors;
+  }
+
+  /**
+   * Start a run of a workflow. The definition is copied onto the run so
+   * later edits to the workflow do not affect runs already started.
+   */
+  async startRun(workflow, { input = {}, author = null } = {}) {
+    const now = new Date().toISOString();
+
+    const { data: run, error } = await this.client
+      .from('workflow_runs')
+      .insert([{
+        workflow_id: workflow.id,
+        tenant_id: workflow.tenant_id,
+        definition: workflow.definition,
+        input,
+        status: 'pending',
+        author: author || 'anonymous',
+        next_attempt_at: now,
+        locked_until: now,
+        created_at: now
+      }])
+      .select()
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    const { error: stepsError } = await this.client
+      .from('workflow_steps')
+      .insert(workflow.definition.steps.map(step => ({
+        run_id: run.id,
+        tenant_id: run.tenant_id,
+        step_id: step.id,
+        status: 'pending',
+        attempt_count: 0,
+        units: [],
+        task_ids: []
+      })));
+
+    if (stepsError) {
+      throw stepsError;
+    }
+
+    await taskQueueUtils.dispatch();
+
+    return run;
+  }
+
+  /**
+   * Get a run with its steps
+   */
+  async getRun(runId, tenantId) {
+    const { data: run, error } = await this.client
+      .from('workflow_runs')
+      .select('*')
+      .eq('id', runId)
+      .eq('tenant_id', tenantId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') { // Not found error
+      throw error;
+    }
+
+    if (!run) {
+      return null;
+    }
+
+    return { ...run, steps: await this.loadSteps(run) };
+  }
+
+  async loadSteps(run) {
+    const { data, error } = await this.client
+      .from('workflow_steps')
+      .select('*')
+      .eq('run_id', run.id);
+
+    if (error) {
+      throw error;
+    }
+
+    const order = run.definition.steps.map(step => step.id);
+    return data.sort((a, b) => order.indexOf(a.step_id) - order.indexOf(b.step_id));
+  }
+
+  /**
+   * Advance runs that are due until none are left or the time budget is spent
+   */
+  async runPending({ timeBudget }) {
+    const deadline = Date.now() + timeBudget;
+    const processed = [];
+
+    while (Date.now() < deadline) {
+      const run = await this.claimNext();
+      if (!run) {
+        break;
+      }
+
+      const finished = await this.execute(run, deadline);
+      processed.push({ id: finished.id, workflow_id: finished.workflow_id, status: finished.status });
+    }
+
+    return {
+      processed: processed.length,
+      completed: processed.filter(run => run.status === 'completed').length,
+      failed: processed.filter(run => run.status === 'failed').length,
+      runs: processed
+    };
+  }
+
+  /**
+   * Lock the run that has been due the longest.
+   * Locks expire so a run held by a crashed worker is picked up again.
+   */
+  async claimNext() {
+    const now = new Date().toISOString();
+
+    const { data: candidates, error } = await this.client
+      .from('workflow_runs')
+      .select('id, locked_until')
+      .in('status', ['pending', 'running'])
+      .lte('next_attempt_at', now)
+      .lt('locked_until', now)
+      .order('next_attempt_at', { ascending: true })
+      .limit(5);
+
+    if (error) {
+      throw error;
+    }
+
+    for (const candidate of candidates) {
+      const { data: claimed } = await this.client
+        .from('workflow_runs')
+        .update({ locked_until: new Date(Date.now() + this.lockTimeout).toISOString() })
+        .eq('id', candidate.id)
+        .eq('locked_until', candidate.locked_until)
+        .select()
+        .single();
+
+      if (claimed) {
+        return claimed;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Run every step that is ready, repeatedly, until the run finishes,
+   * only future retries are left or the deadline passes
+   */
+  async execute(run, deadline) {
+    if (run.status === 'pending') {
+      run = await this.updateRun(run, { status: 'running', started_at: new Date().toISOString() });
+    }
+
+    const definitions = run.definition.steps;
+    const records = new Map((await this.loadSteps(run)).map(record => [record.step_id, record]));
+
+    try {
+      while (Date.now() < deadline) {
+        const context = this.buildContext(run, records);
+
+        const failed = definitions.find(step =>
+          records.get(step.id).status === 'failed' && !step.continue_on_error
+        );
+        if (failed) {
+          return await this.finishRun(run, records, 'failed', {
+            error: `Step ${failed.id} failed: ${records.get(failed.id).error}`
+          });
+        }
+
+        const ready = [];
+        let progressed = false;
+
+        for (const step of definitions) {
+          const record = records.get(step.id);
+          if (TERMINAL_STEP_STATUSES.includes(record.status)) continue;
+
+          const dependencies = (step.depends_on || []).map(id => records.get(id));
+          if (dependencies.some(dependency => !TERMINAL_STEP_STATUSES.includes(dependency.status))) continue;
+
+          // Steps behind a branch that was not taken are skipped with it
+          if (dependencies.length > 0 && dependencies.every(dependency => dependency.status === 'skipped')) {
+            records.set(step.id, await this.updateStep(record, { status: 'skipped', error: 'All dependencies were skipped' }));
+            progressed = true;
+            continue;
+          }
+
+          if (step.when && record.status === 'pending' && !workflowExpressions.evaluate(step.when, context)) {
+            records.set(step.id, await this.updateStep(record, { status: 'skipped', error: 'Condition not met' }));
+            progressed = true;
+            continue;
+          }
+
+          if (record.status === 'retrying' && new Date(record.next_attempt_at) > new Date()) continue;
+
+          ready.push(step);
+        }
+
+        if (ready.length > 0) {
+          const results = await Promise.all(ready.map(step =>
+            this.runStep(run, step, records.get(step.id), context)
+          ));
+          results.forEach(record => records.set(record.step_id, record));
+          continue;
+        }
+
+        if (progressed) continue;
+
+        if (definitions.every(step => TERMINAL_STEP_STATUSES.includes(records.get(step.id).status))) {
+          return await this.finishRun(run, records, 'completed');
+        }
+
+        // Only retries are left, wait for ones due soon and leave the rest for a later worker run
+        const nextDueAt = Math.min(...definitions
+          .map(step => records.get(step.id))
+          .filter(record => record.status === 'retrying')
+          .map(record => new Date(record.next_attempt_at).getTime()));
+        const wait = nextDueAt - Date.now();
+
+        if (!Number.isFinite(nextDueAt) || wait > this.maxIdleWait || Date.now() + wait >= deadline) {
+          return await this.updateRun(run, {
+            next_attempt_at: new Date(Number.isFinite(nextDueAt) ? nextDueAt : Date.now()).toISOString(),
+            locked_until: new Date().toISOString()
+          });
+        }
+
+        await new Promise(resolve => setTimeout(resolve, Math.max(wait, 0) + 50));
+      }
+
+      return await this.updateRun(run, { locked_until: new Date().toISOString() });
+    } catch (error) {
+      console.error(`Workflow run ${run.id} failed:`, error);
+      return await this.finishRun(run, records, 'failed', { error: error.message });
+    }
+  }
+
+  /**
+   * Run one step. Agent steps are split into units, one per for_each item
+   * (or a single unit), and only units that are due run again.
+   */
+  async runStep(run, step, record, context) {
+    record = await this.updateStep(record, {
+      status: 'running',
+      ...(!record.started_at && { started_at: new Date().toISOString() })
+    });
+
+    if (step.transform !== undefined) {
+      try {
+        return await this.completeStep(record, workflowExpressions.resolve(step.transform, context));
+      } catch (error) {
+        return await this.updateStep(record, {
+          status: 'failed',
+          error: error.message,
+          completed_at: new Date().toISOString()
+        });
+      }
+    }
+
+    let items = null;
+    if (step.for_each !== undefined) {
+      items = workflowExpressions.resolve(step.for_each, context);
+      if (!Array.isArray(items)) {
+        return await this.updateStep(record, {
+          status: 'failed',
+          error: `for_each ${step.for_each} did not resolve to an array`,
+          completed_at: new Date().toISOString()
+        });
+      }
+    }
+
+    const units = (items || [null]).map((item, index) =>
+      (record.units || [])[index] || { index, status: 'pending', attempt_count: 0, attempts: [] }
+    );
+
+    const agent = await this.findAgent(run.tenant_id, step.agent);
+    const policy = { ...retryUtils.getPolicy(agent), ...(step.retry || {}) };
+    const now = Date.now();
+    const due = units.filter(unit =>
+      unit.status === 'pending' || (unit.status === 'retrying' && new Date(unit.next_attempt_at).getTime() <= now)
+    );
+
+    await this.mapWithConcurrency(due, step.max_concurrency || 5, async unit => {
+      const unitContext = items ? { ...context, item: items[unit.index], index: unit.index } : context;
+      units[unit.index] = await this.runUnit(run, step, agent, policy, unit, unitContext);
+    });
+
+    return await this.settleStep(record, step, units, items !== null);
+  }
+
+  /**
+   * One agent invocation with the step's retry policy
+   */
+  async runUnit(run, step, agent, policy, unit, context) {
+    const attempt = unit.attempt_count + 1;
+    const startedAt = new Date().toISOString();
+    let taskId = null;
+
+    try {
+      if (!agent) {
+        throw Object.assign(new Error(`No ${step.agent} agent found for tenant ${run.tenant_id}`), { retryable: false });
+      }
+
+      // Paused and draining agents refuse new tasks, the unit waits for them
+      const unavailable = lifecycleUtils.checkAvailability(agent);
+      if (unavailable) {
+        throw Object.assign(new Error(unavailable.message), { retryable: true });
+      }
+
+      const input = step.input !== undefined ? workflowExpressions.resolve(step.input, context) : {};
+      const task = await this.createTask(run, step, agent, input);
+      taskId = task.id;
+
+      // Cancelling the unit's task or running past the agent's timeout fails the unit
+      const handler = agentRegistry.getHandler(agent.type);
+      const output = await taskQueueUtils.runAbortable(task, taskQueueUtils.getTimeout(task, agent), signal => handler.processTask(task, agent, {
+        attempt,
+        max_attempts: policy.max_attempts,
+        last_attempt: attempt >= policy.max_attempts,
+        signal
+      }));
+
+      await taskQueueUtils.complete(task, output, { attempt: 1, started_at: startedAt });
+
+      return {
+        ...unit,
+        status: 'completed',
+        attempt_count: attempt,
+        attempts: [...unit.attempts, { attempt, status: 'completed', task_id: taskId, started_at: startedAt, finished_at: new Date().toISOString() }],
+        output,
+        error: null,
+        task_id: taskId
+      };
+    } catch (error) {
+      if (taskId) {
+        await taskQueueUtils.notify(await taskQueueUtils.finish({ id: taskId }, {
+          status: error.code === TASK_TIMED_OUT ? 'timed_out' : 'failed',
+          error_message: error.message,
+          completed_at: new Date().toISOString()
+        }));
+      }
+
+      const retryable = retryUtils.isRetryable(error, policy);
+      const retry = retryable && attempt < policy.max_attempts;
+      const delay = retry ? retryUtils.getDelay(policy, attempt, error) : null;
+
+      return {
+        ...unit,
+        status: retry ? 'retrying' : 'failed',
+        attempt_count: attempt,
+        attempts: [...unit.attempts, {
+          attempt,
+          status: 'failed',
+          task_id: taskId,
+          started_at: startedAt,
+          finished_at: new Date().toISOString(),
+          error: error.message,
+          status_code: retryUtils.getStatusCode(error),
+          retryable
+        }],
+        error: error.message,
+        task_id: taskId,
+        next_attempt_at: retry ? new Date(Date.now() + delay).toISOString() : null
+      };
+    }
+  }
+
+  /**
+   * Fold unit results into the step's status and output
+   */
+  async settleStep(record, step, units, fanOut) {
+    const taskIds = Array.from(new Set([
+      ...(record.task_ids || []),
+      ...units.flatMap(unit => unit.attempts.map(attempt => attempt.task_id).filter(Boolean))
+    ]));
+    const attemptCount = units.reduce((sum, unit) => sum + unit.attempt_count, 0);
+    const failed = units.find(unit => unit.status === 'failed');
+    const retrying = units.filter(unit => unit.status === 'retrying');
+
+    if (retrying.length > 0 && (!failed || step.continue_on_error)) {
+      return await this.updateStep(record, {
+        status: 'retrying',
+        units,
+        task_ids: taskIds,
+        attempt_count: attemptCount,
+        next_attempt_at: new Date(Math.min(...retrying.map(unit => new Date(unit.next_attempt_at).getTime()))).toISOString()
+      });
+    }
+
+    const output = fanOut
+      ? units.map(unit => (unit.status === 'completed' ? unit.output : null))
+      : units[0].output || null;
+
+    if (failed) {
+      return await this.updateStep(record, {
+        status: 'failed',
+        units,
+        task_ids: taskIds,
+        attempt_count: attemptCount,
+        output: step.continue_on_error ? output : null,
+        error: fanOut ? `Item ${failed.index}: ${failed.error}` : failed.error,
+        completed_at: new Date().toISOString()
+      });
+    }
+
+    return await this.completeStep(record, output, { units, task_ids: taskIds, attempt_count: attemptCount });
+  }
+
+  async completeStep(record, output, extraFields = {}) {
+    return await this.updateStep(record, {
+      status: 'completed',
+      output: output === undefined ? null : output,
+      error: null,
+      next_attempt_at: null,
+      completed_at: new Date().toISOString(),
+      ...extraFields
+    });
+  }
+
+  async finishRun(run, records, status, { error = null } = {}) {
+    const now = new Date().toISOString();
+
+    // Steps that never ran are skipped once the run is over
+    for (const record of records.values()) {
+      if (!TERMINAL_STEP_STATUSES.includes(record.status)) {
+        records.set(record.step_id, await this.updateStep(record, {
+          status: 'skipped',
+          error: 'Workflow run ended before this step ran',
+          completed_at: now
+        }));
+      }
+    }
+
+    let output = null;
+    if (status === 'completed') {
+      try {
+        output = this.buildOutput(run, records);
+      } catch (outputError) {
+        status = 'failed';
+        error = `Workflow output failed: ${outputError.message}`;
+      }
+    }
+
+    return await this.updateRun(run, {
+      status,
+      output,
+      error,
+      completed_at: now,
+      locked_until: now
+    });
+  }
+
+  /**
+   * The definition's output mapping, or the outputs of steps nothing depends on
+   */
+  buildOutput(run, records) {
+    const { steps, output } = run.definition;
+
+    if (output !== undefined) {
+      return workflowExpressions.resolve(output, this.buildContext(run, records));
+    }
+
+    const dependedOn = new Set(steps.flatMap(step => step.depends_on || []));
+    return steps
+      .filter(step => !dependedOn.has(step.id))
+      .reduce((acc, step) => {
+        acc[step.id] = records.get(step.id).output;
+        return acc;
+      }, {});
+  }
+
+  buildContext(run, records) {
+    const steps = {};
+    for (const [id, record] of records) {
+      steps[id] = { status: record.status, output: record.output };
+    }
+
+    return { input: run.input || {}, steps };
+  }
+
+  /**
+   * The tenant's live agent of a type, the oldest one when there are several
+   */
+  async findAgent(tenantId, type) {
+    const { data, error } = await this.client
+      .from('agents')
+      .select('*')
+      .eq('tenant_id', tenantId)
+      .eq('type', type)
+      .is('deleted_at', null)
+      .order('created_at', { ascending: true })
+      .limit(1);
+
+    if (error) {
+      throw error;
+    }
+
+    return data[0] || null;
+  }
+
+  async createTask(run, step, agent, input) {
+    // Agent config options apply as they do for direct requests
+    const inputData = agent.config && agent.config.options && input && typeof input === 'object'
+      ? { ...input, options: { ...agent.config.options, ...(input.options || {}) } }
+      : input;
+
+    const { data, error } = await this.client
+      .from('agent_tasks')
+      .insert([{
+        agent_id: agent.id,
+        tenant_id: run.tenant_id,
+        task_type: agentRegistry.get(agent.type).taskType,
+        input_data: inputData,
+        status: 'running',
+        workflow_run_id: run.id,
+        workflow_step: step.id,
+        started_at: new Date().toISOString()
+      }])
+      .select()
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    return data;
+  }
+
+  async mapWithConcurrency(items, concurrency, fn) {
+    const queue = [...items];
+    const workers = Array.from({ length: Math.min(concurrency, queue.length) }, async () => {
+      while (queue.length > 0) {
+        await fn(queue.shift());
+      }
+    });
+
+    await Promise.all(workers);
+  }
+
+  async updateRun(run, updates) {
+    const { data, error } = await this.client
+      .from('workflow_runs')
+      .update(updates)
+      .eq('id', run.id)
+      .select()
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    return data;
+  }
+
+  async updateStep(record, updates) {
+    const { data, error } = await this.client
+      .from('workflow_steps')
+      .update(updates)
+      .eq('id', record.id)
+      .select()
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    return data;
+  }
+}
+
+// Export singleton instance
+const workflowEngine = new WorkflowEngine();
+
+module.exports = {
+  WorkflowEngine,
+  workflowEngine,
+  WORKFLOW_SCHEMA
+};
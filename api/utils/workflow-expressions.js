@@ -0,0 +1,242 @@
+// Comparison operators usable in step conditions
+const CONDITION_OPERATORS = ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in', 'contains', 'exists'];
+
+// Path segments: .name, [0] or [*]
+const PATH_TOKEN_PATTERN = /\.([A-Za-z0-9_-]+)|\[(\d+|\*)\]/g;
+
+/**
+ * Input mapping and conditions for workflow steps.
+ *
+ * Mappings are JSON values where:
+ * - "$.path.to[0].value" reads from the run context, [*] maps over arrays
+ * - { "$fn": "name", ...args } calls an aggregate function, args are mappings too
+ * - "$$text" is the literal string "$text"
+ * - anything else is taken as is
+ *
+ * The run context is { input, steps: { <id>: { status, output } }, item, index }.
+ */
+class WorkflowExpressions {
+  constructor() {
+    this.functions = {
+      count: ({ of }) => this.toArray(of).length,
+      sum: ({ of }) => this.numbers(of).reduce((sum, value) => sum + value, 0),
+      avg: ({ of }) => {
+        const values = this.numbers(of);
+        return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+      },
+      min: ({ of }) => {
+        const values = this.numbers(of);
+        return values.length > 0 ? Math.min(...values) : null;
+      },
+      max: ({ of }) => {
+        const values = this.numbers(of);
+        return values.length > 0 ? Math.max(...values) : null;
+      },
+      frequencies: ({ of }) => this.toArray(of).reduce((acc, value) => {
+        acc[value] = (acc[value] || 0) + 1;
+        return acc;
+      }, {}),
+      majority: ({ of }) => {
+        const entries = Object.entries(this.functions.frequencies({ of }));
+        return entries.length > 0 ? entries.sort((a, b) => b[1] - a[1])[0][0] : null;
+      },
+      ratio: ({ of, equals }) => {
+        const values = this.toArray(of);
+        return values.length > 0 ? values.filter(value => value === equals).length / values.length : null;
+      },
+      flatten: ({ of }) => this.toArray(of).flat(),
+      compact: ({ of }) => this.toArray(of).filter(value => value !== null && value !== undefined)
+    };
+  }
+
+  /**
+   * Resolve a mapping against the run context
+   */
+  resolve(mapping, context) {
+    if (typeof mapping === 'string') {
+      if (mapping.startsWith('$$')) {
+        return mapping.slice(1);
+      }
+      if (mapping === '$' || mapping.startsWith('$.') || mapping.startsWith('$[')) {
+        return this.lookup(context, mapping);
+      }
+      return mapping;
+    }
+
+    if (Array.isArray(mapping)) {
+      return mapping.map(item => this.resolve(item, context));
+    }
+
+    if (mapping !== null && typeof mapping === 'object') {
+      if (mapping.$fn !== undefined) {
+        return this.call(mapping, context);
+      }
+
+      return Object.entries(mapping).reduce((acc, [key, value]) => {
+        acc[key] = this.resolve(value, context);
+        return acc;
+      }, {});
+    }
+
+    return mapping;
+  }
+
+  /**
+   * Read a "$.a.b[0]" path, [*] maps the rest of the path over an array
+   */
+  lookup(context, path) {
+    const tokens = [];
+    const rest = path.slice(1);
+    let match;
+    let consumed = 0;
+
+    PATH_TOKEN_PATTERN.lastIndex = 0;
+    while ((match = PATH_TOKEN_PATTERN.exec(rest)) !== null) {
+      if (match.index !== consumed) {
+        throw new Error(`Invalid path ${path}`);
+      }
+      tokens.push(match[1] !== undefined ? match[1] : match[2]);
+      consumed = PATH_TOKEN_PATTERN.lastIndex;
+    }
+
+    if (consumed !== rest.length) {
+      throw new Error(`Invalid path ${path}`);
+    }
+
+    return this.walk(context, tokens);
+  }
+
+  walk(value, tokens) {
+    if (tokens.length === 0) {
+      return value;
+    }
+
+    const [token, ...rest] = tokens;
+
+    if (token === '*') {
+      return Array.isArray(value) ? value.map(item => this.walk(item, rest)) : undefined;
+    }
+
+    if (value === null || value === undefined) {
+      return undefined;
+    }
+
+    return this.walk(value[token], rest);
+  }
+
+  call(mapping, context) {
+    const { $fn: name, ...args } = mapping;
+    const fn = this.functions[name];
+
+    if (!fn) {
+      throw new Error(`Unknown workflow function ${name}`);
+    }
+
+    return fn(this.resolve(args, context));
+  }
+
+  /**
+   * Evaluate a step condition:
+   * { left, op, right }, { all: [...] }, { any: [...] } or { not: condition }
+   */
+  evaluate(condition, context) {
+    if (condition.all) {
+      return condition.all.every(item => this.evaluate(item, context));
+    }
+
+    if (condition.any) {
+      return condition.any.some(item => this.evaluate(item, context));
+    }
+
+    if (condition.not) {
+      return !this.evaluate(condition.not, context);
+    }
+
+    const left = this.resolve(condition.left, context);
+    const right = this.resolve(condition.right, context);
+
+    switch (condition.op) {
+      case 'eq': return left === right;
+      case 'ne': return left !== right;
+      case 'gt': return left > right;
+      case 'gte': return left >= right;
+      case 'lt': return left < right;
+      case 'lte': return left <= right;
+      case 'in': return Array.isArray(right) && right.includes(left);
+      case 'contains': return (Array.isArray(left) || typeof left === 'string') && left.includes(right);
+      case 'exists': return left !== undefined && left !== null;
+      default:
+        throw new Error(`Unknown condition operator ${condition.op}`);
+    }
+  }
+
+  /**
+   * Step IDs a mapping or condition reads through $.steps.<id>
+   */
+  referencedSteps(mapping) {
+    const found = new Set();
+    const visit = value => {
+      if (typeof value === 'string') {
+        const match = value.match(/^\$\.steps\.([A-Za-z0-9_-]+)/);
+        if (match) {
+          found.add(match[1]);
+        }
+      } else if (Array.isArray(value)) {
+        value.forEach(visit);
+      } else if (value !== null && typeof value === 'object') {
+        Object.values(value).forEach(visit);
+      }
+    };
+
+    visit(mapping);
+    return Array.from(found);
+  }
+
+  /**
+   * Check a condition's shape, returns [{ path, message }]
+   */
+  validateCondition(condition, path) {
+    if (condition === null || typeof condition !== 'object' || Array.isArray(condition)) {
+      return [{ path, message: 'must be an object' }];
+    }
+
+    for (const key of ['all', 'any']) {
+      if (condition[key] !== undefined) {
+        if (!Array.isArray(condition[key]) || condition[key].length === 0) {
+          return [{ path: `${path}.${key}`, message: 'must be a non-empty array' }];
+        }
+        return condition[key].flatMap((item, index) => this.validateCondition(item, `${path}.${key}[${index}]`));
+      }
+    }
+
+    if (condition.not !== undefined) {
+      return this.validateCondition(condition.not, `${path}.not`);
+    }
+
+    if (!CONDITION_OPERATORS.includes(condition.op)) {
+      return [{ path: `${path}.op`, message: `must be one of: ${CONDITION_OPERATORS.join(', ')}` }];
+    }
+
+    return [];
+  }
+
+  toArray(value) {
+    if (value === undefined || value === null) {
+      return [];
+    }
+    return Array.isArray(value) ? value : [value];
+  }
+
+  numbers(value) {
+    return this.toArray(value).filter(item => typeof item === 'number' && !Number.isNaN(item));
+  }
+}
+
+// Export singleton instance
+const workflowExpressions = new WorkflowExpressions();
+
+module.exports = {
+  WorkflowExpressions,
+  workflowExpressions,
+  CONDITION_OPERATORS
+};
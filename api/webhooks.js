@@ -0,0 +1,361 @@
+const { createClient } = require('@supabase/supabase-js');
+const { validationUtils } = require('./utils/validation');
+const { webhookUtils, WEBHOOK_ENDPOINT_SCHEMA } = require('./utils/webhooks');
+
+// Initialize Supabase client
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// Webhook endpoints and their deliveries
+module.exports = async (req, res) => {
+  // Enable CORS
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  try {
+    const { method, url } = req;
+    const tenantId = req.headers['x-tenant-id'] || 'default';
+    const [first, second, third] = getPathSegments(url);
+
+    // /api/webhooks/deliveries/:deliveryId[/replay]
+    if (first === 'deliveries') {
+      if (third === 'replay' && method === 'POST') {
+        return await handleReplayDelivery(req, res, tenantId, second);
+      } else if (method === 'GET' && second) {
+        return await handleGetDelivery(req, res, tenantId, second);
+      }
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const endpointId = first || req.query.id;
+
+    // /api/webhooks/:id/deliveries, /api/webhooks/:id/test, /api/webhooks/:id/rotate-secret
+    if (endpointId && second) {
+      if (second === 'deliveries' && method === 'GET') {
+        return await handleListDeliveries(req, res, tenantId, endpointId);
+      } else if (second === 'test' && method === 'POST') {
+        return await handleTestEndpoint(req, res, tenantId, endpointId);
+      } else if (second === 'rotate-secret' && method === 'POST') {
+        return await handleRotateSecret(req, res, tenantId, endpointId);
+      }
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    switch (method) {
+      case 'GET':
+        return endpointId
+          ? await handleGetEndpoint(req, res, tenantId, endpointId)
+          : await handleListEndpoints(req, res, tenantId);
+      case 'POST':
+        return await handleCreateEndpoint(req, res, tenantId);
+      case 'PUT':
+        return await handleUpdateEndpoint(req, res, tenantId, endpointId);
+      case 'DELETE':
+        return await handleDeleteEndpoint(req, res, tenantId, endpointId);
+      default:
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+  } catch (error) {
+    console.error('Webhooks Error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+};
+
+// List webhook endpoints for a tenant
+async function handleListEndpoints(req, res, tenantId) {
+  const { data: endpoints, error } = await supabase
+    .from('webhook_endpoints')
+    .select('*')
+    .eq('tenant_id', tenantId)
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    return res.status(500).json({ error: error.message });
+  }
+
+  return res.status(200).json({
+    success: true,
+    endpoints: endpoints.map(endpoint => webhookUtils.formatEndpoint(endpoint)),
+    total: endpoints.length
+  });
+}
+
+// Get a single webhook endpoint
+async function handleGetEndpoint(req, res, tenantId, endpointId) {
+  const endpoint = await webhookUtils.getEndpoint(endpointId, tenantId);
+
+  if (!endpoint) {
+    return res.status(404).json({ error: 'Webhook endpoint not found' });
+  }
+
+  return res.status(200).json({
+    success: true,
+    endpoint: webhookUtils.formatEndpoint(endpoint)
+  });
+}
+
+// Register a webhook endpoint, the signing secret is only returned here
+async function handleCreateEndpoint(req, res, tenantId) {
+  const definition = req.body || {};
+  const errors = await validateEndpoint(definition);
+
+  if (errors.length > 0) {
+    return sendValidationError(res, errors);
+  }
+
+  const now = new Date().toISOString();
+  const { data: endpoint, error } = await supabase
+    .from('webhook_endpoints')
+    .insert([{
+      tenant_id: tenantId,
+      url: definition.url,
+      events: Array.from(new Set(definition.events)),
+      description: definition.description || null,
+      enabled: definition.enabled !== false,
+      secret: webhookUtils.generateSecret(),
+      author: getAuthor(req),
+      created_at: now,
+      updated_at: now
+    }])
+    .select()
+    .single();
+
+  if (error) {
+    return res.status(500).json({ error: error.message });
+  }
+
+  return res.status(201).json({
+    success: true,
+    endpoint: webhookUtils.formatEndpoint(endpoint, { includeSecret: true }),
+    message: 'Webhook endpoint created successfully, store the secret now as it is not shown again'
+  });
+}
+
+// Replace a webhook endpoint's URL, events and description
+async function handleUpdateEndpoint(req, res, tenantId, endpointId) {
+  if (!endpointId) {
+    return res.status(400).json({ error: 'Webhook endpoint ID is required' });
+  }
+
+  const definition = req.body || {};
+  const errors = await validateEndpoint(definition);
+
+  if (errors.length > 0) {
+    return sendValidationError(res, errors);
+  }
+
+  const { data: endpoint, error } = await supabase
+    .from('webhook_endpoints')
+    .update({
+      url: definition.url,
+      events: Array.from(new Set(definition.events)),
+      description: definition.description || null,
+      enabled: definition.enabled !== false,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', endpointId)
+    .eq('tenant_id', tenantId)
+    .select()
+    .single();
+
+  if (error && error.code !== 'PGRST116') { // Not found error
+    return res.status(500).json({ error: error.message });
+  }
+
+  if (!endpoint) {
+    return res.status(404).json({ error: 'Webhook endpoint not found' });
+  }
+
+  return res.status(200).json({
+    success: true,
+    endpoint: webhookUtils.formatEndpoint(endpoint),
+    message: 'Webhook endpoint updated successfully'
+  });
+}
+
+// Delete a webhook endpoint, pending deliveries to it are dropped by the worker
+async function handleDeleteEndpoint(req, res, tenantId, endpointId) {
+  if (!endpointId) {
+    return res.status(400).json({ error: 'Webhook endpoint ID is required' });
+  }
+
+  const { error } = await supabase
+    .from('webhook_endpoints')
+    .delete()
+    .eq('id', endpointId)
+    .eq('tenant_id', tenantId);
+
+  if (error) {
+    return res.status(500).json({ error: error.message });
+  }
+
+  return res.status(200).json({
+    success: true,
+    message: 'Webhook endpoint deleted successfully'
+  });
+}
+
+// Replace an endpoint's signing secret
+async function handleRotateSecret(req, res, tenantId, endpointId) {
+  const { data: endpoint, error } = await supabase
+    .from('webhook_endpoints')
+    .update({
+      secret: webhookUtils.generateSecret(),
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', endpointId)
+    .eq('tenant_id', tenantId)
+    .select()
+    .single();
+
+  if (error && error.code !== 'PGRST116') { // Not found error
+    return res.status(500).json({ error: error.message });
+  }
+
+  if (!endpoint) {
+    return res.status(404).json({ error: 'Webhook endpoint not found' });
+  }
+
+  return res.status(200).json({
+    success: true,
+    endpoint: webhookUtils.formatEndpoint(endpoint, { includeSecret: true }),
+    message: 'Webhook secret rotated successfully'
+  });
+}
+
+// Send a webhook.test event to an endpoint
+async function handleTestEndpoint(req, res, tenantId, endpointId) {
+  const endpoint = await webhookUtils.getEndpoint(endpointId, tenantId);
+
+  if (!endpoint) {
+    return res.status(404).json({ error: 'Webhook endpoint not found' });
+  }
+
+  const delivery = await webhookUtils.sendTest(endpoint);
+
+  return res.status(200).json({
+    success: delivery.status === 'delivered',
+    delivery
+  });
+}
+
+// List an endpoint's deliveries, newest first
+async function handleListDeliveries(req, res, tenantId, endpointId) {
+  const { status, event_type, limit = 50 } = req.query;
+
+  let query = supabase
+    .from('webhook_deliveries')
+    .select('*')
+    .eq('endpoint_id', endpointId)
+    .eq('tenant_id', tenantId);
+
+  if (status) {
+    query = query.eq('status', status);
+  }
+
+  if (event_type) {
+    query = query.eq('event_type', event_type);
+  }
+
+  const { data: deliveries, error } = await query
+    .order('created_at', { ascending: false })
+    .limit(Math.min(parseInt(limit) || 50, 200));
+
+  if (error) {
+    return res.status(500).json({ error: error.message });
+  }
+
+  return res.status(200).json({
+    success: true,
+    endpoint_id: endpointId,
+    deliveries,
+    total: deliveries.length
+  });
+}
+
+// Get a delivery with every attempt
+async function handleGetDelivery(req, res, tenantId, deliveryId) {
+  const delivery = await webhookUtils.getDelivery(deliveryId, tenantId);
+
+  if (!delivery) {
+    return res.status(404).json({ error: 'Webhook delivery not found' });
+  }
+
+  return res.status(200).json({
+    success: true,
+    delivery
+  });
+}
+
+// Send a delivery again, with the payload it was first sent with
+async function handleReplayDelivery(req, res, tenantId, deliveryId) {
+  const delivery = await webhookUtils.getDelivery(deliveryId, tenantId);
+
+  if (!delivery) {
+    return res.status(404).json({ error: 'Webhook delivery not found' });
+  }
+
+  if (delivery.status === 'pending') {
+    return res.status(409).json({ error: 'Webhook delivery is still being retried' });
+  }
+
+  const endpoint = await webhookUtils.getEndpoint(delivery.endpoint_id, tenantId);
+
+  if (!endpoint) {
+    return res.status(404).json({ error: 'Webhook endpoint not found' });
+  }
+
+  const replayed = await webhookUtils.replay(delivery, endpoint, { author: getAuthor(req) });
+
+  return res.status(200).json({
+    success: replayed.status === 'delivered',
+    delivery: replayed
+  });
+}
+
+// Validate an endpoint definition, including where its URL resolves
+async function validateEndpoint(definition) {
+  const errors = validationUtils.validate(definition, WEBHOOK_ENDPOINT_SCHEMA);
+
+  if (errors.length > 0) {
+    return errors;
+  }
+
+  let urlError;
+  try {
+    urlError = await webhookUtils.checkUrl(definition.url);
+  } catch (error) {
+    urlError = 'host does not resolve';
+  }
+
+  return urlError ? [{ path: 'url', message: urlError }] : [];
+}
+
+// Respond with every offending field path so clients can highlight them
+function sendValidationError(res, errors) {
+  return res.status(400).json({
+    error: 'Validation failed',
+    details: errors
+  });
+}
+
+function getAuthor(req) {
+  return req.headers['x-user-id'] || 'anonymous';
+}
+
+// Path segments after /api/webhooks
+function getPathSegments(url) {
+  const segments = url.split('?')[0].split('/').filter(Boolean).map(decodeURIComponent);
+  const index = segments.indexOf('webhooks');
+  return index >= 0 ? segments.slice(index + 1) : [];
+}
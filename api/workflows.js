@@ -0,0 +1,297 @@
+const { createClient } = require('@supabase/supabase-js');
+const { workflowEngine } = require('./utils/workflow-engine');
+
+// Initialize Supabase client
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// Multi-agent workflows
+module.exports = async (req, res) => {
+  // Enable CORS
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  try {
+    const { method, url } = req;
+    const tenantId = req.headers['x-tenant-id'] || 'default';
+    const [first, second] = getPathSegments(url);
+
+    // /api/workflows/runs/:runId
+    if (first === 'runs' && method === 'GET') {
+      return await handleGetRun(req, res, tenantId, second || req.query.run_id);
+    }
+
+    const workflowId = first || req.query.id;
+
+    // /api/workflows/:id/runs
+    if (workflowId && second === 'runs') {
+      if (method === 'POST') {
+        return await handleStartRun(req, res, tenantId, workflowId);
+      } else if (method === 'GET') {
+        return await handleListRuns(req, res, tenantId, workflowId);
+      }
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    switch (method) {
+      case 'GET':
+        return workflowId
+          ? await handleGetWorkflow(req, res, tenantId, workflowId)
+          : await handleListWorkflows(req, res, tenantId);
+      case 'POST':
+        return await handleCreateWorkflow(req, res, tenantId);
+      case 'PUT':
+        return await handleUpdateWorkflow(req, res, tenantId, workflowId);
+      case 'DELETE':
+        return await handleDeleteWorkflow(req, res, tenantId, workflowId);
+      default:
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+  } catch (error) {
+    console.error('Workflows Error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+};
+
+// List workflows for a tenant
+async function handleListWorkflows(req, res, tenantId) {
+  const { data: workflows, error } = await supabase
+    .from('workflows')
+    .select('*')
+    .eq('tenant_id', tenantId)
+    .order('name', { ascending: true });
+
+  if (error) {
+    return res.status(500).json({ error: error.message });
+  }
+
+  return res.status(200).json({
+    success: true,
+    workflows,
+    total: workflows.length
+  });
+}
+
+// Get a single workflow
+async function handleGetWorkflow(req, res, tenantId, workflowId) {
+  const workflow = await findWorkflow(workflowId, tenantId);
+
+  if (!workflow) {
+    return res.status(404).json({ error: 'Workflow not found' });
+  }
+
+  return res.status(200).json({
+    success: true,
+    workflow
+  });
+}
+
+// Create a workflow from a DAG definition
+async function handleCreateWorkflow(req, res, tenantId) {
+  const definition = req.body || {};
+  const errors = workflowEngine.validateDefinition(definition);
+
+  if (errors.length > 0) {
+    return sendValidationError(res, errors);
+  }
+
+  const now = new Date().toISOString();
+  const { data: workflow, error } = await supabase
+    .from('workflows')
+    .insert([{
+      tenant_id: tenantId,
+      name: definition.name,
+      description: definition.description || null,
+      definition,
+      author: getAuthor(req),
+      created_at: now,
+      updated_at: now
+    }])
+    .select()
+    .single();
+
+  if (error) {
+    return res.status(500).json({ error: error.message });
+  }
+
+  return res.status(201).json({
+    success: true,
+    workflow,
+    message: 'Workflow created successfully'
+  });
+}
+
+// Replace a workflow's definition, runs already started keep the old one
+async function handleUpdateWorkflow(req, res, tenantId, workflowId) {
+  if (!workflowId) {
+    return res.status(400).json({ error: 'Workflow ID is required' });
+  }
+
+  const definition = req.body || {};
+  const errors = workflowEngine.validateDefinition(definition);
+
+  if (errors.length > 0) {
+    return sendValidationError(res, errors);
+  }
+
+  const { data: workflow, error } = await supabase
+    .from('workflows')
+    .update({
+      name: definition.name,
+      description: definition.description || null,
+      definition,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', workflowId)
+    .eq('tenant_id', tenantId)
+    .select()
+    .single();
+
+  if (error && error.code !== 'PGRST116') { // Not found error
+    return res.status(500).json({ error: error.message });
+  }
+
+  if (!workflow) {
+    return res.status(404).json({ error: 'Workflow not found' });
+  }
+
+  return res.status(200).json({
+    success: true,
+    workflow,
+    message: 'Workflow updated successfully'
+  });
+}
+
+// Delete a workflow, its runs are kept
+async function handleDeleteWorkflow(req, res, tenantId, workflowId) {
+  if (!workflowId) {
+    return res.status(400).json({ error: 'Workflow ID is required' });
+  }
+
+  const { error } = await supabase
+    .from('workflows')
+    .delete()
+    .eq('id', workflowId)
+    .eq('tenant_id', tenantId);
+
+  if (error) {
+    return res.status(500).json({ error: error.message });
+  }
+
+  return res.status(200).json({
+    success: true,
+    message: 'Workflow deleted successfully'
+  });
+}
+
+// Start a run, the task worker executes it
+async function handleStartRun(req, res, tenantId, workflowId) {
+  const { input = {} } = req.body || {};
+
+  if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+    return sendValidationError(res, [{ path: 'input', message: 'must be an object' }]);
+  }
+
+  const workflow = await findWorkflow(workflowId, tenantId);
+
+  if (!workflow) {
+    return res.status(404).json({ error: 'Workflow not found' });
+  }
+
+  const run = await workflowEngine.startRun(workflow, { input, author: getAuthor(req) });
+
+  return res.status(202).json({
+    success: true,
+    run_id: run.id,
+    status: run.status,
+    status_url: `/api/workflows/runs/${run.id}`
+  });
+}
+
+// List runs of a workflow, newest first
+async function handleListRuns(req, res, tenantId, workflowId) {
+  const { status, limit = 20 } = req.query;
+
+  let query = supabase
+    .from('workflow_runs')
+    .select('id, workflow_id, status, error, created_at, started_at, completed_at')
+    .eq('workflow_id', workflowId)
+    .eq('tenant_id', tenantId);
+
+  if (status) {
+    query = query.eq('status', status);
+  }
+
+  const { data: runs, error } = await query
+    .order('created_at', { ascending: false })
+    .limit(Math.min(parseInt(limit) || 20, 100));
+
+  if (error) {
+    return res.status(500).json({ error: error.message });
+  }
+
+  return res.status(200).json({
+    success: true,
+    workflow_id: workflowId,
+    runs,
+    total: runs.length
+  });
+}
+
+// Get a run with the status, output and tasks of every step
+async function handleGetRun(req, res, tenantId, runId) {
+  if (!runId) {
+    return res.status(400).json({ error: 'Run ID is required' });
+  }
+
+  const run = await workflowEngine.getRun(runId, tenantId);
+
+  if (!run) {
+    return res.status(404).json({ error: 'Workflow run not found' });
+  }
+
+  return res.status(200).json({
+    success: true,
+    run
+  });
+}
+
+async function findWorkflow(workflowId, tenantId) {
+  const { data } = await supabase
+    .from('workflows')
+    .select('*')
+    .eq('id', workflowId)
+    .eq('tenant_id', tenantId)
+    .single();
+
+  return data;
+}
+
+// Respond with every offending field path so clients can highlight them
+function sendValidationError(res, errors) {
+  return res.status(400).json({
+    error: 'Validation failed',
+    details: errors
+  });
+}
+
+function getAuthor(req) {
+  return req.headers['x-user-id'] || 'anonymous';
+}
+
+// Path segments after /api/workflows
+function getPathSegments(url) {
+  const segments = url.split('?')[0].split('/').filter(Boolean).map(decodeURIComponent);
+  const index = segments.indexOf('workflows');
+  return index >= 0 ? segments.slice(index + 1) : [];
+}
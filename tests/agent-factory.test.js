@@ -0,0 +1,257 @@
+process.env.SUPABASE_URL = 'http://supabase.test';
+process.env.SUPABASE_SERVICE_ROLE_KEY = 'test-service-role-key';
+process.env.EVENT_BUS_BACKEND = 'memory';
+
+const { FakeSupabase } = require('./support/fake-supabase');
+const { createResponse } = require('./support/mock-response');
+
+const mockDb = new FakeSupabase();
+mockDb.addUniqueIndex('agents', ['tenant_id', 'type'], row => !row.deleted_at);
+jest.mock('@supabase/supabase-js', () => ({ createClient: () => mockDb }));
+
+const { authUtils } = require('../api/utils/auth');
+const { deploymentUtils } = require('../api/utils/deployment');
+const { eventBus } = require('../api/utils/event-bus');
+const { versioningUtils } = require('../api/utils/versioning');
+const agentFactory = require('../api/agent-factory');
+
+function seed() {
+  mockDb.tables = {
+    agents: [{
+      id: 'agent-1',
+      tenant_id: 'tenant-1',
+      name: 'Sentiment',
+      type: 'sentiment-analysis',
+      status: 'active',
+      version: '1.0.0',
+      config: { options: { model: 'stable/model' } },
+      deleted_at: null
+    }],
+    agent_versions: [],
+    agent_logs: []
+  };
+}
+
+async function call(method, url, { query = {}, body, headers = {} } = {}) {
+  const res = createResponse();
+  await agentFactory({ method, url, query, body, headers: { 'x-tenant-id': 'tenant-1', ...headers } }, res);
+  return res;
+}
+
+beforeEach(() => {
+  seed();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(deploymentUtils, 'deploy').mockImplementation(async agent => ({ status: 'active', agent_id: agent.id }));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('cloning into another tenant', () => {
+  const clone = headers => call('POST', '/api/agent-factory/clone?id=agent-1', {
+    query: { id: 'agent-1' },
+    body: { target_tenant_id: 'tenant-2' },
+    headers
+  });
+
+  test('is refused without an authenticated admin', async () => {
+    const res = await clone();
+
+    expect(res.statusCode).toBe(403);
+    expect(mockDb.rows('agents')).toHaveLength(1);
+  });
+
+  test('is refused for users without the admin role', async () => {
+    jest.spyOn(authUtils, 'authenticateRequestFlexible').mockResolvedValue({ user: { role: 'user' } });
+
+    expect((await clone({ authorization: 'Bearer token' })).statusCode).toBe(403);
+  });
+
+  test('is allowed for admins', async () => {
+    jest.spyOn(authUtils, 'authenticateRequestFlexible').mockResolvedValue({ user: { role: 'admin' } });
+
+    const res = await clone({ authorization: 'Bearer token' });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.agent).toMatchObject({ tenant_id: 'tenant-2', source_agent_id: 'agent-1' });
+  });
+});
+
+describe('instantiating a template into another tenant', () => {
+  test('is refused without an authenticated admin', async () => {
+    const res = await call('POST', '/api/agent-factory/templates/instantiate', {
+      body: { template: 'sentiment-defaults', name: 'Sentiment', target_tenant_id: 'tenant-2' }
+    });
+
+    expect(res.statusCode).toBe(403);
+  });
+});
+
+describe('one agent per type in a tenant', () => {
+  test('create is refused when the tenant already has an agent of the type', async () => {
+    const res = await call('POST', '/api/agent-factory', {
+      body: { name: 'Second sentiment', type: 'sentiment-analysis' }
+    });
+
+    expect(res.statusCode).toBe(409);
+    expect(mockDb.rows('agents')).toHaveLength(1);
+  });
+
+  test('clone into the source tenant is refused without replace', async () => {
+    const res = await call('POST', '/api/agent-factory/clone?id=agent-1', { query: { id: 'agent-1' } });
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.message).toMatch(/replace: true/);
+    expect(mockDb.rows('agents')).toHaveLength(1);
+  });
+
+  test('clone with replace trashes the tenant agent and takes its place', async () => {
+    const res = await call('POST', '/api/agent-factory/clone?id=agent-1', {
+      query: { id: 'agent-1' },
+      body: { name: 'Sentiment v2', config: { options: { model: 'new/model' } }, replace: true }
+    });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body).toMatchObject({ replaced_agent_id: 'agent-1', agent: { tenant_id: 'tenant-1', source_agent_id: 'agent-1' } });
+    expect(res.body.agent.config.options.model).toBe('new/model');
+    expect(mockDb.rows('agents').find(agent => agent.id === 'agent-1')).toMatchObject({ status: 'deleted' });
+  });
+
+  test('a failed replacing clone restores the replaced agent', async () => {
+    const from = mockDb.from.bind(mockDb);
+    jest.spyOn(mockDb, 'from').mockImplementation(table => {
+      const query = from(table);
+      if (table === 'agents') {
+        query.insert = () => ({ select: () => ({ single: async () => ({ data: null, error: { message: 'insert failed' } }) }) });
+      }
+      return query;
+    });
+
+    const res = await call('POST', '/api/agent-factory/clone?id=agent-1', { query: { id: 'agent-1' }, body: { replace: true } });
+
+    expect(res.statusCode).toBe(500);
+    expect(mockDb.rows('agents')).toEqual([expect.objectContaining({ id: 'agent-1', status: 'active', deleted_at: null })]);
+  });
+
+  test('restore is refused while another agent of the type is live', async () => {
+    mockDb.tables.agents.push({
+      id: 'agent-0',
+      tenant_id: 'tenant-1',
+      name: 'Old sentiment',
+      type: 'sentiment-analysis',
+      status: 'paused',
+      deleted_at: new Date().toISOString()
+    });
+
+    const res = await call('POST', '/api/agent-factory/restore?id=agent-0', { query: { id: 'agent-0' } });
+
+    expect(res.statusCode).toBe(409);
+    expect(mockDb.rows('agents').find(agent => agent.id === 'agent-0').deleted_at).toBeTruthy();
+  });
+});
+
+describe('bulk create', () => {
+  test('refuses a second agent of a type, in the batch or in the tenant', async () => {
+    const res = await call('POST', '/api/agent-factory/bulk', {
+      body: {
+        operation: 'create',
+        items: [
+          { name: 'Recommendations', type: 'recommendation' },
+          { name: 'More recommendations', type: 'recommendation' },
+          { name: 'Sentiment', type: 'sentiment-analysis' }
+        ]
+      }
+    });
+
+    expect(res.statusCode).toBe(207);
+    expect(res.body.results.map(result => result.status)).toEqual(['succeeded', 'invalid', 'invalid']);
+    expect(mockDb.rows('agents').map(agent => agent.type).sort()).toEqual(['recommendation', 'sentiment-analysis']);
+  });
+
+  test('deploys the new agents side by side', async () => {
+    mockDb.tables.agents = [];
+    let running = 0;
+    let maxRunning = 0;
+    deploymentUtils.deploy.mockImplementation(async agent => {
+      maxRunning = Math.max(maxRunning, ++running);
+      await new Promise(resolve => setTimeout(resolve, 10));
+      running--;
+      return { status: 'active', agent_id: agent.id };
+    });
+
+    const res = await call('POST', '/api/agent-factory/bulk', {
+      body: {
+        operation: 'create',
+        items: [
+          { name: 'Recommendations', type: 'recommendation' },
+          { name: 'Sentiment', type: 'sentiment-analysis' }
+        ]
+      }
+    });
+
+    expect(res.statusCode).toBe(200);
+    expect(maxRunning).toBe(2);
+  });
+
+  test('limits how many agents one request deploys', async () => {
+    const items = Array.from({ length: 6 }, (_, index) => ({ name: `Agent ${index}`, type: 'recommendation' }));
+
+    expect((await call('POST', '/api/agent-factory/bulk', { body: { operation: 'create', items } })).statusCode).toBe(400);
+  });
+});
+
+describe('bulk restart', () => {
+  test('limits how many agents one request redeploys', async () => {
+    const res = await call('POST', '/api/agent-factory/bulk', {
+      body: { operation: 'status', action: 'restart', ids: ['agent-1', 'a', 'b', 'c', 'd', 'e'] }
+    });
+
+    expect(res.statusCode).toBe(400);
+    expect(deploymentUtils.deploy).not.toHaveBeenCalled();
+  });
+});
+
+describe('rollback to a version', () => {
+  const rollback = version => call('POST', '/api/agent-factory/rollback?id=agent-1', {
+    query: { id: 'agent-1' },
+    body: { version }
+  });
+
+  function seedVersion(version, snapshot) {
+    mockDb.tables.agent_versions.push({ agent_id: 'agent-1', tenant_id: 'tenant-1', version, snapshot });
+  }
+
+  test('restores the snapshot as a new version and publishes agent.updated', async () => {
+    seedVersion('0.9.0', { name: 'Old sentiment', config: { options: { model: 'old/model' } } });
+    const publish = jest.spyOn(eventBus, 'publish');
+
+    const res = await rollback('0.9.0');
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.agent).toMatchObject({ name: 'Old sentiment', version: '1.0.1' });
+    expect(res.body.agent.config.options.model).toBe('old/model');
+    expect(res.body.version.change_type).toBe('rollback');
+    expect(publish).toHaveBeenCalledWith('tenant-1', 'agent.updated', expect.objectContaining({ agent_id: 'agent-1' }), expect.anything());
+  });
+
+  test('refuses a snapshot that no longer passes config validation', async () => {
+    seedVersion('0.9.0', { name: 'Old sentiment', config: { timeout_ms: 280000 } });
+
+    const res = await rollback('0.9.0');
+
+    expect(res.statusCode).toBe(400);
+    expect(mockDb.rows('agents')[0].version).toBe('1.0.0');
+  });
+
+  test('answers 404 when the agent is deleted before the write', async () => {
+    seedVersion('0.9.0', { name: 'Old sentiment', config: {} });
+    const getVersion = versioningUtils.getVersion.bind(versioningUtils);
+    jest.spyOn(versioningUtils, 'getVersion').mockImplementation(async (...args) => {
+      mockDb.tables.agents[0].deleted_at = new Date().toISOString();
+      return getVersion(...args);
+    });
+
+    expect((await rollback('0.9.0')).statusCode).toBe(404);
+  });
+});
@@ -0,0 +1,204 @@
+process.env.SUPABASE_URL = 'http://supabase.test';
+process.env.SUPABASE_SERVICE_ROLE_KEY = 'test-service-role-key';
+process.env.EVENT_BUS_BACKEND = 'memory';
+
+const dns = require('dns');
+const { FakeSupabase } = require('./support/fake-supabase');
+
+const mockDb = new FakeSupabase();
+jest.mock('@supabase/supabase-js', () => ({ createClient: () => mockDb }));
+
+const { EventBus, MemoryOutbox, eventBus, EVENT_RETRY_POLICY } = require('../api/utils/event-bus');
+const { webhookUtils } = require('../api/utils/webhooks');
+
+const ago = ms => new Date(Date.now() - ms).toISOString();
+
+// Make an outbox event due now, as if its retry delay or lock had run out
+function makeDue(outbox, eventId, fields = {}) {
+  Object.assign(outbox.events.get(eventId), { next_attempt_at: ago(1000), ...fields });
+}
+
+describe('EventBus with a memory outbox', () => {
+  let outbox;
+  let bus;
+
+  beforeEach(() => {
+    outbox = new MemoryOutbox();
+    bus = new EventBus(outbox);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('publish hands events to subscribers of their type and records the dispatch', async () => {
+    const completed = jest.fn();
+    const everything = jest.fn();
+    bus.subscribe('task.completed', completed, { name: 'completed' });
+    bus.subscribe('*', everything, { name: 'everything' });
+
+    const event = await bus.publish('tenant-1', 'task.completed', { task_id: 'task-1' }, { source: 'tests' });
+    await bus.publish('tenant-1', 'agent.created', { agent_id: 'agent-1' });
+
+    expect(completed).toHaveBeenCalledTimes(1);
+    expect(completed).toHaveBeenCalledWith(expect.objectContaining({ id: event.id, tenant_id: 'tenant-1', data: { task_id: 'task-1' } }));
+    expect(everything).toHaveBeenCalledTimes(2);
+    expect(outbox.events.get(event.id)).toMatchObject({ status: 'dispatched', attempt_count: 1, next_attempt_at: null });
+  });
+
+  test('unknown types and duplicate subscriber names are refused', async () => {
+    bus.subscribe('task.failed', () => {}, { name: 'alerts' });
+
+    expect(() => bus.subscribe('task.failed', () => {}, { name: 'alerts' })).toThrow('already registered');
+    await expect(bus.publish('tenant-1', 'task.unknown', {})).rejects.toThrow('Unknown event type');
+    expect(outbox.events.size).toBe(0);
+  });
+
+  test('unsubscribing stops delivery', async () => {
+    const handler = jest.fn();
+    const unsubscribe = bus.subscribe('task.failed', handler, { name: 'alerts' });
+
+    unsubscribe();
+    await bus.publish('tenant-1', 'task.failed', {});
+
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  test('dispatchPending retries only the subscribers that failed', async () => {
+    const steady = jest.fn();
+    const flaky = jest.fn()
+      .mockRejectedValueOnce(new Error('downstream unavailable'))
+      .mockResolvedValueOnce();
+    bus.subscribe('task.completed', steady, { name: 'steady' });
+    bus.subscribe('task.completed', flaky, { name: 'flaky' });
+
+    const event = await bus.publish('tenant-1', 'task.completed', {});
+
+    expect(outbox.events.get(event.id)).toMatchObject({
+      status: 'pending',
+      attempt_count: 1,
+      failed_subscribers: ['flaky'],
+      last_error: 'flaky: downstream unavailable'
+    });
+    expect(await bus.dispatchPending()).toEqual({ dispatched: 0, retrying: 0, failed: 0 });
+
+    makeDue(outbox, event.id);
+
+    expect(await bus.dispatchPending()).toEqual({ dispatched: 1, retrying: 0, failed: 0 });
+    expect(steady).toHaveBeenCalledTimes(1);
+    expect(flaky).toHaveBeenCalledTimes(2);
+    expect(outbox.events.get(event.id)).toMatchObject({ status: 'dispatched', attempt_count: 2, failed_subscribers: null });
+  });
+
+  test('events fail once their subscribers run out of attempts', async () => {
+    bus.subscribe('anomaly.detected', async () => {
+      throw new Error('still down');
+    }, { name: 'broken' });
+
+    const event = await bus.publish('tenant-1', 'anomaly.detected', {});
+
+    for (let attempt = 2; attempt < EVENT_RETRY_POLICY.max_attempts; attempt++) {
+      makeDue(outbox, event.id);
+      expect(await bus.dispatchPending()).toEqual({ dispatched: 0, retrying: 1, failed: 0 });
+    }
+
+    makeDue(outbox, event.id);
+
+    expect(await bus.dispatchPending()).toEqual({ dispatched: 0, retrying: 0, failed: 1 });
+    expect(outbox.events.get(event.id)).toMatchObject({
+      status: 'failed',
+      attempt_count: EVENT_RETRY_POLICY.max_attempts,
+      next_attempt_at: null
+    });
+  });
+
+  test('dispatchPending stops at the deadline and leaves the rest claimed', async () => {
+    const handler = jest.fn();
+    const first = await bus.publish('tenant-1', 'task.completed', {});
+    const second = await bus.publish('tenant-1', 'task.completed', {});
+    bus.subscribe('task.completed', handler, { name: 'late' });
+    makeDue(outbox, first.id, { status: 'pending' });
+    makeDue(outbox, second.id, { status: 'pending' });
+
+    expect(await bus.dispatchPending({ deadline: Date.now() - 1 })).toEqual({ dispatched: 0, retrying: 0, failed: 0 });
+    expect(handler).not.toHaveBeenCalled();
+    expect(new Date(outbox.events.get(first.id).next_attempt_at).getTime()).toBeGreaterThan(Date.now());
+  });
+});
+
+describe('eventBus webhooks subscriber', () => {
+  const originalFetch = global.fetch;
+  const endpoint = id => ({
+    id,
+    tenant_id: 'tenant-1',
+    url: `https://hooks.test/${id}`,
+    secret: 'whsec_test',
+    events: ['task.completed'],
+    enabled: true
+  });
+
+  beforeEach(() => {
+    mockDb.tables = {
+      webhook_endpoints: [endpoint('endpoint-1')],
+      webhook_deliveries: []
+    };
+    global.fetch = jest.fn(async () => new Response('ok', { status: 200 }));
+    jest.spyOn(dns.promises, 'lookup').mockResolvedValue([{ address: '203.0.113.10', family: 4 }]);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+    jest.restoreAllMocks();
+  });
+
+  test('published events are queued for subscribed endpoints and sent by the worker', async () => {
+    const event = await eventBus.publish('tenant-1', 'task.completed', { task_id: 'task-1' });
+
+    expect(mockDb.rows('webhook_deliveries')).toEqual([
+      expect.objectContaining({ endpoint_id: 'endpoint-1', event_id: event.id, status: 'pending', attempt_count: 0 })
+    ]);
+    expect(global.fetch).not.toHaveBeenCalled();
+
+    expect(await webhookUtils.deliverPending()).toMatchObject({ attempted: 1, delivered: 1 });
+    expect(global.fetch).toHaveBeenCalledWith('https://hooks.test/endpoint-1', expect.objectContaining({ method: 'POST' }));
+  });
+
+  test('a failed endpoint lookup keeps the event pending for the webhooks subscriber', async () => {
+    const from = mockDb.from.bind(mockDb);
+    const lookup = jest.spyOn(mockDb, 'from').mockImplementation(table => {
+      const query = from(table);
+      if (table === 'webhook_endpoints') {
+        query.execute = async () => ({ data: null, error: { message: 'connection reset' } });
+      }
+      return query;
+    });
+
+    const event = await eventBus.publish('tenant-1', 'task.completed', { task_id: 'task-1' });
+
+    expect(eventBus.outbox.events.get(event.id)).toMatchObject({
+      status: 'pending',
+      failed_subscribers: ['webhooks'],
+      last_error: 'webhooks: connection reset'
+    });
+    expect(mockDb.rows('webhook_deliveries')).toHaveLength(0);
+
+    lookup.mockRestore();
+    makeDue(eventBus.outbox, event.id);
+
+    expect(await eventBus.dispatchPending()).toEqual({ dispatched: 1, retrying: 0, failed: 0 });
+    expect(mockDb.rows('webhook_deliveries')).toEqual([expect.objectContaining({ endpoint_id: 'endpoint-1', event_id: event.id })]);
+  });
+
+  test('dispatching an event again skips endpoints that already have its delivery', async () => {
+    const event = await eventBus.publish('tenant-1', 'task.completed', { task_id: 'task-1' });
+    mockDb.tables.webhook_endpoints.push(endpoint('endpoint-2'));
+
+    // As if the publishing function was frozen before recording the dispatch
+    makeDue(eventBus.outbox, event.id, { status: 'pending', failed_subscribers: null });
+
+    expect(await eventBus.dispatchPending()).toEqual({ dispatched: 1, retrying: 0, failed: 0 });
+    expect(mockDb.rows('webhook_deliveries').map(delivery => delivery.endpoint_id)).toEqual(['endpoint-1', 'endpoint-2']);
+  });
+});
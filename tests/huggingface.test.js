@@ -0,0 +1,72 @@
+process.env.HUGGINGFACE_API_KEY = 'test-key';
+process.env.HUGGINGFACE_API_URL = 'http://inference.test';
+
+const { HuggingFaceUtils } = require('../api/utils/huggingface');
+
+// Response shape of the inference API for a single text-classification input
+const NESTED_SENTIMENT = [[
+  { label: 'positive', score: 0.91 },
+  { label: 'neutral', score: 0.07 },
+  { label: 'negative', score: 0.02 }
+]];
+
+function stubFetch(body, status = 200) {
+  global.fetch = jest.fn(async () => new Response(JSON.stringify(body), { status }));
+}
+
+describe('HuggingFaceUtils sentiment normalization', () => {
+  let hf;
+  const originalFetch = global.fetch;
+
+  beforeEach(() => {
+    hf = new HuggingFaceUtils();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+    jest.restoreAllMocks();
+  });
+
+  test('analyzeSentiment reads the nested text-classification response', async () => {
+    stubFetch(NESTED_SENTIMENT);
+
+    const result = await hf.analyzeSentiment('I love it', { model: 'some/model' });
+
+    expect(result).toMatchObject({ label: 'positive', score: 0.91, confidence: 0.91, model_used: 'some/model' });
+    expect(global.fetch).toHaveBeenCalledWith('http://inference.test/models/some/model', expect.any(Object));
+  });
+
+  test('the top scoring label wins whatever the order', async () => {
+    stubFetch([[{ label: 'positive', score: 0.2 }, { label: 'negative', score: 0.7 }, { label: 'neutral', score: 0.1 }]]);
+
+    const result = await hf.analyzeSentiment('Not for me');
+
+    expect(result.label).toBe('negative');
+    expect(result.score).toBe(0.7);
+  });
+
+  test('flat responses are still accepted', async () => {
+    stubFetch([{ label: 'Negative', score: 0.8 }]);
+
+    await expect(hf.analyzeSentiment('meh')).resolves.toMatchObject({ label: 'negative', score: 0.8 });
+  });
+
+  test('unexpected responses are reported as format errors', async () => {
+    stubFetch({ unexpected: true });
+
+    await expect(hf.analyzeSentiment('meh')).rejects.toThrow('Unexpected sentiment analysis result format');
+  });
+
+  test('processBatch succeeds for every item of a nested response', async () => {
+    stubFetch(NESTED_SENTIMENT);
+
+    const responses = await hf.processBatch(
+      ['a', 'b', 'c'].map(text => ({ method: 'analyzeSentiment', args: [text, {}] })),
+      { batchSize: 2, delay: 0 }
+    );
+
+    expect(responses.map(response => response.success)).toEqual([true, true, true]);
+    expect(responses[0].result.label).toBe('positive');
+  });
+});
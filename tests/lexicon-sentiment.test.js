@@ -0,0 +1,36 @@
+const { lexiconSentimentUtils } = require('../api/utils/lexicon-sentiment');
+
+describe('lexicon sentiment engine', () => {
+  test.each([
+    ['I love it', 'positive'],
+    ['This is terrible', 'negative'],
+    ['The package arrived on Tuesday', 'neutral'],
+    ['The battery is not great', 'negative'],
+    ['not bad at all', 'positive'],
+    ["Don't like it :(", 'negative'],
+    ['ok 👍', 'positive']
+  ])('%s is %s', (text, label) => {
+    expect(lexiconSentimentUtils.analyze(text).label).toBe(label);
+  });
+
+  test('intensifiers, capitals and exclamation marks add emphasis', () => {
+    const plain = lexiconSentimentUtils.analyze('It was good').raw_result.compound;
+
+    expect(lexiconSentimentUtils.analyze('It was very good').raw_result.compound).toBeGreaterThan(plain);
+    expect(lexiconSentimentUtils.analyze('It was GOOD').raw_result.compound).toBeGreaterThan(plain);
+    expect(lexiconSentimentUtils.analyze('It was good!!').raw_result.compound).toBeGreaterThan(plain);
+  });
+
+  test('the clause after but outweighs the one before it', () => {
+    expect(lexiconSentimentUtils.analyze('The screen is great but the battery is awful').label).toBe('negative');
+  });
+
+  test('results carry the engine and stay within range', () => {
+    const result = lexiconSentimentUtils.analyze('Great!!! Absolutely love it, best purchase ever 😍');
+
+    expect(result).toMatchObject({ engine_used: 'lexicon', model_used: 'lexicon' });
+    expect(result.raw_result.compound).toBeLessThan(1);
+    expect(result.score).toBeGreaterThan(0.5);
+    expect(result.score).toBeLessThanOrEqual(1);
+  });
+});
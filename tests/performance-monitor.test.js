@@ -0,0 +1,98 @@
+process.env.SUPABASE_URL = 'http://supabase.test';
+process.env.SUPABASE_SERVICE_ROLE_KEY = 'test-service-role-key';
+process.env.EVENT_BUS_BACKEND = 'memory';
+process.env.AGENT_BASE_URL = 'http://agents.test';
+
+const { FakeSupabase } = require('./support/fake-supabase');
+
+const mockDb = new FakeSupabase();
+jest.mock('@supabase/supabase-js', () => ({ createClient: () => mockDb }));
+
+const performanceMonitor = require('../api/performance-monitor');
+
+const monitor = { id: 'monitor-1', tenant_id: 'tenant-1', version: '1.0.0' };
+
+function runHealthCheck(signal) {
+  return performanceMonitor.processTask({
+    id: 'task-1',
+    tenant_id: 'tenant-1',
+    input_data: { task_type: 'health_check', target_agents: ['agent-1'] }
+  }, monitor, { signal });
+}
+
+describe('performance monitor health checks', () => {
+  const originalFetch = global.fetch;
+
+  beforeEach(() => {
+    mockDb.tables = {
+      agents: [{
+        id: 'agent-1',
+        tenant_id: 'tenant-1',
+        name: 'Sentiment',
+        type: 'sentiment-analysis',
+        version: '1.0.0',
+        health_check_url: '/api/sentiment-agent/health',
+        deleted_at: null
+      }]
+    };
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  test('calls the agent health endpoint', async () => {
+    global.fetch = jest.fn(async () => new Response(JSON.stringify({ status: 'ok' }), { status: 200 }));
+
+    const result = await runHealthCheck();
+
+    expect(global.fetch).toHaveBeenCalledWith('http://agents.test/api/sentiment-agent/health', expect.objectContaining({ method: 'GET' }));
+    expect(result).toMatchObject({ healthy_agents: 1, results: [{ agent_id: 'agent-1', status: 'healthy' }] });
+  });
+
+  test('aborting the task stops the request in flight', async () => {
+    let requestSignal;
+    global.fetch = jest.fn((url, { signal }) => new Promise((resolve, reject) => {
+      requestSignal = signal;
+      signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+    }));
+    const controller = new AbortController();
+    const cancelled = Object.assign(new Error('Task cancelled'), { code: 'TASK_CANCELLED' });
+
+    const check = runHealthCheck(controller.signal);
+    await new Promise(resolve => setImmediate(resolve));
+    controller.abort(cancelled);
+
+    await expect(check).rejects.toBe(cancelled);
+    expect(requestSignal.aborted).toBe(true);
+  });
+});
+
+describe('performance monitor audits', () => {
+  test('scores agents on their task outcomes and response times', async () => {
+    const timestamp = new Date().toISOString();
+    mockDb.tables = {
+      agent_metrics: [1500, 2500].map(value => ({ agent_id: 'agent-1', metric_type: 'response_time', metric_value: value, timestamp })),
+      agent_tasks: ['completed', 'completed', 'completed', 'failed'].map((status, index) => ({
+        id: `task-${index}`,
+        agent_id: 'agent-1',
+        status,
+        created_at: timestamp
+      }))
+    };
+
+    const result = await performanceMonitor.processTask({
+      id: 'task-audit',
+      tenant_id: 'tenant-1',
+      input_data: { task_type: 'performance_audit', target_agents: ['agent-1'] }
+    }, monitor);
+
+    expect(result.audit_results[0]).toMatchObject({
+      metrics_summary: { response_time: { average: 2000, count: 2 } },
+      task_performance: { total: 4, success_rate: 75 },
+      performance_score: 65,
+      issues: [expect.objectContaining({ type: 'response_time' }), expect.objectContaining({ type: 'task_failures' })]
+    });
+    expect(result.overall_score).toBe(65);
+  });
+});
@@ -0,0 +1,115 @@
+process.env.SUPABASE_URL = 'http://supabase.test';
+process.env.SUPABASE_SERVICE_ROLE_KEY = 'test-service-role-key';
+process.env.EVENT_BUS_BACKEND = 'memory';
+
+const { FakeSupabase } = require('./support/fake-supabase');
+const { createResponse } = require('./support/mock-response');
+
+const mockDb = new FakeSupabase();
+jest.mock('@supabase/supabase-js', () => ({ createClient: () => mockDb }));
+
+const { rolloutUtils } = require('../api/utils/rollouts');
+const { eventBus } = require('../api/utils/event-bus');
+const agentFactory = require('../api/agent-factory');
+
+function seedAgent() {
+  const agent = {
+    id: 'agent-1',
+    tenant_id: 'tenant-1',
+    name: 'Sentiment',
+    type: 'sentiment-analysis',
+    status: 'active',
+    version: '1.0.0',
+    config: { options: { model: 'stable/model' } },
+    deleted_at: null
+  };
+
+  mockDb.tables = { agents: [{ ...agent }], agent_rollouts: [], agent_versions: [], agent_metrics: [], agent_logs: [] };
+  return agent;
+}
+
+// Record successful requests served by a version
+function recordRequests(version, count, responseTime = 100) {
+  const timestamp = new Date(Date.now() + 1000).toISOString();
+  for (let i = 0; i < count; i++) {
+    mockDb.tables.agent_metrics.push(
+      { agent_id: 'agent-1', agent_version: version, metric_type: 'success_rate', metric_value: 100, timestamp },
+      { agent_id: 'agent-1', agent_version: version, metric_type: 'response_time', metric_value: responseTime, timestamp }
+    );
+  }
+}
+
+describe('rollouts', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('concurrent evaluations promote a candidate once', async () => {
+    const agent = seedAgent();
+    const rollout = await rolloutUtils.startRollout(agent, { config: { options: { model: 'candidate/model' } }, strategy: 'blue_green' });
+    recordRequests(rollout.candidate_version, 25);
+
+    const results = await Promise.all([rolloutUtils.evaluate(rollout, agent), rolloutUtils.evaluate(rollout, agent)]);
+
+    expect(results.map(result => result.evaluation.decision).sort()).toEqual(['promote', 'superseded']);
+    expect(results.every(result => result.rollout.status === 'promoted')).toBe(true);
+    expect(mockDb.rows('agent_versions').filter(version => version.version === rollout.candidate_version)).toHaveLength(1);
+    expect(mockDb.rows('agents')[0]).toMatchObject({ version: rollout.candidate_version, config: { options: { model: 'candidate/model' } } });
+  });
+
+  test('concurrent evaluations advance a canary one step', async () => {
+    const agent = seedAgent();
+    const rollout = await rolloutUtils.startRollout(agent, { config: { options: { model: 'candidate/model' } }, steps: [10, 50, 100] });
+    recordRequests(rollout.stable_version, 25);
+    recordRequests(rollout.candidate_version, 25);
+
+    await Promise.all([rolloutUtils.evaluate(rollout, agent), rolloutUtils.evaluate(rollout, agent)]);
+
+    expect(mockDb.rows('agent_rollouts')[0]).toMatchObject({ status: 'running', step_index: 1, traffic_percent: 50 });
+  });
+
+  test('promoting publishes agent.updated with the version change', async () => {
+    const agent = seedAgent();
+    const rollout = await rolloutUtils.startRollout(agent, { config: { options: { model: 'candidate/model' } } });
+    const publish = jest.spyOn(eventBus, 'publish');
+
+    await rolloutUtils.promote(rollout, agent);
+
+    expect(publish).toHaveBeenCalledWith('tenant-1', 'agent.updated', expect.objectContaining({
+      agent_id: 'agent-1',
+      version: rollout.candidate_version,
+      changes: expect.arrayContaining([expect.objectContaining({ path: 'config.options.model' })])
+    }), { source: 'rollouts' });
+  });
+
+  test('a manual promote after a rollback is refused', async () => {
+    const agent = seedAgent();
+    const rollout = await rolloutUtils.startRollout(agent, { config: { options: { model: 'candidate/model' } } });
+
+    await rolloutUtils.rollback(rollout, { reason: 'test' });
+
+    await expect(rolloutUtils.promote(rollout, agent)).resolves.toBeNull();
+    expect(mockDb.rows('agents')[0].version).toBe('1.0.0');
+  });
+
+  test('versioned agent updates are refused while a rollout runs', async () => {
+    const agent = seedAgent();
+    await rolloutUtils.startRollout(agent, { config: { options: { model: 'candidate/model' } } });
+
+    const res = createResponse();
+    await agentFactory({
+      method: 'PUT',
+      url: '/api/agent-factory?id=agent-1',
+      query: { id: 'agent-1' },
+      headers: { 'x-tenant-id': 'tenant-1' },
+      body: { name: 'Renamed' }
+    }, res);
+
+    expect(res.statusCode).toBe(409);
+    expect(mockDb.rows('agents')[0]).toMatchObject({ name: 'Sentiment', version: '1.0.0' });
+  });
+});
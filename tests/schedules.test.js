@@ -0,0 +1,87 @@
+process.env.SUPABASE_URL = 'http://supabase.test';
+process.env.SUPABASE_SERVICE_ROLE_KEY = 'test-service-role-key';
+process.env.EVENT_BUS_BACKEND = 'memory';
+process.env.CRON_SECRET = 'cron-secret';
+
+const { FakeSupabase } = require('./support/fake-supabase');
+const { createResponse } = require('./support/mock-response');
+
+const mockDb = new FakeSupabase();
+jest.mock('@supabase/supabase-js', () => ({ createClient: () => mockDb }));
+
+const schedulesHandler = require('../api/schedules');
+
+const days = count => new Date(Date.now() + count * 86400000).toISOString();
+
+describe('scheduler route', () => {
+  test('purges agents whose trash retention expired', async () => {
+    mockDb.tables = {
+      agent_schedules: [],
+      agent_logs: [],
+      agents: [
+        { id: 'expired', tenant_id: 'tenant-1', name: 'Expired', type: 'recommendation', status: 'deleted', deleted_at: days(-31), purge_after: days(-1) },
+        { id: 'kept', tenant_id: 'tenant-2', name: 'Kept', type: 'recommendation', status: 'deleted', deleted_at: days(-1), purge_after: days(29) }
+      ]
+    };
+
+    const res = createResponse();
+    await schedulesHandler({ method: 'GET', url: '/api/schedules/run', headers: { authorization: 'Bearer cron-secret' }, query: {} }, res);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.purged_agents).toBe(1);
+    expect(mockDb.rows('agents').map(agent => agent.id)).toEqual(['kept']);
+    expect(mockDb.rows('agent_logs')).toEqual([
+      expect.objectContaining({ agent_id: null, tenant_id: 'tenant-1', context: { agent_id: 'expired' } })
+    ]);
+  });
+});
+
+describe('cronExpressions', () => {
+  const { cronExpressions } = require('../api/utils/cron-expressions');
+  const at = iso => new Date(iso);
+
+  test('matches in the schedule time zone', () => {
+    expect(cronExpressions.matches('0 9 * * mon-fri', at('2024-07-01T07:00:00Z'), 'Europe/Berlin')).toBe(true);
+    expect(cronExpressions.matches('0 9 * * mon-fri', at('2024-07-01T09:00:00Z'), 'Europe/Berlin')).toBe(false);
+    expect(cronExpressions.matches('0 9 * * mon-fri', at('2024-07-06T07:00:00Z'), 'Europe/Berlin')).toBe(false);
+  });
+
+  test('follows node-cron for names, weekday 7 and steps', () => {
+    expect(cronExpressions.parse('*/20 0 */10 January,dec 7')).toEqual({
+      minute: new Set([0, 20, 40]),
+      hour: new Set([0]),
+      day: new Set([10, 20, 30]),
+      month: new Set([1, 12]),
+      weekday: new Set([0])
+    });
+  });
+});
+
+describe('scheduleUtils.getNextRun', () => {
+  const { scheduleUtils } = require('../api/utils/schedules');
+  const at = iso => new Date(iso);
+
+  test('finds a leap day years ahead without scanning minute by minute', () => {
+    const startedAt = Date.now();
+
+    expect(scheduleUtils.getNextRun('0 0 29 2 *', 'UTC', at('2025-03-01T00:00:00Z'))).toEqual(at('2028-02-29T00:00:00Z'));
+    expect(Date.now() - startedAt).toBeLessThan(200);
+  });
+
+  test('skips wall clock times lost to daylight saving', () => {
+    expect(scheduleUtils.getNextRun('30 2 * * *', 'Europe/Berlin', at('2024-03-30T02:00:00Z'))).toEqual(at('2024-04-01T00:30:00Z'));
+  });
+
+  test('runs at the first of two wall clock times when clocks go back', () => {
+    expect(scheduleUtils.getNextRun('30 2 * * *', 'Europe/Berlin', at('2024-10-26T12:00:00Z'))).toEqual(at('2024-10-27T00:30:00Z'));
+  });
+
+  test('accepts a leap day schedule and rejects one that never runs', async () => {
+    const schedule = cron => ({ name: 'Cleanup', cron, job: { type: 'data_cleanup' } });
+
+    expect(await scheduleUtils.validateSchedule(schedule('0 0 29 2 *'), 'tenant-1')).toEqual([]);
+    expect(await scheduleUtils.validateSchedule(schedule('0 0 31 2 *'), 'tenant-1')).toEqual([
+      { path: 'cron', message: 'does not run within the next 28 years' }
+    ]);
+  });
+});
@@ -0,0 +1,327 @@
+process.env.SUPABASE_URL = 'http://supabase.test';
+process.env.SUPABASE_SERVICE_ROLE_KEY = 'test-service-role-key';
+process.env.HUGGINGFACE_API_KEY = 'test-key';
+process.env.HUGGINGFACE_API_URL = 'http://inference.test';
+
+const { FakeSupabase } = require('./support/fake-supabase');
+const { createResponse } = require('./support/mock-response');
+
+const mockDb = new FakeSupabase();
+jest.mock('@supabase/supabase-js', () => ({ createClient: () => mockDb }));
+
+const sentimentAgent = require('../api/sentiment-agent');
+const { idempotencyUtils } = require('../api/utils/idempotency');
+
+const agent = { id: 'agent-1', tenant_id: 'tenant-1', version: '1.0.0' };
+
+// Response shapes of the inference API for a single input
+const NESTED_SENTIMENT = [[
+  { label: 'positive', score: 0.91 },
+  { label: 'neutral', score: 0.07 },
+  { label: 'negative', score: 0.02 }
+]];
+const NESTED_LANGUAGE = [[{ label: 'en', score: 0.98 }, { label: 'fr', score: 0.01 }]];
+
+// Answer every inference request with respond(model, body)
+function stubInference(respond) {
+  global.fetch = jest.fn(async (url, init) => {
+    const model = url.replace('http://inference.test/models/', '');
+    const reply = await respond(model, JSON.parse(init.body));
+    return new Response(JSON.stringify(reply.body), { status: reply.status || 200 });
+  });
+}
+
+function runTask(input, taskType = 'sentiment_analysis') {
+  return sentimentAgent.processTask({ id: 'task-1', tenant_id: 'tenant-1', task_type: taskType, input_data: input }, agent);
+}
+
+describe('sentiment agent engines', () => {
+  const originalFetch = global.fetch;
+
+  beforeEach(() => {
+    process.env.HUGGINGFACE_API_KEY = 'test-key';
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+    jest.restoreAllMocks();
+  });
+
+  test('Hugging Face results in the nested response shape are used as is', async () => {
+    stubInference(model => ({ body: model.includes('language-detection') ? NESTED_LANGUAGE : NESTED_SENTIMENT }));
+
+    const result = await runTask({ text: 'I love this product', options: { model: 'english/model', detect_language: true } });
+
+    expect(result).toMatchObject({ label: 'positive', score: 0.91, engine_used: 'huggingface', model_used: 'english/model', detected_language: 'en' });
+    expect(result.fallback_reason).toBeUndefined();
+  });
+
+  test('languages are not detected unless asked for', async () => {
+    stubInference(() => ({ body: NESTED_SENTIMENT }));
+
+    const result = await runTask({ text: 'I love this product', options: { model: 'english/model' } });
+
+    expect(result).toMatchObject({ engine_used: 'huggingface', model_used: 'english/model' });
+    expect(result.detected_language).toBeUndefined();
+    expect(global.fetch.mock.calls.map(([url]) => url)).toEqual(['http://inference.test/models/english/model']);
+  });
+
+  test('detect_language routes each text to the model for its language', async () => {
+    const french = [[{ label: 'fr', score: 0.97 }, { label: 'en', score: 0.02 }]];
+    stubInference(model => ({ body: model.includes('language-detection') ? french : NESTED_SENTIMENT }));
+
+    const result = await runTask({
+      text: "J'adore ce produit",
+      options: { model: 'english/model', detect_language: true, language_models: { fr: 'french/model' } }
+    });
+
+    expect(result).toMatchObject({ model_used: 'french/model', detected_language: 'fr' });
+  });
+
+  test('a given language routes without a detection request', async () => {
+    stubInference(() => ({ body: NESTED_SENTIMENT }));
+
+    const result = await runTask({
+      text: "J'adore ce produit",
+      options: { model: 'english/model', language: 'fr', language_models: { fr: 'french/model' } }
+    });
+
+    expect(result.model_used).toBe('french/model');
+    expect(global.fetch.mock.calls.map(([url]) => url)).toEqual(['http://inference.test/models/french/model']);
+  });
+
+  test('batch and long_document paths use Hugging Face for nested responses', async () => {
+    stubInference(() => ({ body: NESTED_SENTIMENT }));
+
+    const batch = await runTask({
+      items: [{ id: 'a', text: 'great' }, { id: 'b', text: 'fine' }],
+      options: { detect_language: false },
+      concurrency: 2
+    }, 'sentiment_batch');
+    expect(batch.results.every(item => item.success && item.result.engine_used === 'huggingface')).toBe(true);
+    expect(batch.statistics.engine_distribution).toEqual({ huggingface: 2 });
+
+    const document = await runTask({
+      text: 'The first part was lovely. '.repeat(40),
+      mode: 'long_document',
+      options: { detect_language: false, chunk_tokens: 50 }
+    });
+    expect(document.chunk_count).toBeGreaterThan(1);
+    expect(document.engine_used).toBe('huggingface');
+  });
+
+  test('an unavailable model falls back to the lexicon with the reason', async () => {
+    stubInference(() => ({ status: 503, body: { error: 'Model is currently loading' } }));
+
+    const result = await runTask({ text: 'This is not good at all', options: { detect_language: false } });
+
+    expect(result).toMatchObject({ label: 'negative', engine_used: 'lexicon', model_used: 'lexicon' });
+    expect(result.fallback_reason).toMatch(/503/);
+  });
+
+  test('network errors fall back to the lexicon', async () => {
+    global.fetch = jest.fn(async () => {
+      throw new TypeError('fetch failed');
+    });
+
+    const result = await runTask({ text: 'Absolutely wonderful', options: { detect_language: false } });
+
+    expect(result.engine_used).toBe('lexicon');
+  });
+
+  test('malformed responses surface instead of falling back', async () => {
+    stubInference(() => ({ body: { unexpected: true } }));
+
+    await expect(runTask({ text: 'I love it', options: { detect_language: false } }))
+      .rejects.toThrow('Unexpected sentiment analysis result format');
+
+    const batch = await runTask({ items: ['I love it'], options: { detect_language: false }, concurrency: 1 }, 'sentiment_batch');
+    expect(batch.results[0]).toMatchObject({ success: false, error: expect.stringContaining('Unexpected sentiment analysis result format') });
+  });
+
+  test('rejected requests surface instead of falling back', async () => {
+    stubInference(() => ({ status: 401, body: { error: 'Invalid token' } }));
+
+    await expect(runTask({ text: 'I love it', options: { detect_language: false } })).rejects.toThrow('401');
+  });
+
+  test('fallback: false keeps availability errors', async () => {
+    stubInference(() => ({ status: 503, body: { error: 'Model is currently loading' } }));
+
+    await expect(runTask({ text: 'I love it', options: { detect_language: false, fallback: false } })).rejects.toThrow('503');
+  });
+
+  test('a missing API key uses the lexicon without calling Hugging Face', async () => {
+    delete process.env.HUGGINGFACE_API_KEY;
+    global.fetch = jest.fn();
+
+    const result = await runTask({ text: 'The service was terrible :(' });
+
+    expect(result).toMatchObject({ label: 'negative', engine_used: 'lexicon', fallback_reason: 'Hugging Face API key is not configured' });
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  test('queued emotion tasks without a Hugging Face key fail without a retry', async () => {
+    delete process.env.HUGGINGFACE_API_KEY;
+    global.fetch = jest.fn();
+
+    await expect(runTask({ text: 'I am thrilled', mode: 'emotion' })).rejects.toMatchObject({
+      message: 'Emotion mode needs the Hugging Face inference backend: Hugging Face API key is not configured',
+      retryable: false
+    });
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  test('engine: lexicon is deterministic and makes no requests', async () => {
+    global.fetch = jest.fn();
+
+    const first = await runTask({ text: 'I really love it!', options: { engine: 'lexicon' } });
+    const second = await runTask({ text: 'I really love it!', options: { engine: 'lexicon' } });
+
+    expect(first).toMatchObject({ label: 'positive', engine_used: 'lexicon' });
+    expect(second.score).toBe(first.score);
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+});
+
+describe('sentiment agent idempotent submissions', () => {
+  const post = async url => {
+    const res = createResponse();
+    await sentimentAgent({
+      method: 'POST',
+      url,
+      headers: { 'x-tenant-id': 'tenant-1', 'idempotency-key': 'key-1' },
+      body: { text: 'Great' },
+      query: {}
+    }, res);
+    return res;
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('a failing idempotency store answers 500 instead of rejecting', async () => {
+    jest.spyOn(idempotencyUtils, 'acquire').mockRejectedValue(new Error('store unavailable'));
+
+    const res = await post('/api/sentiment-agent');
+
+    expect(res.statusCode).toBe(500);
+    expect(res.body.message).toBe('store unavailable');
+  });
+
+  test('single and batch submissions keep their keys apart', async () => {
+    const handle = jest.spyOn(idempotencyUtils, 'handle').mockImplementation(async (req, res) => res.status(200).json({}));
+
+    await post('/api/sentiment-agent');
+    await post('/api/sentiment-agent/batch');
+
+    expect(handle.mock.calls.map(call => call[3])).toEqual(['sentiment-agent', 'sentiment-agent/batch']);
+  });
+});
+
+describe('sentiment agent requests', () => {
+  const originalFetch = global.fetch;
+  const post = async (url, body) => {
+    const res = createResponse();
+    await sentimentAgent({
+      method: 'POST',
+      url,
+      headers: { 'x-tenant-id': 'tenant-1' },
+      body,
+      query: {}
+    }, res);
+    return res;
+  };
+
+  function seedAgent(options = {}) {
+    mockDb.tables = {
+      agents: [{ ...agent, type: 'sentiment-analysis', status: 'active', config: { options } }],
+      rollouts: []
+    };
+  }
+
+  beforeEach(() => {
+    process.env.HUGGINGFACE_API_KEY = 'test-key';
+    seedAgent();
+    global.fetch = jest.fn();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+    jest.restoreAllMocks();
+  });
+
+  test('language_models in the agent config turn on routing by language', async () => {
+    seedAgent({ model: 'english/model', language_models: { fr: 'french/model' } });
+    const french = [[{ label: 'fr', score: 0.97 }, { label: 'en', score: 0.02 }]];
+    stubInference(model => ({ body: model.includes('language-detection') ? french : NESTED_SENTIMENT }));
+
+    const res = await post('/api/sentiment-agent', { text: "J'adore ce produit" });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.result).toMatchObject({ model_used: 'french/model', detected_language: 'fr', language_confidence: 0.97 });
+  });
+
+  test('detect_language: false in the request turns configured routing off', async () => {
+    seedAgent({ model: 'english/model', language_models: { fr: 'french/model' } });
+    stubInference(() => ({ body: NESTED_SENTIMENT }));
+
+    const res = await post('/api/sentiment-agent', { text: "J'adore ce produit", options: { detect_language: false } });
+
+    expect(res.body.result.model_used).toBe('english/model');
+    expect(res.body.result.detected_language).toBeUndefined();
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('a client model does not override the rollout candidate', async () => {
+    seedAgent({ model: 'stable/model' });
+    mockDb.tables.agent_rollouts = [{
+      id: 'rollout-1',
+      agent_id: 'agent-1',
+      status: 'running',
+      strategy: 'blue_green',
+      traffic_percent: 100,
+      stable_version: '1.0.0',
+      candidate_version: '1.1.0',
+      candidate_config: { options: { model: 'candidate/model' } },
+      started_at: new Date().toISOString()
+    }];
+    stubInference(() => ({ body: NESTED_SENTIMENT }));
+
+    const res = await post('/api/sentiment-agent', { text: 'I love this product', options: { model: 'stable/model' } });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.result.model_used).toBe('candidate/model');
+  });
+
+  test('emotion mode without a Hugging Face key is refused up front', async () => {
+    delete process.env.HUGGINGFACE_API_KEY;
+
+    const res = await post('/api/sentiment-agent', { text: 'I am thrilled', mode: 'emotion' });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.details[0]).toEqual({
+      path: 'mode',
+      message: 'emotion mode needs the Hugging Face inference backend: Hugging Face API key is not configured'
+    });
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  test('batches routed by language are held to fewer texts', async () => {
+    seedAgent({ multilingual_model: 'multilingual/model' });
+    const texts = Array.from({ length: 51 }, (_, index) => `text ${index}`);
+
+    const res = await post('/api/sentiment-agent/batch', { texts });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.details[0]).toMatchObject({ path: 'texts', message: expect.stringContaining('at most 50 items') });
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+});
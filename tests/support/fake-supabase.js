@@ -0,0 +1,237 @@
+const crypto = require('crypto');
+
+/**
+ * In-memory stand-in for the Supabase client used by the API, covering
+ * the query builder calls the handlers and utils make. Rows live in
+ * plain arrays under fake.tables[name]. Unique indexes added with
+ * addUniqueIndex() fail inserts and updates with Postgres' 23505.
+ */
+class FakeSupabase {
+  constructor(tables = {}) {
+    this.uniqueIndexes = {};
+    this.tables = {};
+    for (const [name, rows] of Object.entries(tables)) {
+      this.tables[name] = rows.map(row => ({ ...row }));
+    }
+  }
+
+  from(table) {
+    if (!this.tables[table]) {
+      this.tables[table] = [];
+    }
+    return new FakeQuery(this, table);
+  }
+
+  /**
+   * Refuse two rows with the same values in columns, among rows passing `where`
+   */
+  addUniqueIndex(table, columns, where = () => true) {
+    this.uniqueIndexes[table] = [...(this.uniqueIndexes[table] || []), { columns, where }];
+  }
+
+  violatesUnique(table, candidate, others) {
+    return (this.uniqueIndexes[table] || []).some(({ columns, where }) => where(candidate) &&
+      others.some(row => row !== candidate && where(row) && columns.every(column => row[column] === candidate[column])));
+  }
+
+  async rpc() {
+    return { data: null, error: null };
+  }
+
+  rows(table) {
+    return this.tables[table] || [];
+  }
+}
+
+class FakeQuery {
+  constructor(db, table) {
+    this.db = db;
+    this.table = table;
+    this.action = 'select';
+    this.filters = [];
+    this.orders = [];
+    this.limitCount = null;
+    this.returning = false;
+    this.countOptions = null;
+  }
+
+  select(columns = '*', options = {}) {
+    if (this.action === 'select') {
+      this.countOptions = options.count ? options : null;
+    }
+    this.returning = true;
+    return this;
+  }
+
+  insert(rows) {
+    this.action = 'insert';
+    this.payload = [].concat(rows);
+    return this;
+  }
+
+  upsert(rows) {
+    this.action = 'upsert';
+    this.payload = [].concat(rows);
+    return this;
+  }
+
+  update(values) {
+    this.action = 'update';
+    this.payload = values;
+    return this;
+  }
+
+  delete() {
+    this.action = 'delete';
+    return this;
+  }
+
+  eq(column, value) { return this.where(row => row[column] === value); }
+  neq(column, value) { return this.where(row => row[column] !== value); }
+  gt(column, value) { return this.where(row => row[column] > value); }
+  gte(column, value) { return this.where(row => row[column] >= value); }
+  lt(column, value) { return this.where(row => row[column] < value); }
+  lte(column, value) { return this.where(row => row[column] <= value); }
+  in(column, values) { return this.where(row => values.includes(row[column])); }
+  is(column, value) { return this.where(row => (row[column] ?? null) === value); }
+
+  not(column, operator, value) {
+    if (operator === 'is') {
+      return this.where(row => (row[column] ?? null) !== value);
+    }
+    if (operator === 'in') {
+      const values = parseFilterList(value);
+      return this.where(row => !values.includes(String(row[column])));
+    }
+    throw new Error(`FakeSupabase does not support not(${operator})`);
+  }
+
+  where(predicate) {
+    this.filters.push(predicate);
+    return this;
+  }
+
+  order(column, { ascending = true } = {}) {
+    this.orders.push({ column, ascending });
+    return this;
+  }
+
+  limit(count) {
+    this.limitCount = count;
+    return this;
+  }
+
+  async single() {
+    const { data, error } = await this.execute();
+    if (error) {
+      return { data: null, error };
+    }
+
+    const rows = Array.isArray(data) ? data : [];
+    if (rows.length !== 1) {
+      return { data: null, error: { code: 'PGRST116', message: `expected 1 row, got ${rows.length}` } };
+    }
+
+    return { data: rows[0], error: null };
+  }
+
+  async maybeSingle() {
+    const { data, error } = await this.execute();
+    return { data: data && data.length > 0 ? data[0] : null, error };
+  }
+
+  then(resolve, reject) {
+    return this.execute().then(resolve, reject);
+  }
+
+  // Whether the write would leave two rows clashing on a unique index
+  violatesUnique(table) {
+    if (this.action === 'update') {
+      const updated = this.matching();
+      const after = table.map(row => (updated.includes(row) ? { ...row, ...clone(this.payload) } : row));
+      return after.some((row, index) => updated.includes(table[index]) && this.db.violatesUnique(this.table, row, after));
+    }
+
+    const inserted = this.payload.filter(values => this.action === 'insert' || !table.some(row => values.id !== undefined && row.id === values.id));
+    const after = [...table];
+    return inserted.some(values => {
+      const row = { ...values };
+      const clash = this.db.violatesUnique(this.table, row, after);
+      after.push(row);
+      return clash;
+    });
+  }
+
+  matching() {
+    return this.db.rows(this.table).filter(row => this.filters.every(predicate => predicate(row)));
+  }
+
+  async execute() {
+    const table = this.db.tables[this.table];
+    let rows;
+
+    if (this.action !== 'select' && this.action !== 'delete' && this.violatesUnique(table)) {
+      return { data: null, error: { code: '23505', message: 'duplicate key value violates unique constraint' } };
+    }
+
+    switch (this.action) {
+      case 'insert':
+      case 'upsert':
+        rows = this.payload.map(values => {
+          const existing = this.action === 'upsert' && values.id !== undefined && table.find(row => row.id === values.id);
+          if (existing) {
+            return Object.assign(existing, clone(values));
+          }
+
+          const row = { id: crypto.randomUUID(), created_at: new Date().toISOString(), ...clone(values) };
+          table.push(row);
+          return row;
+        });
+        break;
+      case 'update':
+        rows = this.matching().map(row => Object.assign(row, clone(this.payload)));
+        break;
+      case 'delete':
+        rows = this.matching();
+        this.db.tables[this.table] = table.filter(row => !rows.includes(row));
+        break;
+      default:
+        rows = this.matching();
+    }
+
+    for (const { column, ascending } of [...this.orders].reverse()) {
+      rows = [...rows].sort((a, b) => {
+        if (a[column] === b[column]) return 0;
+        return (a[column] > b[column] ? 1 : -1) * (ascending ? 1 : -1);
+      });
+    }
+
+    if (this.limitCount !== null) {
+      rows = rows.slice(0, this.limitCount);
+    }
+
+    if (this.countOptions) {
+      return { data: this.countOptions.head ? null : rows.map(clone), count: rows.length, error: null };
+    }
+
+    return { data: this.action === 'select' || this.returning ? rows.map(clone) : null, error: null };
+  }
+}
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+// Values of a PostgREST list such as ("a","b\"c"), quoted values may hold commas
+function parseFilterList(list) {
+  const values = [];
+  const entries = list.replace(/^\(|\)$/g, '');
+  const pattern = /"((?:[^"\\]|\\.)*)"|([^,]+)/g;
+  let match;
+  while ((match = pattern.exec(entries))) {
+    values.push(match[1] !== undefined ? match[1].replace(/\\(.)/g, '$1') : match[2]);
+  }
+  return values;
+}
+
+module.exports = { FakeSupabase };
@@ -0,0 +1,26 @@
+/**
+ * Minimal Vercel/Express style response object that records what a handler sent
+ */
+function createResponse() {
+  return {
+    statusCode: null,
+    body: undefined,
+    headers: {},
+    setHeader(name, value) {
+      this.headers[name] = value;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+    end() {
+      return this;
+    }
+  };
+}
+
+module.exports = { createResponse };
@@ -0,0 +1,180 @@
+process.env.SUPABASE_URL = 'http://supabase.test';
+process.env.SUPABASE_SERVICE_ROLE_KEY = 'test-service-role-key';
+process.env.EVENT_BUS_BACKEND = 'memory';
+
+const { FakeSupabase } = require('./support/fake-supabase');
+const { createResponse } = require('./support/mock-response');
+
+const mockDb = new FakeSupabase();
+jest.mock('@supabase/supabase-js', () => ({ createClient: () => mockDb }));
+
+const { taskQueueUtils } = require('../api/utils/task-queue');
+const tasksHandler = require('../api/tasks');
+
+const ago = ms => new Date(Date.now() - ms).toISOString();
+
+function seed(tasks, agentConfig = {}) {
+  mockDb.tables = {
+    agents: [{
+      id: 'agent-1',
+      tenant_id: 'tenant-1',
+      type: 'sentiment-analysis',
+      status: 'active',
+      version: '1.0.0',
+      config: agentConfig,
+      deleted_at: null
+    }],
+    agent_tasks: tasks.map(task => ({
+      agent_id: 'agent-1',
+      task_type: 'analyze',
+      status: 'running',
+      attempt_count: 0,
+      attempts: [],
+      ...task
+    })),
+    agent_logs: []
+  };
+}
+
+describe('taskQueueUtils.reapStale', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('queues a task orphaned by a killed worker again and counts the attempt', async () => {
+    const startedAt = ago(taskQueueUtils.staleAfter + 1000);
+    seed([{ id: 'task-1', started_at: startedAt }]);
+
+    const result = await taskQueueUtils.reapStale();
+
+    expect(result).toEqual({ reaped: 1, retrying: 1, dead_lettered: 0, failed: 0 });
+    const [task] = mockDb.rows('agent_tasks');
+    expect(task.status).toBe('pending');
+    expect(task.attempt_count).toBe(1);
+    expect(task.attempts).toEqual([expect.objectContaining({ attempt: 1, started_at: startedAt, retryable: true })]);
+  });
+
+  test('dead-letters an orphaned task out of attempts', async () => {
+    seed([{ id: 'task-1', started_at: ago(taskQueueUtils.staleAfter + 1000), attempt_count: 2 }], { retry_policy: { max_attempts: 3 } });
+
+    const result = await taskQueueUtils.reapStale();
+
+    expect(result).toEqual({ reaped: 1, retrying: 0, dead_lettered: 1, failed: 0 });
+    const [task] = mockDb.rows('agent_tasks');
+    expect(task.status).toBe('failed');
+    expect(task.attempt_count).toBe(3);
+    expect(task.dead_lettered_at).toBeTruthy();
+  });
+
+  test('fails a system task left running by a stopped scheduler', async () => {
+    seed([{ id: 'cleanup', agent_id: null, task_type: 'data_cleanup', started_at: ago(taskQueueUtils.staleAfter + 1000) }]);
+
+    const result = await taskQueueUtils.reapStale();
+
+    expect(result).toEqual({ reaped: 1, retrying: 0, dead_lettered: 0, failed: 1 });
+    const [task] = mockDb.rows('agent_tasks');
+    expect(task.status).toBe('failed');
+    expect(task.dead_lettered_at).toBeUndefined();
+  });
+
+  test('leaves attempts that can still be running alone', async () => {
+    seed([{ id: 'task-1', started_at: ago(1000) }]);
+
+    const result = await taskQueueUtils.reapStale();
+
+    expect(result.reaped).toBe(0);
+    expect(mockDb.rows('agent_tasks')[0].status).toBe('running');
+  });
+
+  test('reaps a task once when workers overlap', async () => {
+    seed([{ id: 'task-1', started_at: ago(taskQueueUtils.staleAfter + 1000) }]);
+
+    const results = await Promise.all([taskQueueUtils.reapStale(), taskQueueUtils.reapStale()]);
+
+    expect(results.map(result => result.reaped).sort()).toEqual([0, 1]);
+    expect(mockDb.rows('agent_tasks')[0].attempt_count).toBe(1);
+  });
+});
+
+describe('taskQueueUtils.claimNext', () => {
+  test('only claims a task whose timeout fits before the deadline', async () => {
+    seed([
+      { id: 'long', status: 'pending', priority: 3, timeout_ms: 180000, next_attempt_at: ago(2000) },
+      { id: 'short', status: 'pending', priority: 1, timeout_ms: 30000, next_attempt_at: ago(1000) }
+    ]);
+
+    const claimed = await taskQueueUtils.claimNext({ deadline: Date.now() + 60000 });
+
+    expect(claimed.id).toBe('short');
+    expect(await taskQueueUtils.claimNext({ deadline: Date.now() + 60000 })).toBeNull();
+    expect(mockDb.rows('agent_tasks').find(task => task.id === 'long').status).toBe('pending');
+  });
+
+  test('never claims a system task', async () => {
+    seed([{ id: 'cleanup', agent_id: null, task_type: 'data_cleanup', status: 'pending', priority: 5, next_attempt_at: ago(1000) }]);
+
+    expect(await taskQueueUtils.claimNext()).toBeNull();
+  });
+
+  test('leaves the tasks of a paused agent queued', async () => {
+    seed([{ id: 'task-1', status: 'pending', priority: 5, next_attempt_at: ago(1000) }]);
+    mockDb.tables.agents[0].status = 'paused';
+
+    expect(await taskQueueUtils.claimNext()).toBeNull();
+
+    mockDb.tables.agents[0].status = 'draining';
+    expect((await taskQueueUtils.claimNext()).id).toBe('task-1');
+  });
+
+  test('excludes scanned tenants whose ids hold quotes and commas', async () => {
+    seed([
+      { id: 'task-1', tenant_id: 'acme","globex', status: 'pending', priority: 5, next_attempt_at: ago(3000) },
+      { id: 'task-2', tenant_id: 'globex', status: 'pending', priority: 5, next_attempt_at: ago(2000) },
+      { id: 'task-3', tenant_id: 'initech\\', status: 'pending', priority: 5, next_attempt_at: ago(1000) }
+    ]);
+    taskQueueUtils.candidatesPerScan = 1;
+
+    try {
+      const candidates = await taskQueueUtils.findCandidates(new Date());
+
+      expect(candidates.map(task => task.id)).toEqual(['task-1', 'task-2', 'task-3']);
+    } finally {
+      taskQueueUtils.candidatesPerScan = 20;
+    }
+  });
+
+  test('caps timeouts saved above the schema maximum', () => {
+    expect(taskQueueUtils.getTimeout({ timeout_ms: 280000 }, null)).toBe(180000);
+    expect(taskQueueUtils.getTimeout({}, { config: { timeout_ms: 5000 } })).toBe(5000);
+  });
+});
+
+describe('worker endpoint', () => {
+  const runWorker = (headers = {}) => {
+    const res = createResponse();
+    return tasksHandler({ method: 'GET', url: '/api/tasks/work', headers, query: {} }, res).then(() => res);
+  };
+
+  afterEach(() => {
+    delete process.env.CRON_SECRET;
+  });
+
+  test('refuses every request while CRON_SECRET is unset', async () => {
+    seed([]);
+
+    expect((await runWorker()).statusCode).toBe(401);
+    expect((await runWorker({ authorization: 'Bearer undefined' })).statusCode).toBe(401);
+  });
+
+  test('runs with the cron secret', async () => {
+    seed([]);
+    process.env.CRON_SECRET = 'cron-secret';
+
+    expect((await runWorker({ authorization: 'Bearer wrong' })).statusCode).toBe(401);
+    expect((await runWorker({ authorization: 'Bearer cron-secret' })).statusCode).toBe(200);
+  });
+});
@@ -0,0 +1,130 @@
+process.env.SUPABASE_URL = 'http://supabase.test';
+process.env.SUPABASE_SERVICE_ROLE_KEY = 'test-service-role-key';
+
+const dns = require('dns');
+const { FakeSupabase } = require('./support/fake-supabase');
+const { createResponse } = require('./support/mock-response');
+
+const mockDb = new FakeSupabase();
+jest.mock('@supabase/supabase-js', () => ({ createClient: () => mockDb }));
+
+const { webhookUtils } = require('../api/utils/webhooks');
+const webhooksHandler = require('../api/webhooks');
+
+const PUBLIC_ADDRESS = [{ address: '203.0.113.10', family: 4 }];
+
+const endpoint = () => ({
+  id: 'endpoint-1',
+  tenant_id: 'tenant-1',
+  url: 'https://hooks.example.com/fmaa',
+  secret: 'whsec_test',
+  events: ['task.completed'],
+  enabled: true
+});
+
+async function register(url) {
+  const res = createResponse();
+  await webhooksHandler({
+    method: 'POST',
+    url: '/api/webhooks',
+    headers: { 'x-tenant-id': 'tenant-1' },
+    body: { url, events: ['task.completed'] },
+    query: {}
+  }, res);
+  return res;
+}
+
+describe('webhook endpoint URLs', () => {
+  const originalFetch = global.fetch;
+  const originalNodeEnv = process.env.NODE_ENV;
+  let lookup;
+
+  beforeEach(() => {
+    mockDb.tables = { webhook_endpoints: [], webhook_deliveries: [] };
+    lookup = jest.spyOn(dns.promises, 'lookup').mockResolvedValue(PUBLIC_ADDRESS);
+    global.fetch = jest.fn(async () => new Response('ok', { status: 200 }));
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+    process.env.NODE_ENV = originalNodeEnv;
+    jest.restoreAllMocks();
+  });
+
+  test('public https endpoints are registered', async () => {
+    const res = await register('https://hooks.example.com/fmaa');
+
+    expect(res.statusCode).toBe(201);
+    expect(lookup).toHaveBeenCalledWith('hooks.example.com', { all: true });
+  });
+
+  test.each([
+    'https://127.0.0.1/hook',
+    'https://169.254.169.254/latest/meta-data',
+    'https://10.0.0.5/hook',
+    'https://172.20.1.1/hook',
+    'https://192.168.1.10/hook',
+    'https://[::1]/hook',
+    'https://[fd12::1]/hook',
+    'https://[::ffff:127.0.0.1]/hook',
+    'https://2130706433/hook'
+  ])('%s is refused', async url => {
+    const res = await register(url);
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.details[0]).toMatchObject({ path: 'url', message: expect.stringContaining('private') });
+    expect(mockDb.rows('webhook_endpoints')).toHaveLength(0);
+  });
+
+  test('hosts resolving to a private address are refused', async () => {
+    lookup.mockResolvedValue([{ address: '203.0.113.10', family: 4 }, { address: '10.1.2.3', family: 4 }]);
+
+    expect((await register('https://internal.example.com/hook')).statusCode).toBe(400);
+  });
+
+  test('hosts that do not resolve are refused', async () => {
+    lookup.mockRejectedValue(Object.assign(new Error('getaddrinfo ENOTFOUND'), { code: 'ENOTFOUND' }));
+
+    const res = await register('https://missing.example.com/hook');
+
+    expect(res.body.details[0]).toEqual({ path: 'url', message: 'host does not resolve' });
+  });
+
+  test('http is only accepted in development', async () => {
+    expect((await register('http://hooks.example.com/fmaa')).body.details[0].message).toBe('must use https');
+
+    process.env.NODE_ENV = 'development';
+
+    expect((await register('http://hooks.example.com/fmaa')).statusCode).toBe(201);
+  });
+
+  test('raising an event only queues its deliveries', async () => {
+    mockDb.tables.webhook_endpoints.push(endpoint());
+
+    const deliveries = await webhookUtils.emit('tenant-1', 'task.completed', { task_id: 'task-1' });
+
+    expect(deliveries).toEqual([expect.objectContaining({ status: 'pending', attempt_count: 0 })]);
+    expect(new Date(deliveries[0].next_attempt_at).getTime()).toBeLessThanOrEqual(Date.now());
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  test('deliveries re-check the host and do not follow redirects', async () => {
+    mockDb.tables.webhook_endpoints.push(endpoint());
+
+    await webhookUtils.emit('tenant-1', 'task.completed', { task_id: 'task-1' });
+    await webhookUtils.deliverPending();
+
+    expect(global.fetch).toHaveBeenCalledWith('https://hooks.example.com/fmaa', expect.objectContaining({ redirect: 'manual' }));
+
+    lookup.mockResolvedValue([{ address: '127.0.0.1', family: 4 }]);
+    global.fetch.mockClear();
+
+    await webhookUtils.emit('tenant-1', 'task.completed', { task_id: 'task-2' });
+    await webhookUtils.deliverPending();
+
+    const delivery = mockDb.rows('webhook_deliveries').find(row => row.payload.data.task_id === 'task-2');
+    expect(global.fetch).not.toHaveBeenCalled();
+    expect(delivery).toMatchObject({ status: 'failed', next_attempt_at: null });
+    expect(delivery.attempts[0].error).toMatch(/private, loopback or link-local/);
+  });
+});
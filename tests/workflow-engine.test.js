@@ -0,0 +1,124 @@
+process.env.SUPABASE_URL = 'http://supabase.test';
+process.env.SUPABASE_SERVICE_ROLE_KEY = 'test-service-role-key';
+process.env.EVENT_BUS_BACKEND = 'memory';
+
+const { FakeSupabase } = require('./support/fake-supabase');
+
+const mockDb = new FakeSupabase();
+jest.mock('@supabase/supabase-js', () => ({ createClient: () => mockDb }));
+
+const { workflowEngine } = require('../api/utils/workflow-engine');
+const { workflowExpressions } = require('../api/utils/workflow-expressions');
+
+describe('workflow definitions', () => {
+  test('dependency cycles are refused', () => {
+    const errors = workflowEngine.validateDefinition({
+      name: 'Loop',
+      steps: [
+        { id: 'a', transform: {}, depends_on: ['c'] },
+        { id: 'b', transform: {}, depends_on: ['a'] },
+        { id: 'c', transform: {}, depends_on: ['b'] }
+      ]
+    });
+
+    expect(errors).toEqual([{ path: 'steps', message: 'dependency cycle: a -> c -> b -> a' }]);
+  });
+
+  test('steps may only read outputs of steps they depend on', () => {
+    const errors = workflowEngine.validateDefinition({
+      name: 'Reads ahead',
+      steps: [
+        { id: 'first', transform: { value: '$.input.value' } },
+        { id: 'second', transform: { value: '$.steps.first.output.value' } }
+      ]
+    });
+
+    expect(errors).toEqual([{ path: 'steps[1]', message: 'reads $.steps.first but does not depend on it' }]);
+  });
+
+  test('a step sets exactly one of agent or transform', () => {
+    const errors = workflowEngine.validateDefinition({
+      name: 'Both',
+      steps: [{ id: 'step', agent: 'sentiment-analysis', transform: {} }]
+    });
+
+    expect(errors).toEqual([{ path: 'steps[0]', message: 'must set exactly one of agent or transform' }]);
+  });
+});
+
+describe('workflow expressions', () => {
+  const context = {
+    input: { reviews: [{ label: 'positive', score: 0.9 }, { label: 'negative', score: 0.3 }, { label: 'positive', score: 0.6 }] },
+    steps: {}
+  };
+
+  test('[*] maps a path over an array and functions aggregate it', () => {
+    expect(workflowExpressions.resolve({
+      labels: '$.input.reviews[*].label',
+      majority: { $fn: 'majority', of: '$.input.reviews[*].label' },
+      average: { $fn: 'avg', of: '$.input.reviews[*].score' },
+      literal: '$$.input'
+    }, context)).toEqual({
+      labels: ['positive', 'negative', 'positive'],
+      majority: 'positive',
+      average: 0.6,
+      literal: '$.input'
+    });
+  });
+
+  test('conditions combine comparisons', () => {
+    const condition = {
+      all: [
+        { left: { $fn: 'count', of: '$.input.reviews' }, op: 'gte', right: 3 },
+        { not: { left: '$.input.reviews[0].label', op: 'eq', right: 'negative' } }
+      ]
+    };
+
+    expect(workflowExpressions.evaluate(condition, context)).toBe(true);
+    expect(workflowExpressions.validateCondition({ any: [] }, 'when')).toEqual([{ path: 'when.any', message: 'must be a non-empty array' }]);
+  });
+});
+
+describe('workflow runs', () => {
+  beforeEach(() => {
+    mockDb.tables = { workflow_runs: [], workflow_steps: [] };
+  });
+
+  test('steps run in dependency order and untaken branches are skipped', async () => {
+    const run = await workflowEngine.startRun({
+      id: 'workflow-1',
+      tenant_id: 'tenant-1',
+      definition: {
+        name: 'Triage',
+        steps: [
+          { id: 'score', transform: { average: { $fn: 'avg', of: '$.input.scores' } } },
+          {
+            id: 'escalate',
+            depends_on: ['score'],
+            when: { left: '$.steps.score.output.average', op: 'lt', right: 0.5 },
+            transform: { action: 'escalate' }
+          },
+          {
+            id: 'archive',
+            depends_on: ['score'],
+            when: { left: '$.steps.score.output.average', op: 'gte', right: 0.5 },
+            transform: { action: 'archive' }
+          },
+          { id: 'notify', depends_on: ['escalate'], transform: { sent: true } }
+        ]
+      }
+    }, { input: { scores: [0.9, 0.7] } });
+
+    expect(await workflowEngine.runPending({ timeBudget: 5000 })).toMatchObject({ processed: 1, completed: 1 });
+
+    const finished = await workflowEngine.getRun(run.id, 'tenant-1');
+    expect(finished.status).toBe('completed');
+    expect(finished.output).toEqual({ archive: { action: 'archive' } });
+    expect(finished.steps.map(step => [step.step_id, step.status])).toEqual([
+      ['score', 'completed'],
+      ['escalate', 'skipped'],
+      ['archive', 'completed'],
+      ['notify', 'skipped']
+    ]);
+  });
+});